@@ -21,11 +21,13 @@ CREATE TABLE otp_codes (
   used BOOLEAN DEFAULT false,
   ip_address INET,
   user_agent TEXT,
+  purpose TEXT NOT NULL DEFAULT 'login' CHECK (purpose IN ('login','declaration_signing')),
+  payload_hash TEXT,          -- declaration_signing: xml_exports.xml_hash
   created_at TIMESTAMP DEFAULT now()
 );
 
 CREATE INDEX idx_otp_active
-  ON otp_codes(user_id)
+  ON otp_codes(user_id, purpose)
   WHERE used = false;
 
 -- =========================================================
@@ -42,6 +44,9 @@ CREATE TABLE persons (
   residency_status TEXT CHECK (residency_status IN ('resident', 'non_resident')),
   marital_status TEXT CHECK (marital_status IN ('single', 'married')),
   tax_obligation_start_year INT,
+  iik TEXT,                   -- ИИК (IBAN) для возврата ИПН (270.02)
+  bank_bic TEXT,              -- БИК банка
+  kogd CHAR(4),               -- код органа госдоходов по месту жительства
   created_at TIMESTAMP DEFAULT now()
 );
 
@@ -154,6 +159,96 @@ CREATE TABLE tax_events (
   created_at TIMESTAMP DEFAULT now()
 );
 
+-- =========================================================
+-- C2) ASSET AND CFC REGISTERS (270.04 - 270.07)
+-- =========================================================
+CREATE TABLE foreign_assets (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  tax_identity_id UUID REFERENCES tax_identities(id) ON DELETE CASCADE,
+
+  -- real_estate → 270.04 B, securities → C, share (доля в юрлице) → D, bank_account → E
+  asset_category TEXT CHECK (asset_category IN ('real_estate','securities','share','bank_account')) NOT NULL,
+
+  country_code CHAR(2) NOT NULL,      -- ISO 3166-1 alpha-2
+  description TEXT,                   -- вид / наименование имущества
+  address TEXT,                       -- адрес недвижимости
+  registration_number TEXT,           -- кадастровый / регистрационный номер, ISIN
+  issuer_name TEXT,                   -- эмитент / юрлицо / банк
+  bank_swift TEXT,
+  account_number TEXT,
+  quantity NUMERIC(18,4),
+  ownership_share NUMERIC(7,4),       -- доля владения, %
+  acquisition_date DATE,
+  disposal_date DATE,
+  value NUMERIC(18,2),                -- стоимость в валюте currency
+  currency CHAR(3) DEFAULT 'KZT',
+
+  -- импорт из source_records (api / manual); NULL для ручного ввода
+  source_record_id UUID REFERENCES source_records(id) ON DELETE SET NULL,
+  source_index INT,
+
+  created_at TIMESTAMP DEFAULT now(),
+  updated_at TIMESTAMP DEFAULT now(),
+  UNIQUE (source_record_id, source_index)
+);
+
+CREATE INDEX idx_foreign_assets_identity
+  ON foreign_assets(tax_identity_id, asset_category);
+
+CREATE TABLE domestic_assets (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  tax_identity_id UUID REFERENCES tax_identities(id) ON DELETE CASCADE,
+
+  -- real_estate / vehicle / share / securities / other → 270.05 B
+  -- receivable (дебиторская) / debt (кредиторская) → 270.05 C
+  asset_category TEXT CHECK (asset_category IN (
+    'real_estate','vehicle','share','securities','other','receivable','debt'
+  )) NOT NULL,
+
+  description TEXT,                   -- вид / наименование имущества, предмет договора
+  registration_number TEXT,           -- кадастровый номер, VIN, ISIN, номер договора
+  address TEXT,                       -- местонахождение недвижимости
+  counterparty_name TEXT,             -- юрлицо (доля), эмитент, должник / кредитор
+  counterparty_bin CHAR(12),          -- БИН / ИИН контрагента
+  quantity NUMERIC(18,4),
+  ownership_share NUMERIC(7,4),       -- доля владения, %
+  acquisition_date DATE,              -- дата возникновения права / задолженности
+  disposal_date DATE,                 -- дата отчуждения / погашения
+  due_date DATE,                      -- срок погашения задолженности
+  value NUMERIC(18,2),                -- стоимость / сумма задолженности в валюте currency
+  currency CHAR(3) DEFAULT 'KZT',
+
+  -- импорт из source_records (api / manual); NULL для ручного ввода
+  source_record_id UUID REFERENCES source_records(id) ON DELETE SET NULL,
+  source_index INT,
+
+  created_at TIMESTAMP DEFAULT now(),
+  updated_at TIMESTAMP DEFAULT now(),
+  UNIQUE (source_record_id, source_index)
+);
+
+CREATE INDEX idx_domestic_assets_identity
+  ON domestic_assets(tax_identity_id, asset_category);
+
+-- Реестр КИК (270.06 / 270.07); события ссылаются через metadata.cfc_reg_number
+CREATE TABLE cfc_entities (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  tax_identity_id UUID REFERENCES tax_identities(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  country_code CHAR(2) NOT NULL,           -- ISO 3166-1 alpha-2
+  registration_number TEXT NOT NULL,       -- регистрационный номер в стране регистрации
+  ownership_share NUMERIC(7,4) NOT NULL CHECK (ownership_share > 0 AND ownership_share <= 100),
+  control_type TEXT CHECK (control_type IN ('direct','indirect')) DEFAULT 'direct',
+  ownership_start DATE,
+  ownership_end DATE,
+  created_at TIMESTAMP DEFAULT now(),
+  updated_at TIMESTAMP DEFAULT now(),
+  UNIQUE (tax_identity_id, registration_number)
+);
+
+CREATE INDEX idx_cfc_entities_identity
+  ON cfc_entities(tax_identity_id);
+
 -- =========================================================
 -- D) LOGICAL TAX MODEL (RULE ENGINE)
 -- =========================================================
@@ -174,19 +269,57 @@ CREATE TABLE tax_rules (
   created_at TIMESTAMP DEFAULT now()
 );
 
+-- версии набора правил: неизменяемые снимки активных tax_rules (draft → published → retired)
+-- см. src/db/migrations/019_rule_sets.sql
+CREATE TABLE rule_set_versions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  version INT UNIQUE NOT NULL,
+  status TEXT CHECK (status IN ('draft','published','retired')) NOT NULL DEFAULT 'draft',
+  effective_from DATE NOT NULL,            -- с этой даты версия применяется к расчётам
+  rules JSONB NOT NULL DEFAULT '[]',       -- [{ id, rule_code, tax_year, rule_type, conditions, actions, priority }]
+  notes TEXT,
+  rolled_back_from INT,                    -- откат: версия, правила которой опубликованы повторно
+  created_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  published_at TIMESTAMP,
+  retired_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT now()
+);
+
+CREATE INDEX idx_rule_set_versions_effective
+  ON rule_set_versions(status, effective_from);
+
 CREATE TABLE tax_mappings (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   tax_event_id UUID REFERENCES tax_events(id) ON DELETE CASCADE,
   tax_year INT,
   logical_field TEXT REFERENCES logical_fields(code),
-  amount NUMERIC(18,2),
+  amount NUMERIC(18,2),              -- сумма в тенге
   rule_id UUID REFERENCES tax_rules(id),
+  original_amount NUMERIC(18,2),     -- сумма в валюте события
+  original_currency CHAR(3),
+  exchange_rate NUMERIC(18,6),       -- курс НБРК за 1 единицу валюты
+  exchange_rate_date DATE,
   created_at TIMESTAMP DEFAULT now()
 );
 
 CREATE INDEX idx_tax_mappings_year
   ON tax_mappings(tax_year);
 
+-- Официальные курсы НБРК (rate = курс за quantity единиц валюты)
+CREATE TABLE exchange_rates (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  currency CHAR(3) NOT NULL,
+  rate_date DATE NOT NULL,
+  rate NUMERIC(18,6) NOT NULL CHECK (rate > 0),
+  quantity INT NOT NULL DEFAULT 1 CHECK (quantity > 0),
+  source TEXT NOT NULL DEFAULT 'nbrk',
+  created_at TIMESTAMP DEFAULT now(),
+  UNIQUE (currency, rate_date)
+);
+
+CREATE INDEX idx_exchange_rates_currency_date
+  ON exchange_rates(currency, rate_date DESC);
+
 -- =========================================================
 -- E) DECLARATIONS (draft/workflow + items + validation)
 -- =========================================================
@@ -220,14 +353,26 @@ CREATE TABLE declarations (
   -- приложения / флаги (pril_1..7, прочие флаги)
   flags JSONB,
 
+  -- для дополнительной: принятая декларация, которую она исправляет
+  original_declaration_id UUID REFERENCES declarations(id),
+
+  -- версия набора правил последнего расчёта
+  rule_set_version_id UUID REFERENCES rule_set_versions(id) ON DELETE SET NULL,
+
   validated_at TIMESTAMP,
   exported_at TIMESTAMP,
   created_at TIMESTAMP DEFAULT now()
 );
 
--- 1 декларация на год/форму/identity/вид
+-- 1 декларация на год/форму/identity/вид (дополнительных может быть несколько)
 CREATE UNIQUE INDEX uq_decl_identity_year_form_kind
-  ON declarations(tax_identity_id, tax_year, form_code, declaration_kind);
+  ON declarations(tax_identity_id, tax_year, form_code, declaration_kind)
+  WHERE declaration_kind <> 'additional';
+
+-- 1 дополнительная на каждую принятую версию
+CREATE UNIQUE INDEX uq_decl_original
+  ON declarations(original_declaration_id)
+  WHERE original_declaration_id IS NOT NULL;
 
 CREATE TABLE declaration_items (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -235,32 +380,110 @@ CREATE TABLE declaration_items (
   logical_field TEXT REFERENCES logical_fields(code),
   value NUMERIC(18,2),
   source TEXT DEFAULT 'rule_engine',
+  -- ручная правка (source = manual) закреплена: пересчёт её не перезаписывает
+  pinned BOOLEAN NOT NULL DEFAULT false,
+  engine_value NUMERIC(18,2),          -- значение движка рядом с правкой
+  overridden_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  overridden_at TIMESTAMP,
   created_at TIMESTAMP DEFAULT now(),
   UNIQUE(declaration_id, logical_field)
 );
 
+-- разбивка значения поля по ключу группы (БИН агента) и месяцу (270.03)
+CREATE TABLE declaration_item_breakdowns (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  declaration_id UUID REFERENCES declarations(id) ON DELETE CASCADE,
+  logical_field TEXT REFERENCES logical_fields(code),
+  group_key TEXT NOT NULL,
+  period_month SMALLINT CHECK (period_month BETWEEN 1 AND 12) NOT NULL,
+  value NUMERIC(18,2) NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT now(),
+  UNIQUE (declaration_id, logical_field, group_key, period_month)
+);
+
+CREATE INDEX idx_declaration_item_breakdowns_decl
+  ON declaration_item_breakdowns(declaration_id);
+
 -- отчёты валидации: XSD + бизнес-правила
 CREATE TABLE validation_reports (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   declaration_id UUID REFERENCES declarations(id) ON DELETE CASCADE,
-  validation_type TEXT CHECK (validation_type IN ('xsd','business')) NOT NULL,
+  validation_type TEXT CHECK (validation_type IN ('xsd','business','authority')) NOT NULL,
   is_valid BOOLEAN NOT NULL,
   report JSONB,
   created_at TIMESTAMP DEFAULT now()
 );
 
+-- неизменяемые снимки декларации (расчёт, правка, валидация, смена статуса)
+-- см. src/db/migrations/017_declaration_snapshots.sql
+CREATE TABLE declaration_snapshots (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  declaration_id UUID REFERENCES declarations(id) ON DELETE CASCADE,
+  version INT NOT NULL,
+  reason TEXT CHECK (
+    reason IN ('generate','manual_override','header_update','validation','status_transition','restore')
+  ) NOT NULL,
+  status TEXT NOT NULL,
+  items JSONB NOT NULL DEFAULT '[]',       -- [{ logical_field, value, source, pinned, engine_value, ... }]
+  breakdowns JSONB NOT NULL DEFAULT '[]',  -- [{ logical_field, group_key, period_month, value }]
+  flags JSONB NOT NULL DEFAULT '{}',
+  header JSONB NOT NULL DEFAULT '{}',
+  event_ids JSONB NOT NULL DEFAULT '[]',   -- tax_events последнего расчёта
+  rule_ids JSONB NOT NULL DEFAULT '[]',    -- tax_rules последнего расчёта
+  details JSONB,
+  created_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT now(),
+  UNIQUE(declaration_id, version)
+);
+
+-- conditions / assertion - см. src/db/migrations/010_validation_rules.sql
+CREATE TABLE validation_rules (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  rule_code TEXT UNIQUE NOT NULL,
+  tax_year INT,                     -- NULL → любой год
+  severity TEXT CHECK (severity IN ('error','warning')) NOT NULL DEFAULT 'error',
+  conditions JSONB,
+  assertion JSONB NOT NULL,
+  message TEXT NOT NULL,
+  priority INT DEFAULT 100,
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMP DEFAULT now()
+);
+
 -- =========================================================
 -- F) XML EXPORT (projection)
 -- =========================================================
+-- Разметка версионируется: для декларации берётся наибольший tax_year <= году декларации
+CREATE TABLE xml_form_templates (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  form_code TEXT NOT NULL,          -- '270.00'
+  tax_year INT NOT NULL,            -- год, с которого действует разметка
+  application_code TEXT NOT NULL,   -- '270.00'..'270.07'
+  sort_order INT NOT NULL,          -- порядок <form> внутри <fno>
+  sheets JSONB NOT NULL,            -- [{ name, repeat?, rows?, grids? }]
+  format_version TEXT,              -- атрибуты <fno>, задаются на основной форме
+  version TEXT,
+  UNIQUE(form_code, tax_year, application_code)
+);
+
 CREATE TABLE xml_field_map (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   form_code TEXT NOT NULL,          -- '270.00'
+  tax_year INT NOT NULL,            -- версия разметки (xml_form_templates.tax_year)
   application_code TEXT NOT NULL,   -- '270.01'..'270.07' or '270.00'
+  sheet_name TEXT NOT NULL,         -- e.g. 'page_270_01_01'
+  row_group TEXT,                   -- NULL - поле листа, 'row' - поле <row>, иначе код таблицы ({n} в имени)
   logical_field TEXT REFERENCES logical_fields(code),
   xml_field_name TEXT NOT NULL,     -- e.g. 'field_270_01_D' or 'iin'
-  UNIQUE(form_code, application_code, xml_field_name)
+  value_source TEXT,                -- путь в контексте генерации; NULL → значение logical_field
+  value_format TEXT DEFAULT 'text' CHECK (value_format IN ('text','money','number','date','bool')),
+  default_value TEXT,
+  sort_order INT DEFAULT 0
 );
 
+CREATE UNIQUE INDEX idx_xml_field_map_layout
+  ON xml_field_map(form_code, tax_year, application_code, sheet_name, xml_field_name);
+
 CREATE TABLE xml_exports (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   declaration_id UUID REFERENCES declarations(id) ON DELETE CASCADE,
@@ -277,31 +500,63 @@ CREATE TABLE xml_exports (
 CREATE TABLE consent_requests (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   declaration_id UUID REFERENCES declarations(id) ON DELETE CASCADE,
+  consent_type TEXT CHECK (consent_type IN ('submission','bank_disclosure')) NOT NULL DEFAULT 'submission',
+  xml_export_id UUID REFERENCES xml_exports(id) ON DELETE SET NULL,   -- XML, на который запрошено согласие
+  requested_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  recipient_user_id UUID REFERENCES users(id) ON DELETE SET NULL,      -- владелец (owner)
   channel TEXT CHECK (channel IN ('sms','email','web')) NOT NULL,
   destination TEXT,             -- номер/почта
-  status TEXT CHECK (status IN ('created','sent','delivered','failed','expired')) NOT NULL DEFAULT 'created',
+  status TEXT CHECK (status IN ('created','sent','delivered','confirmed','failed','expired')) NOT NULL DEFAULT 'created',
+  token_hash TEXT,              -- sha256 токена из ссылки
+  code_hash TEXT,               -- bcrypt 6-значного кода
+  attempts INT DEFAULT 0,
+  expires_at TIMESTAMP,
   provider_payload JSONB,
-  created_at TIMESTAMP DEFAULT now()
+  created_at TIMESTAMP DEFAULT now(),
+  updated_at TIMESTAMP DEFAULT now()
 );
 
+CREATE INDEX idx_consent_requests_declaration
+  ON consent_requests(declaration_id, created_at DESC);
+
 CREATE TABLE consents (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   declaration_id UUID REFERENCES declarations(id) ON DELETE CASCADE,
   tax_identity_id UUID REFERENCES tax_identities(id) ON DELETE CASCADE,
+  consent_request_id UUID REFERENCES consent_requests(id) ON DELETE SET NULL,
   consent_type TEXT CHECK (consent_type IN ('submission','bank_disclosure')) NOT NULL,
   channel TEXT CHECK (channel IN ('sms','email','web')) NOT NULL,
+  xml_export_id UUID REFERENCES xml_exports(id) ON DELETE SET NULL,
+  xml_hash TEXT,                -- хэш XML на момент согласия
+  given_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  ip_address INET,
+  user_agent TEXT,
   given_at TIMESTAMP DEFAULT now()
 );
 
+CREATE INDEX idx_consents_declaration
+  ON consents(declaration_id, consent_type, given_at DESC);
+
 CREATE TABLE declaration_signatures (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   declaration_id UUID REFERENCES declarations(id) ON DELETE CASCADE,
   signed_by_identity_id UUID REFERENCES tax_identities(id) ON DELETE SET NULL,
   signature_type TEXT CHECK (signature_type IN ('eds','otp')) NOT NULL,
   signature_payload TEXT,     -- ds:Signature / контейнер подписи
+  xml_export_id UUID REFERENCES xml_exports(id) ON DELETE SET NULL,
+  xml_hash TEXT,
+  signed_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  signing_method TEXT CHECK (signing_method IN ('client','server')),   -- eds: где сформирована подпись
+  signer_iin CHAR(12),
+  certificate JSONB,          -- subject, issuer, serialNumber, validFrom, validTo, fingerprint, trusted
+  ip_address INET,
+  user_agent TEXT,
   signed_at TIMESTAMP DEFAULT now()
 );
 
+CREATE INDEX idx_declaration_signatures_declaration
+  ON declaration_signatures(declaration_id, signed_at DESC);
+
 CREATE TABLE smartbridge_submissions (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
   declaration_id UUID REFERENCES declarations(id) ON DELETE CASCADE,
@@ -309,10 +564,70 @@ CREATE TABLE smartbridge_submissions (
   external_id TEXT,
   status TEXT,                -- raw status from provider
   response_payload JSONB,
+  xml_export_id UUID REFERENCES xml_exports(id) ON DELETE SET NULL,
+  signature_id UUID REFERENCES declaration_signatures(id) ON DELETE SET NULL,
+  submitted_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  state TEXT NOT NULL DEFAULT 'created' CHECK (
+    state IN ('created','sent','processing','accepted','rejected','failed')
+  ),
+  registration_number TEXT,   -- регистрационный номер, присвоенный органом
+  rejection_reason TEXT,      -- причина отказа от органа
+  errors JSONB,               -- [{ code, message, form?, field? }]
+  poll_attempts INT DEFAULT 0,
+  last_polled_at TIMESTAMP,
+  completed_at TIMESTAMP,
   submitted_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT now(),
   updated_at TIMESTAMP DEFAULT now()
 );
 
+CREATE INDEX idx_smartbridge_submissions_declaration
+  ON smartbridge_submissions(declaration_id, created_at DESC);
+
+CREATE INDEX idx_smartbridge_submissions_pending
+  ON smartbridge_submissions(last_polled_at)
+  WHERE state IN ('sent','processing');
+
+CREATE UNIQUE INDEX uq_smartbridge_submissions_external
+  ON smartbridge_submissions(external_system, external_id);
+
+-- не больше одной отправки декларации в работе у шлюза
+CREATE UNIQUE INDEX uq_smartbridge_submissions_in_flight
+  ON smartbridge_submissions(declaration_id)
+  WHERE state IN ('created','sent','processing');
+
+-- ответ налогового органа: квитанция о приёме / уведомление об отказе
+CREATE TABLE authority_receipts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  declaration_id UUID REFERENCES declarations(id) ON DELETE CASCADE,
+  submission_id UUID REFERENCES smartbridge_submissions(id) ON DELETE SET NULL,
+  outcome TEXT CHECK (outcome IN ('accepted','rejected')) NOT NULL,
+  registration_number TEXT,   -- → in_doc_number
+  post_date DATE,             -- дата приёма органом → post_date
+  processed_at TIMESTAMP,
+  receptor_name TEXT,         -- орган, принявший декларацию → receptor_name
+  reason TEXT,
+  errors JSONB,               -- [{ code, message, applicationCode?, xmlField?, field? }]
+  source TEXT CHECK (source IN ('gateway','xml','json')) NOT NULL,
+  raw_payload TEXT,
+  created_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT now()
+);
+
+CREATE INDEX idx_authority_receipts_declaration
+  ON authority_receipts(declaration_id, created_at DESC);
+
+-- код отказа органа → поле формы
+CREATE TABLE authority_error_codes (
+  code TEXT PRIMARY KEY,
+  form_code TEXT NOT NULL DEFAULT '270.00',
+  application_code TEXT,
+  xml_field_name TEXT,
+  logical_field TEXT,         -- если поле XML не связано с логическим полем через xml_field_map
+  message TEXT NOT NULL,
+  hint TEXT
+);
+
 -- =========================================================
 -- H) NOTIFICATIONS (optional but useful)
 -- =========================================================
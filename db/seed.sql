@@ -39,7 +39,7 @@ INSERT INTO tax_event_types (code, description) VALUES
 ('EV_LABOR_MIGRANT_INCOME', 'Доходы трудовых иммигрантов'),
 ('EV_OTHER_NON_AGENT_INCOME', 'Прочие доходы без налогового агента');
 
--- D. CFC (Контролируемые иностранные компании)
+-- D. CFC (Контролируемые иностранные компании), metadata: cfc_reg_number (реестр cfc_entities)
 INSERT INTO tax_event_types (code, description) VALUES
 ('EV_CFC_PROFIT_BEFORE_TAX', 'Финансовая прибыль КИК до налогообложения'),
 ('EV_CFC_PROFIT_EXEMPTED', 'Освобожденная финансовая прибыль КИК'),
@@ -63,6 +63,16 @@ INSERT INTO tax_event_types (code, description) VALUES
 ('EV_FOREIGN_TAX_PAID_GENERAL', 'Иностранный налог к зачету (общий)'),
 ('EV_FOREIGN_TAX_PAID_CFC', 'Иностранный налог КИК к зачету');
 
+-- H. Расчёты с бюджетом (270.02)
+INSERT INTO tax_event_types (code, description) VALUES
+('EV_IPN_PREPAID', 'ИПН, уплаченный ранее за налоговый период'),
+('EV_IPN_PENALTY', 'Пеня по ИПН');
+
+-- I. Доходы через налоговых агентов (270.03), metadata: agent_bin, ipn_withheld
+INSERT INTO tax_event_types (code, description) VALUES
+('EV_AGENT_INCOME', 'Доход, полученный через налогового агента'),
+('EV_AGENT_IPN_WITHHELD', 'ИПН, удержанный налоговым агентом');
+
 
 -- =========================================================
 -- 2. LOGICAL FIELDS (справочник логических полей декларации)
@@ -106,7 +116,8 @@ INSERT INTO logical_fields (code, description) VALUES
 INSERT INTO logical_fields (code, description) VALUES
 ('LF_INCOME_CFC_PROFIT', 'Прибыль КИК до налогообложения'),
 ('LF_INCOME_CFC_EXEMPTED', 'Освобожденная прибыль КИК'),
-('LF_INCOME_CFC_TAXABLE', 'Налогооблагаемая прибыль КИК');
+('LF_INCOME_CFC_TAXABLE', 'Налогооблагаемая прибыль КИК'),
+('LF_CFC_TAX_PAID', 'Налог на прибыль КИК, уплаченный за рубежом (270.07)');
 
 -- Корректировки
 INSERT INTO logical_fields (code, description) VALUES
@@ -131,6 +142,18 @@ INSERT INTO logical_fields (code, description) VALUES
 ('LF_FOREIGN_TAX_CREDIT_CFC', 'Зачет иностранного налога КИК'),
 ('LF_IPN_PAYABLE', 'ИПН к уплате');
 
+-- Расчёты с бюджетом (270.02)
+INSERT INTO logical_fields (code, description) VALUES
+('LF_IPN_PREPAID', 'ИПН, уплаченный ранее'),
+('LF_IPN_TO_PAY', 'ИПН, подлежащий уплате (270.02 B)'),
+('LF_IPN_TO_REFUND', 'ИПН, подлежащий возврату (270.02 C)'),
+('LF_IPN_PENALTY', 'Пеня по ИПН (270.02)');
+
+-- Доходы через налоговых агентов (270.03)
+INSERT INTO logical_fields (code, description) VALUES
+('LF_AGENT_INCOME', 'Доходы от налоговых агентов (270.03 B)'),
+('LF_AGENT_IPN_WITHHELD', 'ИПН, удержанный налоговыми агентами (270.03 C)');
+
 
 -- =========================================================
 -- 3. TAX RULES (правила маппинга событий → полей)
@@ -231,15 +254,19 @@ INSERT INTO tax_rules (rule_code, tax_year, rule_type, conditions, actions, prio
  '[{"type": "map", "logical_field": "LF_INCOME_OTHER_NON_AGENT", "amount_source": "event.amount"}]',
  100, true);
 
--- CFC mappings
+-- CFC mappings (сумма × доля владения из реестра cfc_entities)
 INSERT INTO tax_rules (rule_code, tax_year, rule_type, conditions, actions, priority, is_active) VALUES
 ('MAP_CFC_PROFIT', NULL, 'mapping',
  '{"event_type": {"=": "EV_CFC_PROFIT_BEFORE_TAX"}}',
- '[{"type": "map", "logical_field": "LF_INCOME_CFC_PROFIT", "amount_source": "event.amount"}]',
+ '[{"type": "map", "logical_field": "LF_INCOME_CFC_PROFIT", "amount_source": "event.amount", "ownership_share_by": "event.metadata.cfc_reg_number", "group_by": "event.metadata.cfc_reg_number"}]',
  100, true),
 ('MAP_CFC_EXEMPTED', NULL, 'mapping',
  '{"event_type": {"=": "EV_CFC_PROFIT_EXEMPTED"}}',
- '[{"type": "map", "logical_field": "LF_INCOME_CFC_EXEMPTED", "amount_source": "event.amount"}]',
+ '[{"type": "map", "logical_field": "LF_INCOME_CFC_EXEMPTED", "amount_source": "event.amount", "ownership_share_by": "event.metadata.cfc_reg_number", "group_by": "event.metadata.cfc_reg_number"}]',
+ 100, true),
+('MAP_CFC_TAX_PAID', NULL, 'mapping',
+ '{"event_type": {"=": "EV_CFC_TAX_PAID"}}',
+ '[{"type": "map", "logical_field": "LF_CFC_TAX_PAID", "amount_source": "event.amount", "ownership_share_by": "event.metadata.cfc_reg_number", "group_by": "event.metadata.cfc_reg_number"}]',
  100, true);
 
 -- Adjustment mappings
@@ -280,7 +307,29 @@ INSERT INTO tax_rules (rule_code, tax_year, rule_type, conditions, actions, prio
  100, true),
 ('MAP_FOREIGN_TAX_CFC', NULL, 'mapping',
  '{"event_type": {"=": "EV_FOREIGN_TAX_PAID_CFC"}}',
- '[{"type": "map", "logical_field": "LF_FOREIGN_TAX_CREDIT_CFC", "amount_source": "event.amount"}]',
+ '[{"type": "map", "logical_field": "LF_FOREIGN_TAX_CREDIT_CFC", "amount_source": "event.amount", "ownership_share_by": "event.metadata.cfc_reg_number", "group_by": "event.metadata.cfc_reg_number"}]',
+ 100, true);
+
+-- Payment / refund mappings (270.02)
+INSERT INTO tax_rules (rule_code, tax_year, rule_type, conditions, actions, priority, is_active) VALUES
+('MAP_IPN_PREPAID', NULL, 'mapping',
+ '{"event_type": {"=": "EV_IPN_PREPAID"}}',
+ '[{"type": "map", "logical_field": "LF_IPN_PREPAID", "amount_source": "event.amount"}]',
+ 100, true),
+('MAP_IPN_PENALTY', NULL, 'mapping',
+ '{"event_type": {"=": "EV_IPN_PENALTY"}}',
+ '[{"type": "map", "logical_field": "LF_IPN_PENALTY", "amount_source": "event.amount"}]',
+ 100, true);
+
+-- Tax agent income mappings (270.03), group_by → разбивка по БИН агента и месяцам
+INSERT INTO tax_rules (rule_code, tax_year, rule_type, conditions, actions, priority, is_active) VALUES
+('MAP_AGENT_INCOME', NULL, 'mapping',
+ '{"event_type": {"=": "EV_AGENT_INCOME"}}',
+ '[{"type": "map", "logical_field": "LF_AGENT_INCOME", "amount_source": "event.amount", "group_by": "event.metadata.agent_bin"}, {"type": "map", "logical_field": "LF_AGENT_IPN_WITHHELD", "amount_source": "event.metadata.ipn_withheld", "group_by": "event.metadata.agent_bin"}]',
+ 100, true),
+('MAP_AGENT_IPN_WITHHELD', NULL, 'mapping',
+ '{"event_type": {"=": "EV_AGENT_IPN_WITHHELD"}}',
+ '[{"type": "map", "logical_field": "LF_AGENT_IPN_WITHHELD", "amount_source": "event.amount", "group_by": "event.metadata.agent_bin"}]',
  100, true);
 
 -- =========================================================
@@ -337,85 +386,351 @@ INSERT INTO tax_rules (rule_code, tax_year, rule_type, conditions, actions, prio
 
 
 -- =========================================================
--- 5. XML FIELD MAP (маппинг logical_field → XML field name)
+-- 5. XML LAYOUT (шаблоны форм + маппинг → XML field name)
+-- Базовая разметка действует с 2020 года; новая версия формы -
+-- те же строки с большим tax_year
 -- =========================================================
 DELETE FROM xml_field_map WHERE form_code = '270.00';
+DELETE FROM xml_form_templates WHERE form_code = '270.00';
+
+INSERT INTO xml_form_templates (form_code, tax_year, application_code, sort_order, sheets, format_version, version) VALUES
+('270.00', 2020, '270.00', 10, '[{"name": "page_270_00_01"}, {"name": "page_270_00_02"}]', '1', '2'),
+('270.00', 2020, '270.01', 20, '[{"name": "page_270_01_01"}]', NULL, NULL),
+('270.00', 2020, '270.02', 30, '[{"name": "page_270_02_01"}]', NULL, NULL),
+('270.00', 2020, '270.03', 40, '[{"name": "page_270_03_01", "repeat": "agents"}]', NULL, NULL),
+('270.00', 2020, '270.04', 50, '[{"name": "page_270_04_01", "grids": {"B": {"source": "foreignAssets.real_estate", "rows": 6}, "C": {"source": "foreignAssets.securities", "rows": 6}, "D": {"source": "foreignAssets.share", "rows": 5}, "E": {"source": "foreignAssets.bank_account", "rows": 5}}}]', NULL, NULL),
+('270.00', 2020, '270.05', 60, '[{"name": "page_270_05_01", "grids": {"B": {"source": "domesticAssets.property", "rows": 11}, "C": {"source": "domesticAssets.receivables", "rows": 11}}}]', NULL, NULL),
+('270.00', 2020, '270.06', 70, '[{"name": "page_270_06_01", "rows": "cfc"}]', NULL, NULL),
+('270.00', 2020, '270.07', 80, '[{"name": "page_270_07_01", "rows": "cfc"}]', NULL, NULL);
+
+-- 270.00
+INSERT INTO xml_field_map (form_code, tax_year, application_code, sheet_name, row_group, xml_field_name, logical_field, value_source, value_format, default_value, sort_order) VALUES
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'accept_date', NULL, 'today', 'text', NULL, 10),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'agreement', NULL, NULL, 'text', 'false', 20),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'dt_additional', NULL, 'kind.additional', 'bool', NULL, 30),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'dt_main', NULL, 'kind.main', 'bool', NULL, 40),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'dt_notice', NULL, 'kind.notice', 'bool', NULL, 50),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'dt_regular', NULL, 'kind.regular', 'bool', NULL, 60),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'dt_w', NULL, NULL, 'text', 'false', 70),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'email', NULL, 'declaration.email', 'text', NULL, 80),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'fio1', NULL, 'declaration.fio_last', 'text', NULL, 90),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'fio2', NULL, 'declaration.fio_first', 'text', NULL, 100),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'fio3', NULL, 'declaration.fio_middle', 'text', NULL, 110),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'head_name', NULL, 'declaration.head_name', 'text', NULL, 120),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'iin', NULL, 'declaration.iin', 'text', NULL, 130),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'iin_legalrepresentative', NULL, 'declaration.iin_legalrepresentative', 'text', NULL, 140),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'iin_spouse', NULL, 'declaration.iin_spouse', 'text', NULL, 150),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'in_doc_number', NULL, 'receipt.registration_number', 'text', NULL, 160),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'payer_phone_number', NULL, 'declaration.payer_phone', 'text', NULL, 170),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'period_year', NULL, 'taxYear', 'text', NULL, 180),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'post_date', NULL, 'receipt.post_date', 'date', NULL, 190),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'pril_1', NULL, 'flags.pril_1', 'bool', NULL, 200),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'pril_2', NULL, 'flags.pril_2', 'bool', NULL, 210),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'pril_3', NULL, 'flags.pril_3', 'bool', NULL, 220),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'pril_4', NULL, 'flags.pril_4', 'bool', NULL, 230),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'pril_5', NULL, 'flags.pril_5', 'bool', NULL, 240),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'pril_6', NULL, 'flags.pril_6', 'bool', NULL, 250),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'pril_7', NULL, 'flags.pril_7', 'bool', NULL, 260),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'rating_auth_code', NULL, NULL, 'text', NULL, 270),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'receptor_name', NULL, 'receipt.receptor_name', 'text', NULL, 280),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'submit_date', NULL, 'today', 'text', NULL, 290);
+
+-- 270.01
+INSERT INTO xml_field_map (form_code, tax_year, application_code, sheet_name, row_group, xml_field_name, logical_field, value_source, value_format, default_value, sort_order) VALUES
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_A', 'LF_INCOME_PROPERTY_TOTAL', NULL, 'money', NULL, 10),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_A_1', NULL, 'items.LF_INCOME_PROPERTY_SALE', 'money', NULL, 20),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_A_1_1', 'LF_INCOME_PROPERTY_KZ', NULL, 'money', NULL, 30),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_A_1_2', 'LF_INCOME_PROPERTY_FOREIGN', NULL, 'money', NULL, 40),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_A_2', 'LF_INCOME_PROPERTY_CAPITAL_CONTRIBUTION', NULL, 'money', NULL, 50),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_A_3', 'LF_INCOME_RENT_NON_AGENT', NULL, 'money', NULL, 60),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_A_4', 'LF_INCOME_ASSIGNMENT_RIGHTS', NULL, 'money', NULL, 70),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_A_5', 'LF_INCOME_IP_OTHER_ASSETS', NULL, 'money', NULL, 80),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_B', NULL, 'items.LF_INCOME_OTHER_TOTAL', 'money', NULL, 90),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_B_1', 'LF_INCOME_FOREIGN_TOTAL', NULL, 'money', NULL, 100),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_B_1_1', 'LF_INCOME_FOREIGN_EMPLOYMENT', NULL, 'money', NULL, 110),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_B_1_2', 'LF_INCOME_FOREIGN_GPC', NULL, 'money', NULL, 120),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_B_1_3', 'LF_INCOME_FOREIGN_WIN', NULL, 'money', NULL, 130),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_B_1_4', 'LF_INCOME_FOREIGN_DIVIDENDS', NULL, 'money', NULL, 140),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_B_1_5', 'LF_INCOME_FOREIGN_INTEREST', NULL, 'money', NULL, 150),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_B_1_6', 'LF_INCOME_FOREIGN_SCHOLARSHIP', NULL, 'money', NULL, 160),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_B_1_7', 'LF_INCOME_FOREIGN_INSURANCE', NULL, 'money', NULL, 170),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_B_1_8', 'LF_INCOME_FOREIGN_PENSION', NULL, 'money', NULL, 180),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_B_1_9', 'LF_INCOME_FOREIGN_OTHER', NULL, 'money', NULL, 190),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_B_2', 'LF_INCOME_DOMESTIC_HELPERS', NULL, 'money', NULL, 200),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_B_3', 'LF_INCOME_CITIZENS_GPC', NULL, 'money', NULL, 210),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_B_4', 'LF_INCOME_MEDIATOR', NULL, 'money', NULL, 220),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_B_5', 'LF_INCOME_SUBSIDIARY_FARM', NULL, 'money', NULL, 230),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_B_6', 'LF_INCOME_LABOR_MIGRANT', NULL, 'money', NULL, 240),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_B_7', 'LF_INCOME_OTHER_NON_AGENT', NULL, 'money', NULL, 250),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_C', 'LF_INCOME_CFC_PROFIT', NULL, 'money', NULL, 260),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_D', 'LF_INCOME_TOTAL', NULL, 'money', NULL, 270),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_E', 'LF_ADJUSTMENT_TOTAL', NULL, 'money', NULL, 280),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_E_1', 'LF_ADJUSTMENT_EXCLUDED_ART_341', NULL, 'money', NULL, 290),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_E_2', 'LF_ADJUSTMENT_EXCLUDED_ART_654', NULL, 'money', NULL, 300),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_E_3', 'LF_ADJUSTMENT_EXCLUDED_TREATY', NULL, 'money', NULL, 310),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_E_4', 'LF_ADJUSTMENT_EXCLUDED_AIFC', NULL, 'money', NULL, 320),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_F', 'LF_DEDUCTION_TOTAL', NULL, 'money', NULL, 330),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_F_1', 'LF_DEDUCTION_STANDARD', NULL, 'money', NULL, 340),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_F_2', 'LF_DEDUCTION_OTHER', NULL, 'money', NULL, 350),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_G', 'LF_TAXABLE_INCOME', NULL, 'money', NULL, 360),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_H', 'LF_IPN_CALCULATED', NULL, 'money', NULL, 370),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_I', 'LF_FOREIGN_TAX_CREDIT_GENERAL', NULL, 'money', NULL, 380),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_J', 'LF_FOREIGN_TAX_CREDIT_CFC', NULL, 'money', NULL, 390),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_K', 'LF_IPN_PAYABLE', NULL, 'money', NULL, 400),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_bin', NULL, NULL, 'text', NULL, 410),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'iin', NULL, 'declaration.iin', 'text', NULL, 420),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'page_number', NULL, NULL, 'text', '1', 430),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'period_year', NULL, 'taxYear', 'text', NULL, 440);
+
+-- 270.02
+INSERT INTO xml_field_map (form_code, tax_year, application_code, sheet_name, row_group, xml_field_name, logical_field, value_source, value_format, default_value, sort_order) VALUES
+('270.00', 2020, '270.02', 'page_270_02_01', NULL, 'bank_code', NULL, 'declaration.payer_bank_bic', 'text', NULL, 10),
+('270.00', 2020, '270.02', 'page_270_02_01', NULL, 'iik', NULL, 'declaration.payer_iik', 'text', NULL, 20),
+('270.00', 2020, '270.02', 'page_270_02_01', NULL, 'field_270_02_B', 'LF_IPN_TO_PAY', NULL, 'money', NULL, 30),
+('270.00', 2020, '270.02', 'page_270_02_01', NULL, 'field_270_02_C', 'LF_IPN_TO_REFUND', NULL, 'money', NULL, 40),
+('270.00', 2020, '270.02', 'page_270_02_01', NULL, 'field_270_02_kbk_01', NULL, NULL, 'text', '101201', 50),
+('270.00', 2020, '270.02', 'page_270_02_01', NULL, 'field_270_02_kogd_01', NULL, 'payment.kogd', 'text', NULL, 60),
+('270.00', 2020, '270.02', 'page_270_02_01', NULL, 'field_270_02_tax_01', 'LF_IPN_TO_PAY', NULL, 'money', NULL, 70),
+('270.00', 2020, '270.02', 'page_270_02_01', NULL, 'field_270_02_pen_01', 'LF_IPN_PENALTY', NULL, 'money', NULL, 80),
+('270.00', 2020, '270.02', 'page_270_02_01', NULL, 'field_270_02_kbk_02', NULL, NULL, 'text', NULL, 90),
+('270.00', 2020, '270.02', 'page_270_02_01', NULL, 'field_270_02_kogd_02', NULL, NULL, 'text', NULL, 100),
+('270.00', 2020, '270.02', 'page_270_02_01', NULL, 'field_270_02_tax_02', NULL, NULL, 'text', NULL, 110),
+('270.00', 2020, '270.02', 'page_270_02_01', NULL, 'iin', NULL, 'declaration.iin', 'text', NULL, 120),
+('270.00', 2020, '270.02', 'page_270_02_01', NULL, 'page_number', NULL, NULL, 'text', '1', 130),
+('270.00', 2020, '270.02', 'page_270_02_01', NULL, 'period_year', NULL, 'taxYear', 'text', NULL, 140);
+
+-- 270.03
+INSERT INTO xml_field_map (form_code, tax_year, application_code, sheet_name, row_group, xml_field_name, logical_field, value_source, value_format, default_value, sort_order) VALUES
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_B', NULL, 'sheet.income_total', 'money', NULL, 10),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_B_1', NULL, 'sheet.income.1', 'money', NULL, 20),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_B_2', NULL, 'sheet.income.2', 'money', NULL, 30),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_B_3', NULL, 'sheet.income.3', 'money', NULL, 40),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_B_4', NULL, 'sheet.income.4', 'money', NULL, 50),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_B_5', NULL, 'sheet.income.5', 'money', NULL, 60),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_B_6', NULL, 'sheet.income.6', 'money', NULL, 70),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_B_7', NULL, 'sheet.income.7', 'money', NULL, 80),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_B_8', NULL, 'sheet.income.8', 'money', NULL, 90),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_B_9', NULL, 'sheet.income.9', 'money', NULL, 100),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_B_10', NULL, 'sheet.income.10', 'money', NULL, 110),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_B_11', NULL, 'sheet.income.11', 'money', NULL, 120),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_B_12', NULL, 'sheet.income.12', 'money', NULL, 130),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_C', NULL, 'sheet.withheld_total', 'money', NULL, 140),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_C_1', NULL, 'sheet.withheld.1', 'money', NULL, 150),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_C_2', NULL, 'sheet.withheld.2', 'money', NULL, 160),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_C_3', NULL, 'sheet.withheld.3', 'money', NULL, 170),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_C_4', NULL, 'sheet.withheld.4', 'money', NULL, 180),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_C_5', NULL, 'sheet.withheld.5', 'money', NULL, 190),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_C_6', NULL, 'sheet.withheld.6', 'money', NULL, 200),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_C_7', NULL, 'sheet.withheld.7', 'money', NULL, 210),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_C_8', NULL, 'sheet.withheld.8', 'money', NULL, 220),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_C_9', NULL, 'sheet.withheld.9', 'money', NULL, 230),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_C_10', NULL, 'sheet.withheld.10', 'money', NULL, 240),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_C_11', NULL, 'sheet.withheld.11', 'money', NULL, 250),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_C_12', NULL, 'sheet.withheld.12', 'money', NULL, 260),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_bin', NULL, 'sheet.bin', 'text', NULL, 270),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_tax_org', NULL, NULL, 'text', NULL, 280),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'iin', NULL, 'declaration.iin', 'text', NULL, 290),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'page_number', NULL, 'page.number', 'text', NULL, 300),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'period_year', NULL, 'taxYear', 'text', NULL, 310);
+
+-- 270.04
+INSERT INTO xml_field_map (form_code, tax_year, application_code, sheet_name, row_group, xml_field_name, logical_field, value_source, value_format, default_value, sort_order) VALUES
+('270.00', 2020, '270.04', 'page_270_04_01', 'B', 'field_270_04_B_A_{n}', NULL, 'row.description', 'text', NULL, 10),
+('270.00', 2020, '270.04', 'page_270_04_01', 'B', 'field_270_04_B_B_{n}', NULL, 'row.country_code', 'text', NULL, 20),
+('270.00', 2020, '270.04', 'page_270_04_01', 'B', 'field_270_04_B_C_{n}', NULL, 'row.address', 'text', NULL, 30),
+('270.00', 2020, '270.04', 'page_270_04_01', 'B', 'field_270_04_B_E_{n}', NULL, 'row.registration_number', 'text', NULL, 40),
+('270.00', 2020, '270.04', 'page_270_04_01', 'B', 'field_270_04_B_F_{n}', NULL, 'row.acquisition_date', 'date', NULL, 50),
+('270.00', 2020, '270.04', 'page_270_04_01', 'B', 'field_270_04_B_G_{n}', NULL, 'row.ownership_share', 'number', NULL, 60),
+('270.00', 2020, '270.04', 'page_270_04_01', 'B', 'field_270_04_B_H_{n}', NULL, 'row.value_kzt', 'money', NULL, 70),
+('270.00', 2020, '270.04', 'page_270_04_01', 'B', 'field_270_04_B_I_{n}', NULL, 'row.currency', 'text', NULL, 80),
+('270.00', 2020, '270.04', 'page_270_04_01', 'C', 'field_270_04_C_A_{n}', NULL, 'row.description', 'text', NULL, 90),
+('270.00', 2020, '270.04', 'page_270_04_01', 'C', 'field_270_04_C_B_{n}', NULL, 'row.country_code', 'text', NULL, 100),
+('270.00', 2020, '270.04', 'page_270_04_01', 'C', 'field_270_04_C_C_{n}', NULL, 'row.issuer_name', 'text', NULL, 110),
+('270.00', 2020, '270.04', 'page_270_04_01', 'C', 'field_270_04_C_D_{n}', NULL, 'row.registration_number', 'text', NULL, 120),
+('270.00', 2020, '270.04', 'page_270_04_01', 'C', 'field_270_04_C_E_{n}', NULL, 'row.quantity', 'number', NULL, 130),
+('270.00', 2020, '270.04', 'page_270_04_01', 'D', 'field_270_04_D_A_{n}', NULL, 'row.issuer_name', 'text', NULL, 140),
+('270.00', 2020, '270.04', 'page_270_04_01', 'D', 'field_270_04_D_B_{n}', NULL, 'row.country_code', 'text', NULL, 150),
+('270.00', 2020, '270.04', 'page_270_04_01', 'D', 'field_270_04_D_C_{n}', NULL, 'row.registration_number', 'text', NULL, 160),
+('270.00', 2020, '270.04', 'page_270_04_01', 'D', 'field_270_04_D_D_{n}', NULL, 'row.ownership_share', 'number', NULL, 170),
+('270.00', 2020, '270.04', 'page_270_04_01', 'D', 'field_270_04_D_F_{n}', NULL, 'row.acquisition_date', 'date', NULL, 180),
+('270.00', 2020, '270.04', 'page_270_04_01', 'D', 'field_270_04_D_G_{n}', NULL, 'row.value_kzt', 'money', NULL, 190),
+('270.00', 2020, '270.04', 'page_270_04_01', 'E', 'field_270_04_E_A_{n}', NULL, 'row.issuer_name', 'text', NULL, 200),
+('270.00', 2020, '270.04', 'page_270_04_01', 'E', 'field_270_04_E_B_{n}', NULL, 'row.country_code', 'text', NULL, 210),
+('270.00', 2020, '270.04', 'page_270_04_01', 'E', 'field_270_04_E_C_{n}', NULL, 'row.bank_swift', 'text', NULL, 220),
+('270.00', 2020, '270.04', 'page_270_04_01', 'E', 'field_270_04_E_D_{n}', NULL, 'row.account_number', 'text', NULL, 230),
+('270.00', 2020, '270.04', 'page_270_04_01', 'E', 'field_270_04_E_E_{n}', NULL, 'row.currency', 'text', NULL, 240),
+('270.00', 2020, '270.04', 'page_270_04_01', NULL, 'iin', NULL, 'declaration.iin', 'text', NULL, 250),
+('270.00', 2020, '270.04', 'page_270_04_01', NULL, 'page_number', NULL, 'page.number', 'text', NULL, 260),
+('270.00', 2020, '270.04', 'page_270_04_01', NULL, 'period_year', NULL, 'taxYear', 'text', NULL, 270);
+
+-- 270.05
+INSERT INTO xml_field_map (form_code, tax_year, application_code, sheet_name, row_group, xml_field_name, logical_field, value_source, value_format, default_value, sort_order) VALUES
+('270.00', 2020, '270.05', 'page_270_05_01', 'B', 'field_270_05_B_A_{n}', NULL, 'row.type_code', 'text', NULL, 10),
+('270.00', 2020, '270.05', 'page_270_05_01', 'B', 'field_270_05_B_B_{n}', NULL, 'row.description', 'text', NULL, 20),
+('270.00', 2020, '270.05', 'page_270_05_01', 'B', 'field_270_05_B_C_{n}', NULL, 'row.registration_number', 'text', NULL, 30),
+('270.00', 2020, '270.05', 'page_270_05_01', 'B', 'field_270_05_B_D_{n}', NULL, 'row.address', 'text', NULL, 40),
+('270.00', 2020, '270.05', 'page_270_05_01', 'B', 'field_270_05_B_E_{n}', NULL, 'row.counterparty_name', 'text', NULL, 50),
+('270.00', 2020, '270.05', 'page_270_05_01', 'B', 'field_270_05_B_F_{n}', NULL, 'row.counterparty_bin', 'text', NULL, 60),
+('270.00', 2020, '270.05', 'page_270_05_01', 'B', 'field_270_05_B_G_{n}', NULL, 'row.ownership_share', 'number', NULL, 70),
+('270.00', 2020, '270.05', 'page_270_05_01', 'B', 'field_270_05_B_I_{n}', NULL, 'row.quantity', 'number', NULL, 80),
+('270.00', 2020, '270.05', 'page_270_05_01', 'B', 'field_270_05_B_J_{n}', NULL, 'row.acquisition_date', 'date', NULL, 90),
+('270.00', 2020, '270.05', 'page_270_05_01', 'B', 'field_270_05_B_K_{n}', NULL, 'row.value_kzt', 'money', NULL, 100),
+('270.00', 2020, '270.05', 'page_270_05_01', 'B', 'field_270_05_B_L_{n}', NULL, 'row.currency', 'text', NULL, 110),
+('270.00', 2020, '270.05', 'page_270_05_01', 'C', 'field_270_05_C_A_{n}', NULL, 'row.type_code', 'text', NULL, 120),
+('270.00', 2020, '270.05', 'page_270_05_01', 'C', 'field_270_05_C_B_{n}', NULL, 'row.counterparty_name', 'text', NULL, 130),
+('270.00', 2020, '270.05', 'page_270_05_01', 'C', 'field_270_05_C_C_{n}', NULL, 'row.counterparty_bin', 'text', NULL, 140),
+('270.00', 2020, '270.05', 'page_270_05_01', 'C', 'field_270_05_C_D_{n}', NULL, 'row.registration_number', 'text', NULL, 150),
+('270.00', 2020, '270.05', 'page_270_05_01', 'C', 'field_270_05_C_E_{n}', NULL, 'row.acquisition_date', 'date', NULL, 160),
+('270.00', 2020, '270.05', 'page_270_05_01', 'C', 'field_270_05_C_F_{n}', NULL, 'row.due_date', 'date', NULL, 170),
+('270.00', 2020, '270.05', 'page_270_05_01', 'C', 'field_270_05_C_G_{n}', NULL, 'row.value_kzt', 'money', NULL, 180),
+('270.00', 2020, '270.05', 'page_270_05_01', 'C', 'field_270_05_C_H_{n}', NULL, 'row.currency', 'text', NULL, 190),
+('270.00', 2020, '270.05', 'page_270_05_01', NULL, 'iin', NULL, 'declaration.iin', 'text', NULL, 200),
+('270.00', 2020, '270.05', 'page_270_05_01', NULL, 'page_number', NULL, 'page.number', 'text', NULL, 210),
+('270.00', 2020, '270.05', 'page_270_05_01', NULL, 'period_year', NULL, 'taxYear', 'text', NULL, 220);
+
+-- 270.06
+INSERT INTO xml_field_map (form_code, tax_year, application_code, sheet_name, row_group, xml_field_name, logical_field, value_source, value_format, default_value, sort_order) VALUES
+('270.00', 2020, '270.06', 'page_270_06_01', NULL, 'iin', NULL, 'declaration.iin', 'text', NULL, 10),
+('270.00', 2020, '270.06', 'page_270_06_01', NULL, 'page_number', NULL, NULL, 'text', '1', 20),
+('270.00', 2020, '270.06', 'page_270_06_01', NULL, 'period_year', NULL, 'taxYear', 'text', NULL, 30),
+('270.00', 2020, '270.06', 'page_270_06_01', 'row', 'field_270_06_A', NULL, 'row.name', 'text', NULL, 40),
+('270.00', 2020, '270.06', 'page_270_06_01', 'row', 'field_270_06_B', NULL, 'row.country_code', 'text', NULL, 50),
+('270.00', 2020, '270.06', 'page_270_06_01', 'row', 'field_270_06_C', NULL, 'row.registration_number', 'text', NULL, 60),
+('270.00', 2020, '270.06', 'page_270_06_01', 'row', 'field_270_06_D', NULL, 'row.ownership_share', 'number', NULL, 70),
+('270.00', 2020, '270.06', 'page_270_06_01', 'row', 'field_270_06_F', NULL, 'row.ownership_start', 'date', NULL, 80),
+('270.00', 2020, '270.06', 'page_270_06_01', 'row', 'field_270_06_G', NULL, 'row.control_code', 'text', NULL, 90);
+
+-- 270.07
+INSERT INTO xml_field_map (form_code, tax_year, application_code, sheet_name, row_group, xml_field_name, logical_field, value_source, value_format, default_value, sort_order) VALUES
+('270.00', 2020, '270.07', 'page_270_07_01', NULL, 'iin', NULL, 'declaration.iin', 'text', NULL, 10),
+('270.00', 2020, '270.07', 'page_270_07_01', NULL, 'page_number', NULL, NULL, 'text', '1', 20),
+('270.00', 2020, '270.07', 'page_270_07_01', NULL, 'period_year', NULL, 'taxYear', 'text', NULL, 30),
+('270.00', 2020, '270.07', 'page_270_07_01', 'row', 'field_270_07_A', NULL, 'row.name', 'text', NULL, 40),
+('270.00', 2020, '270.07', 'page_270_07_01', 'row', 'field_270_07_B', NULL, 'row.registration_number', 'text', NULL, 50),
+('270.00', 2020, '270.07', 'page_270_07_01', 'row', 'field_270_07_C', NULL, 'row.profit', 'money', NULL, 60),
+('270.00', 2020, '270.07', 'page_270_07_01', 'row', 'field_270_07_D', NULL, 'row.exempted', 'money', NULL, 70),
+('270.00', 2020, '270.07', 'page_270_07_01', 'row', 'field_270_07_F', NULL, 'row.taxable', 'money', NULL, 80),
+('270.00', 2020, '270.07', 'page_270_07_01', 'row', 'field_270_07_M', NULL, 'row.taxPaid', 'money', NULL, 90);
+
 
--- 270.00 Main form (шапка)
-INSERT INTO xml_field_map (form_code, application_code, logical_field, xml_field_name) VALUES
-('270.00', '270.00', NULL, 'iin'),
-('270.00', '270.00', NULL, 'period_year'),
-('270.00', '270.00', NULL, 'fio1'),
-('270.00', '270.00', NULL, 'fio2'),
-('270.00', '270.00', NULL, 'fio3'),
-('270.00', '270.00', NULL, 'payer_phone_number'),
-('270.00', '270.00', NULL, 'email'),
-('270.00', '270.00', NULL, 'iin_spouse'),
-('270.00', '270.00', NULL, 'iin_legalrepresentative'),
-('270.00', '270.00', NULL, 'dt_main'),
-('270.00', '270.00', NULL, 'dt_regular'),
-('270.00', '270.00', NULL, 'dt_additional'),
-('270.00', '270.00', NULL, 'dt_notice'),
-('270.00', '270.00', NULL, 'pril_1'),
-('270.00', '270.00', NULL, 'pril_2'),
-('270.00', '270.00', NULL, 'pril_3'),
-('270.00', '270.00', NULL, 'pril_4'),
-('270.00', '270.00', NULL, 'pril_5'),
-('270.00', '270.00', NULL, 'pril_6'),
-('270.00', '270.00', NULL, 'pril_7');
-
--- 270.01 Section A
-INSERT INTO xml_field_map (form_code, application_code, logical_field, xml_field_name) VALUES
-('270.00', '270.01', 'LF_INCOME_PROPERTY_KZ', 'field_270_01_A1_1'),
-('270.00', '270.01', 'LF_INCOME_PROPERTY_FOREIGN', 'field_270_01_A1_2'),
-('270.00', '270.01', 'LF_INCOME_PROPERTY_CAPITAL_CONTRIBUTION', 'field_270_01_A2'),
-('270.00', '270.01', 'LF_INCOME_RENT_NON_AGENT', 'field_270_01_A3'),
-('270.00', '270.01', 'LF_INCOME_ASSIGNMENT_RIGHTS', 'field_270_01_A4'),
-('270.00', '270.01', 'LF_INCOME_IP_OTHER_ASSETS', 'field_270_01_A5'),
-('270.00', '270.01', 'LF_INCOME_PROPERTY_TOTAL', 'field_270_01_A');
-
--- 270.01 Section B
-INSERT INTO xml_field_map (form_code, application_code, logical_field, xml_field_name) VALUES
-('270.00', '270.01', 'LF_INCOME_FOREIGN_EMPLOYMENT', 'field_270_01_B1_1'),
-('270.00', '270.01', 'LF_INCOME_FOREIGN_GPC', 'field_270_01_B1_2'),
-('270.00', '270.01', 'LF_INCOME_FOREIGN_WIN', 'field_270_01_B1_3'),
-('270.00', '270.01', 'LF_INCOME_FOREIGN_DIVIDENDS', 'field_270_01_B1_4'),
-('270.00', '270.01', 'LF_INCOME_FOREIGN_INTEREST', 'field_270_01_B1_5'),
-('270.00', '270.01', 'LF_INCOME_FOREIGN_SCHOLARSHIP', 'field_270_01_B1_6'),
-('270.00', '270.01', 'LF_INCOME_FOREIGN_INSURANCE', 'field_270_01_B1_7'),
-('270.00', '270.01', 'LF_INCOME_FOREIGN_PENSION', 'field_270_01_B1_8'),
-('270.00', '270.01', 'LF_INCOME_FOREIGN_OTHER', 'field_270_01_B1_9'),
-('270.00', '270.01', 'LF_INCOME_FOREIGN_TOTAL', 'field_270_01_B1');
-
--- 270.01 Section B2-B7 (Non-agent)
-INSERT INTO xml_field_map (form_code, application_code, logical_field, xml_field_name) VALUES
-('270.00', '270.01', 'LF_INCOME_DOMESTIC_HELPERS', 'field_270_01_B2'),
-('270.00', '270.01', 'LF_INCOME_CITIZENS_GPC', 'field_270_01_B3'),
-('270.00', '270.01', 'LF_INCOME_MEDIATOR', 'field_270_01_B4'),
-('270.00', '270.01', 'LF_INCOME_SUBSIDIARY_FARM', 'field_270_01_B5'),
-('270.00', '270.01', 'LF_INCOME_LABOR_MIGRANT', 'field_270_01_B6'),
-('270.00', '270.01', 'LF_INCOME_OTHER_NON_AGENT', 'field_270_01_B7');
-
--- 270.01 Section C (CFC)
-INSERT INTO xml_field_map (form_code, application_code, logical_field, xml_field_name) VALUES
-('270.00', '270.01', 'LF_INCOME_CFC_PROFIT', 'field_270_01_C');
-
--- 270.01 Section D-K (итоги)
-INSERT INTO xml_field_map (form_code, application_code, logical_field, xml_field_name) VALUES
-('270.00', '270.01', 'LF_INCOME_TOTAL', 'field_270_01_D'),
-('270.00', '270.01', 'LF_ADJUSTMENT_EXCLUDED_ART_341', 'field_270_01_E1'),
-('270.00', '270.01', 'LF_ADJUSTMENT_EXCLUDED_ART_654', 'field_270_01_E2'),
-('270.00', '270.01', 'LF_ADJUSTMENT_EXCLUDED_TREATY', 'field_270_01_E3'),
-('270.00', '270.01', 'LF_ADJUSTMENT_EXCLUDED_AIFC', 'field_270_01_E4'),
-('270.00', '270.01', 'LF_ADJUSTMENT_TOTAL', 'field_270_01_E'),
-('270.00', '270.01', 'LF_DEDUCTION_STANDARD', 'field_270_01_F1'),
-('270.00', '270.01', 'LF_DEDUCTION_OTHER', 'field_270_01_F2'),
-('270.00', '270.01', 'LF_DEDUCTION_TOTAL', 'field_270_01_F'),
-('270.00', '270.01', 'LF_TAXABLE_INCOME', 'field_270_01_G'),
-('270.00', '270.01', 'LF_IPN_CALCULATED', 'field_270_01_H'),
-('270.00', '270.01', 'LF_FOREIGN_TAX_CREDIT_GENERAL', 'field_270_01_I'),
-('270.00', '270.01', 'LF_FOREIGN_TAX_CREDIT_CFC', 'field_270_01_J'),
-('270.00', '270.01', 'LF_IPN_PAYABLE', 'field_270_01_K');
+-- =========================================================
+-- 6. VALIDATION RULES (бизнес-контроли декларации)
+-- =========================================================
+DELETE FROM validation_rules;
+
+INSERT INTO validation_rules (rule_code, tax_year, severity, conditions, assertion, message, priority, is_active)
+SELECT v.rule_code, NULL, v.severity, v.conditions::jsonb, v.assertion::jsonb, v.message, v.priority, true
+FROM (VALUES
+  -- Обязательные поля
+  ('VAL_REQUIRED_ITEMS', 'error',
+   '{"always": true}',
+   '{"type": "required_items", "fields": ["LF_INCOME_TOTAL", "LF_TAXABLE_INCOME", "LF_IPN_CALCULATED"]}',
+   'Required declaration item is missing', 10),
+  ('VAL_REQUIRED_HEADER', 'error',
+   '{"always": true}',
+   '{"type": "required_header", "fields": ["iin", "fio_last", "fio_first"]}',
+   'Required taxpayer field is empty', 10),
+  -- ИИН: контрольный разряд, ИИН супруга(и) ≠ ИИН плательщика
+  ('VAL_IIN_CHECKSUM', 'error',
+   '{"always": true}',
+   '{"type": "iin", "field": "iin"}',
+   'Taxpayer IIN is invalid: wrong format or control digit', 20),
+  ('VAL_SPOUSE_IIN_CHECKSUM', 'error',
+   '{"always": true}',
+   '{"type": "iin", "field": "iin_spouse"}',
+   'Spouse IIN is invalid: wrong format or control digit', 20),
+  ('VAL_LEGALREP_IIN_CHECKSUM', 'error',
+   '{"always": true}',
+   '{"type": "iin", "field": "iin_legalrepresentative"}',
+   'Legal representative IIN is invalid: wrong format or control digit', 20),
+  ('VAL_SPOUSE_IIN_DIFFERS', 'error',
+   '{"always": true}',
+   '{"type": "distinct", "fields": ["iin", "iin_spouse"]}',
+   'Spouse IIN must differ from taxpayer IIN', 20),
+  -- Межстрочные контроли 270.01
+  ('VAL_INCOME_PROPERTY_TOTAL', 'error',
+   '{"always": true}',
+   '{"type": "formula", "field": "LF_INCOME_PROPERTY_TOTAL", "formula": {"op": "sum", "refs": ["LF_INCOME_PROPERTY_KZ", "LF_INCOME_PROPERTY_FOREIGN", "LF_INCOME_PROPERTY_CAPITAL_CONTRIBUTION"]}, "tolerance": 1}',
+   '270.01 A must equal sum of property income lines', 30),
+  ('VAL_INCOME_FOREIGN_TOTAL', 'error',
+   '{"always": true}',
+   '{"type": "formula", "field": "LF_INCOME_FOREIGN_TOTAL", "formula": {"op": "sum", "refs": ["LF_INCOME_FOREIGN_EMPLOYMENT", "LF_INCOME_FOREIGN_GPC", "LF_INCOME_FOREIGN_WIN", "LF_INCOME_FOREIGN_DIVIDENDS", "LF_INCOME_FOREIGN_INTEREST", "LF_INCOME_FOREIGN_SCHOLARSHIP", "LF_INCOME_FOREIGN_INSURANCE", "LF_INCOME_FOREIGN_PENSION", "LF_INCOME_FOREIGN_OTHER"]}, "tolerance": 1}',
+   '270.01 B_1 must equal sum of B_1_1 - B_1_9', 30),
+  ('VAL_INCOME_TOTAL', 'error',
+   '{"always": true}',
+   '{"type": "formula", "field": "LF_INCOME_TOTAL", "formula": {"op": "sum", "refs": ["LF_INCOME_PROPERTY_TOTAL", "LF_INCOME_RENT_NON_AGENT", "LF_INCOME_ASSIGNMENT_RIGHTS", "LF_INCOME_IP_OTHER_ASSETS", "LF_INCOME_FOREIGN_TOTAL", "LF_INCOME_DOMESTIC_HELPERS", "LF_INCOME_CITIZENS_GPC", "LF_INCOME_MEDIATOR", "LF_INCOME_SUBSIDIARY_FARM", "LF_INCOME_LABOR_MIGRANT", "LF_INCOME_OTHER_NON_AGENT", "LF_INCOME_CFC_PROFIT"]}, "tolerance": 1}',
+   '270.01 D must equal A + B + C', 30),
+  ('VAL_ADJUSTMENT_TOTAL', 'error',
+   '{"always": true}',
+   '{"type": "formula", "field": "LF_ADJUSTMENT_TOTAL", "formula": {"op": "sum", "refs": ["LF_ADJUSTMENT_EXCLUDED_ART_341", "LF_ADJUSTMENT_EXCLUDED_ART_654", "LF_ADJUSTMENT_EXCLUDED_TREATY", "LF_ADJUSTMENT_EXCLUDED_AIFC"]}, "tolerance": 1}',
+   '270.01 E must equal sum of E_1 - E_4', 30),
+  ('VAL_DEDUCTION_TOTAL', 'error',
+   '{"always": true}',
+   '{"type": "formula", "field": "LF_DEDUCTION_TOTAL", "formula": {"op": "sum", "refs": ["LF_DEDUCTION_STANDARD", "LF_DEDUCTION_OTHER"]}, "tolerance": 1}',
+   '270.01 F must equal F_1 + F_2', 30),
+  ('VAL_TAXABLE_INCOME', 'error',
+   '{"always": true}',
+   '{"type": "formula", "field": "LF_TAXABLE_INCOME", "formula": {"op": "max", "a": 0, "b": {"op": "sub", "a": {"op": "sub", "a": {"ref": "LF_INCOME_TOTAL"}, "b": {"ref": "LF_ADJUSTMENT_TOTAL"}}, "b": {"ref": "LF_DEDUCTION_TOTAL"}}}, "tolerance": 1}',
+   '270.01 G must equal max(0, D - E - F)', 30),
+  ('VAL_IPN_PAYABLE', 'error',
+   '{"always": true}',
+   '{"type": "formula", "field": "LF_IPN_PAYABLE", "formula": {"op": "sub", "a": {"op": "sub", "a": {"ref": "LF_IPN_CALCULATED"}, "b": {"ref": "LF_FOREIGN_TAX_CREDIT_GENERAL"}}, "b": {"ref": "LF_FOREIGN_TAX_CREDIT_CFC"}}, "tolerance": 1}',
+   '270.01 K must equal H - I - J', 30),
+  -- Признаки приложений pril_N ↔ заполненные приложения 270.0N (REG_* - число записей реестров)
+  ('VAL_FLAG_PRIL_1', 'error',
+   '{"always": true}',
+   '{"type": "flag", "flag": "pril_1", "formula": {"op": "sum", "refs": ["LF_INCOME_PROPERTY_TOTAL", "LF_INCOME_RENT_NON_AGENT", "LF_INCOME_OTHER_NON_AGENT"]}}',
+   'pril_1 must be set if and only if appendix 270.01 is filled', 40),
+  ('VAL_FLAG_PRIL_2', 'error',
+   '{"always": true}',
+   '{"type": "flag", "flag": "pril_2", "formula": {"ref": "LF_INCOME_FOREIGN_TOTAL"}}',
+   'pril_2 must be set if and only if appendix 270.02 is filled', 40),
+  ('VAL_FLAG_PRIL_3', 'error',
+   '{"always": true}',
+   '{"type": "flag", "flag": "pril_3", "formula": {"ref": "REG_AGENTS"}}',
+   'pril_3 must be set if and only if appendix 270.03 is filled', 40),
+  ('VAL_FLAG_PRIL_4', 'error',
+   '{"always": true}',
+   '{"type": "flag", "flag": "pril_4", "formula": {"ref": "REG_FOREIGN_ASSETS"}}',
+   'pril_4 must be set if and only if appendix 270.04 is filled', 40),
+  ('VAL_FLAG_PRIL_5', 'error',
+   '{"always": true}',
+   '{"type": "flag", "flag": "pril_5", "formula": {"ref": "REG_DOMESTIC_ASSETS"}}',
+   'pril_5 must be set if and only if appendix 270.05 is filled', 40),
+  ('VAL_FLAG_PRIL_6', 'error',
+   '{"always": true}',
+   '{"type": "flag", "flag": "pril_6", "formula": {"ref": "REG_CFC"}}',
+   'pril_6 must be set if and only if appendix 270.06 is filled', 40),
+  ('VAL_FLAG_PRIL_7', 'error',
+   '{"always": true}',
+   '{"type": "flag", "flag": "pril_7", "formula": {"ref": "REG_CFC"}}',
+   'pril_7 must be set if and only if appendix 270.07 is filled', 40),
+  -- Реквизиты 270.02
+  ('VAL_KOGD_FOR_PAYMENT', 'warning',
+   '{"formula": {"op": "sum", "refs": ["LF_IPN_TO_PAY", "LF_IPN_TO_REFUND"]}}',
+   '{"type": "required_header", "fields": ["payer_kogd"]}',
+   'KOGD (tax authority code) is not set for taxpayer, 270.02 will be incomplete', 50),
+  ('VAL_BANK_FOR_REFUND', 'warning',
+   '{"formula": {"ref": "LF_IPN_TO_REFUND"}}',
+   '{"type": "required_header", "fields": ["payer_iik", "payer_bank_bic"]}',
+   'IIK and BIC are required to refund IPN (270.02)', 50)
+) AS v(rule_code, severity, conditions, assertion, message, priority)
+WHERE NOT EXISTS (SELECT 1 FROM validation_rules vr WHERE vr.rule_code = v.rule_code);
+
+
+-- =========================================================
+-- 7. AUTHORITY ERROR CODES (коды отказа органа → поля формы)
+-- =========================================================
+INSERT INTO authority_error_codes (code, form_code, application_code, xml_field_name, logical_field, message, hint) VALUES
+('FNO_IIN_NOT_FOUND', '270.00', '270.00', 'iin', NULL,
+ 'ИИН налогоплательщика не найден в ГБД ФЛ', 'Проверьте ИИН в шапке декларации'),
+('FNO_PERIOD_DUPLICATE', '270.00', '270.00', 'period_year', NULL,
+ 'Декларация за указанный период уже принята', 'Подайте дополнительную декларацию (declaration_kind = additional)'),
+('FNO_INCOME_TOTAL_MISMATCH', '270.00', '270.01', 'field_270_01_B', NULL,
+ 'Итоговая сумма доходов не равна сумме строк', 'Пересчитайте декларацию и проверьте строки раздела B'),
+('FNO_SIGNATURE_INVALID', '270.00', NULL, NULL, NULL,
+ 'Подпись декларации не прошла проверку', 'Подпишите декларацию действующим сертификатом владельца')
+ON CONFLICT (code) DO NOTHING;
 
 
 -- =========================================================
@@ -424,4 +739,6 @@ INSERT INTO xml_field_map (form_code, application_code, logical_field, xml_field
 -- SELECT count(*) FROM tax_event_types;     -- 33
 -- SELECT count(*) FROM logical_fields;      -- 35
 -- SELECT count(*) FROM tax_rules;           -- 39
--- SELECT count(*) FROM xml_field_map;       -- ~60
+-- SELECT count(*) FROM xml_field_map;       -- 185
+-- SELECT count(*) FROM validation_rules;    -- 22
+-- SELECT count(*) FROM authority_error_codes; -- 4
@@ -0,0 +1,46 @@
+/**
+ * Self-signed RSA certificate (PKCS#12) for testing EDS signing
+ *
+ * Usage:
+ *   npm run signing:test-cert -- --iin 900101300126 [--password secret] [--name "TEST SIGNER"] [--out ./test-signer.p12]
+ *
+ * The IIN goes to subject serialNumber ("IIN...") like NCA certificates, so it must match
+ * the declaration IIN. Send the printed base64 as { pkcs12, password } to
+ * POST /api/signatures/:declarationId/eds/server, or sign client-side with the .pem files.
+ */
+const fs = require('fs');
+const path = require('path');
+const { createTestCertificate } = require('../src/utils/xmldsig');
+const { parseIin } = require('../src/utils/iin');
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 && args[index + 1] !== undefined ? args[index + 1] : fallback;
+};
+
+try {
+    const { iin } = parseIin(option('iin'), '--iin');
+    const password = option('password', '');
+    const out = path.resolve(option('out', `test-signer-${iin}.p12`));
+
+    const { p12Base64, certificatePem, privateKeyPem } = createTestCertificate({
+        iin,
+        commonName: option('name', 'TEST SIGNER'),
+        password,
+    });
+
+    const base = out.replace(/\.p12$/, '');
+    fs.writeFileSync(out, Buffer.from(p12Base64, 'base64'));
+    fs.writeFileSync(`${base}.cert.pem`, certificatePem);
+    fs.writeFileSync(`${base}.key.pem`, privateKeyPem);
+
+    console.log(`PKCS#12:     ${out}`);
+    console.log(`Certificate: ${base}.cert.pem`);
+    console.log(`Private key: ${base}.key.pem`);
+    console.log('\npkcs12 (base64):');
+    console.log(p12Base64);
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
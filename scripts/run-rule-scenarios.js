@@ -0,0 +1,86 @@
+/**
+ * Rule regression scenarios (test/rule-scenarios, see scenarioLoader for the format)
+ *
+ * Usage:
+ *   npm test
+ *   npm run rules:test -- [--name dividends] [--rules working|effective|<version>|rules.yaml] [--dir ./scenarios] [--json]
+ *
+ * --rules replaces the rules of every scenario: working - active rules not yet published,
+ * <version> - rule set version (e.g. a draft), file - list of rules. Scenarios with their own
+ * rules and no --rules need no database. Exit code 1 if any scenario fails.
+ */
+const fs = require('fs');
+const path = require('path');
+const db = require('../src/db/postgres');
+const scenarioLoader = require('../src/modules/rule-engine/scenarios/scenarioLoader');
+const scenarioRunner = require('../src/modules/rule-engine/scenarios/scenarioRunner');
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 && args[index + 1] !== undefined ? args[index + 1] : fallback;
+};
+
+const parseRules = (value) => {
+    if (value === null) {
+        return null;
+    }
+    if (/^\d+$/.test(value)) {
+        return parseInt(value, 10);
+    }
+    if (['working', 'effective'].includes(value)) {
+        return value;
+    }
+    if (fs.existsSync(value)) {
+        return scenarioLoader.loadRulesFile(path.resolve(value));
+    }
+    throw new Error(`--rules is invalid: ${value}. Expected working, effective, a rule set version or a rules file`);
+};
+
+const printResult = (result) => {
+    const mark = result.passed ? '✓' : '✗';
+    console.log(`${mark} ${result.file} - ${result.name}${result.ruleSet ? ` (${result.ruleSet})` : ''}`);
+
+    for (const failure of result.failures) {
+        if (failure.kind === 'scenario') {
+            console.log(`    ${failure.message}`);
+        } else if (failure.kind === 'errors') {
+            console.log(`    engine errors: expected ${failure.expected}, got ${failure.actual}`);
+            for (const detail of failure.details) {
+                console.log(`      rule ${detail.ruleId}, event ${detail.eventId}: ${detail.error}`);
+            }
+        } else if (failure.kind === 'validation') {
+            console.log(`    validation ${failure.key}: expected ${failure.expected}, got ${failure.actual}`);
+            for (const detail of failure.details || []) {
+                console.log(`      ${detail.field}: ${detail.message}${detail.expected !== undefined ? ` (expected ${detail.expected}, got ${detail.actual})` : ''}`);
+            }
+        } else {
+            console.log(`    ${failure.kind === 'flag' ? 'flag ' : ''}${failure.key}: expected ${failure.expected}, got ${failure.actual}`);
+        }
+    }
+};
+
+const main = async () => {
+    const scenarios = scenarioLoader.loadDir(option('dir', scenarioLoader.DEFAULT_DIR), { name: option('name', null) });
+    const report = await scenarioRunner.runAll(scenarios, { rules: parseRules(option('rules', null)) });
+
+    if (args.includes('--json')) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        report.results.forEach(printResult);
+        const { total, passed, failed } = report.summary;
+        console.log(`\n${total} scenarios: ${passed} passed, ${failed} failed`);
+    }
+
+    return report.summary.failed === 0 ? 0 : 1;
+};
+
+main()
+    .catch((error) => {
+        console.error(error.message);
+        return 1;
+    })
+    .then(async (code) => {
+        await db.pool.end();
+        process.exit(code);
+    });
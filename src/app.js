@@ -11,8 +11,18 @@ const identitiesRoutes = require('./modules/identities/identities.routes');
 const sourcesRoutes = require('./modules/sources/sources.routes');
 const taxEventsRoutes = require('./modules/tax-events/taxEvents.routes');
 const ruleEngineRoutes = require('./modules/rule-engine/ruleEngine.routes');
+const ruleSetsRoutes = require('./modules/rule-sets/ruleSets.routes');
 const declarationsRoutes = require('./modules/declarations/declarations.routes');
 const xmlRoutes = require('./modules/xml-generator/xmlGenerator.routes');
+const exchangeRatesRoutes = require('./modules/exchange-rates/exchangeRates.routes');
+const foreignAssetsRoutes = require('./modules/foreign-assets/foreignAssets.routes');
+const domesticAssetsRoutes = require('./modules/domestic-assets/domesticAssets.routes');
+const cfcRoutes = require('./modules/cfc/cfc.routes');
+const consentRoutes = require('./modules/consent/consent.routes');
+const signaturesRoutes = require('./modules/signatures/signatures.routes');
+const submissionsRoutes = require('./modules/submissions/submissions.routes');
+const receiptsRoutes = require('./modules/receipts/receipts.routes');
+const snapshotsRoutes = require('./modules/snapshots/snapshots.routes');
 
 // Import middleware
 const { errorHandler, notFoundHandler } = require('./middleware/error.middleware');
@@ -55,12 +65,22 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpecs, {
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/otp', otpRoutes);
+app.use('/api/identities/:taxIdentityId/foreign-assets', foreignAssetsRoutes);
+app.use('/api/identities/:taxIdentityId/assets', domesticAssetsRoutes);
+app.use('/api/identities/:taxIdentityId/cfc', cfcRoutes);
 app.use('/api/identities', identitiesRoutes);
 app.use('/api/sources', sourcesRoutes);
 app.use('/api/tax-events', taxEventsRoutes);
 app.use('/api/rules', ruleEngineRoutes);
+app.use('/api/rule-sets', ruleSetsRoutes);
 app.use('/api/declarations', declarationsRoutes);
+app.use('/api/consents', consentRoutes);
+app.use('/api/signatures', signaturesRoutes);
+app.use('/api/submissions', submissionsRoutes);
+app.use('/api/receipts', receiptsRoutes);
+app.use('/api/snapshots', snapshotsRoutes);
 app.use('/api/xml', xmlRoutes);
+app.use('/api/exchange-rates', exchangeRatesRoutes);
 
 // 404 handler
 app.use(notFoundHandler);
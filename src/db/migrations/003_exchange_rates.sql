@@ -0,0 +1,31 @@
+-- 003_exchange_rates.sql
+-- =========================================================
+-- Официальные курсы НБРК + пересчёт сумм в тенге в tax_mappings
+-- =========================================================
+
+-- -----------------------------
+-- EXCHANGE RATES (ежедневные курсы Национального Банка РК)
+-- rate = курс за quantity единиц валюты (например, 100 JPY)
+-- -----------------------------
+CREATE TABLE IF NOT EXISTS exchange_rates (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  currency CHAR(3) NOT NULL,
+  rate_date DATE NOT NULL,
+  rate NUMERIC(18,6) NOT NULL CHECK (rate > 0),
+  quantity INT NOT NULL DEFAULT 1 CHECK (quantity > 0),
+  source TEXT NOT NULL DEFAULT 'nbrk',
+  created_at TIMESTAMP DEFAULT now(),
+  UNIQUE (currency, rate_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_exchange_rates_currency_date
+  ON exchange_rates(currency, rate_date DESC);
+
+-- -----------------------------
+-- TAX MAPPINGS: исходная сумма и курс, по которому она пересчитана
+-- -----------------------------
+ALTER TABLE tax_mappings
+  ADD COLUMN IF NOT EXISTS original_amount NUMERIC(18,2),
+  ADD COLUMN IF NOT EXISTS original_currency CHAR(3),
+  ADD COLUMN IF NOT EXISTS exchange_rate NUMERIC(18,6),
+  ADD COLUMN IF NOT EXISTS exchange_rate_date DATE;
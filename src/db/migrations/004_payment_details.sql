@@ -0,0 +1,55 @@
+-- 004_payment_details.sql
+-- =========================================================
+-- Приложение 270.02: банковские реквизиты, КОГД, уплата/возврат, пеня
+-- =========================================================
+
+-- -----------------------------
+-- PERSONS: реквизиты для возврата и КОГД по месту жительства
+-- -----------------------------
+ALTER TABLE persons
+  ADD COLUMN IF NOT EXISTS iik TEXT,          -- ИИК (IBAN), KZ + 18 символов
+  ADD COLUMN IF NOT EXISTS bank_bic TEXT,     -- БИК банка (8 символов)
+  ADD COLUMN IF NOT EXISTS kogd CHAR(4);      -- код органа госдоходов
+
+-- -----------------------------
+-- EVENT TYPES
+-- -----------------------------
+INSERT INTO tax_event_types (code, description) VALUES
+('EV_IPN_PREPAID', 'ИПН, уплаченный ранее за налоговый период'),
+('EV_IPN_PENALTY', 'Пеня по ИПН')
+ON CONFLICT (code) DO NOTHING;
+
+-- -----------------------------
+-- LOGICAL FIELDS
+-- -----------------------------
+INSERT INTO logical_fields (code, description) VALUES
+('LF_IPN_PREPAID', 'ИПН, уплаченный ранее'),
+('LF_IPN_TO_PAY', 'ИПН, подлежащий уплате (270.02 B)'),
+('LF_IPN_TO_REFUND', 'ИПН, подлежащий возврату (270.02 C)'),
+('LF_IPN_PENALTY', 'Пеня по ИПН (270.02)')
+ON CONFLICT (code) DO NOTHING;
+
+-- -----------------------------
+-- MAPPING RULES
+-- -----------------------------
+INSERT INTO tax_rules (rule_code, tax_year, rule_type, conditions, actions, priority, is_active)
+SELECT v.rule_code, NULL, 'mapping', v.conditions::jsonb, v.actions::jsonb, 100, true
+FROM (VALUES
+  ('MAP_IPN_PREPAID',
+   '{"event_type": {"=": "EV_IPN_PREPAID"}}',
+   '[{"type": "map", "logical_field": "LF_IPN_PREPAID", "amount_source": "event.amount"}]'),
+  ('MAP_IPN_PENALTY',
+   '{"event_type": {"=": "EV_IPN_PENALTY"}}',
+   '[{"type": "map", "logical_field": "LF_IPN_PENALTY", "amount_source": "event.amount"}]')
+) AS v(rule_code, conditions, actions)
+WHERE NOT EXISTS (SELECT 1 FROM tax_rules tr WHERE tr.rule_code = v.rule_code);
+
+-- -----------------------------
+-- XML FIELD MAP (270.02)
+-- -----------------------------
+INSERT INTO xml_field_map (form_code, application_code, logical_field, xml_field_name) VALUES
+('270.00', '270.02', 'LF_IPN_TO_PAY', 'field_270_02_B'),
+('270.00', '270.02', 'LF_IPN_TO_REFUND', 'field_270_02_C'),
+('270.00', '270.02', 'LF_IPN_TO_PAY', 'field_270_02_tax_01'),
+('270.00', '270.02', 'LF_IPN_PENALTY', 'field_270_02_pen_01')
+ON CONFLICT (form_code, application_code, xml_field_name) DO NOTHING;
@@ -0,0 +1,55 @@
+-- 005_agent_income.sql
+-- =========================================================
+-- Приложение 270.03: доходы, полученные через налоговых агентов
+-- =========================================================
+
+-- -----------------------------
+-- EVENT TYPES
+-- metadata.agent_bin — БИН налогового агента
+-- metadata.ipn_withheld — удержанный ИПН (для EV_AGENT_INCOME)
+-- -----------------------------
+INSERT INTO tax_event_types (code, description) VALUES
+('EV_AGENT_INCOME', 'Доход, полученный через налогового агента'),
+('EV_AGENT_IPN_WITHHELD', 'ИПН, удержанный налоговым агентом')
+ON CONFLICT (code) DO NOTHING;
+
+-- -----------------------------
+-- LOGICAL FIELDS
+-- -----------------------------
+INSERT INTO logical_fields (code, description) VALUES
+('LF_AGENT_INCOME', 'Доходы от налоговых агентов (270.03 B)'),
+('LF_AGENT_IPN_WITHHELD', 'ИПН, удержанный налоговыми агентами (270.03 C)')
+ON CONFLICT (code) DO NOTHING;
+
+-- -----------------------------
+-- MAPPING RULES (group_by → разбивка по БИН агента и месяцам)
+-- -----------------------------
+INSERT INTO tax_rules (rule_code, tax_year, rule_type, conditions, actions, priority, is_active)
+SELECT v.rule_code, NULL, 'mapping', v.conditions::jsonb, v.actions::jsonb, 100, true
+FROM (VALUES
+  ('MAP_AGENT_INCOME',
+   '{"event_type": {"=": "EV_AGENT_INCOME"}}',
+   '[{"type": "map", "logical_field": "LF_AGENT_INCOME", "amount_source": "event.amount", "group_by": "event.metadata.agent_bin"}, {"type": "map", "logical_field": "LF_AGENT_IPN_WITHHELD", "amount_source": "event.metadata.ipn_withheld", "group_by": "event.metadata.agent_bin"}]'),
+  ('MAP_AGENT_IPN_WITHHELD',
+   '{"event_type": {"=": "EV_AGENT_IPN_WITHHELD"}}',
+   '[{"type": "map", "logical_field": "LF_AGENT_IPN_WITHHELD", "amount_source": "event.amount", "group_by": "event.metadata.agent_bin"}]')
+) AS v(rule_code, conditions, actions)
+WHERE NOT EXISTS (SELECT 1 FROM tax_rules tr WHERE tr.rule_code = v.rule_code);
+
+-- -----------------------------
+-- DECLARATION ITEM BREAKDOWNS
+-- Разбивка значения логического поля по ключу группы (БИН агента) и месяцу
+-- -----------------------------
+CREATE TABLE IF NOT EXISTS declaration_item_breakdowns (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  declaration_id UUID REFERENCES declarations(id) ON DELETE CASCADE,
+  logical_field TEXT REFERENCES logical_fields(code),
+  group_key TEXT NOT NULL,
+  period_month SMALLINT CHECK (period_month BETWEEN 1 AND 12) NOT NULL,
+  value NUMERIC(18,2) NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT now(),
+  UNIQUE (declaration_id, logical_field, group_key, period_month)
+);
+
+CREATE INDEX IF NOT EXISTS idx_declaration_item_breakdowns_decl
+  ON declaration_item_breakdowns(declaration_id);
@@ -0,0 +1,37 @@
+-- 006_foreign_assets.sql
+-- =========================================================
+-- Приложение 270.04: имущество и счета за пределами РК
+-- =========================================================
+
+CREATE TABLE IF NOT EXISTS foreign_assets (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  tax_identity_id UUID REFERENCES tax_identities(id) ON DELETE CASCADE,
+
+  -- real_estate → 270.04 B, securities → C, share (доля в юрлице) → D, bank_account → E
+  asset_category TEXT CHECK (asset_category IN ('real_estate','securities','share','bank_account')) NOT NULL,
+
+  country_code CHAR(2) NOT NULL,      -- ISO 3166-1 alpha-2
+  description TEXT,                   -- вид / наименование имущества
+  address TEXT,                       -- адрес недвижимости
+  registration_number TEXT,           -- кадастровый / регистрационный номер, ISIN
+  issuer_name TEXT,                   -- эмитент / юрлицо / банк
+  bank_swift TEXT,
+  account_number TEXT,
+  quantity NUMERIC(18,4),
+  ownership_share NUMERIC(7,4),       -- доля владения, %
+  acquisition_date DATE,
+  disposal_date DATE,
+  value NUMERIC(18,2),                -- стоимость в валюте currency
+  currency CHAR(3) DEFAULT 'KZT',
+
+  -- импорт из source_records (api / manual); NULL для ручного ввода через CRUD
+  source_record_id UUID REFERENCES source_records(id) ON DELETE SET NULL,
+  source_index INT,
+
+  created_at TIMESTAMP DEFAULT now(),
+  updated_at TIMESTAMP DEFAULT now(),
+  UNIQUE (source_record_id, source_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_foreign_assets_identity
+  ON foreign_assets(tax_identity_id, asset_category);
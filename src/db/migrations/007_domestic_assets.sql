@@ -0,0 +1,39 @@
+-- 007_domestic_assets.sql
+-- =========================================================
+-- Приложение 270.05: имущество в РК, дебиторская и кредиторская задолженность
+-- =========================================================
+
+CREATE TABLE IF NOT EXISTS domestic_assets (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  tax_identity_id UUID REFERENCES tax_identities(id) ON DELETE CASCADE,
+
+  -- real_estate / vehicle / share / securities / other → 270.05 B
+  -- receivable (дебиторская) / debt (кредиторская) → 270.05 C
+  asset_category TEXT CHECK (asset_category IN (
+    'real_estate','vehicle','share','securities','other','receivable','debt'
+  )) NOT NULL,
+
+  description TEXT,                   -- вид / наименование имущества, предмет договора
+  registration_number TEXT,           -- кадастровый номер, VIN, ISIN, номер договора
+  address TEXT,                       -- местонахождение недвижимости
+  counterparty_name TEXT,             -- юрлицо (доля), эмитент, должник / кредитор
+  counterparty_bin CHAR(12),          -- БИН / ИИН контрагента
+  quantity NUMERIC(18,4),
+  ownership_share NUMERIC(7,4),       -- доля владения, %
+  acquisition_date DATE,              -- дата возникновения права / задолженности
+  disposal_date DATE,                 -- дата отчуждения / погашения
+  due_date DATE,                      -- срок погашения задолженности
+  value NUMERIC(18,2),                -- стоимость / сумма задолженности в валюте currency
+  currency CHAR(3) DEFAULT 'KZT',
+
+  -- импорт из source_records (api / manual); NULL для ручного ввода
+  source_record_id UUID REFERENCES source_records(id) ON DELETE SET NULL,
+  source_index INT,
+
+  created_at TIMESTAMP DEFAULT now(),
+  updated_at TIMESTAMP DEFAULT now(),
+  UNIQUE (source_record_id, source_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_domestic_assets_identity
+  ON domestic_assets(tax_identity_id, asset_category);
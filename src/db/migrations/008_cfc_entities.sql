@@ -0,0 +1,59 @@
+-- 008_cfc_entities.sql
+-- =========================================================
+-- Приложения 270.06 / 270.07: реестр КИК и прибыль КИК
+-- =========================================================
+
+-- -----------------------------
+-- CFC REGISTER
+-- События КИК ссылаются на запись реестра через metadata.cfc_reg_number
+-- -----------------------------
+CREATE TABLE IF NOT EXISTS cfc_entities (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  tax_identity_id UUID REFERENCES tax_identities(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  country_code CHAR(2) NOT NULL,           -- ISO 3166-1 alpha-2
+  registration_number TEXT NOT NULL,       -- регистрационный номер в стране регистрации
+  ownership_share NUMERIC(7,4) NOT NULL CHECK (ownership_share > 0 AND ownership_share <= 100),
+  control_type TEXT CHECK (control_type IN ('direct','indirect')) DEFAULT 'direct',
+  ownership_start DATE,
+  ownership_end DATE,
+  created_at TIMESTAMP DEFAULT now(),
+  updated_at TIMESTAMP DEFAULT now(),
+  UNIQUE (tax_identity_id, registration_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_cfc_entities_identity
+  ON cfc_entities(tax_identity_id);
+
+-- -----------------------------
+-- LOGICAL FIELDS
+-- -----------------------------
+INSERT INTO logical_fields (code, description) VALUES
+('LF_CFC_TAX_PAID', 'Налог на прибыль КИК, уплаченный за рубежом (270.07)')
+ON CONFLICT (code) DO NOTHING;
+
+-- -----------------------------
+-- MAPPING RULES
+-- ownership_share_by → сумма умножается на долю владения КИК,
+-- group_by → разбивка по КИК для 270.06 / 270.07
+-- -----------------------------
+UPDATE tax_rules
+SET actions = '[{"type": "map", "logical_field": "LF_INCOME_CFC_PROFIT", "amount_source": "event.amount", "ownership_share_by": "event.metadata.cfc_reg_number", "group_by": "event.metadata.cfc_reg_number"}]'::jsonb
+WHERE rule_code = 'MAP_CFC_PROFIT';
+
+UPDATE tax_rules
+SET actions = '[{"type": "map", "logical_field": "LF_INCOME_CFC_EXEMPTED", "amount_source": "event.amount", "ownership_share_by": "event.metadata.cfc_reg_number", "group_by": "event.metadata.cfc_reg_number"}]'::jsonb
+WHERE rule_code = 'MAP_CFC_EXEMPTED';
+
+UPDATE tax_rules
+SET actions = '[{"type": "map", "logical_field": "LF_FOREIGN_TAX_CREDIT_CFC", "amount_source": "event.amount", "ownership_share_by": "event.metadata.cfc_reg_number", "group_by": "event.metadata.cfc_reg_number"}]'::jsonb
+WHERE rule_code = 'MAP_FOREIGN_TAX_CFC';
+
+INSERT INTO tax_rules (rule_code, tax_year, rule_type, conditions, actions, priority, is_active)
+SELECT v.rule_code, NULL, 'mapping', v.conditions::jsonb, v.actions::jsonb, 100, true
+FROM (VALUES
+  ('MAP_CFC_TAX_PAID',
+   '{"event_type": {"=": "EV_CFC_TAX_PAID"}}',
+   '[{"type": "map", "logical_field": "LF_CFC_TAX_PAID", "amount_source": "event.amount", "ownership_share_by": "event.metadata.cfc_reg_number", "group_by": "event.metadata.cfc_reg_number"}]')
+) AS v(rule_code, conditions, actions)
+WHERE NOT EXISTS (SELECT 1 FROM tax_rules tr WHERE tr.rule_code = v.rule_code);
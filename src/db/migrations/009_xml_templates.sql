@@ -0,0 +1,283 @@
+-- 009_xml_templates.sql
+-- =========================================================
+-- Версионируемая разметка XML 270.00: шаблоны форм + xml_field_map
+-- Разметка с tax_year = N действует для деклараций за N и последующие годы,
+-- пока не появится версия с большим tax_year
+-- =========================================================
+
+-- -----------------------------
+-- FORM TEMPLATES
+-- sheets: [{ name, repeat?, rows?, grids? }]
+--   repeat - список контекста, по листу на элемент (270.03: по листу на агента)
+--   rows   - список контекста, по <row> на элемент (270.06 / 270.07)
+--   grids  - фиксированные таблицы { код: { source, rows } }, переполнение → доп. листы
+-- -----------------------------
+CREATE TABLE IF NOT EXISTS xml_form_templates (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  form_code TEXT NOT NULL,              -- '270.00'
+  tax_year INT NOT NULL,                -- год, с которого действует разметка
+  application_code TEXT NOT NULL,       -- '270.00'..'270.07'
+  sort_order INT NOT NULL,              -- порядок <form> внутри <fno>
+  sheets JSONB NOT NULL,
+  format_version TEXT,                  -- атрибуты <fno>, задаются на основной форме
+  version TEXT,
+  UNIQUE(form_code, tax_year, application_code)
+);
+
+-- -----------------------------
+-- XML FIELD MAP: версия, лист, источник значения, формат, значение по умолчанию
+-- row_group: NULL - поле листа, 'row' - поле строки <row>, иначе код таблицы grids ({n} → номер строки)
+-- value_source: путь в контексте генерации (declaration.iin, flags.pril_1, row.name ...);
+--   если не задан - значение logical_field из declaration_items
+-- -----------------------------
+ALTER TABLE xml_field_map ADD COLUMN IF NOT EXISTS tax_year INT;
+ALTER TABLE xml_field_map ADD COLUMN IF NOT EXISTS sheet_name TEXT;
+ALTER TABLE xml_field_map ADD COLUMN IF NOT EXISTS row_group TEXT;
+ALTER TABLE xml_field_map ADD COLUMN IF NOT EXISTS value_source TEXT;
+ALTER TABLE xml_field_map ADD COLUMN IF NOT EXISTS value_format TEXT DEFAULT 'text';
+ALTER TABLE xml_field_map ADD COLUMN IF NOT EXISTS default_value TEXT;
+ALTER TABLE xml_field_map ADD COLUMN IF NOT EXISTS sort_order INT DEFAULT 0;
+
+-- Неверсионированные записи не привязаны к листам и расходятся с именами полей XML
+ALTER TABLE xml_field_map DROP CONSTRAINT IF EXISTS xml_field_map_form_code_application_code_xml_field_name_key;
+DELETE FROM xml_field_map WHERE tax_year IS NULL OR sheet_name IS NULL;
+
+ALTER TABLE xml_field_map ALTER COLUMN tax_year SET NOT NULL;
+ALTER TABLE xml_field_map ALTER COLUMN sheet_name SET NOT NULL;
+ALTER TABLE xml_field_map DROP CONSTRAINT IF EXISTS xml_field_map_value_format_check;
+ALTER TABLE xml_field_map ADD CONSTRAINT xml_field_map_value_format_check
+  CHECK (value_format IN ('text','money','number','date','bool'));
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_xml_field_map_layout
+  ON xml_field_map(form_code, tax_year, application_code, sheet_name, xml_field_name);
+
+-- -----------------------------
+-- BASE LAYOUT (2020+)
+-- -----------------------------
+INSERT INTO xml_form_templates (form_code, tax_year, application_code, sort_order, sheets, format_version, version) VALUES
+('270.00', 2020, '270.00', 10, '[{"name": "page_270_00_01"}, {"name": "page_270_00_02"}]', '1', '2'),
+('270.00', 2020, '270.01', 20, '[{"name": "page_270_01_01"}]', NULL, NULL),
+('270.00', 2020, '270.02', 30, '[{"name": "page_270_02_01"}]', NULL, NULL),
+('270.00', 2020, '270.03', 40, '[{"name": "page_270_03_01", "repeat": "agents"}]', NULL, NULL),
+('270.00', 2020, '270.04', 50, '[{"name": "page_270_04_01", "grids": {"B": {"source": "foreignAssets.real_estate", "rows": 6}, "C": {"source": "foreignAssets.securities", "rows": 6}, "D": {"source": "foreignAssets.share", "rows": 5}, "E": {"source": "foreignAssets.bank_account", "rows": 5}}}]', NULL, NULL),
+('270.00', 2020, '270.05', 60, '[{"name": "page_270_05_01", "grids": {"B": {"source": "domesticAssets.property", "rows": 11}, "C": {"source": "domesticAssets.receivables", "rows": 11}}}]', NULL, NULL),
+('270.00', 2020, '270.06', 70, '[{"name": "page_270_06_01", "rows": "cfc"}]', NULL, NULL),
+('270.00', 2020, '270.07', 80, '[{"name": "page_270_07_01", "rows": "cfc"}]', NULL, NULL)
+ON CONFLICT (form_code, tax_year, application_code) DO NOTHING;
+
+-- 270.00
+INSERT INTO xml_field_map (form_code, tax_year, application_code, sheet_name, row_group, xml_field_name, logical_field, value_source, value_format, default_value, sort_order) VALUES
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'accept_date', NULL, 'today', 'text', NULL, 10),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'agreement', NULL, NULL, 'text', 'false', 20),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'dt_additional', NULL, 'kind.additional', 'bool', NULL, 30),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'dt_main', NULL, 'kind.main', 'bool', NULL, 40),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'dt_notice', NULL, 'kind.notice', 'bool', NULL, 50),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'dt_regular', NULL, 'kind.regular', 'bool', NULL, 60),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'dt_w', NULL, NULL, 'text', 'false', 70),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'email', NULL, 'declaration.email', 'text', NULL, 80),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'fio1', NULL, 'declaration.fio_last', 'text', NULL, 90),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'fio2', NULL, 'declaration.fio_first', 'text', NULL, 100),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'fio3', NULL, 'declaration.fio_middle', 'text', NULL, 110),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'head_name', NULL, 'declaration.head_name', 'text', NULL, 120),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'iin', NULL, 'declaration.iin', 'text', NULL, 130),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'iin_legalrepresentative', NULL, 'declaration.iin_legalrepresentative', 'text', NULL, 140),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'iin_spouse', NULL, 'declaration.iin_spouse', 'text', NULL, 150),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'in_doc_number', NULL, NULL, 'text', NULL, 160),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'payer_phone_number', NULL, 'declaration.payer_phone', 'text', NULL, 170),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'period_year', NULL, 'taxYear', 'text', NULL, 180),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'post_date', NULL, NULL, 'text', NULL, 190),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'pril_1', NULL, 'flags.pril_1', 'bool', NULL, 200),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'pril_2', NULL, 'flags.pril_2', 'bool', NULL, 210),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'pril_3', NULL, 'flags.pril_3', 'bool', NULL, 220),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'pril_4', NULL, 'flags.pril_4', 'bool', NULL, 230),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'pril_5', NULL, 'flags.pril_5', 'bool', NULL, 240),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'pril_6', NULL, 'flags.pril_6', 'bool', NULL, 250),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'pril_7', NULL, 'flags.pril_7', 'bool', NULL, 260),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'rating_auth_code', NULL, NULL, 'text', NULL, 270),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'receptor_name', NULL, NULL, 'text', NULL, 280),
+('270.00', 2020, '270.00', 'page_270_00_01', NULL, 'submit_date', NULL, 'today', 'text', NULL, 290)
+ON CONFLICT (form_code, tax_year, application_code, sheet_name, xml_field_name) DO NOTHING;
+
+-- 270.01
+INSERT INTO xml_field_map (form_code, tax_year, application_code, sheet_name, row_group, xml_field_name, logical_field, value_source, value_format, default_value, sort_order) VALUES
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_A', 'LF_INCOME_PROPERTY_TOTAL', NULL, 'money', NULL, 10),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_A_1', NULL, 'items.LF_INCOME_PROPERTY_SALE', 'money', NULL, 20),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_A_1_1', 'LF_INCOME_PROPERTY_KZ', NULL, 'money', NULL, 30),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_A_1_2', 'LF_INCOME_PROPERTY_FOREIGN', NULL, 'money', NULL, 40),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_A_2', 'LF_INCOME_PROPERTY_CAPITAL_CONTRIBUTION', NULL, 'money', NULL, 50),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_A_3', 'LF_INCOME_RENT_NON_AGENT', NULL, 'money', NULL, 60),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_A_4', 'LF_INCOME_ASSIGNMENT_RIGHTS', NULL, 'money', NULL, 70),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_A_5', 'LF_INCOME_IP_OTHER_ASSETS', NULL, 'money', NULL, 80),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_B', NULL, 'items.LF_INCOME_OTHER_TOTAL', 'money', NULL, 90),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_B_1', 'LF_INCOME_FOREIGN_TOTAL', NULL, 'money', NULL, 100),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_B_1_1', 'LF_INCOME_FOREIGN_EMPLOYMENT', NULL, 'money', NULL, 110),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_B_1_2', 'LF_INCOME_FOREIGN_GPC', NULL, 'money', NULL, 120),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_B_1_3', 'LF_INCOME_FOREIGN_WIN', NULL, 'money', NULL, 130),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_B_1_4', 'LF_INCOME_FOREIGN_DIVIDENDS', NULL, 'money', NULL, 140),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_B_1_5', 'LF_INCOME_FOREIGN_INTEREST', NULL, 'money', NULL, 150),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_B_1_6', 'LF_INCOME_FOREIGN_SCHOLARSHIP', NULL, 'money', NULL, 160),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_B_1_7', 'LF_INCOME_FOREIGN_INSURANCE', NULL, 'money', NULL, 170),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_B_1_8', 'LF_INCOME_FOREIGN_PENSION', NULL, 'money', NULL, 180),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_B_1_9', 'LF_INCOME_FOREIGN_OTHER', NULL, 'money', NULL, 190),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_B_2', 'LF_INCOME_DOMESTIC_HELPERS', NULL, 'money', NULL, 200),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_B_3', 'LF_INCOME_CITIZENS_GPC', NULL, 'money', NULL, 210),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_B_4', 'LF_INCOME_MEDIATOR', NULL, 'money', NULL, 220),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_B_5', 'LF_INCOME_SUBSIDIARY_FARM', NULL, 'money', NULL, 230),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_B_6', 'LF_INCOME_LABOR_MIGRANT', NULL, 'money', NULL, 240),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_B_7', 'LF_INCOME_OTHER_NON_AGENT', NULL, 'money', NULL, 250),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_C', 'LF_INCOME_CFC_PROFIT', NULL, 'money', NULL, 260),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_D', 'LF_INCOME_TOTAL', NULL, 'money', NULL, 270),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_E', 'LF_ADJUSTMENT_TOTAL', NULL, 'money', NULL, 280),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_E_1', 'LF_ADJUSTMENT_EXCLUDED_ART_341', NULL, 'money', NULL, 290),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_E_2', 'LF_ADJUSTMENT_EXCLUDED_ART_654', NULL, 'money', NULL, 300),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_E_3', 'LF_ADJUSTMENT_EXCLUDED_TREATY', NULL, 'money', NULL, 310),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_E_4', 'LF_ADJUSTMENT_EXCLUDED_AIFC', NULL, 'money', NULL, 320),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_F', 'LF_DEDUCTION_TOTAL', NULL, 'money', NULL, 330),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_F_1', 'LF_DEDUCTION_STANDARD', NULL, 'money', NULL, 340),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_F_2', 'LF_DEDUCTION_OTHER', NULL, 'money', NULL, 350),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_G', 'LF_TAXABLE_INCOME', NULL, 'money', NULL, 360),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_H', 'LF_IPN_CALCULATED', NULL, 'money', NULL, 370),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_I', 'LF_FOREIGN_TAX_CREDIT_GENERAL', NULL, 'money', NULL, 380),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_J', 'LF_FOREIGN_TAX_CREDIT_CFC', NULL, 'money', NULL, 390),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_K', 'LF_IPN_PAYABLE', NULL, 'money', NULL, 400),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'field_270_01_bin', NULL, NULL, 'text', NULL, 410),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'iin', NULL, 'declaration.iin', 'text', NULL, 420),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'page_number', NULL, NULL, 'text', '1', 430),
+('270.00', 2020, '270.01', 'page_270_01_01', NULL, 'period_year', NULL, 'taxYear', 'text', NULL, 440)
+ON CONFLICT (form_code, tax_year, application_code, sheet_name, xml_field_name) DO NOTHING;
+
+-- 270.02
+INSERT INTO xml_field_map (form_code, tax_year, application_code, sheet_name, row_group, xml_field_name, logical_field, value_source, value_format, default_value, sort_order) VALUES
+('270.00', 2020, '270.02', 'page_270_02_01', NULL, 'bank_code', NULL, 'declaration.payer_bank_bic', 'text', NULL, 10),
+('270.00', 2020, '270.02', 'page_270_02_01', NULL, 'iik', NULL, 'declaration.payer_iik', 'text', NULL, 20),
+('270.00', 2020, '270.02', 'page_270_02_01', NULL, 'field_270_02_B', 'LF_IPN_TO_PAY', NULL, 'money', NULL, 30),
+('270.00', 2020, '270.02', 'page_270_02_01', NULL, 'field_270_02_C', 'LF_IPN_TO_REFUND', NULL, 'money', NULL, 40),
+('270.00', 2020, '270.02', 'page_270_02_01', NULL, 'field_270_02_kbk_01', NULL, NULL, 'text', '101201', 50),
+('270.00', 2020, '270.02', 'page_270_02_01', NULL, 'field_270_02_kogd_01', NULL, 'payment.kogd', 'text', NULL, 60),
+('270.00', 2020, '270.02', 'page_270_02_01', NULL, 'field_270_02_tax_01', 'LF_IPN_TO_PAY', NULL, 'money', NULL, 70),
+('270.00', 2020, '270.02', 'page_270_02_01', NULL, 'field_270_02_pen_01', 'LF_IPN_PENALTY', NULL, 'money', NULL, 80),
+('270.00', 2020, '270.02', 'page_270_02_01', NULL, 'field_270_02_kbk_02', NULL, NULL, 'text', NULL, 90),
+('270.00', 2020, '270.02', 'page_270_02_01', NULL, 'field_270_02_kogd_02', NULL, NULL, 'text', NULL, 100),
+('270.00', 2020, '270.02', 'page_270_02_01', NULL, 'field_270_02_tax_02', NULL, NULL, 'text', NULL, 110),
+('270.00', 2020, '270.02', 'page_270_02_01', NULL, 'iin', NULL, 'declaration.iin', 'text', NULL, 120),
+('270.00', 2020, '270.02', 'page_270_02_01', NULL, 'page_number', NULL, NULL, 'text', '1', 130),
+('270.00', 2020, '270.02', 'page_270_02_01', NULL, 'period_year', NULL, 'taxYear', 'text', NULL, 140)
+ON CONFLICT (form_code, tax_year, application_code, sheet_name, xml_field_name) DO NOTHING;
+
+-- 270.03
+INSERT INTO xml_field_map (form_code, tax_year, application_code, sheet_name, row_group, xml_field_name, logical_field, value_source, value_format, default_value, sort_order) VALUES
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_B', NULL, 'sheet.income_total', 'money', NULL, 10),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_B_1', NULL, 'sheet.income.1', 'money', NULL, 20),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_B_2', NULL, 'sheet.income.2', 'money', NULL, 30),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_B_3', NULL, 'sheet.income.3', 'money', NULL, 40),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_B_4', NULL, 'sheet.income.4', 'money', NULL, 50),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_B_5', NULL, 'sheet.income.5', 'money', NULL, 60),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_B_6', NULL, 'sheet.income.6', 'money', NULL, 70),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_B_7', NULL, 'sheet.income.7', 'money', NULL, 80),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_B_8', NULL, 'sheet.income.8', 'money', NULL, 90),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_B_9', NULL, 'sheet.income.9', 'money', NULL, 100),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_B_10', NULL, 'sheet.income.10', 'money', NULL, 110),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_B_11', NULL, 'sheet.income.11', 'money', NULL, 120),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_B_12', NULL, 'sheet.income.12', 'money', NULL, 130),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_C', NULL, 'sheet.withheld_total', 'money', NULL, 140),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_C_1', NULL, 'sheet.withheld.1', 'money', NULL, 150),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_C_2', NULL, 'sheet.withheld.2', 'money', NULL, 160),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_C_3', NULL, 'sheet.withheld.3', 'money', NULL, 170),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_C_4', NULL, 'sheet.withheld.4', 'money', NULL, 180),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_C_5', NULL, 'sheet.withheld.5', 'money', NULL, 190),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_C_6', NULL, 'sheet.withheld.6', 'money', NULL, 200),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_C_7', NULL, 'sheet.withheld.7', 'money', NULL, 210),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_C_8', NULL, 'sheet.withheld.8', 'money', NULL, 220),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_C_9', NULL, 'sheet.withheld.9', 'money', NULL, 230),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_C_10', NULL, 'sheet.withheld.10', 'money', NULL, 240),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_C_11', NULL, 'sheet.withheld.11', 'money', NULL, 250),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_C_12', NULL, 'sheet.withheld.12', 'money', NULL, 260),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_bin', NULL, 'sheet.bin', 'text', NULL, 270),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'field_270_03_tax_org', NULL, NULL, 'text', NULL, 280),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'iin', NULL, 'declaration.iin', 'text', NULL, 290),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'page_number', NULL, 'page.number', 'text', NULL, 300),
+('270.00', 2020, '270.03', 'page_270_03_01', NULL, 'period_year', NULL, 'taxYear', 'text', NULL, 310)
+ON CONFLICT (form_code, tax_year, application_code, sheet_name, xml_field_name) DO NOTHING;
+
+-- 270.04
+INSERT INTO xml_field_map (form_code, tax_year, application_code, sheet_name, row_group, xml_field_name, logical_field, value_source, value_format, default_value, sort_order) VALUES
+('270.00', 2020, '270.04', 'page_270_04_01', 'B', 'field_270_04_B_A_{n}', NULL, 'row.description', 'text', NULL, 10),
+('270.00', 2020, '270.04', 'page_270_04_01', 'B', 'field_270_04_B_B_{n}', NULL, 'row.country_code', 'text', NULL, 20),
+('270.00', 2020, '270.04', 'page_270_04_01', 'B', 'field_270_04_B_C_{n}', NULL, 'row.address', 'text', NULL, 30),
+('270.00', 2020, '270.04', 'page_270_04_01', 'B', 'field_270_04_B_E_{n}', NULL, 'row.registration_number', 'text', NULL, 40),
+('270.00', 2020, '270.04', 'page_270_04_01', 'B', 'field_270_04_B_F_{n}', NULL, 'row.acquisition_date', 'date', NULL, 50),
+('270.00', 2020, '270.04', 'page_270_04_01', 'B', 'field_270_04_B_G_{n}', NULL, 'row.ownership_share', 'number', NULL, 60),
+('270.00', 2020, '270.04', 'page_270_04_01', 'B', 'field_270_04_B_H_{n}', NULL, 'row.value_kzt', 'money', NULL, 70),
+('270.00', 2020, '270.04', 'page_270_04_01', 'B', 'field_270_04_B_I_{n}', NULL, 'row.currency', 'text', NULL, 80),
+('270.00', 2020, '270.04', 'page_270_04_01', 'C', 'field_270_04_C_A_{n}', NULL, 'row.description', 'text', NULL, 90),
+('270.00', 2020, '270.04', 'page_270_04_01', 'C', 'field_270_04_C_B_{n}', NULL, 'row.country_code', 'text', NULL, 100),
+('270.00', 2020, '270.04', 'page_270_04_01', 'C', 'field_270_04_C_C_{n}', NULL, 'row.issuer_name', 'text', NULL, 110),
+('270.00', 2020, '270.04', 'page_270_04_01', 'C', 'field_270_04_C_D_{n}', NULL, 'row.registration_number', 'text', NULL, 120),
+('270.00', 2020, '270.04', 'page_270_04_01', 'C', 'field_270_04_C_E_{n}', NULL, 'row.quantity', 'number', NULL, 130),
+('270.00', 2020, '270.04', 'page_270_04_01', 'D', 'field_270_04_D_A_{n}', NULL, 'row.issuer_name', 'text', NULL, 140),
+('270.00', 2020, '270.04', 'page_270_04_01', 'D', 'field_270_04_D_B_{n}', NULL, 'row.country_code', 'text', NULL, 150),
+('270.00', 2020, '270.04', 'page_270_04_01', 'D', 'field_270_04_D_C_{n}', NULL, 'row.registration_number', 'text', NULL, 160),
+('270.00', 2020, '270.04', 'page_270_04_01', 'D', 'field_270_04_D_D_{n}', NULL, 'row.ownership_share', 'number', NULL, 170),
+('270.00', 2020, '270.04', 'page_270_04_01', 'D', 'field_270_04_D_F_{n}', NULL, 'row.acquisition_date', 'date', NULL, 180),
+('270.00', 2020, '270.04', 'page_270_04_01', 'D', 'field_270_04_D_G_{n}', NULL, 'row.value_kzt', 'money', NULL, 190),
+('270.00', 2020, '270.04', 'page_270_04_01', 'E', 'field_270_04_E_A_{n}', NULL, 'row.issuer_name', 'text', NULL, 200),
+('270.00', 2020, '270.04', 'page_270_04_01', 'E', 'field_270_04_E_B_{n}', NULL, 'row.country_code', 'text', NULL, 210),
+('270.00', 2020, '270.04', 'page_270_04_01', 'E', 'field_270_04_E_C_{n}', NULL, 'row.bank_swift', 'text', NULL, 220),
+('270.00', 2020, '270.04', 'page_270_04_01', 'E', 'field_270_04_E_D_{n}', NULL, 'row.account_number', 'text', NULL, 230),
+('270.00', 2020, '270.04', 'page_270_04_01', 'E', 'field_270_04_E_E_{n}', NULL, 'row.currency', 'text', NULL, 240),
+('270.00', 2020, '270.04', 'page_270_04_01', NULL, 'iin', NULL, 'declaration.iin', 'text', NULL, 250),
+('270.00', 2020, '270.04', 'page_270_04_01', NULL, 'page_number', NULL, 'page.number', 'text', NULL, 260),
+('270.00', 2020, '270.04', 'page_270_04_01', NULL, 'period_year', NULL, 'taxYear', 'text', NULL, 270)
+ON CONFLICT (form_code, tax_year, application_code, sheet_name, xml_field_name) DO NOTHING;
+
+-- 270.05
+INSERT INTO xml_field_map (form_code, tax_year, application_code, sheet_name, row_group, xml_field_name, logical_field, value_source, value_format, default_value, sort_order) VALUES
+('270.00', 2020, '270.05', 'page_270_05_01', 'B', 'field_270_05_B_A_{n}', NULL, 'row.type_code', 'text', NULL, 10),
+('270.00', 2020, '270.05', 'page_270_05_01', 'B', 'field_270_05_B_B_{n}', NULL, 'row.description', 'text', NULL, 20),
+('270.00', 2020, '270.05', 'page_270_05_01', 'B', 'field_270_05_B_C_{n}', NULL, 'row.registration_number', 'text', NULL, 30),
+('270.00', 2020, '270.05', 'page_270_05_01', 'B', 'field_270_05_B_D_{n}', NULL, 'row.address', 'text', NULL, 40),
+('270.00', 2020, '270.05', 'page_270_05_01', 'B', 'field_270_05_B_E_{n}', NULL, 'row.counterparty_name', 'text', NULL, 50),
+('270.00', 2020, '270.05', 'page_270_05_01', 'B', 'field_270_05_B_F_{n}', NULL, 'row.counterparty_bin', 'text', NULL, 60),
+('270.00', 2020, '270.05', 'page_270_05_01', 'B', 'field_270_05_B_G_{n}', NULL, 'row.ownership_share', 'number', NULL, 70),
+('270.00', 2020, '270.05', 'page_270_05_01', 'B', 'field_270_05_B_I_{n}', NULL, 'row.quantity', 'number', NULL, 80),
+('270.00', 2020, '270.05', 'page_270_05_01', 'B', 'field_270_05_B_J_{n}', NULL, 'row.acquisition_date', 'date', NULL, 90),
+('270.00', 2020, '270.05', 'page_270_05_01', 'B', 'field_270_05_B_K_{n}', NULL, 'row.value_kzt', 'money', NULL, 100),
+('270.00', 2020, '270.05', 'page_270_05_01', 'B', 'field_270_05_B_L_{n}', NULL, 'row.currency', 'text', NULL, 110),
+('270.00', 2020, '270.05', 'page_270_05_01', 'C', 'field_270_05_C_A_{n}', NULL, 'row.type_code', 'text', NULL, 120),
+('270.00', 2020, '270.05', 'page_270_05_01', 'C', 'field_270_05_C_B_{n}', NULL, 'row.counterparty_name', 'text', NULL, 130),
+('270.00', 2020, '270.05', 'page_270_05_01', 'C', 'field_270_05_C_C_{n}', NULL, 'row.counterparty_bin', 'text', NULL, 140),
+('270.00', 2020, '270.05', 'page_270_05_01', 'C', 'field_270_05_C_D_{n}', NULL, 'row.registration_number', 'text', NULL, 150),
+('270.00', 2020, '270.05', 'page_270_05_01', 'C', 'field_270_05_C_E_{n}', NULL, 'row.acquisition_date', 'date', NULL, 160),
+('270.00', 2020, '270.05', 'page_270_05_01', 'C', 'field_270_05_C_F_{n}', NULL, 'row.due_date', 'date', NULL, 170),
+('270.00', 2020, '270.05', 'page_270_05_01', 'C', 'field_270_05_C_G_{n}', NULL, 'row.value_kzt', 'money', NULL, 180),
+('270.00', 2020, '270.05', 'page_270_05_01', 'C', 'field_270_05_C_H_{n}', NULL, 'row.currency', 'text', NULL, 190),
+('270.00', 2020, '270.05', 'page_270_05_01', NULL, 'iin', NULL, 'declaration.iin', 'text', NULL, 200),
+('270.00', 2020, '270.05', 'page_270_05_01', NULL, 'page_number', NULL, 'page.number', 'text', NULL, 210),
+('270.00', 2020, '270.05', 'page_270_05_01', NULL, 'period_year', NULL, 'taxYear', 'text', NULL, 220)
+ON CONFLICT (form_code, tax_year, application_code, sheet_name, xml_field_name) DO NOTHING;
+
+-- 270.06
+INSERT INTO xml_field_map (form_code, tax_year, application_code, sheet_name, row_group, xml_field_name, logical_field, value_source, value_format, default_value, sort_order) VALUES
+('270.00', 2020, '270.06', 'page_270_06_01', NULL, 'iin', NULL, 'declaration.iin', 'text', NULL, 10),
+('270.00', 2020, '270.06', 'page_270_06_01', NULL, 'page_number', NULL, NULL, 'text', '1', 20),
+('270.00', 2020, '270.06', 'page_270_06_01', NULL, 'period_year', NULL, 'taxYear', 'text', NULL, 30),
+('270.00', 2020, '270.06', 'page_270_06_01', 'row', 'field_270_06_A', NULL, 'row.name', 'text', NULL, 40),
+('270.00', 2020, '270.06', 'page_270_06_01', 'row', 'field_270_06_B', NULL, 'row.country_code', 'text', NULL, 50),
+('270.00', 2020, '270.06', 'page_270_06_01', 'row', 'field_270_06_C', NULL, 'row.registration_number', 'text', NULL, 60),
+('270.00', 2020, '270.06', 'page_270_06_01', 'row', 'field_270_06_D', NULL, 'row.ownership_share', 'number', NULL, 70),
+('270.00', 2020, '270.06', 'page_270_06_01', 'row', 'field_270_06_F', NULL, 'row.ownership_start', 'date', NULL, 80),
+('270.00', 2020, '270.06', 'page_270_06_01', 'row', 'field_270_06_G', NULL, 'row.control_code', 'text', NULL, 90)
+ON CONFLICT (form_code, tax_year, application_code, sheet_name, xml_field_name) DO NOTHING;
+
+-- 270.07
+INSERT INTO xml_field_map (form_code, tax_year, application_code, sheet_name, row_group, xml_field_name, logical_field, value_source, value_format, default_value, sort_order) VALUES
+('270.00', 2020, '270.07', 'page_270_07_01', NULL, 'iin', NULL, 'declaration.iin', 'text', NULL, 10),
+('270.00', 2020, '270.07', 'page_270_07_01', NULL, 'page_number', NULL, NULL, 'text', '1', 20),
+('270.00', 2020, '270.07', 'page_270_07_01', NULL, 'period_year', NULL, 'taxYear', 'text', NULL, 30),
+('270.00', 2020, '270.07', 'page_270_07_01', 'row', 'field_270_07_A', NULL, 'row.name', 'text', NULL, 40),
+('270.00', 2020, '270.07', 'page_270_07_01', 'row', 'field_270_07_B', NULL, 'row.registration_number', 'text', NULL, 50),
+('270.00', 2020, '270.07', 'page_270_07_01', 'row', 'field_270_07_C', NULL, 'row.profit', 'money', NULL, 60),
+('270.00', 2020, '270.07', 'page_270_07_01', 'row', 'field_270_07_D', NULL, 'row.exempted', 'money', NULL, 70),
+('270.00', 2020, '270.07', 'page_270_07_01', 'row', 'field_270_07_F', NULL, 'row.taxable', 'money', NULL, 80),
+('270.00', 2020, '270.07', 'page_270_07_01', 'row', 'field_270_07_M', NULL, 'row.taxPaid', 'money', NULL, 90)
+ON CONFLICT (form_code, tax_year, application_code, sheet_name, xml_field_name) DO NOTHING;
@@ -0,0 +1,126 @@
+-- 010_validation_rules.sql
+-- =========================================================
+-- Бизнес-валидация декларации: правила хранятся как tax_rules
+-- Результат → validation_reports (validation_type = 'business')
+-- =========================================================
+
+-- -----------------------------
+-- VALIDATION RULES
+-- conditions: {"always": true} | {"formula": {...}} - правило применяется, если формула > 0
+-- assertion:  {"type": "required_items" | "required_header" | "formula" | "iin" | "distinct" | "flag", ...}
+-- Формулы - формат formulaEvaluator, ссылки на LF_* и REG_* (число записей реестров)
+-- -----------------------------
+CREATE TABLE IF NOT EXISTS validation_rules (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  rule_code TEXT UNIQUE NOT NULL,
+  tax_year INT,                         -- NULL → любой год
+  severity TEXT CHECK (severity IN ('error','warning')) NOT NULL DEFAULT 'error',
+  conditions JSONB,
+  assertion JSONB NOT NULL,
+  message TEXT NOT NULL,
+  priority INT DEFAULT 100,
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMP DEFAULT now()
+);
+
+-- -----------------------------
+-- BASE RULES
+-- -----------------------------
+INSERT INTO validation_rules (rule_code, tax_year, severity, conditions, assertion, message, priority, is_active)
+SELECT v.rule_code, NULL, v.severity, v.conditions::jsonb, v.assertion::jsonb, v.message, v.priority, true
+FROM (VALUES
+  -- Обязательные поля
+  ('VAL_REQUIRED_ITEMS', 'error',
+   '{"always": true}',
+   '{"type": "required_items", "fields": ["LF_INCOME_TOTAL", "LF_TAXABLE_INCOME", "LF_IPN_CALCULATED"]}',
+   'Required declaration item is missing', 10),
+  ('VAL_REQUIRED_HEADER', 'error',
+   '{"always": true}',
+   '{"type": "required_header", "fields": ["iin", "fio_last", "fio_first"]}',
+   'Required taxpayer field is empty', 10),
+  -- ИИН: контрольный разряд, ИИН супруга(и) ≠ ИИН плательщика
+  ('VAL_IIN_CHECKSUM', 'error',
+   '{"always": true}',
+   '{"type": "iin", "field": "iin"}',
+   'Taxpayer IIN is invalid: wrong format or control digit', 20),
+  ('VAL_SPOUSE_IIN_CHECKSUM', 'error',
+   '{"always": true}',
+   '{"type": "iin", "field": "iin_spouse"}',
+   'Spouse IIN is invalid: wrong format or control digit', 20),
+  ('VAL_LEGALREP_IIN_CHECKSUM', 'error',
+   '{"always": true}',
+   '{"type": "iin", "field": "iin_legalrepresentative"}',
+   'Legal representative IIN is invalid: wrong format or control digit', 20),
+  ('VAL_SPOUSE_IIN_DIFFERS', 'error',
+   '{"always": true}',
+   '{"type": "distinct", "fields": ["iin", "iin_spouse"]}',
+   'Spouse IIN must differ from taxpayer IIN', 20),
+  -- Межстрочные контроли 270.01
+  ('VAL_INCOME_PROPERTY_TOTAL', 'error',
+   '{"always": true}',
+   '{"type": "formula", "field": "LF_INCOME_PROPERTY_TOTAL", "formula": {"op": "sum", "refs": ["LF_INCOME_PROPERTY_KZ", "LF_INCOME_PROPERTY_FOREIGN", "LF_INCOME_PROPERTY_CAPITAL_CONTRIBUTION"]}, "tolerance": 1}',
+   '270.01 A must equal sum of property income lines', 30),
+  ('VAL_INCOME_FOREIGN_TOTAL', 'error',
+   '{"always": true}',
+   '{"type": "formula", "field": "LF_INCOME_FOREIGN_TOTAL", "formula": {"op": "sum", "refs": ["LF_INCOME_FOREIGN_EMPLOYMENT", "LF_INCOME_FOREIGN_GPC", "LF_INCOME_FOREIGN_WIN", "LF_INCOME_FOREIGN_DIVIDENDS", "LF_INCOME_FOREIGN_INTEREST", "LF_INCOME_FOREIGN_SCHOLARSHIP", "LF_INCOME_FOREIGN_INSURANCE", "LF_INCOME_FOREIGN_PENSION", "LF_INCOME_FOREIGN_OTHER"]}, "tolerance": 1}',
+   '270.01 B_1 must equal sum of B_1_1 - B_1_9', 30),
+  ('VAL_INCOME_TOTAL', 'error',
+   '{"always": true}',
+   '{"type": "formula", "field": "LF_INCOME_TOTAL", "formula": {"op": "sum", "refs": ["LF_INCOME_PROPERTY_TOTAL", "LF_INCOME_RENT_NON_AGENT", "LF_INCOME_ASSIGNMENT_RIGHTS", "LF_INCOME_IP_OTHER_ASSETS", "LF_INCOME_FOREIGN_TOTAL", "LF_INCOME_DOMESTIC_HELPERS", "LF_INCOME_CITIZENS_GPC", "LF_INCOME_MEDIATOR", "LF_INCOME_SUBSIDIARY_FARM", "LF_INCOME_LABOR_MIGRANT", "LF_INCOME_OTHER_NON_AGENT", "LF_INCOME_CFC_PROFIT"]}, "tolerance": 1}',
+   '270.01 D must equal A + B + C', 30),
+  ('VAL_ADJUSTMENT_TOTAL', 'error',
+   '{"always": true}',
+   '{"type": "formula", "field": "LF_ADJUSTMENT_TOTAL", "formula": {"op": "sum", "refs": ["LF_ADJUSTMENT_EXCLUDED_ART_341", "LF_ADJUSTMENT_EXCLUDED_ART_654", "LF_ADJUSTMENT_EXCLUDED_TREATY", "LF_ADJUSTMENT_EXCLUDED_AIFC"]}, "tolerance": 1}',
+   '270.01 E must equal sum of E_1 - E_4', 30),
+  ('VAL_DEDUCTION_TOTAL', 'error',
+   '{"always": true}',
+   '{"type": "formula", "field": "LF_DEDUCTION_TOTAL", "formula": {"op": "sum", "refs": ["LF_DEDUCTION_STANDARD", "LF_DEDUCTION_OTHER"]}, "tolerance": 1}',
+   '270.01 F must equal F_1 + F_2', 30),
+  ('VAL_TAXABLE_INCOME', 'error',
+   '{"always": true}',
+   '{"type": "formula", "field": "LF_TAXABLE_INCOME", "formula": {"op": "max", "a": 0, "b": {"op": "sub", "a": {"op": "sub", "a": {"ref": "LF_INCOME_TOTAL"}, "b": {"ref": "LF_ADJUSTMENT_TOTAL"}}, "b": {"ref": "LF_DEDUCTION_TOTAL"}}}, "tolerance": 1}',
+   '270.01 G must equal max(0, D - E - F)', 30),
+  ('VAL_IPN_PAYABLE', 'error',
+   '{"always": true}',
+   '{"type": "formula", "field": "LF_IPN_PAYABLE", "formula": {"op": "sub", "a": {"op": "sub", "a": {"ref": "LF_IPN_CALCULATED"}, "b": {"ref": "LF_FOREIGN_TAX_CREDIT_GENERAL"}}, "b": {"ref": "LF_FOREIGN_TAX_CREDIT_CFC"}}, "tolerance": 1}',
+   '270.01 K must equal H - I - J', 30),
+  -- Признаки приложений pril_N ↔ заполненные приложения 270.0N (REG_* - число записей реестров)
+  ('VAL_FLAG_PRIL_1', 'error',
+   '{"always": true}',
+   '{"type": "flag", "flag": "pril_1", "formula": {"op": "sum", "refs": ["LF_INCOME_PROPERTY_TOTAL", "LF_INCOME_RENT_NON_AGENT", "LF_INCOME_OTHER_NON_AGENT"]}}',
+   'pril_1 must be set if and only if appendix 270.01 is filled', 40),
+  ('VAL_FLAG_PRIL_2', 'error',
+   '{"always": true}',
+   '{"type": "flag", "flag": "pril_2", "formula": {"ref": "LF_INCOME_FOREIGN_TOTAL"}}',
+   'pril_2 must be set if and only if appendix 270.02 is filled', 40),
+  ('VAL_FLAG_PRIL_3', 'error',
+   '{"always": true}',
+   '{"type": "flag", "flag": "pril_3", "formula": {"ref": "REG_AGENTS"}}',
+   'pril_3 must be set if and only if appendix 270.03 is filled', 40),
+  ('VAL_FLAG_PRIL_4', 'error',
+   '{"always": true}',
+   '{"type": "flag", "flag": "pril_4", "formula": {"ref": "REG_FOREIGN_ASSETS"}}',
+   'pril_4 must be set if and only if appendix 270.04 is filled', 40),
+  ('VAL_FLAG_PRIL_5', 'error',
+   '{"always": true}',
+   '{"type": "flag", "flag": "pril_5", "formula": {"ref": "REG_DOMESTIC_ASSETS"}}',
+   'pril_5 must be set if and only if appendix 270.05 is filled', 40),
+  ('VAL_FLAG_PRIL_6', 'error',
+   '{"always": true}',
+   '{"type": "flag", "flag": "pril_6", "formula": {"ref": "REG_CFC"}}',
+   'pril_6 must be set if and only if appendix 270.06 is filled', 40),
+  ('VAL_FLAG_PRIL_7', 'error',
+   '{"always": true}',
+   '{"type": "flag", "flag": "pril_7", "formula": {"ref": "REG_CFC"}}',
+   'pril_7 must be set if and only if appendix 270.07 is filled', 40),
+  -- Реквизиты 270.02
+  ('VAL_KOGD_FOR_PAYMENT', 'warning',
+   '{"formula": {"op": "sum", "refs": ["LF_IPN_TO_PAY", "LF_IPN_TO_REFUND"]}}',
+   '{"type": "required_header", "fields": ["payer_kogd"]}',
+   'KOGD (tax authority code) is not set for taxpayer, 270.02 will be incomplete', 50),
+  ('VAL_BANK_FOR_REFUND', 'warning',
+   '{"formula": {"ref": "LF_IPN_TO_REFUND"}}',
+   '{"type": "required_header", "fields": ["payer_iik", "payer_bank_bic"]}',
+   'IIK and BIC are required to refund IPN (270.02)', 50)
+) AS v(rule_code, severity, conditions, assertion, message, priority)
+WHERE NOT EXISTS (SELECT 1 FROM validation_rules vr WHERE vr.rule_code = v.rule_code);
@@ -0,0 +1,45 @@
+-- 011_consents.sql
+-- =========================================================
+-- Согласие владельца на подачу декларации (awaiting_consent → signed)
+-- Запрос согласия привязан к конкретному XML, подтверждается ссылкой или кодом
+-- =========================================================
+
+-- -----------------------------
+-- CONSENT REQUESTS
+-- status: created → sent → delivered → confirmed | failed | expired
+-- -----------------------------
+ALTER TABLE consent_requests
+  ADD COLUMN IF NOT EXISTS consent_type TEXT NOT NULL DEFAULT 'submission',
+  ADD COLUMN IF NOT EXISTS xml_export_id UUID REFERENCES xml_exports(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS requested_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS recipient_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS token_hash TEXT,        -- sha256 токена из ссылки
+  ADD COLUMN IF NOT EXISTS code_hash TEXT,         -- bcrypt 6-значного кода
+  ADD COLUMN IF NOT EXISTS attempts INT DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT now();
+
+ALTER TABLE consent_requests DROP CONSTRAINT IF EXISTS consent_requests_status_check;
+ALTER TABLE consent_requests ADD CONSTRAINT consent_requests_status_check
+  CHECK (status IN ('created','sent','delivered','confirmed','failed','expired'));
+
+ALTER TABLE consent_requests DROP CONSTRAINT IF EXISTS consent_requests_consent_type_check;
+ALTER TABLE consent_requests ADD CONSTRAINT consent_requests_consent_type_check
+  CHECK (consent_type IN ('submission','bank_disclosure'));
+
+CREATE INDEX IF NOT EXISTS idx_consent_requests_declaration
+  ON consent_requests(declaration_id, created_at DESC);
+
+-- -----------------------------
+-- CONSENTS: кто, когда, откуда и на какой XML дал согласие
+-- -----------------------------
+ALTER TABLE consents
+  ADD COLUMN IF NOT EXISTS consent_request_id UUID REFERENCES consent_requests(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS xml_export_id UUID REFERENCES xml_exports(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS xml_hash TEXT,
+  ADD COLUMN IF NOT EXISTS given_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS ip_address INET,
+  ADD COLUMN IF NOT EXISTS user_agent TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_consents_declaration
+  ON consents(declaration_id, consent_type, given_at DESC);
@@ -0,0 +1,25 @@
+-- 012_xml_signatures.sql
+-- =========================================================
+-- ЭЦП (XMLDSig) выгруженной декларации
+-- ds:Signature хранится в declaration_signatures, xml_exports.signed = true
+-- =========================================================
+
+-- -----------------------------
+-- DECLARATION SIGNATURES: подписанный XML, подписант, сертификат
+-- signing_method: client - подпись сформирована на стороне клиента (NCALayer и т.п.),
+--                 server - подписано сервером ключом PKCS#12 пользователя (ключ не сохраняется)
+-- -----------------------------
+ALTER TABLE declaration_signatures
+  ADD COLUMN IF NOT EXISTS xml_export_id UUID REFERENCES xml_exports(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS xml_hash TEXT,
+  ADD COLUMN IF NOT EXISTS signed_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS signing_method TEXT,
+  ADD COLUMN IF NOT EXISTS signer_iin CHAR(12),
+  ADD COLUMN IF NOT EXISTS certificate JSONB;   -- subject, issuer, serialNumber, validFrom, validTo, fingerprint, trusted
+
+ALTER TABLE declaration_signatures DROP CONSTRAINT IF EXISTS declaration_signatures_signing_method_check;
+ALTER TABLE declaration_signatures ADD CONSTRAINT declaration_signatures_signing_method_check
+  CHECK (signing_method IN ('client','server'));
+
+CREATE INDEX IF NOT EXISTS idx_declaration_signatures_declaration
+  ON declaration_signatures(declaration_id, signed_at DESC);
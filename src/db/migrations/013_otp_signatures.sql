@@ -0,0 +1,31 @@
+-- 013_otp_signatures.sql
+-- =========================================================
+-- Простая подпись декларации одноразовым кодом (signature_type = 'otp')
+-- Коды входа и коды подписи различаются по purpose,
+-- код подписи привязан к хэшу подписываемого XML
+-- =========================================================
+
+-- -----------------------------
+-- OTP CODES
+-- purpose: login - вход в систему, declaration_signing - подпись декларации
+-- payload_hash: xml_exports.xml_hash, который подтверждается кодом
+-- -----------------------------
+ALTER TABLE otp_codes
+  ADD COLUMN IF NOT EXISTS purpose TEXT NOT NULL DEFAULT 'login',
+  ADD COLUMN IF NOT EXISTS payload_hash TEXT;
+
+ALTER TABLE otp_codes DROP CONSTRAINT IF EXISTS otp_codes_purpose_check;
+ALTER TABLE otp_codes ADD CONSTRAINT otp_codes_purpose_check
+  CHECK (purpose IN ('login','declaration_signing'));
+
+DROP INDEX IF EXISTS idx_otp_active;
+CREATE INDEX idx_otp_active
+  ON otp_codes(user_id, purpose)
+  WHERE used = false;
+
+-- -----------------------------
+-- DECLARATION SIGNATURES: откуда подписано
+-- -----------------------------
+ALTER TABLE declaration_signatures
+  ADD COLUMN IF NOT EXISTS ip_address INET,
+  ADD COLUMN IF NOT EXISTS user_agent TEXT;
@@ -0,0 +1,44 @@
+-- 014_submissions.sql
+-- =========================================================
+-- Подача подписанной декларации через шлюз (signed → submitted → accepted | rejected)
+-- Транспорт подключаемый: mock (локальная имитация) или реальный шлюз
+-- =========================================================
+
+-- -----------------------------
+-- SMARTBRIDGE SUBMISSIONS
+-- status: сырой статус шлюза (как пришёл от провайдера)
+-- state:  нормализованное состояние
+--         created → sent → processing → accepted | rejected; failed - шлюз не принял запрос
+-- -----------------------------
+ALTER TABLE smartbridge_submissions
+  ADD COLUMN IF NOT EXISTS xml_export_id UUID REFERENCES xml_exports(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS signature_id UUID REFERENCES declaration_signatures(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS submitted_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS state TEXT NOT NULL DEFAULT 'created',
+  ADD COLUMN IF NOT EXISTS registration_number TEXT,   -- регистрационный номер, присвоенный органом
+  ADD COLUMN IF NOT EXISTS rejection_reason TEXT,      -- причина отказа от органа
+  ADD COLUMN IF NOT EXISTS errors JSONB,               -- [{ code, message, form?, field? }]
+  ADD COLUMN IF NOT EXISTS poll_attempts INT DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS last_polled_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS completed_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS created_at TIMESTAMP DEFAULT now();
+
+ALTER TABLE smartbridge_submissions DROP CONSTRAINT IF EXISTS smartbridge_submissions_state_check;
+ALTER TABLE smartbridge_submissions ADD CONSTRAINT smartbridge_submissions_state_check
+  CHECK (state IN ('created','sent','processing','accepted','rejected','failed'));
+
+CREATE INDEX IF NOT EXISTS idx_smartbridge_submissions_declaration
+  ON smartbridge_submissions(declaration_id, created_at DESC);
+
+-- очередь опроса шлюза
+CREATE INDEX IF NOT EXISTS idx_smartbridge_submissions_pending
+  ON smartbridge_submissions(last_polled_at)
+  WHERE state IN ('sent','processing');
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_smartbridge_submissions_external
+  ON smartbridge_submissions(external_system, external_id);
+
+-- не больше одной отправки декларации в работе у шлюза
+CREATE UNIQUE INDEX IF NOT EXISTS uq_smartbridge_submissions_in_flight
+  ON smartbridge_submissions(declaration_id)
+  WHERE state IN ('created','sent','processing');
@@ -0,0 +1,73 @@
+-- 015_authority_receipts.sql
+-- =========================================================
+-- Ответ налогового органа (квитанция о приёме / уведомление об отказе)
+-- Регистрационный номер и даты попадают в шапку последующих выгрузок XML,
+-- коды отказа → замечания по полям (validation_reports, validation_type = 'authority')
+-- =========================================================
+
+-- -----------------------------
+-- AUTHORITY RECEIPTS
+-- source: gateway - результат шлюза (submissions), xml / json - загружен пользователем
+-- errors: [{ code, message, applicationCode?, xmlField?, field? }] - field = логическое поле / поле шапки
+-- -----------------------------
+CREATE TABLE IF NOT EXISTS authority_receipts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  declaration_id UUID REFERENCES declarations(id) ON DELETE CASCADE,
+  submission_id UUID REFERENCES smartbridge_submissions(id) ON DELETE SET NULL,
+  outcome TEXT CHECK (outcome IN ('accepted','rejected')) NOT NULL,
+  registration_number TEXT,   -- → in_doc_number
+  post_date DATE,             -- дата приёма органом → post_date
+  processed_at TIMESTAMP,     -- дата обработки (решения)
+  receptor_name TEXT,         -- орган, принявший декларацию (код КОГД / наименование) → receptor_name
+  reason TEXT,
+  errors JSONB,
+  source TEXT CHECK (source IN ('gateway','xml','json')) NOT NULL,
+  raw_payload TEXT,
+  created_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_authority_receipts_declaration
+  ON authority_receipts(declaration_id, created_at DESC);
+
+-- -----------------------------
+-- AUTHORITY ERROR CODES: код отказа → поле формы
+-- logical_field задаётся, если поле XML не связано с логическим полем через xml_field_map
+-- -----------------------------
+CREATE TABLE IF NOT EXISTS authority_error_codes (
+  code TEXT PRIMARY KEY,
+  form_code TEXT NOT NULL DEFAULT '270.00',
+  application_code TEXT,      -- '270.00'..'270.07'
+  xml_field_name TEXT,
+  logical_field TEXT,         -- LF_* или поле шапки (iin, period_year ...)
+  message TEXT NOT NULL,
+  hint TEXT                   -- что исправить
+);
+
+INSERT INTO authority_error_codes (code, form_code, application_code, xml_field_name, logical_field, message, hint) VALUES
+('FNO_IIN_NOT_FOUND', '270.00', '270.00', 'iin', NULL,
+ 'ИИН налогоплательщика не найден в ГБД ФЛ', 'Проверьте ИИН в шапке декларации'),
+('FNO_PERIOD_DUPLICATE', '270.00', '270.00', 'period_year', NULL,
+ 'Декларация за указанный период уже принята', 'Подайте дополнительную декларацию (declaration_kind = additional)'),
+('FNO_INCOME_TOTAL_MISMATCH', '270.00', '270.01', 'field_270_01_B', NULL,
+ 'Итоговая сумма доходов не равна сумме строк', 'Пересчитайте декларацию и проверьте строки раздела B'),
+('FNO_SIGNATURE_INVALID', '270.00', NULL, NULL, NULL,
+ 'Подпись декларации не прошла проверку', 'Подпишите декларацию действующим сертификатом владельца')
+ON CONFLICT (code) DO NOTHING;
+
+-- -----------------------------
+-- VALIDATION REPORTS: замечания органа
+-- -----------------------------
+ALTER TABLE validation_reports DROP CONSTRAINT IF EXISTS validation_reports_validation_type_check;
+ALTER TABLE validation_reports ADD CONSTRAINT validation_reports_validation_type_check
+  CHECK (validation_type IN ('xsd','business','authority'));
+
+-- -----------------------------
+-- XML: реквизиты приёма из последней квитанции
+-- -----------------------------
+UPDATE xml_field_map SET value_source = 'receipt.registration_number'
+  WHERE form_code = '270.00' AND application_code = '270.00' AND xml_field_name = 'in_doc_number' AND value_source IS NULL;
+UPDATE xml_field_map SET value_source = 'receipt.post_date', value_format = 'date'
+  WHERE form_code = '270.00' AND application_code = '270.00' AND xml_field_name = 'post_date' AND value_source IS NULL;
+UPDATE xml_field_map SET value_source = 'receipt.receptor_name'
+  WHERE form_code = '270.00' AND application_code = '270.00' AND xml_field_name = 'receptor_name' AND value_source IS NULL;
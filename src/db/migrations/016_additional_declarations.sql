@@ -0,0 +1,20 @@
+-- 016_additional_declarations.sql
+-- =========================================================
+-- Дополнительная декларация (declaration_kind = additional)
+-- Создаётся из принятой декларации (основной или предыдущей дополнительной),
+-- хранит полные значения; в XML уходит разница с принятой версией
+-- =========================================================
+
+ALTER TABLE declarations
+  ADD COLUMN IF NOT EXISTS original_declaration_id UUID REFERENCES declarations(id);
+
+-- Дополнительных за год может быть несколько: уникальность только для остальных видов
+DROP INDEX IF EXISTS uq_decl_identity_year_form_kind;
+CREATE UNIQUE INDEX uq_decl_identity_year_form_kind
+  ON declarations(tax_identity_id, tax_year, form_code, declaration_kind)
+  WHERE declaration_kind <> 'additional';
+
+-- Одна дополнительная на каждую принятую версию (цепочка main → additional → additional)
+CREATE UNIQUE INDEX IF NOT EXISTS uq_decl_original
+  ON declarations(original_declaration_id)
+  WHERE original_declaration_id IS NOT NULL;
@@ -0,0 +1,35 @@
+-- 017_declaration_snapshots.sql
+-- =========================================================
+-- Снимки декларации: история значений для аудита
+-- Снимок пишется при каждом расчёте, ручной правке, валидации и смене статуса
+-- и не изменяется (в приложении только INSERT / SELECT)
+-- =========================================================
+
+-- -----------------------------
+-- DECLARATION SNAPSHOTS
+-- reason:     generate | manual_override | header_update | validation | status_transition | restore
+-- items:      [{ logical_field, value, source }]
+-- breakdowns: [{ logical_field, group_key, period_month, value }]
+-- header:     { iin, fio_last, ... } - шапка на момент снимка
+-- event_ids / rule_ids: налоговые события и правила последнего расчёта
+-- details:    по причине - { from, to } | { logicalField, value } | { isValid, errors, warnings } | { snapshotId, version }
+-- -----------------------------
+CREATE TABLE IF NOT EXISTS declaration_snapshots (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  declaration_id UUID REFERENCES declarations(id) ON DELETE CASCADE,
+  version INT NOT NULL,
+  reason TEXT CHECK (
+    reason IN ('generate','manual_override','header_update','validation','status_transition','restore')
+  ) NOT NULL,
+  status TEXT NOT NULL,
+  items JSONB NOT NULL DEFAULT '[]',
+  breakdowns JSONB NOT NULL DEFAULT '[]',
+  flags JSONB NOT NULL DEFAULT '{}',
+  header JSONB NOT NULL DEFAULT '{}',
+  event_ids JSONB NOT NULL DEFAULT '[]',
+  rule_ids JSONB NOT NULL DEFAULT '[]',
+  details JSONB,
+  created_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT now(),
+  UNIQUE(declaration_id, version)
+);
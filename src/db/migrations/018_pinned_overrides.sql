@@ -0,0 +1,15 @@
+-- 018_pinned_overrides.sql
+-- =========================================================
+-- Ручные правки значений декларации (PUT /declarations/:id/items/:field)
+-- закрепляются: пересчёт Rule Engine их не перезаписывает, итоги
+-- пересчитываются с учётом правки, значение движка хранится рядом
+-- =========================================================
+
+ALTER TABLE declaration_items
+  ADD COLUMN IF NOT EXISTS pinned BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS engine_value NUMERIC(18,2),          -- значение движка для закреплённого поля
+  ADD COLUMN IF NOT EXISTS overridden_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS overridden_at TIMESTAMP;
+
+-- Правки, сделанные до закрепления, считаем закреплёнными
+UPDATE declaration_items SET pinned = true WHERE source = 'manual' AND pinned = false;
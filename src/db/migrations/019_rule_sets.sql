@@ -0,0 +1,35 @@
+-- 019_rule_sets.sql
+-- =========================================================
+-- Версии набора правил Rule Engine
+-- tax_rules - рабочая копия (редактируется через /api/rules),
+-- версия - неизменяемый снимок активных правил: draft → published → retired
+-- Расчёт берёт опубликованную версию, действующую на дату расчёта,
+-- и запоминает её в декларации (пока нет опубликованных - правила из tax_rules)
+-- =========================================================
+
+-- -----------------------------
+-- RULE SET VERSIONS
+-- rules:            [{ id, rule_code, tax_year, rule_type, conditions, actions, priority }]
+-- effective_from:   с этой даты версия применяется к расчётам
+-- rolled_back_from: откат - версия, правила которой опубликованы повторно
+-- -----------------------------
+CREATE TABLE IF NOT EXISTS rule_set_versions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  version INT UNIQUE NOT NULL,
+  status TEXT CHECK (status IN ('draft','published','retired')) NOT NULL DEFAULT 'draft',
+  effective_from DATE NOT NULL,
+  rules JSONB NOT NULL DEFAULT '[]',
+  notes TEXT,
+  rolled_back_from INT,
+  created_by_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  published_at TIMESTAMP,
+  retired_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_rule_set_versions_effective
+  ON rule_set_versions(status, effective_from);
+
+-- Версия набора правил последнего расчёта декларации
+ALTER TABLE declarations
+  ADD COLUMN IF NOT EXISTS rule_set_version_id UUID REFERENCES rule_set_versions(id) ON DELETE SET NULL;
@@ -0,0 +1,14 @@
+-- 020_pril_flag_validation.sql
+-- =========================================================
+-- Контроли признаков pril_1 / pril_2 - по тем же полям, что и runEngine.autoSetFlags:
+-- pril_1 - доходы от имущества, аренды и прочие доходы без налогового агента,
+-- pril_2 - доходы из источников за пределами РК
+-- =========================================================
+
+UPDATE validation_rules
+SET assertion = '{"type": "flag", "flag": "pril_1", "formula": {"op": "sum", "refs": ["LF_INCOME_PROPERTY_TOTAL", "LF_INCOME_RENT_NON_AGENT", "LF_INCOME_OTHER_NON_AGENT"]}}'::jsonb
+WHERE rule_code = 'VAL_FLAG_PRIL_1';
+
+UPDATE validation_rules
+SET assertion = '{"type": "flag", "flag": "pril_2", "formula": {"ref": "LF_INCOME_FOREIGN_TOTAL"}}'::jsonb
+WHERE rule_code = 'VAL_FLAG_PRIL_2';
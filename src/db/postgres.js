@@ -44,19 +44,29 @@ const getClient = async () => {
     return await pool.connect();
 };
 
+/**
+ * Run fn in a transaction
+ * With client given, fn joins the caller's transaction instead of opening one
+ * @param {Function} fn - async (client) => result
+ * @param {Object} client - Client of the running transaction (optional)
+ * @returns {Promise<*>}
+ */
+const withTransaction = async (fn, client = null) => {
+    if (client) {
+        return fn(client);
+    }
 
-const withTransaction = async (fn) => {
-    const client = await pool.connect();
+    const txClient = await pool.connect();
     try {
-        await client.query('BEGIN');
-        const result = await fn(client);
-        await client.query('COMMIT');
+        await txClient.query('BEGIN');
+        const result = await fn(txClient);
+        await txClient.query('COMMIT');
         return result;
     } catch (err) {
-        await client.query('ROLLBACK');
+        await txClient.query('ROLLBACK');
         throw err;
     } finally {
-        client.release();
+        txClient.release();
     }
 };
 
@@ -0,0 +1,108 @@
+const cfcService = require('./cfc.service');
+
+const cfcController = {
+    /**
+     * List CFC entities
+     * GET /api/identities/:taxIdentityId/cfc
+     */
+    async list(req, res, next) {
+        try {
+            const userId = req.user.id;
+            const { taxIdentityId } = req.params;
+            const { taxYear } = req.query;
+
+            const entities = await cfcService.list(userId, taxIdentityId, {
+                taxYear: taxYear ? parseInt(taxYear, 10) : null,
+            });
+
+            res.json({
+                success: true,
+                data: entities,
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Register CFC entity
+     * POST /api/identities/:taxIdentityId/cfc
+     */
+    async create(req, res, next) {
+        try {
+            const userId = req.user.id;
+            const { taxIdentityId } = req.params;
+
+            const entity = await cfcService.create(userId, taxIdentityId, req.body || {});
+
+            res.status(201).json({
+                success: true,
+                data: entity,
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Get CFC entity
+     * GET /api/identities/:taxIdentityId/cfc/:cfcId
+     */
+    async get(req, res, next) {
+        try {
+            const userId = req.user.id;
+            const { taxIdentityId, cfcId } = req.params;
+
+            const entity = await cfcService.get(userId, taxIdentityId, cfcId);
+
+            res.json({
+                success: true,
+                data: entity,
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Update CFC entity
+     * PUT /api/identities/:taxIdentityId/cfc/:cfcId
+     */
+    async update(req, res, next) {
+        try {
+            const userId = req.user.id;
+            const { taxIdentityId, cfcId } = req.params;
+
+            const entity = await cfcService.update(userId, taxIdentityId, cfcId, req.body || {});
+
+            res.json({
+                success: true,
+                data: entity,
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Delete CFC entity
+     * DELETE /api/identities/:taxIdentityId/cfc/:cfcId
+     */
+    async delete(req, res, next) {
+        try {
+            const userId = req.user.id;
+            const { taxIdentityId, cfcId } = req.params;
+
+            await cfcService.delete(userId, taxIdentityId, cfcId);
+
+            res.json({
+                success: true,
+                message: 'CFC entity deleted',
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+};
+
+module.exports = cfcController;
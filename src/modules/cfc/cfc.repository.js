@@ -0,0 +1,137 @@
+const db = require('../../db/postgres');
+
+const CFC_FIELDS = [
+    'name', 'country_code', 'registration_number', 'ownership_share',
+    'control_type', 'ownership_start', 'ownership_end',
+];
+
+const cfcRepository = {
+    // ==========================================
+    // CRUD
+    // ==========================================
+
+    /**
+     * Create CFC entity
+     * @param {string} taxIdentityId
+     * @param {Object} data - camelCase CFC fields
+     * @returns {Promise<Object>}
+     */
+    async create(taxIdentityId, data) {
+        const columns = ['tax_identity_id'];
+        const values = [taxIdentityId];
+
+        for (const field of CFC_FIELDS) {
+            const value = data[this.toCamel(field)];
+            if (value !== undefined) {
+                columns.push(field);
+                values.push(value);
+            }
+        }
+
+        const placeholders = values.map((_, i) => `$${i + 1}`);
+        const result = await db.query(
+            `INSERT INTO cfc_entities (${columns.join(', ')})
+            VALUES (${placeholders.join(', ')})
+            RETURNING *`,
+            values
+        );
+        return result.rows[0];
+    },
+
+    /**
+     * Find CFC by ID
+     * @param {string} id
+     * @returns {Promise<Object|null>}
+     */
+    async findById(id) {
+        const result = await db.query(
+            `SELECT * FROM cfc_entities WHERE id = $1`,
+            [id]
+        );
+        return result.rows[0] || null;
+    },
+
+    /**
+     * List CFC entities for tax identity
+     * @param {string} taxIdentityId
+     * @param {Object} options - { taxYear } - only entities owned during the year
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<Array>}
+     */
+    async listByTaxIdentity(taxIdentityId, { taxYear } = {}, client = db) {
+        const conditions = ['tax_identity_id = $1'];
+        const params = [taxIdentityId];
+        let paramIndex = 2;
+
+        if (taxYear) {
+            conditions.push(`(ownership_start IS NULL OR ownership_start <= $${paramIndex})`);
+            params.push(`${taxYear}-12-31`);
+            paramIndex++;
+            conditions.push(`(ownership_end IS NULL OR ownership_end >= $${paramIndex})`);
+            params.push(`${taxYear}-01-01`);
+            paramIndex++;
+        }
+
+        const result = await client.query(
+            `SELECT * FROM cfc_entities
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY name, registration_number`,
+            params
+        );
+        return result.rows;
+    },
+
+    /**
+     * Update CFC entity
+     * @param {string} id
+     * @param {Object} data - camelCase CFC fields
+     * @returns {Promise<Object>}
+     */
+    async update(id, data) {
+        const fields = [];
+        const values = [];
+        let paramIndex = 1;
+
+        for (const [key, value] of Object.entries(data)) {
+            const snakeKey = key.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+            if (CFC_FIELDS.includes(snakeKey)) {
+                fields.push(`${snakeKey} = $${paramIndex}`);
+                values.push(value);
+                paramIndex++;
+            }
+        }
+
+        if (fields.length === 0) {
+            return this.findById(id);
+        }
+
+        values.push(id);
+        const result = await db.query(
+            `UPDATE cfc_entities
+            SET ${fields.join(', ')}, updated_at = now()
+            WHERE id = $${paramIndex}
+            RETURNING *`,
+            values
+        );
+        return result.rows[0];
+    },
+
+    /**
+     * Delete CFC entity
+     * @param {string} id
+     * @returns {Promise<boolean>}
+     */
+    async delete(id) {
+        const result = await db.query(
+            `DELETE FROM cfc_entities WHERE id = $1`,
+            [id]
+        );
+        return result.rowCount > 0;
+    },
+
+    toCamel(field) {
+        return field.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase());
+    },
+};
+
+module.exports = cfcRepository;
@@ -0,0 +1,46 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const cfcController = require('./cfc.controller');
+const { authenticate } = require('../../middleware/auth.middleware');
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/identities/:taxIdentityId/cfc
+ * @desc    List controlled foreign companies (270.06 / 270.07 register)
+ * @access  Private
+ * @query   taxYear (entities owned during the year)
+ */
+router.get('/', cfcController.list);
+
+/**
+ * @route   POST /api/identities/:taxIdentityId/cfc
+ * @desc    Register CFC entity
+ * @access  Private
+ * @body    { name, countryCode, registrationNumber, ownershipShare, controlType?, ownershipStart?, ownershipEnd? }
+ */
+router.post('/', cfcController.create);
+
+/**
+ * @route   GET /api/identities/:taxIdentityId/cfc/:cfcId
+ * @desc    Get CFC entity
+ * @access  Private
+ */
+router.get('/:cfcId', cfcController.get);
+
+/**
+ * @route   PUT /api/identities/:taxIdentityId/cfc/:cfcId
+ * @desc    Update CFC entity
+ * @access  Private
+ */
+router.put('/:cfcId', cfcController.update);
+
+/**
+ * @route   DELETE /api/identities/:taxIdentityId/cfc/:cfcId
+ * @desc    Delete CFC entity
+ * @access  Private (owner only)
+ */
+router.delete('/:cfcId', cfcController.delete);
+
+module.exports = router;
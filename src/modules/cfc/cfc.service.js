@@ -0,0 +1,206 @@
+const cfcRepository = require('./cfc.repository');
+const identitiesRepository = require('../identities/identities.repository');
+
+const cfcService = {
+    // ==========================================
+    // CRUD
+    // ==========================================
+
+    /**
+     * Register CFC entity
+     * @param {string} userId
+     * @param {string} taxIdentityId
+     * @param {Object} data
+     * @returns {Promise<Object>}
+     */
+    async create(userId, taxIdentityId, data) {
+        await this.checkAccess(userId, taxIdentityId);
+
+        const entity = this.normalizeEntity(data, false);
+        return cfcRepository.create(taxIdentityId, entity);
+    },
+
+    /**
+     * List CFC entities
+     * @param {string} userId
+     * @param {string} taxIdentityId
+     * @param {Object} options - { taxYear }
+     * @returns {Promise<Array>}
+     */
+    async list(userId, taxIdentityId, { taxYear } = {}) {
+        await this.checkAccess(userId, taxIdentityId);
+        return cfcRepository.listByTaxIdentity(taxIdentityId, { taxYear });
+    },
+
+    /**
+     * Get CFC entity
+     * @param {string} userId
+     * @param {string} taxIdentityId
+     * @param {string} cfcId
+     * @returns {Promise<Object>}
+     */
+    async get(userId, taxIdentityId, cfcId) {
+        await this.checkAccess(userId, taxIdentityId);
+        return this.findOwnEntity(taxIdentityId, cfcId);
+    },
+
+    /**
+     * Update CFC entity
+     * @param {string} userId
+     * @param {string} taxIdentityId
+     * @param {string} cfcId
+     * @param {Object} data
+     * @returns {Promise<Object>}
+     */
+    async update(userId, taxIdentityId, cfcId, data) {
+        await this.checkAccess(userId, taxIdentityId);
+        const existing = await this.findOwnEntity(taxIdentityId, cfcId);
+
+        const entity = this.normalizeEntity(data, true);
+
+        const start = entity.ownershipStart !== undefined ? entity.ownershipStart : this.toDateString(existing.ownership_start);
+        const end = entity.ownershipEnd !== undefined ? entity.ownershipEnd : this.toDateString(existing.ownership_end);
+        if (start && end && end < start) {
+            throw new Error('ownershipEnd must not be earlier than ownershipStart (invalid dates)');
+        }
+
+        return cfcRepository.update(cfcId, entity);
+    },
+
+    /**
+     * Delete CFC entity (owner only)
+     * @param {string} userId
+     * @param {string} taxIdentityId
+     * @param {string} cfcId
+     * @returns {Promise<boolean>}
+     */
+    async delete(userId, taxIdentityId, cfcId) {
+        await this.checkAccess(userId, taxIdentityId, ['owner']);
+        await this.findOwnEntity(taxIdentityId, cfcId);
+        return cfcRepository.delete(cfcId);
+    },
+
+    // ==========================================
+    // ENGINE / DECLARATION
+    // ==========================================
+
+    /**
+     * Ownership shares for the rule engine
+     * @param {string} taxIdentityId
+     * @param {number} taxYear
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<Object>} registration_number → ownership %
+     */
+    async getOwnershipShares(taxIdentityId, taxYear, client) {
+        const entities = await cfcRepository.listByTaxIdentity(taxIdentityId, { taxYear }, client);
+
+        const shares = {};
+        for (const entity of entities) {
+            shares[entity.registration_number] = parseFloat(entity.ownership_share);
+        }
+        return shares;
+    },
+
+    /**
+     * CFC entities owned during tax year (270.06 / 270.07 rows)
+     * @param {string} taxIdentityId
+     * @param {number} taxYear
+     * @returns {Promise<Array>}
+     */
+    async getForDeclaration(taxIdentityId, taxYear) {
+        return cfcRepository.listByTaxIdentity(taxIdentityId, { taxYear });
+    },
+
+    // ==========================================
+    // HELPERS
+    // ==========================================
+
+    async checkAccess(userId, taxIdentityId, roles) {
+        const hasAccess = await identitiesRepository.userHasAccess(userId, taxIdentityId, roles);
+        if (!hasAccess) {
+            throw new Error('No access to this tax identity');
+        }
+    },
+
+    async findOwnEntity(taxIdentityId, cfcId) {
+        const entity = await cfcRepository.findById(cfcId);
+        if (!entity || entity.tax_identity_id !== taxIdentityId) {
+            throw new Error('CFC entity not found');
+        }
+        return entity;
+    },
+
+    /**
+     * Validate and normalize CFC input
+     * @param {Object} data
+     * @param {boolean} partial - Update mode (required fields may be omitted)
+     * @returns {Object}
+     */
+    normalizeEntity(data, partial) {
+        const entity = { ...data };
+
+        for (const key of ['name', 'registrationNumber']) {
+            if (!partial || entity[key] !== undefined) {
+                if (!entity[key] || !String(entity[key]).trim()) {
+                    throw new Error(`${key} is required`);
+                }
+                entity[key] = String(entity[key]).trim();
+            }
+        }
+
+        if (!partial || entity.countryCode !== undefined) {
+            if (!entity.countryCode) {
+                throw new Error('countryCode is required');
+            }
+            entity.countryCode = String(entity.countryCode).trim().toUpperCase();
+            if (!/^[A-Z]{2}$/.test(entity.countryCode)) {
+                throw new Error(`countryCode is invalid: ${entity.countryCode}. Expected ISO 3166-1 alpha-2`);
+            }
+            if (entity.countryCode === 'KZ') {
+                throw new Error('countryCode is invalid: a CFC must be registered outside Kazakhstan');
+            }
+        }
+
+        if (!partial || entity.ownershipShare !== undefined) {
+            const share = parseFloat(entity.ownershipShare);
+            if (isNaN(share)) {
+                throw new Error('ownershipShare is required');
+            }
+            if (share <= 0 || share > 100) {
+                throw new Error('ownershipShare is invalid: must be greater than 0 and at most 100');
+            }
+            entity.ownershipShare = share;
+        }
+
+        if (entity.controlType !== undefined && !['direct', 'indirect'].includes(entity.controlType)) {
+            throw new Error(`controlType is invalid: ${entity.controlType}. Supported: direct, indirect`);
+        }
+
+        for (const key of ['ownershipStart', 'ownershipEnd']) {
+            if (entity[key] !== undefined && entity[key] !== null) {
+                if (!/^\d{4}-\d{2}-\d{2}$/.test(entity[key]) || isNaN(new Date(entity[key]).getTime())) {
+                    throw new Error(`${key} is invalid: expected YYYY-MM-DD`);
+                }
+            }
+        }
+
+        if (entity.ownershipStart && entity.ownershipEnd && entity.ownershipEnd < entity.ownershipStart) {
+            throw new Error('ownershipEnd must not be earlier than ownershipStart (invalid dates)');
+        }
+
+        return entity;
+    },
+
+    toDateString(date) {
+        if (!date) return null;
+        if (date instanceof Date) {
+            const y = date.getFullYear();
+            const m = String(date.getMonth() + 1).padStart(2, '0');
+            const d = String(date.getDate()).padStart(2, '0');
+            return `${y}-${m}-${d}`;
+        }
+        return String(date).slice(0, 10);
+    },
+};
+
+module.exports = cfcService;
@@ -0,0 +1,121 @@
+const consentService = require('./consent.service');
+
+const consentController = {
+    /**
+     * Consent requests and consents of declaration
+     * GET /api/consents/declarations/:declarationId
+     */
+    async listForDeclaration(req, res, next) {
+        try {
+            const result = await consentService.listForDeclaration(req.params.declarationId, req.user.id);
+
+            res.json({
+                success: true,
+                data: result,
+            });
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return res.status(404).json({ success: false, error: error.message });
+            }
+            if (error.message.includes('No access')) {
+                return res.status(403).json({ success: false, error: error.message });
+            }
+            if (error.message.includes('Cannot')) {
+                return res.status(409).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * Re-send consent request to the owner
+     * POST /api/consents/declarations/:declarationId/requests
+     */
+    async resend(req, res, next) {
+        try {
+            const { channel } = req.body || {};
+
+            const request = await consentService.resend(req.params.declarationId, req.user.id, { channel });
+
+            res.status(201).json({
+                success: true,
+                data: request,
+            });
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return res.status(404).json({ success: false, error: error.message });
+            }
+            if (error.message.includes('No access')) {
+                return res.status(403).json({ success: false, error: error.message });
+            }
+            if (error.message.includes('Cannot')) {
+                return res.status(409).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * Get consent request (owner)
+     * GET /api/consents/requests/:requestId
+     */
+    async getRequest(req, res, next) {
+        try {
+            const request = await consentService.getRequest(req.params.requestId, req.user.id);
+
+            res.json({
+                success: true,
+                data: request,
+            });
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return res.status(404).json({ success: false, error: error.message });
+            }
+            if (error.message.includes('No access')) {
+                return res.status(403).json({ success: false, error: error.message });
+            }
+            if (error.message.includes('Cannot')) {
+                return res.status(409).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * Give consent (owner)
+     * POST /api/consents/requests/:requestId/confirm
+     */
+    async confirm(req, res, next) {
+        try {
+            const { token, code } = req.body || {};
+            const ipAddress = req.ip || req.connection.remoteAddress;
+            const userAgent = req.get('User-Agent');
+
+            const consent = await consentService.confirm(
+                req.params.requestId,
+                req.user.id,
+                { token, code },
+                { ipAddress, userAgent }
+            );
+
+            res.status(201).json({
+                success: true,
+                data: consent,
+                message: 'Согласие на подачу декларации получено',
+            });
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return res.status(404).json({ success: false, error: error.message });
+            }
+            if (error.message.includes('No access')) {
+                return res.status(403).json({ success: false, error: error.message });
+            }
+            if (error.message.includes('Cannot')) {
+                return res.status(409).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    },
+};
+
+module.exports = consentController;
@@ -0,0 +1,175 @@
+const db = require('../../db/postgres');
+
+// Request statuses that can still be confirmed
+const OPEN_STATUSES = ['created', 'sent', 'delivered'];
+
+const consentRepository = {
+    OPEN_STATUSES,
+
+    // ==========================================
+    // CONSENT REQUESTS
+    // ==========================================
+
+    /**
+     * Create consent request
+     * @param {Object} data
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<Object>}
+     */
+    async createRequest({ declarationId, consentType, xmlExportId, requestedByUserId, recipientUserId, channel, destination, tokenHash, codeHash, expiresAt }, client = db) {
+        const result = await client.query(
+            `INSERT INTO consent_requests (
+                declaration_id, consent_type, xml_export_id, requested_by_user_id, recipient_user_id,
+                channel, destination, token_hash, code_hash, expires_at
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+            RETURNING *`,
+            [declarationId, consentType, xmlExportId, requestedByUserId, recipientUserId, channel, destination || null, tokenHash || null, codeHash || null, expiresAt]
+        );
+        return result.rows[0];
+    },
+
+    /**
+     * Find consent request by ID
+     * @param {string} id
+     * @returns {Promise<Object|null>}
+     */
+    async findRequestById(id) {
+        const result = await db.query(
+            `SELECT cr.*, d.tax_identity_id
+            FROM consent_requests cr
+            JOIN declarations d ON d.id = cr.declaration_id
+            WHERE cr.id = $1`,
+            [id]
+        );
+        return result.rows[0] || null;
+    },
+
+    /**
+     * List consent requests of declaration
+     * @param {string} declarationId
+     * @returns {Promise<Array>}
+     */
+    async listRequests(declarationId) {
+        const result = await db.query(
+            `SELECT
+                id, declaration_id, consent_type, xml_export_id, requested_by_user_id,
+                recipient_user_id, channel, destination, status, attempts, expires_at,
+                provider_payload, created_at, updated_at
+            FROM consent_requests
+            WHERE declaration_id = $1
+            ORDER BY created_at DESC`,
+            [declarationId]
+        );
+        return result.rows;
+    },
+
+    /**
+     * Update request status
+     * @param {string} id
+     * @param {string} status
+     * @param {Object} providerPayload - optional
+     * @returns {Promise<Object>}
+     */
+    async updateRequestStatus(id, status, providerPayload = null) {
+        const result = await db.query(
+            `UPDATE consent_requests
+            SET status = $2,
+                provider_payload = COALESCE($3, provider_payload),
+                updated_at = now()
+            WHERE id = $1
+            RETURNING *`,
+            [id, status, providerPayload ? JSON.stringify(providerPayload) : null]
+        );
+        return result.rows[0];
+    },
+
+    /**
+     * Increment failed confirmation attempts
+     * @param {string} id
+     * @returns {Promise<Object>}
+     */
+    async incrementAttempts(id) {
+        const result = await db.query(
+            `UPDATE consent_requests
+            SET attempts = attempts + 1, updated_at = now()
+            WHERE id = $1
+            RETURNING *`,
+            [id]
+        );
+        return result.rows[0];
+    },
+
+    /**
+     * Expire all open requests of declaration
+     * @param {string} declarationId
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<number>}
+     */
+    async expireOpenRequests(declarationId, client = db) {
+        const result = await client.query(
+            `UPDATE consent_requests
+            SET status = 'expired', updated_at = now()
+            WHERE declaration_id = $1 AND status = ANY($2)`,
+            [declarationId, OPEN_STATUSES]
+        );
+        return result.rowCount;
+    },
+
+    // ==========================================
+    // CONSENTS
+    // ==========================================
+
+    /**
+     * Record given consent
+     * @param {Object} data
+     * @returns {Promise<Object>}
+     */
+    async createConsent({ declarationId, taxIdentityId, consentRequestId, consentType, channel, xmlExportId, xmlHash, givenByUserId, ipAddress, userAgent }) {
+        const result = await db.query(
+            `INSERT INTO consents (
+                declaration_id, tax_identity_id, consent_request_id, consent_type, channel,
+                xml_export_id, xml_hash, given_by_user_id, ip_address, user_agent
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+            RETURNING *`,
+            [declarationId, taxIdentityId, consentRequestId, consentType, channel, xmlExportId, xmlHash || null, givenByUserId, ipAddress || null, userAgent || null]
+        );
+        return result.rows[0];
+    },
+
+    /**
+     * List consents of declaration
+     * @param {string} declarationId
+     * @returns {Promise<Array>}
+     */
+    async listConsents(declarationId) {
+        const result = await db.query(
+            `SELECT * FROM consents
+            WHERE declaration_id = $1
+            ORDER BY given_at DESC`,
+            [declarationId]
+        );
+        return result.rows;
+    },
+
+    /**
+     * Get latest consent of type
+     * @param {string} declarationId
+     * @param {string} consentType
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<Object|null>}
+     */
+    async findLatestConsent(declarationId, consentType, client = db) {
+        const result = await client.query(
+            `SELECT * FROM consents
+            WHERE declaration_id = $1 AND consent_type = $2
+            ORDER BY given_at DESC
+            LIMIT 1`,
+            [declarationId, consentType]
+        );
+        return result.rows[0] || null;
+    },
+};
+
+module.exports = consentRepository;
@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+const consentController = require('./consent.controller');
+const { authenticate } = require('../../middleware/auth.middleware');
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/consents/declarations/:declarationId
+ * @desc    Consent requests and given consents of declaration
+ * @access  Private
+ */
+router.get('/declarations/:declarationId', consentController.listForDeclaration);
+
+/**
+ * @route   POST /api/consents/declarations/:declarationId/requests
+ * @desc    Re-send consent request to the owner (declaration in awaiting_consent)
+ * @access  Private
+ * @body    { channel?: 'email' | 'web' }
+ */
+router.post('/declarations/:declarationId/requests', consentController.resend);
+
+/**
+ * @route   GET /api/consents/requests/:requestId
+ * @desc    Get consent request
+ * @access  Owner
+ */
+router.get('/requests/:requestId', consentController.getRequest);
+
+/**
+ * @route   POST /api/consents/requests/:requestId/confirm
+ * @desc    Give submission consent: token from email link or code (email), nothing for web
+ * @access  Owner
+ * @body    { token?, code? }
+ */
+router.post('/requests/:requestId/confirm', consentController.confirm);
+
+module.exports = router;
@@ -0,0 +1,348 @@
+const crypto = require('crypto');
+const db = require('../../db/postgres');
+const consentRepository = require('./consent.repository');
+const declarationsRepository = require('../declarations/declarations.repository');
+const identitiesRepository = require('../identities/identities.repository');
+const xmlGeneratorRepository = require('../xml-generator/xmlGenerator.repository');
+const { generateOTP } = require('../../utils/otp');
+const { hashValue, compareHash, generateRandomString } = require('../../utils/crypto');
+const { sendConsentEmail } = require('../../utils/mailer');
+require('dotenv').config();
+
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+const EXPIRES_HOURS = parseInt(process.env.CONSENT_EXPIRES_HOURS, 10) || 72;
+const MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS, 10) || 3;
+
+// sms is allowed by schema but there is no SMS provider yet
+const DELIVERY_CHANNELS = ['email', 'web'];
+
+/**
+ * Consent Service
+ * Owner's consent to submit declaration. Representatives and accountants
+ * prepare the declaration, the owner confirms the exact XML (by link / code
+ * sent to owner's email, or in the app), and only then it can be signed.
+ */
+const consentService = {
+    // ==========================================
+    // REQUEST
+    // ==========================================
+
+    /**
+     * Create consent request for latest XML of declaration and deliver it
+     * to the owner. Previous open requests are expired.
+     * @param {Object} declaration - declarations row
+     * @param {string} userId - Requesting user
+     * @param {Object} options - { channel }
+     * @returns {Promise<Object>} Consent request (without secrets)
+     */
+    async requestConsent(declaration, userId, options = {}) {
+        const { request, secrets } = await db.withTransaction(
+            (client) => this.createRequest(declaration, userId, options, client)
+        );
+        return this.toPublic(await this.deliver(request, declaration, secrets));
+    },
+
+    /**
+     * Expire open requests and create a new one, without delivering it:
+     * called inside the status transaction, delivery goes after commit
+     * @param {Object} declaration - declarations row
+     * @param {string} userId - Requesting user
+     * @param {Object} options - { channel }
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<Object>} { request, secrets } - secrets are passed to deliver()
+     */
+    async createRequest(declaration, userId, { channel = 'email' } = {}, client) {
+        if (!DELIVERY_CHANNELS.includes(channel)) {
+            throw new Error(`Consent channel is invalid: ${channel}. Supported: ${DELIVERY_CHANNELS.join(', ')}`);
+        }
+
+        const xml = await xmlGeneratorRepository.getLatestXml(declaration.id, client);
+        if (!xml) {
+            throw new Error('XML not found. Generate XML before requesting consent');
+        }
+
+        const owner = await this.findOwner(declaration.tax_identity_id, userId);
+        if (channel === 'email' && !owner.email) {
+            throw new Error('Owner email is required for email consent');
+        }
+
+        await consentRepository.expireOpenRequests(declaration.id, client);
+
+        // Link token and code are only sent by email; in-app consent is given by the logged-in owner
+        const token = channel === 'email' ? generateRandomString(32) : null;
+        const code = channel === 'email' ? generateOTP() : null;
+
+        const request = await consentRepository.createRequest({
+            declarationId: declaration.id,
+            consentType: 'submission',
+            xmlExportId: xml.id,
+            requestedByUserId: userId,
+            recipientUserId: owner.user_id,
+            channel,
+            destination: channel === 'email' ? owner.email : null,
+            tokenHash: token ? this.hashToken(token) : null,
+            codeHash: code ? await hashValue(code) : null,
+            expiresAt: new Date(Date.now() + EXPIRES_HOURS * 60 * 60 * 1000),
+        }, client);
+
+        const requestedBy = owner.user_id === userId ? null : await this.describeUser(declaration.tax_identity_id, userId);
+        return { request, secrets: { token, code, requestedBy } };
+    },
+
+    /**
+     * Send request through its channel and record delivery status
+     * @param {Object} request - consent_requests row
+     * @param {Object} declaration
+     * @param {Object} secrets - { token, code, requestedBy }
+     * @returns {Promise<Object>} Updated request
+     */
+    async deliver(request, declaration, { token, code, requestedBy }) {
+        if (request.channel === 'web') {
+            return consentRepository.updateRequestStatus(request.id, 'sent');
+        }
+
+        try {
+            const info = await sendConsentEmail(request.destination, {
+                code,
+                link: `${APP_URL}/consents/${request.id}?token=${token}`,
+                taxYear: declaration.tax_year,
+                requestedBy,
+                expiresAt: request.expires_at,
+            });
+            return consentRepository.updateRequestStatus(request.id, 'sent', {
+                messageId: info.messageId,
+                accepted: info.accepted,
+                rejected: info.rejected,
+            });
+        } catch (error) {
+            return consentRepository.updateRequestStatus(request.id, 'failed', { error: error.message });
+        }
+    },
+
+    /**
+     * Re-send consent request for declaration awaiting consent
+     * @param {string} declarationId
+     * @param {string} userId
+     * @param {Object} options - { channel }
+     * @returns {Promise<Object>}
+     */
+    async resend(declarationId, userId, options = {}) {
+        const declaration = await this.getAccessibleDeclaration(declarationId, userId);
+        if (declaration.status !== 'awaiting_consent') {
+            throw new Error(`Cannot request consent for declaration in status ${declaration.status}`);
+        }
+        return this.requestConsent(declaration, userId, options);
+    },
+
+    /**
+     * Expire open requests (declaration left awaiting_consent)
+     * @param {string} declarationId
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<number>}
+     */
+    async cancelOpenRequests(declarationId, client) {
+        return consentRepository.expireOpenRequests(declarationId, client);
+    },
+
+    // ==========================================
+    // CONFIRM
+    // ==========================================
+
+    /**
+     * Get request for the owner; first view marks it delivered
+     * @param {string} requestId
+     * @param {string} userId
+     * @returns {Promise<Object>}
+     */
+    async getRequest(requestId, userId) {
+        const request = await this.findOwnRequest(requestId, userId);
+
+        if (request.status === 'sent') {
+            return this.toPublic(await consentRepository.updateRequestStatus(request.id, 'delivered'));
+        }
+        return this.toPublic(request);
+    },
+
+    /**
+     * Owner gives consent
+     * Email requests need token (from link) or code; web requests need only owner's session
+     * @param {string} requestId
+     * @param {string} userId
+     * @param {Object} proof - { token?, code? }
+     * @param {Object} meta - { ipAddress, userAgent }
+     * @returns {Promise<Object>} consents row
+     */
+    async confirm(requestId, userId, { token, code } = {}, { ipAddress, userAgent } = {}) {
+        const request = await this.findOwnRequest(requestId, userId);
+
+        if (!consentRepository.OPEN_STATUSES.includes(request.status)) {
+            throw new Error(`Cannot confirm consent request in status ${request.status}`);
+        }
+        if (new Date() > new Date(request.expires_at)) {
+            await consentRepository.updateRequestStatus(request.id, 'expired');
+            throw new Error('Consent request expired. Request a new one');
+        }
+
+        const declaration = await declarationsRepository.findById(request.declaration_id);
+        const xml = await xmlGeneratorRepository.getLatestXml(request.declaration_id);
+        if (declaration.status !== 'awaiting_consent' || !xml || xml.id !== request.xml_export_id) {
+            await consentRepository.updateRequestStatus(request.id, 'expired');
+            throw new Error('Cannot confirm consent request: declaration has changed since the request was sent');
+        }
+
+        if (request.channel === 'email') {
+            await this.verifyProof(request, { token, code });
+        }
+
+        const consent = await consentRepository.createConsent({
+            declarationId: request.declaration_id,
+            taxIdentityId: request.tax_identity_id,
+            consentRequestId: request.id,
+            consentType: request.consent_type,
+            channel: request.channel,
+            xmlExportId: xml.id,
+            xmlHash: xml.xml_hash,
+            givenByUserId: userId,
+            ipAddress,
+            userAgent,
+        });
+
+        await consentRepository.updateRequestStatus(request.id, 'confirmed');
+        return consent;
+    },
+
+    /**
+     * Check link token or code of email request
+     * @param {Object} request
+     * @param {Object} proof - { token?, code? }
+     * @returns {Promise<void>}
+     */
+    async verifyProof(request, { token, code }) {
+        if (token) {
+            const expected = Buffer.from(request.token_hash, 'hex');
+            const actual = Buffer.from(this.hashToken(String(token)), 'hex');
+            if (!crypto.timingSafeEqual(expected, actual)) {
+                throw new Error('Consent token is invalid');
+            }
+            return;
+        }
+
+        if (!code) {
+            throw new Error('token or code is required');
+        }
+        if (request.attempts >= MAX_ATTEMPTS) {
+            await consentRepository.updateRequestStatus(request.id, 'expired');
+            throw new Error('Consent request expired: too many attempts. Request a new one');
+        }
+        if (!(await compareHash(String(code), request.code_hash))) {
+            await consentRepository.incrementAttempts(request.id);
+            throw new Error(`Consent code is invalid. Attempts left: ${MAX_ATTEMPTS - request.attempts - 1}`);
+        }
+    },
+
+    // ==========================================
+    // GATE
+    // ==========================================
+
+    /**
+     * Check owner consented to submission of the latest XML
+     * @param {Object} declaration
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<Object>} consents row
+     */
+    async assertSubmissionConsent(declaration, client) {
+        const xml = await xmlGeneratorRepository.getLatestXml(declaration.id, client);
+        const consent = await consentRepository.findLatestConsent(declaration.id, 'submission', client);
+
+        if (!consent) {
+            throw new Error(`Cannot transition from ${declaration.status} to signed: owner has not given submission consent`);
+        }
+        if (!xml || consent.xml_export_id !== xml.id) {
+            throw new Error(`Cannot transition from ${declaration.status} to signed: submission consent was given for a previous XML version`);
+        }
+        return consent;
+    },
+
+    // ==========================================
+    // READ
+    // ==========================================
+
+    /**
+     * Consent requests and consents of declaration
+     * @param {string} declarationId
+     * @param {string} userId
+     * @returns {Promise<Object>} { requests, consents }
+     */
+    async listForDeclaration(declarationId, userId) {
+        await this.getAccessibleDeclaration(declarationId, userId);
+
+        const [requests, consents] = await Promise.all([
+            consentRepository.listRequests(declarationId),
+            consentRepository.listConsents(declarationId),
+        ]);
+        return { requests, consents };
+    },
+
+    // ==========================================
+    // HELPERS
+    // ==========================================
+
+    async getAccessibleDeclaration(declarationId, userId) {
+        const declaration = await declarationsRepository.findById(declarationId);
+        if (!declaration) {
+            throw new Error('Declaration not found');
+        }
+        const hasAccess = await identitiesRepository.userHasAccess(userId, declaration.tax_identity_id);
+        if (!hasAccess) {
+            throw new Error('No access to this declaration');
+        }
+        return declaration;
+    },
+
+    /**
+     * Request can only be seen and confirmed by an owner of the tax identity
+     */
+    async findOwnRequest(requestId, userId) {
+        const request = await consentRepository.findRequestById(requestId);
+        if (!request) {
+            throw new Error('Consent request not found');
+        }
+        const isOwner = await identitiesRepository.userHasAccess(userId, request.tax_identity_id, ['owner']);
+        if (!isOwner) {
+            throw new Error('No access: consent can only be given by the owner');
+        }
+        return request;
+    },
+
+    /**
+     * Owner who gives consent: the requesting user if owner, otherwise the earliest owner
+     * @param {string} taxIdentityId
+     * @param {string} userId
+     * @returns {Promise<Object>} { user_id, email, ... }
+     */
+    async findOwner(taxIdentityId, userId) {
+        const owners = await identitiesRepository.listOwners(taxIdentityId);
+
+        if (owners.length === 0) {
+            throw new Error('Owner not found for this tax identity');
+        }
+        return owners.find(u => u.user_id === userId) || owners[0];
+    },
+
+    async describeUser(taxIdentityId, userId) {
+        const users = await identitiesRepository.listIdentityUsers(taxIdentityId);
+        const user = users.find(u => u.user_id === userId);
+        return user ? (user.username || user.email) : null;
+    },
+
+    hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    },
+
+    toPublic(request) {
+        const { token_hash, code_hash, ...rest } = request;
+        return rest;
+    },
+};
+
+module.exports = consentService;
@@ -99,7 +99,7 @@ const declarationsController = {
         try {
             const { id } = req.params;
             const userId = req.user.id;
-            const { iin, fioLast, fioFirst, fioMiddle, payerPhone, email, flags } = req.body;
+            const { iin, fioLast, fioFirst, fioMiddle, payerPhone, email, iinSpouse, iinLegalrepresentative, flags } = req.body;
 
             const updated = await declarationsService.updateHeader(id, {
                 iin,
@@ -108,6 +108,8 @@ const declarationsController = {
                 fio_middle: fioMiddle,
                 payer_phone: payerPhone,
                 email,
+                iin_spouse: iinSpouse,
+                iin_legalrepresentative: iinLegalrepresentative,
                 flags,
             }, userId);
 
@@ -171,19 +173,15 @@ const declarationsController = {
             const { id } = req.params;
             const userId = req.user.id;
 
-            // Get declaration to get taxIdentityId and taxYear
             const declaration = await declarationsService.getById(id, userId);
 
-            const result = await declarationsService.generate(
-                declaration.tax_identity_id,
-                declaration.tax_year,
-                userId
-            );
+            const result = await declarationsService.calculate(declaration, userId);
 
             res.json({
                 success: true,
                 data: result.declaration,
                 items: result.items,
+                overrides: result.overrides,
                 stats: result.stats,
                 errors: result.errors,
             });
@@ -194,7 +192,7 @@ const declarationsController = {
             if (error.message.includes('No access')) {
                 return res.status(403).json({ success: false, error: error.message });
             }
-            if (error.message.includes('Cannot regenerate')) {
+            if (error.message.includes('Cannot')) {
                 return res.status(409).json({ success: false, error: error.message });
             }
             next(error);
@@ -236,13 +234,85 @@ const declarationsController = {
                 success: true,
                 data: result.declaration,
                 items: result.items,
+                overrides: result.overrides,
+                stats: result.stats,
+                errors: result.errors,
+            });
+        } catch (error) {
+            if (error.message.includes('No access')) {
+                return res.status(403).json({ success: false, error: error.message });
+            }
+            if (error.message.includes('Cannot')) {
+                return res.status(409).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    },
+
+    // ==========================================
+    // ADDITIONAL DECLARATION
+    // ==========================================
+
+    /**
+     * POST /declarations/:id/amend
+     * Create additional declaration from accepted one
+     */
+    async amend(req, res, next) {
+        try {
+            const { id } = req.params;
+            const userId = req.user.id;
+
+            const result = await declarationsService.amend(id, userId);
+
+            res.status(201).json({
+                success: true,
+                data: result.declaration,
+                items: result.items,
+                overrides: result.overrides,
+                diff: result.diff,
                 stats: result.stats,
                 errors: result.errors,
+                message: 'Additional declaration created',
             });
         } catch (error) {
+            if (error.message.includes('not found')) {
+                return res.status(404).json({ success: false, error: error.message });
+            }
+            if (error.message.includes('No access')) {
+                return res.status(403).json({ success: false, error: error.message });
+            }
+            if (error.message.includes('Cannot')) {
+                return res.status(409).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * GET /declarations/:id/diff
+     * Compare additional declaration with the accepted version
+     */
+    async getDiff(req, res, next) {
+        try {
+            const { id } = req.params;
+            const userId = req.user.id;
+
+            const diff = await declarationsService.getDiff(id, userId);
+
+            res.json({
+                success: true,
+                data: diff,
+            });
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return res.status(404).json({ success: false, error: error.message });
+            }
             if (error.message.includes('No access')) {
                 return res.status(403).json({ success: false, error: error.message });
             }
+            if (error.message.includes('Cannot')) {
+                return res.status(409).json({ success: false, error: error.message });
+            }
             next(error);
         }
     },
@@ -288,6 +358,65 @@ const declarationsController = {
         }
     },
 
+    /**
+     * DELETE /declarations/:id/items/:field/override
+     * Release manual override and recalculate
+     */
+    async releaseItem(req, res, next) {
+        try {
+            const { id, field } = req.params;
+            const userId = req.user.id;
+
+            const result = await declarationsService.releaseItem(id, field, userId);
+
+            res.json({
+                success: true,
+                data: result.declaration,
+                items: result.items,
+                overrides: result.overrides,
+                stats: result.stats,
+                errors: result.errors,
+            });
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return res.status(404).json({ success: false, error: error.message });
+            }
+            if (error.message.includes('No access')) {
+                return res.status(403).json({ success: false, error: error.message });
+            }
+            if (error.message.includes('Cannot')) {
+                return res.status(409).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * GET /declarations/:id/explain/:logicalField
+     * Calculation trace of item value
+     */
+    async explain(req, res, next) {
+        try {
+            const { id, logicalField } = req.params;
+            const userId = req.user.id;
+
+            const explanation = await declarationsService.explain(id, logicalField, userId);
+
+            res.json({
+                success: true,
+                data: explanation,
+            });
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return res.status(404).json({ success: false, error: error.message });
+            }
+            if (error.message.includes('No access')) {
+                return res.status(403).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    },
+
     // ==========================================
     // VALIDATION & WORKFLOW
     // ==========================================
@@ -303,6 +432,15 @@ const declarationsController = {
 
             const result = await declarationsService.validate(id, userId);
 
+            if (!result.validation.isValid) {
+                return res.status(422).json({
+                    success: false,
+                    error: `Declaration has ${result.validation.summary.errors} validation errors`,
+                    data: result.declaration,
+                    validation: result.validation,
+                });
+            }
+
             res.json({
                 success: true,
                 data: result.declaration,
@@ -315,7 +453,7 @@ const declarationsController = {
             if (error.message.includes('No access')) {
                 return res.status(403).json({ success: false, error: error.message });
             }
-            if (error.message.includes('Missing required') || error.message.includes('has no items')) {
+            if (error.message.includes('has no items')) {
                 return res.status(422).json({ success: false, error: error.message });
             }
             next(error);
@@ -329,7 +467,7 @@ const declarationsController = {
     async updateStatus(req, res, next) {
         try {
             const { id } = req.params;
-            const { status } = req.body;
+            const { status, consentChannel } = req.body;
             const userId = req.user.id;
 
             if (!status) {
@@ -339,7 +477,7 @@ const declarationsController = {
                 });
             }
 
-            const updated = await declarationsService.transitionStatus(id, status, userId);
+            const updated = await declarationsService.transitionStatus(id, status, userId, { consentChannel });
 
             res.json({
                 success: true,
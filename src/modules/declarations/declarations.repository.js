@@ -8,9 +8,10 @@ const declarationsRepository = {
     /**
      * Create new declaration
      * @param {Object} data
+     * @param {Object} client - Transaction client (optional)
      * @returns {Promise<Object>}
      */
-    async create(data) {
+    async create(data, client = db) {
         const {
             taxIdentityId,
             taxYear,
@@ -25,16 +26,17 @@ const declarationsRepository = {
             iinSpouse,
             iinLegalRepresentative,
             flags,
+            originalDeclarationId = null,
         } = data;
 
-        const result = await db.query(
+        const result = await client.query(
             `INSERT INTO declarations (
                 tax_identity_id, tax_year, form_code, declaration_kind,
                 iin, fio_last, fio_first, fio_middle,
                 payer_phone, email, iin_spouse, iin_legalrepresentative,
-                flags, status
+                flags, original_declaration_id, status
             )
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, 'draft')
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, 'draft')
             RETURNING *`,
             [
                 taxIdentityId,
@@ -50,6 +52,7 @@ const declarationsRepository = {
                 iinSpouse,
                 iinLegalRepresentative,
                 flags ? JSON.stringify(flags) : null,
+                originalDeclarationId,
             ]
         );
         return result.rows[0];
@@ -58,10 +61,11 @@ const declarationsRepository = {
     /**
      * Find declaration by ID
      * @param {string} id
+     * @param {Object} client - Transaction client (optional)
      * @returns {Promise<Object|null>}
      */
-    async findById(id) {
-        const result = await db.query(
+    async findById(id, client = db) {
+        const result = await client.query(
             `SELECT d.*,
                     ti.identity_type,
                     CASE 
@@ -71,7 +75,10 @@ const declarationsRepository = {
                     CASE 
                         WHEN ti.identity_type = 'PERSON' THEN CONCAT(p.last_name, ' ', p.first_name)
                         ELSE be.legal_name
-                    END as identity_name
+                    END as identity_name,
+                    p.iik as payer_iik,
+                    p.bank_bic as payer_bank_bic,
+                    p.kogd as payer_kogd
             FROM declarations d
             JOIN tax_identities ti ON ti.id = d.tax_identity_id
             LEFT JOIN persons p ON p.id = ti.person_id
@@ -102,6 +109,20 @@ const declarationsRepository = {
         return result.rows[0] || null;
     },
 
+    /**
+     * Find additional declaration correcting given declaration
+     * @param {string} originalDeclarationId
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<Object|null>}
+     */
+    async findByOriginal(originalDeclarationId, client = db) {
+        const result = await client.query(
+            `SELECT * FROM declarations WHERE original_declaration_id = $1`,
+            [originalDeclarationId]
+        );
+        return result.rows[0] || null;
+    },
+
     /**
      * Find or create declaration
      * @param {Object} data
@@ -127,9 +148,10 @@ const declarationsRepository = {
      * Update declaration
      * @param {string} id
      * @param {Object} data
+     * @param {Object} client - Transaction client (optional)
      * @returns {Promise<Object>}
      */
-    async update(id, data) {
+    async update(id, data, client = db) {
         const fields = [];
         const values = [];
         let paramIndex = 1;
@@ -137,7 +159,7 @@ const declarationsRepository = {
         const allowedFields = [
             'status', 'declaration_kind', 'iin', 'fio_last', 'fio_first', 'fio_middle',
             'payer_phone', 'email', 'iin_spouse', 'iin_legalrepresentative', 'flags',
-            'validated_at', 'exported_at'
+            'validated_at', 'exported_at', 'rule_set_version_id'
         ];
 
         for (const [key, value] of Object.entries(data)) {
@@ -150,11 +172,11 @@ const declarationsRepository = {
         }
 
         if (fields.length === 0) {
-            return this.findById(id);
+            return this.findById(id, client);
         }
 
         values.push(id);
-        const result = await db.query(
+        const result = await client.query(
             `UPDATE declarations 
             SET ${fields.join(', ')}
             WHERE id = $${paramIndex}
@@ -168,16 +190,17 @@ const declarationsRepository = {
      * Update declaration status
      * @param {string} id
      * @param {string} status
+     * @param {Object} client - Transaction client (optional)
      * @returns {Promise<Object>}
      */
-    async updateStatus(id, status) {
+    async updateStatus(id, status, client = db) {
         const updates = { status };
 
         if (status === 'validated') {
             updates.validated_at = new Date();
         }
 
-        return this.update(id, updates);
+        return this.update(id, updates, client);
     },
 
     /**
@@ -278,11 +301,10 @@ const declarationsRepository = {
      * @param {string} declarationId
      * @param {Object} fieldValues - { logical_field: value }
      * @param {string} source
+     * @param {Object} client - Transaction client (optional)
      * @returns {Promise<Array>}
      */
-    async bulkUpsertItems(declarationId, fieldValues, source = 'rule_engine') {
-        const client = await db.getClient();
-        
+    async bulkUpsertItems(declarationId, fieldValues, source = 'rule_engine', client = null) {
         // Required fields that must be saved even if 0
         const requiredFields = [
             'LF_INCOME_TOTAL',
@@ -295,15 +317,13 @@ const declarationsRepository = {
             'LF_INCOME_PROPERTY_TOTAL'
         ];
         
-        try {
-            await client.query('BEGIN');
-
+        return db.withTransaction(async (tx) => {
             const results = [];
             for (const [logicalField, value] of Object.entries(fieldValues)) {
                 // Save if value is non-zero OR if it's a required field
                 const isRequired = requiredFields.includes(logicalField);
                 if (value !== null && value !== undefined && (value !== 0 || isRequired)) {
-                    const result = await client.query(
+                    const result = await tx.query(
                         `INSERT INTO declaration_items (declaration_id, logical_field, value, source)
                         VALUES ($1, $2, $3, $4)
                         ON CONFLICT (declaration_id, logical_field)
@@ -314,24 +334,18 @@ const declarationsRepository = {
                     results.push(result.rows[0]);
                 }
             }
-
-            await client.query('COMMIT');
             return results;
-        } catch (error) {
-            await client.query('ROLLBACK');
-            throw error;
-        } finally {
-            client.release();
-        }
+        }, client);
     },
 
     /**
      * Get all items for declaration
      * @param {string} declarationId
+     * @param {Object} client - Transaction client (optional)
      * @returns {Promise<Array>}
      */
-    async getItems(declarationId) {
-        const result = await db.query(
+    async getItems(declarationId, client = db) {
+        const result = await client.query(
             `SELECT di.*, lf.description as field_description
             FROM declaration_items di
             JOIN logical_fields lf ON lf.code = di.logical_field
@@ -370,14 +384,201 @@ const declarationsRepository = {
     },
 
     /**
-     * Update single item value
+     * Delete items calculated by engine, pinned manual overrides are kept
+     * @param {string} declarationId
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<number>}
+     */
+    async deleteEngineItems(declarationId, client = db) {
+        const result = await client.query(
+            `DELETE FROM declaration_items WHERE declaration_id = $1 AND pinned = false`,
+            [declarationId]
+        );
+        return result.rowCount;
+    },
+
+    /**
+     * Replace all items of declaration keeping their sources and pins
+     * @param {string} declarationId
+     * @param {Array} items - [{ logical_field, value, source, pinned?, engine_value?, overridden_by_user_id?, overridden_at? }]
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<number>} Inserted rows count
+     */
+    async replaceItems(declarationId, items = [], client = null) {
+        return db.withTransaction(async (tx) => {
+            await tx.query(
+                `DELETE FROM declaration_items WHERE declaration_id = $1`,
+                [declarationId]
+            );
+
+            for (const item of items) {
+                await tx.query(
+                    `INSERT INTO declaration_items (
+                        declaration_id, logical_field, value, source, pinned, engine_value,
+                        overridden_by_user_id, overridden_at
+                    )
+                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+                    [
+                        declarationId,
+                        item.logical_field,
+                        item.value,
+                        item.source || 'rule_engine',
+                        Boolean(item.pinned),
+                        item.engine_value ?? null,
+                        item.overridden_by_user_id || null,
+                        item.overridden_at || null,
+                    ]
+                );
+            }
+            return items.length;
+        }, client);
+    },
+
+    /**
+     * Set manual override: value is pinned, engine value is kept next to it
      * @param {string} declarationId
      * @param {string} logicalField
      * @param {number} value
+     * @param {string} userId
+     * @param {Object} client - Transaction client (optional)
      * @returns {Promise<Object>}
      */
-    async updateItem(declarationId, logicalField, value) {
-        return this.upsertItem(declarationId, logicalField, value, 'manual');
+    async updateItem(declarationId, logicalField, value, userId = null, client = db) {
+        const result = await client.query(
+            `INSERT INTO declaration_items (
+                declaration_id, logical_field, value, source, pinned, overridden_by_user_id, overridden_at
+            )
+            VALUES ($1, $2, $3, 'manual', true, $4, now())
+            ON CONFLICT (declaration_id, logical_field)
+            DO UPDATE SET
+                engine_value = CASE WHEN declaration_items.pinned
+                    THEN declaration_items.engine_value ELSE declaration_items.value END,
+                value = $3,
+                source = 'manual',
+                pinned = true,
+                overridden_by_user_id = $4,
+                overridden_at = now()
+            RETURNING *`,
+            [declarationId, logicalField, value, userId]
+        );
+        return result.rows[0];
+    },
+
+    /**
+     * Release manual override: engine value comes back until next calculation
+     * @param {string} declarationId
+     * @param {string} logicalField
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<Object|null>} null if the field is not pinned
+     */
+    async releaseItem(declarationId, logicalField, client = db) {
+        const result = await client.query(
+            `UPDATE declaration_items
+            SET value = COALESCE(engine_value, 0),
+                source = 'rule_engine',
+                pinned = false,
+                engine_value = NULL,
+                overridden_by_user_id = NULL,
+                overridden_at = NULL
+            WHERE declaration_id = $1 AND logical_field = $2 AND pinned = true
+            RETURNING *`,
+            [declarationId, logicalField]
+        );
+        return result.rows[0] || null;
+    },
+
+    /**
+     * Pinned manual overrides of declaration
+     * @param {string} declarationId
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<Object>} logical_field → value
+     */
+    async getPinnedValues(declarationId, client = db) {
+        const result = await client.query(
+            `SELECT logical_field, value FROM declaration_items
+            WHERE declaration_id = $1 AND pinned = true`,
+            [declarationId]
+        );
+        return Object.fromEntries(result.rows.map(row => [row.logical_field, parseFloat(row.value)]));
+    },
+
+    /**
+     * Pinned item rows (copied to additional declaration)
+     * @param {string} declarationId
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<Array>}
+     */
+    async getPinnedItems(declarationId, client = db) {
+        const result = await client.query(
+            `SELECT * FROM declaration_items
+            WHERE declaration_id = $1 AND pinned = true`,
+            [declarationId]
+        );
+        return result.rows;
+    },
+
+    /**
+     * Store engine's own values next to pinned overrides
+     * @param {string} declarationId
+     * @param {Array} overrides - [{ logicalField, engineValue }]
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<void>}
+     */
+    async setEngineValues(declarationId, overrides = [], client = db) {
+        for (const override of overrides) {
+            await client.query(
+                `UPDATE declaration_items
+                SET engine_value = $3
+                WHERE declaration_id = $1 AND logical_field = $2 AND pinned = true`,
+                [declarationId, override.logicalField, override.engineValue]
+            );
+        }
+    },
+
+    // ==========================================
+    // ITEM BREAKDOWNS (group / month)
+    // ==========================================
+
+    /**
+     * Replace all breakdown rows for declaration
+     * @param {string} declarationId
+     * @param {Array} breakdowns - [{ logicalField, groupKey, month, value }]
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<number>} Inserted rows count
+     */
+    async replaceBreakdowns(declarationId, breakdowns = [], client = null) {
+        return db.withTransaction(async (tx) => {
+            await tx.query(
+                `DELETE FROM declaration_item_breakdowns WHERE declaration_id = $1`,
+                [declarationId]
+            );
+
+            for (const b of breakdowns) {
+                await tx.query(
+                    `INSERT INTO declaration_item_breakdowns (declaration_id, logical_field, group_key, period_month, value)
+                    VALUES ($1, $2, $3, $4, $5)`,
+                    [declarationId, b.logicalField, b.groupKey, b.month, b.value]
+                );
+            }
+            return breakdowns.length;
+        }, client);
+    },
+
+    /**
+     * Get breakdown rows for declaration
+     * @param {string} declarationId
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<Array>}
+     */
+    async getBreakdowns(declarationId, client = db) {
+        const result = await client.query(
+            `SELECT logical_field, group_key, period_month, value
+            FROM declaration_item_breakdowns
+            WHERE declaration_id = $1
+            ORDER BY group_key, logical_field, period_month`,
+            [declarationId]
+        );
+        return result.rows;
     },
 
     // ==========================================
@@ -385,16 +586,21 @@ const declarationsRepository = {
     // ==========================================
 
     /**
-     * Get XML field mappings for form
+     * Get XML field mappings for form, layout version effective for tax year
      * @param {string} formCode
+     * @param {number} taxYear
      * @returns {Promise<Array>}
      */
-    async getXmlFieldMappings(formCode) {
+    async getXmlFieldMappings(formCode, taxYear) {
         const result = await db.query(
             `SELECT * FROM xml_field_map
             WHERE form_code = $1
-            ORDER BY application_code, xml_field_name`,
-            [formCode]
+              AND tax_year = (
+                SELECT MAX(tax_year) FROM xml_form_templates
+                WHERE form_code = $1 AND tax_year <= $2
+              )
+            ORDER BY application_code, sheet_name, sort_order`,
+            [formCode, taxYear]
         );
         return result.rows;
     },
@@ -409,7 +615,7 @@ const declarationsRepository = {
         if (!declaration) return null;
 
         const items = await this.getItemsAsObject(declarationId);
-        const xmlMappings = await this.getXmlFieldMappings(declaration.form_code);
+        const xmlMappings = await this.getXmlFieldMappings(declaration.form_code, declaration.tax_year);
 
         return {
             ...declaration,
@@ -425,13 +631,14 @@ const declarationsRepository = {
     /**
      * Create validation report
      * @param {string} declarationId
-     * @param {string} validationType - 'xsd' or 'business'
+     * @param {string} validationType - 'xsd', 'business' or 'authority'
      * @param {boolean} isValid
      * @param {Object} report
+     * @param {Object} client - Transaction client (optional)
      * @returns {Promise<Object>}
      */
-    async createValidationReport(declarationId, validationType, isValid, report) {
-        const result = await db.query(
+    async createValidationReport(declarationId, validationType, isValid, report, client = db) {
+        const result = await client.query(
             `INSERT INTO validation_reports (declaration_id, validation_type, is_valid, report)
             VALUES ($1, $2, $3, $4)
             RETURNING *`,
@@ -455,6 +662,24 @@ const declarationsRepository = {
         return result.rows;
     },
 
+    /**
+     * Get latest validation report of given type
+     * @param {string} declarationId
+     * @param {string} validationType - 'xsd', 'business' or 'authority'
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<Object|null>}
+     */
+    async getLatestValidationReport(declarationId, validationType, client = db) {
+        const result = await client.query(
+            `SELECT * FROM validation_reports
+            WHERE declaration_id = $1 AND validation_type = $2
+            ORDER BY created_at DESC
+            LIMIT 1`,
+            [declarationId, validationType]
+        );
+        return result.rows[0] || null;
+    },
+
     /**
      * Get latest validation status
      * @param {string} declarationId
@@ -468,7 +693,10 @@ const declarationsRepository = {
                  ORDER BY created_at DESC LIMIT 1) as xsd_valid,
                 (SELECT is_valid FROM validation_reports 
                  WHERE declaration_id = $1 AND validation_type = 'business' 
-                 ORDER BY created_at DESC LIMIT 1) as business_valid`,
+                 ORDER BY created_at DESC LIMIT 1) as business_valid,
+                (SELECT is_valid FROM validation_reports 
+                 WHERE declaration_id = $1 AND validation_type = 'authority' 
+                 ORDER BY created_at DESC LIMIT 1) as authority_valid`,
             [declarationId]
         );
         return result.rows[0];
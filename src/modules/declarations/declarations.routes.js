@@ -12,7 +12,7 @@ router.use(authenticate);
 
 /**
  * POST /declarations
- * Create or get existing declaration
+ * Create or get existing declaration (additional is created by /:id/amend)
  * Body: { taxIdentityId, taxYear, formCode?, declarationKind? }
  */
 router.post('/', declarationsController.create);
@@ -60,17 +60,47 @@ router.delete('/:id', declarationsController.delete);
  */
 router.post('/:id/generate', declarationsController.generate);
 
+// ==========================================
+// ADDITIONAL DECLARATION
+// ==========================================
+
+/**
+ * POST /declarations/:id/amend
+ * Create additional declaration from accepted one (recalculated from current tax events)
+ */
+router.post('/:id/amend', declarationsController.amend);
+
+/**
+ * GET /declarations/:id/diff
+ * Field-by-field difference of additional declaration with the accepted version
+ */
+router.get('/:id/diff', declarationsController.getDiff);
+
 // ==========================================
 // ITEMS
 // ==========================================
 
 /**
  * PUT /declarations/:id/items/:field
- * Update specific item value (manual override)
+ * Update specific item value (manual override, pinned: kept by recalculation,
+ * totals are recomputed around it on next generate)
  * Body: { value }
  */
 router.put('/:id/items/:field', declarationsController.updateItem);
 
+/**
+ * DELETE /declarations/:id/items/:field/override
+ * Release manual override, declaration is recalculated with engine value
+ */
+router.delete('/:id/items/:field/override', declarationsController.releaseItem);
+
+/**
+ * GET /declarations/:id/explain/:logicalField
+ * How the value was calculated: events and source rows, rules, exclusions,
+ * formulas with intermediate values, auto-calculation phases
+ */
+router.get('/:id/explain/:logicalField', declarationsController.explain);
+
 // ==========================================
 // VALIDATION & WORKFLOW
 // ==========================================
@@ -84,7 +114,9 @@ router.post('/:id/validate', declarationsController.validate);
 /**
  * PUT /declarations/:id/status
  * Manually transition declaration status
- * Body: { status }
+ * awaiting_consent sends consent request to the owner, signed requires owner's consent,
+ * submitted / accepted / rejected are set by the submission gateway (/api/submissions)
+ * Body: { status, consentChannel? }
  */
 router.put('/:id/status', declarationsController.updateStatus);
 
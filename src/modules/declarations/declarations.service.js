@@ -1,6 +1,22 @@
+const db = require('../../db/postgres');
 const declarationsRepository = require('./declarations.repository');
 const identitiesRepository = require('../identities/identities.repository');
 const ruleEngineService = require('../rule-engine/ruleEngine.service');
+const ruleSetsService = require('../rule-sets/ruleSets.service');
+const xmlGeneratorRepository = require('../xml-generator/xmlGenerator.repository');
+const validationService = require('../validation/validation.service');
+const consentService = require('../consent/consent.service');
+const snapshotsService = require('../snapshots/snapshots.service');
+const snapshotsRepository = require('../snapshots/snapshots.repository');
+const { parseIin } = require('../../utils/iin');
+const { diffItems, diffBreakdowns, diffHeader, diffFlags } = require('../../utils/declarationDiff');
+
+// Header fields holding IIN → name used in error messages
+const HEADER_IIN_FIELDS = {
+    iin: 'iin',
+    iin_spouse: 'iinSpouse',
+    iin_legalrepresentative: 'iinLegalrepresentative',
+};
 
 const declarationsService = {
     // ==========================================
@@ -16,6 +32,10 @@ const declarationsService = {
      * @returns {Promise<Object>}
      */
     async createOrGet(taxIdentityId, taxYear, userId, options = {}) {
+        if (options.declarationKind === 'additional') {
+            throw new Error('declarationKind additional is invalid here: additional declaration is created from the accepted one (POST /declarations/:id/amend)');
+        }
+
         // Check access
         const hasAccess = await identitiesRepository.userHasAccess(userId, taxIdentityId);
         if (!hasAccess) {
@@ -63,45 +83,210 @@ const declarationsService = {
         // Create or get declaration
         const { declaration } = await this.createOrGet(taxIdentityId, taxYear, userId);
 
+        return this.calculate(declaration, userId);
+    },
+
+    /**
+     * Recalculate items of given declaration from current tax events
+     * Pinned manual overrides are kept, totals are computed around them
+     * @param {Object} declaration
+     * @param {string} userId
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<Object>} { declaration, items, overrides, stats, errors }
+     */
+    async calculate(declaration, userId, client = null) {
         // Check if already submitted
         if (['submitted', 'accepted'].includes(declaration.status)) {
-            throw new Error('Cannot regenerate submitted declaration. Create additional declaration instead.');
+            throw new Error('Cannot regenerate submitted declaration. Create additional declaration instead (POST /declarations/:id/amend).');
         }
 
-        // Run rule engine (persist=false, we'll save to declaration_items ourselves)
-        const engineResult = await ruleEngineService.runEngine(taxIdentityId, taxYear, userId, {
-            persist: false,
-            allowEmpty: true,
-        });
+        // Items are replaced in one transaction, concurrent runs for identity / year are rejected
+        return db.withTransaction(async (tx) => {
+            await ruleEngineService.lockCalculation(declaration.tax_identity_id, declaration.tax_year, tx);
 
-        // Clear old items and insert new ones
-        await declarationsRepository.deleteItems(declaration.id);
+            const pinnedValues = await declarationsRepository.getPinnedValues(declaration.id, tx);
 
-        // Insert calculated field values
-        if (engineResult.fieldValues && Object.keys(engineResult.fieldValues).length > 0) {
-            await declarationsRepository.bulkUpsertItems(
-                declaration.id,
-                engineResult.fieldValues,
-                'rule_engine'
+            // Run rule engine (persist=false, we'll save to declaration_items ourselves), inputs are read under the lock
+            const result = await ruleEngineService.runEngine(declaration.tax_identity_id, declaration.tax_year, userId, {
+                persist: false,
+                allowEmpty: true,
+                pinnedValues,
+            }, tx);
+            ruleEngineService.assertRatesLoaded(result);
+
+            // Clear old items and insert new ones, pinned overrides stay
+            await declarationsRepository.deleteEngineItems(declaration.id, tx);
+
+            const fieldValues = Object.fromEntries(
+                Object.entries(result.fieldValues || {}).filter(([field]) => !(field in pinnedValues))
             );
+
+            // Insert calculated field values
+            if (Object.keys(fieldValues).length > 0) {
+                await declarationsRepository.bulkUpsertItems(
+                    declaration.id,
+                    fieldValues,
+                    'rule_engine',
+                    tx
+                );
+            }
+            await declarationsRepository.setEngineValues(declaration.id, result.overrides, tx);
+
+            // Replace per-group breakdowns (tax agents for 270.03)
+            await declarationsRepository.replaceBreakdowns(declaration.id, result.breakdowns, tx);
+
+            // Update declaration flags and rule set version
+            const updates = { ruleSetVersionId: result.ruleSet ? result.ruleSet.id : null };
+            if (result.flags && Object.keys(result.flags).length > 0) {
+                updates.flags = result.flags;
+            }
+            await declarationsRepository.update(declaration.id, updates, tx);
+
+            await snapshotsService.take(declaration.id, 'generate', {
+                userId,
+                sources: result.sources,
+                details: { stats: result.stats, ruleSetVersion: result.ruleSet ? result.ruleSet.version : null },
+            }, tx);
+
+            // Get updated declaration
+            const updatedDeclaration = await declarationsRepository.findById(declaration.id, tx);
+            const items = await declarationsRepository.getItems(declaration.id, tx);
+
+            return {
+                declaration: updatedDeclaration,
+                items,
+                overrides: result.overrides,
+                stats: result.stats,
+                errors: result.errors,
+            };
+        }, client);
+    },
+
+    /**
+     * Create additional declaration correcting accepted one:
+     * header is copied, items are recalculated from current tax events
+     * @param {string} declarationId - Accepted declaration (main or previous additional)
+     * @param {string} userId
+     * @returns {Promise<Object>} { declaration, items, diff, stats, errors }
+     */
+    async amend(declarationId, userId) {
+        const original = await declarationsRepository.findById(declarationId);
+        if (!original) {
+            throw new Error('Declaration not found');
+        }
+
+        // Check access
+        const hasAccess = await identitiesRepository.userHasAccess(userId, original.tax_identity_id);
+        if (!hasAccess) {
+            throw new Error('No access to this declaration');
         }
 
-        // Update declaration flags
-        if (engineResult.flags && Object.keys(engineResult.flags).length > 0) {
-            await declarationsRepository.update(declaration.id, {
-                flags: engineResult.flags,
-            });
+        if (original.status !== 'accepted') {
+            throw new Error(`Cannot amend declaration in status ${original.status}: only accepted declaration can be corrected`);
+        }
+
+        // Declaration, its items and the calculation are stored together: a failed run leaves nothing behind
+        return db.withTransaction(async (client) => {
+            // Corrections form a chain, each accepted version is corrected once
+            const existing = await declarationsRepository.findByOriginal(declarationId, client);
+            if (existing) {
+                throw new Error(`Cannot amend declaration: it is already corrected by additional declaration ${existing.id}`);
+            }
+
+            const declaration = await declarationsRepository.create({
+                taxIdentityId: original.tax_identity_id,
+                taxYear: original.tax_year,
+                formCode: original.form_code,
+                declarationKind: 'additional',
+                iin: original.iin,
+                fioLast: original.fio_last,
+                fioFirst: original.fio_first,
+                fioMiddle: original.fio_middle,
+                payerPhone: original.payer_phone,
+                email: original.email,
+                iinSpouse: original.iin_spouse,
+                iinLegalRepresentative: original.iin_legalrepresentative,
+                flags: original.flags || {},
+                originalDeclarationId: original.id,
+            }, client);
+
+            // Manual overrides of the accepted version stay pinned in the correction
+            const pinned = await declarationsRepository.getPinnedItems(original.id, client);
+            if (pinned.length > 0) {
+                await declarationsRepository.replaceItems(declaration.id, pinned, client);
+            }
+
+            const result = await this.calculate(declaration, userId, client);
+
+            return {
+                ...result,
+                diff: await this.buildDiff(original, result.declaration, client),
+            };
+        });
+    },
+
+    /**
+     * Difference of additional declaration with the accepted version it corrects
+     * @param {string} declarationId
+     * @param {string} userId
+     * @returns {Promise<Object>} See buildDiff
+     */
+    async getDiff(declarationId, userId) {
+        const declaration = await this.getById(declarationId, userId);
+
+        if (!declaration.original_declaration_id) {
+            throw new Error('Cannot compare declaration: it is not an additional declaration');
         }
 
-        // Get updated declaration
-        const updatedDeclaration = await declarationsRepository.findById(declaration.id);
-        const items = await declarationsRepository.getItems(declaration.id);
+        const original = await declarationsRepository.findById(declaration.original_declaration_id);
+        return this.buildDiff(original, declaration);
+    },
+
+    /**
+     * Field-by-field comparison, changed values only
+     * XML of additional declaration carries the deltas
+     * @param {Object} original - Filed (accepted) declaration
+     * @param {Object} amended - Additional declaration
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<Object>} { originalDeclarationId, summary, items, breakdowns, header, flags }
+     */
+    async buildDiff(original, amended, client) {
+        const originalItems = await declarationsRepository.getItems(original.id, client);
+        const amendedItems = await declarationsRepository.getItems(amended.id, client);
+
+        const descriptions = {};
+        const valuesOf = (rows) => {
+            const values = {};
+            for (const row of rows) {
+                values[row.logical_field] = parseFloat(row.value);
+                descriptions[row.logical_field] = row.field_description;
+            }
+            return values;
+        };
+
+        const items = diffItems(valuesOf(originalItems), valuesOf(amendedItems))
+            .map(row => ({ ...row, description: descriptions[row.logicalField] || null }));
+
+        const breakdowns = diffBreakdowns(
+            await declarationsRepository.getBreakdowns(original.id, client),
+            await declarationsRepository.getBreakdowns(amended.id, client)
+        );
+
+        const header = diffHeader(original, amended);
+        const flags = diffFlags(original.flags, amended.flags);
 
         return {
-            declaration: updatedDeclaration,
+            originalDeclarationId: original.id,
+            summary: {
+                items: items.length,
+                breakdowns: breakdowns.length,
+                header: header.length,
+                flags: flags.length,
+            },
             items,
-            stats: engineResult.stats,
-            errors: engineResult.errors,
+            breakdowns,
+            header,
+            flags,
         };
     },
 
@@ -124,12 +309,20 @@ const declarationsService = {
         }
 
         const items = await declarationsRepository.getItems(declarationId);
+        const breakdowns = await declarationsRepository.getBreakdowns(declarationId);
         const validation = await declarationsRepository.getLatestValidation(declarationId);
 
+        // Rejection findings stay visible until the declaration is filed again
+        const authority = validation && validation.authority_valid === false
+            ? await declarationsRepository.getLatestValidationReport(declarationId, 'authority')
+            : null;
+
         return {
             ...declaration,
             items,
+            breakdowns,
             validation,
+            authorityFindings: authority ? authority.report.results : [],
         };
     },
 
@@ -184,17 +377,32 @@ const declarationsService = {
             throw new Error('Cannot update declaration in current status');
         }
 
+        for (const [key, field] of Object.entries(HEADER_IIN_FIELDS)) {
+            if (data[key] !== undefined && data[key] !== null && String(data[key]).trim() !== '') {
+                data[key] = parseIin(data[key], field).iin;
+            }
+        }
+
         // Reset status to draft if updating validated declaration
         if (declaration.status === 'validated') {
             data.status = 'draft';
         }
 
-        const updated = await declarationsRepository.update(declarationId, data);
-        return updated;
+        return db.withTransaction(async (client) => {
+            const updated = await declarationsRepository.update(declarationId, data, client);
+
+            await snapshotsService.take(declarationId, 'header_update', {
+                userId,
+                details: { fields: Object.keys(data).filter(key => key !== 'status') },
+            }, client);
+
+            return updated;
+        });
     },
 
     /**
      * Update specific declaration item (manual override)
+     * Value is pinned: engine re-runs keep it and recompute totals around it
      * @param {string} declarationId
      * @param {string} logicalField
      * @param {number} value
@@ -218,15 +426,115 @@ const declarationsService = {
             throw new Error('Cannot update declaration in current status');
         }
 
-        // Update item
-        const item = await declarationsRepository.updateItem(declarationId, logicalField, value);
+        return db.withTransaction(async (client) => {
+            // Update item
+            const item = await declarationsRepository.updateItem(declarationId, logicalField, value, userId, client);
 
-        // Reset status to draft
-        if (declaration.status === 'validated') {
-            await declarationsRepository.updateStatus(declarationId, 'draft');
+            // Reset status to draft
+            if (declaration.status === 'validated') {
+                await declarationsRepository.updateStatus(declarationId, 'draft', client);
+            }
+
+            await snapshotsService.take(declarationId, 'manual_override', {
+                userId,
+                details: { logicalField, value },
+            }, client);
+
+            return item;
+        });
+    },
+
+    /**
+     * Release manual override and recalculate declaration with engine value
+     * Release and recalculation are one transaction: failed recalculation keeps the override
+     * @param {string} declarationId
+     * @param {string} logicalField
+     * @param {string} userId
+     * @returns {Promise<Object>} { declaration, items, overrides, stats, errors }
+     */
+    async releaseItem(declarationId, logicalField, userId) {
+        const declaration = await declarationsRepository.findById(declarationId);
+        if (!declaration) {
+            throw new Error('Declaration not found');
+        }
+
+        // Check access
+        const hasAccess = await identitiesRepository.userHasAccess(userId, declaration.tax_identity_id);
+        if (!hasAccess) {
+            throw new Error('No access to this declaration');
         }
 
-        return item;
+        return db.withTransaction(async (client) => {
+            // Check status under declaration row lock
+            await snapshotsRepository.lockDeclaration(declarationId, client);
+            const current = await declarationsRepository.findById(declarationId, client);
+            if (!['draft', 'validated'].includes(current.status)) {
+                throw new Error('Cannot update declaration in current status');
+            }
+
+            const released = await declarationsRepository.releaseItem(declarationId, logicalField, client);
+            if (!released) {
+                throw new Error(`Cannot release ${logicalField}: value is not a manual override`);
+            }
+
+            // Reset status to draft
+            if (current.status === 'validated') {
+                await declarationsRepository.updateStatus(declarationId, 'draft', client);
+            }
+
+            await snapshotsService.take(declarationId, 'manual_override', {
+                userId,
+                details: { logicalField, released: true },
+            }, client);
+
+            return this.calculate(await declarationsRepository.findById(declarationId, client), userId, client);
+        });
+    },
+
+    /**
+     * Explain item value: contributing events with their source rows, mapping rules,
+     * exclusions, evaluated formulas and auto-calculation phases
+     * Engine is re-run on current events with the rule set version recorded on the declaration
+     * (so a later publish or rollback does not change the explanation), stored value is shown next to it
+     * @param {string} declarationId
+     * @param {string} logicalField
+     * @param {string} userId
+     * @returns {Promise<Object>} { declarationId, logicalField, stored, upToDate, trace }
+     */
+    async explain(declarationId, logicalField, userId) {
+        const declaration = await this.getById(declarationId, userId);
+        const item = declaration.items.find(row => row.logical_field === logicalField) || null;
+        const pinnedValues = await declarationsRepository.getPinnedValues(declarationId);
+
+        // Rule set the stored values were calculated with (version in effect today when not recorded)
+        const ruleSetVersion = declaration.rule_set_version_id
+            ? (await ruleSetsService.getById(declaration.rule_set_version_id)).version
+            : null;
+
+        const trace = await ruleEngineService.explainField(
+            declaration.tax_identity_id,
+            declaration.tax_year,
+            logicalField,
+            userId,
+            { pinnedValues, ruleSetVersion }
+        );
+
+        const storedValue = item ? parseFloat(item.value) : 0;
+
+        return {
+            declarationId,
+            logicalField,
+            stored: item ? {
+                value: storedValue,
+                source: item.source,
+                pinned: item.pinned,
+                engineValue: item.engine_value === null ? null : parseFloat(item.engine_value),
+                overriddenAt: item.overridden_at,
+            } : null,
+            // false when events (or, without a recorded rule set, working rules) changed after the last generate
+            upToDate: Math.round((storedValue - trace.value) * 100) === 0,
+            trace,
+        };
     },
 
     /**
@@ -278,39 +586,104 @@ const declarationsService = {
 
     /**
      * Transition declaration to new status
+     * Checks and the status change run under declaration row lock;
+     * consent request is created in the same transaction and sent to the owner after commit
      * @param {string} declarationId
      * @param {string} newStatus
      * @param {string} userId
+     * @param {Object} options - { consentChannel } for awaiting_consent, { bySubmission } for submitted
+     * @param {Object} client - Transaction client (optional, e.g. signature stored in the same transaction;
+     *                          not for awaiting_consent, its notification would go before the outer commit)
      * @returns {Promise<Object>}
      */
-    async transitionStatus(declarationId, newStatus, userId) {
-        const declaration = await declarationsRepository.findById(declarationId);
-        if (!declaration) {
-            throw new Error('Declaration not found');
-        }
+    async transitionStatus(declarationId, newStatus, userId, options = {}, client = null) {
+        const { updated, consentRequest } = await db.withTransaction(async (tx) => {
+            await snapshotsRepository.lockDeclaration(declarationId, tx);
+            const declaration = await declarationsRepository.findById(declarationId, tx);
+            if (!declaration) {
+                throw new Error('Declaration not found');
+            }
 
-        // Check access
-        const hasAccess = await identitiesRepository.userHasAccess(userId, declaration.tax_identity_id);
-        if (!hasAccess) {
-            throw new Error('No access to this declaration');
+            // Check access
+            const hasAccess = await identitiesRepository.userHasAccess(userId, declaration.tax_identity_id);
+            if (!hasAccess) {
+                throw new Error('No access to this declaration');
+            }
+
+            // Check transition is valid
+            const availableTransitions = this.getAvailableTransitions(declaration.status);
+            if (!availableTransitions.includes(newStatus)) {
+                throw new Error(`Cannot transition from ${declaration.status} to ${newStatus}`);
+            }
+
+            // Filing statuses follow the gateway (submissions module), not manual changes
+            if (['submitted', 'accepted', 'rejected'].includes(newStatus) && !options.bySubmission) {
+                throw new Error(`Cannot transition from ${declaration.status} to ${newStatus}: status is set by the submission gateway`);
+            }
+
+            // Consent is only collected for XML that passed schema validation
+            let consentRequest = null;
+            if (newStatus === 'awaiting_consent') {
+                await this.assertXsdValid(declaration, tx);
+                consentRequest = await consentService.createRequest(declaration, userId, {
+                    channel: options.consentChannel,
+                }, tx);
+            }
+
+            // Owner must have consented to the XML being signed
+            if (newStatus === 'signed') {
+                await consentService.assertSubmissionConsent(declaration, tx);
+            }
+
+            if (declaration.status === 'awaiting_consent' && newStatus !== 'signed') {
+                await consentService.cancelOpenRequests(declarationId, tx);
+            }
+
+            // Update status
+            const updated = await declarationsRepository.updateStatus(declarationId, newStatus, tx);
+            await snapshotsService.take(declarationId, 'status_transition', {
+                userId,
+                details: { from: declaration.status, to: newStatus },
+            }, tx);
+
+            return { updated, consentRequest };
+        }, client);
+
+        if (!consentRequest) {
+            return updated;
         }
+        const delivered = await consentService.deliver(consentRequest.request, updated, consentRequest.secrets);
+        return { ...updated, consent_request: consentService.toPublic(delivered) };
+    },
 
-        // Check transition is valid
-        const availableTransitions = this.getAvailableTransitions(declaration.status);
-        if (!availableTransitions.includes(newStatus)) {
-            throw new Error(`Cannot transition from ${declaration.status} to ${newStatus}`);
+    /**
+     * Check latest XML was generated after validation and passed XSD
+     * @param {Object} declaration
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<void>}
+     */
+    async assertXsdValid(declaration, client) {
+        const xml = await xmlGeneratorRepository.getLatestXml(declaration.id, client);
+        if (!xml || (declaration.validated_at && new Date(xml.created_at) < new Date(declaration.validated_at))) {
+            throw new Error(`Cannot transition from ${declaration.status} to awaiting_consent: generate XML for the validated declaration first`);
         }
 
-        // Update status
-        const updated = await declarationsRepository.updateStatus(declarationId, newStatus);
-        return updated;
+        const report = await declarationsRepository.getLatestValidationReport(declaration.id, 'xsd', client);
+        if (!report || !report.report || report.report.xmlExportId !== xml.id) {
+            throw new Error(`Cannot transition from ${declaration.status} to awaiting_consent: latest XML has not been validated against XSD`);
+        }
+        if (!report.is_valid) {
+            const count = (report.report.errors || []).length;
+            throw new Error(`Cannot transition from ${declaration.status} to awaiting_consent: latest XML failed XSD validation (${count} errors)`);
+        }
     },
 
     /**
-     * Validate and transition to validated status
+     * Run business validation rules, store 'business' report
+     * and transition to validated status if there are no errors
      * @param {string} declarationId
      * @param {string} userId
-     * @returns {Promise<Object>}
+     * @returns {Promise<Object>} { declaration, validation }
      */
     async validate(declarationId, userId) {
         const declaration = await this.getById(declarationId, userId);
@@ -320,36 +693,29 @@ const declarationsService = {
             throw new Error('Declaration has no items. Generate declaration first.');
         }
 
-        // Check required fields
-        const required = ['LF_INCOME_TOTAL', 'LF_TAXABLE_INCOME', 'LF_IPN_CALCULATED'];
-        const itemCodes = declaration.items.map(i => i.logical_field);
-        const missing = required.filter(r => !itemCodes.includes(r));
+        const report = await validationService.validateDeclaration(declaration);
+        const details = { isValid: report.isValid, errors: report.summary.errors, warnings: report.summary.warnings };
 
-        if (missing.length > 0) {
-            // Create business validation report
+        return db.withTransaction(async (client) => {
             await declarationsRepository.createValidationReport(
                 declarationId,
                 'business',
-                false,
-                { errors: [`Missing required fields: ${missing.join(', ')}`] }
+                report.isValid,
+                report,
+                client
             );
-            throw new Error(`Missing required fields: ${missing.join(', ')}`);
-        }
 
-        // Create successful validation report
-        await declarationsRepository.createValidationReport(
-            declarationId,
-            'business',
-            true,
-            { message: 'All business rules passed' }
-        );
+            // Transition to validated
+            const updated = report.isValid
+                ? await declarationsRepository.updateStatus(declarationId, 'validated', client)
+                : declaration;
+            await snapshotsService.take(declarationId, 'validation', { userId, details }, client);
 
-        // Transition to validated
-        const updated = await declarationsRepository.updateStatus(declarationId, 'validated');
-        return {
-            declaration: updated,
-            validation: { isValid: true, message: 'Declaration validated successfully' },
-        };
+            return {
+                declaration: updated,
+                validation: report,
+            };
+        });
     },
 
     // ==========================================
@@ -389,6 +755,9 @@ const declarationsService = {
                 foreignTaxCredit: (items.LF_FOREIGN_TAX_CREDIT_GENERAL || 0) +
                     (items.LF_FOREIGN_TAX_CREDIT_CFC || 0),
                 ipnPayable: items.LF_IPN_PAYABLE || 0,
+                ipnToPay: items.LF_IPN_TO_PAY || 0,
+                ipnToRefund: items.LF_IPN_TO_REFUND || 0,
+                penalty: items.LF_IPN_PENALTY || 0,
             },
             flags: declaration.flags || {},
             validation: declaration.validation,
@@ -0,0 +1,112 @@
+const domesticAssetsService = require('./domesticAssets.service');
+
+const domesticAssetsController = {
+    /**
+     * List domestic assets and receivables
+     * GET /api/identities/:taxIdentityId/assets
+     */
+    async list(req, res, next) {
+        try {
+            const userId = req.user.id;
+            const { taxIdentityId } = req.params;
+            const { category, kind, taxYear, page, limit } = req.query;
+
+            const result = await domesticAssetsService.list(userId, taxIdentityId, {
+                category,
+                kind,
+                taxYear: taxYear ? parseInt(taxYear, 10) : null,
+                page: parseInt(page, 10) || 1,
+                limit: Math.min(parseInt(limit, 10) || 50, 100),
+            });
+
+            res.json({
+                success: true,
+                data: result,
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Create domestic asset or receivable
+     * POST /api/identities/:taxIdentityId/assets
+     */
+    async create(req, res, next) {
+        try {
+            const userId = req.user.id;
+            const { taxIdentityId } = req.params;
+
+            const asset = await domesticAssetsService.create(userId, taxIdentityId, req.body || {});
+
+            res.status(201).json({
+                success: true,
+                data: asset,
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Get asset
+     * GET /api/identities/:taxIdentityId/assets/:assetId
+     */
+    async get(req, res, next) {
+        try {
+            const userId = req.user.id;
+            const { taxIdentityId, assetId } = req.params;
+
+            const asset = await domesticAssetsService.get(userId, taxIdentityId, assetId);
+
+            res.json({
+                success: true,
+                data: asset,
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Update asset
+     * PUT /api/identities/:taxIdentityId/assets/:assetId
+     */
+    async update(req, res, next) {
+        try {
+            const userId = req.user.id;
+            const { taxIdentityId, assetId } = req.params;
+
+            const asset = await domesticAssetsService.update(userId, taxIdentityId, assetId, req.body || {});
+
+            res.json({
+                success: true,
+                data: asset,
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Delete asset
+     * DELETE /api/identities/:taxIdentityId/assets/:assetId
+     */
+    async delete(req, res, next) {
+        try {
+            const userId = req.user.id;
+            const { taxIdentityId, assetId } = req.params;
+
+            await domesticAssetsService.delete(userId, taxIdentityId, assetId);
+
+            res.json({
+                success: true,
+                message: 'Asset deleted',
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+};
+
+module.exports = domesticAssetsController;
@@ -0,0 +1,237 @@
+const db = require('../../db/postgres');
+
+const ASSET_FIELDS = [
+    'asset_category', 'description', 'registration_number', 'address',
+    'counterparty_name', 'counterparty_bin', 'quantity', 'ownership_share',
+    'acquisition_date', 'disposal_date', 'due_date', 'value', 'currency',
+];
+
+const domesticAssetsRepository = {
+    // ==========================================
+    // CRUD
+    // ==========================================
+
+    /**
+     * Create domestic asset / receivable
+     * @param {string} taxIdentityId
+     * @param {Object} data - camelCase asset fields
+     * @returns {Promise<Object>}
+     */
+    async create(taxIdentityId, data) {
+        const columns = ['tax_identity_id'];
+        const values = [taxIdentityId];
+
+        for (const field of ASSET_FIELDS) {
+            const value = data[this.toCamel(field)];
+            if (value !== undefined) {
+                columns.push(field);
+                values.push(value);
+            }
+        }
+
+        const placeholders = values.map((_, i) => `$${i + 1}`);
+        const result = await db.query(
+            `INSERT INTO domestic_assets (${columns.join(', ')})
+            VALUES (${placeholders.join(', ')})
+            RETURNING *`,
+            values
+        );
+        return result.rows[0];
+    },
+
+    /**
+     * Find asset by ID
+     * @param {string} id
+     * @returns {Promise<Object|null>}
+     */
+    async findById(id) {
+        const result = await db.query(
+            `SELECT * FROM domestic_assets WHERE id = $1`,
+            [id]
+        );
+        return result.rows[0] || null;
+    },
+
+    /**
+     * List assets for tax identity with pagination
+     * @param {string} taxIdentityId
+     * @param {Object} options - { categories, heldAt, page, limit }
+     * @returns {Promise<Object>} { assets, pagination }
+     */
+    async list(taxIdentityId, { categories, heldAt, page = 1, limit = 50 } = {}) {
+        const { where, params, paramIndex } = this.buildFilter(taxIdentityId, { categories, heldAt });
+        const offset = (page - 1) * limit;
+
+        const countResult = await db.query(
+            `SELECT COUNT(*) as total FROM domestic_assets WHERE ${where}`,
+            params
+        );
+
+        const result = await db.query(
+            `SELECT * FROM domestic_assets
+            WHERE ${where}
+            ORDER BY asset_category, acquisition_date NULLS LAST, created_at
+            LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+            [...params, limit, offset]
+        );
+
+        const total = parseInt(countResult.rows[0].total, 10);
+
+        return {
+            assets: result.rows,
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit),
+            },
+        };
+    },
+
+    /**
+     * List all assets for tax identity (declaration projection)
+     * @param {string} taxIdentityId
+     * @param {Object} options - { heldAt }
+     * @returns {Promise<Array>}
+     */
+    async listAll(taxIdentityId, { heldAt } = {}) {
+        const { where, params } = this.buildFilter(taxIdentityId, { heldAt });
+
+        const result = await db.query(
+            `SELECT * FROM domestic_assets
+            WHERE ${where}
+            ORDER BY asset_category, acquisition_date NULLS LAST, created_at`,
+            params
+        );
+        return result.rows;
+    },
+
+    /**
+     * Update asset
+     * @param {string} id
+     * @param {Object} data - camelCase asset fields
+     * @returns {Promise<Object>}
+     */
+    async update(id, data) {
+        const fields = [];
+        const values = [];
+        let paramIndex = 1;
+
+        for (const [key, value] of Object.entries(data)) {
+            const snakeKey = key.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+            if (ASSET_FIELDS.includes(snakeKey)) {
+                fields.push(`${snakeKey} = $${paramIndex}`);
+                values.push(value);
+                paramIndex++;
+            }
+        }
+
+        if (fields.length === 0) {
+            return this.findById(id);
+        }
+
+        values.push(id);
+        const result = await db.query(
+            `UPDATE domestic_assets
+            SET ${fields.join(', ')}, updated_at = now()
+            WHERE id = $${paramIndex}
+            RETURNING *`,
+            values
+        );
+        return result.rows[0];
+    },
+
+    /**
+     * Delete asset
+     * @param {string} id
+     * @returns {Promise<boolean>}
+     */
+    async delete(id) {
+        const result = await db.query(
+            `DELETE FROM domestic_assets WHERE id = $1`,
+            [id]
+        );
+        return result.rowCount > 0;
+    },
+
+    // ==========================================
+    // IMPORT
+    // ==========================================
+
+    /**
+     * Upsert assets parsed from source record (re-parse overwrites by position)
+     * @param {string} taxIdentityId
+     * @param {string} sourceRecordId
+     * @param {Array} assets - camelCase asset fields
+     * @returns {Promise<Array>}
+     */
+    async upsertFromSource(taxIdentityId, sourceRecordId, assets) {
+        if (!assets || assets.length === 0) return [];
+
+        const client = await db.getClient();
+        try {
+            await client.query('BEGIN');
+
+            const results = [];
+            for (let i = 0; i < assets.length; i++) {
+                const values = ASSET_FIELDS.map(field => {
+                    const value = assets[i][this.toCamel(field)];
+                    return value === undefined ? null : value;
+                });
+
+                const columns = [...ASSET_FIELDS, 'tax_identity_id', 'source_record_id', 'source_index'];
+                const placeholders = columns.map((_, idx) => `$${idx + 1}`);
+                const updates = ASSET_FIELDS.map(field => `${field} = EXCLUDED.${field}`);
+
+                const result = await client.query(
+                    `INSERT INTO domestic_assets (${columns.join(', ')})
+                    VALUES (${placeholders.join(', ')})
+                    ON CONFLICT (source_record_id, source_index)
+                    DO UPDATE SET ${updates.join(', ')}, updated_at = now()
+                    RETURNING *`,
+                    [...values, taxIdentityId, sourceRecordId, i]
+                );
+                results.push(result.rows[0]);
+            }
+
+            await client.query('COMMIT');
+            return results;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    },
+
+    // ==========================================
+    // HELPERS
+    // ==========================================
+
+    buildFilter(taxIdentityId, { categories, heldAt } = {}) {
+        const conditions = ['tax_identity_id = $1'];
+        const params = [taxIdentityId];
+        let paramIndex = 2;
+
+        if (categories && categories.length > 0) {
+            conditions.push(`asset_category = ANY($${paramIndex++})`);
+            params.push(categories);
+        }
+
+        // Held / outstanding on date: arose on/before and not disposed or repaid by that date
+        if (heldAt) {
+            conditions.push(`(acquisition_date IS NULL OR acquisition_date <= $${paramIndex})`);
+            conditions.push(`(disposal_date IS NULL OR disposal_date > $${paramIndex})`);
+            params.push(heldAt);
+            paramIndex++;
+        }
+
+        return { where: conditions.join(' AND '), params, paramIndex };
+    },
+
+    toCamel(field) {
+        return field.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase());
+    },
+};
+
+module.exports = domesticAssetsRepository;
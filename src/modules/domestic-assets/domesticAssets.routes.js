@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const domesticAssetsController = require('./domesticAssets.controller');
+const { authenticate } = require('../../middleware/auth.middleware');
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/identities/:taxIdentityId/assets
+ * @desc    List domestic assets, receivables and debts (270.05 register)
+ * @access  Private
+ * @query   category, kind (property|receivables), taxYear (held at year end), page, limit
+ */
+router.get('/', domesticAssetsController.list);
+
+/**
+ * @route   POST /api/identities/:taxIdentityId/assets
+ * @desc    Add domestic asset, receivable or debt
+ * @access  Private
+ * @body    { assetCategory, description?, registrationNumber?, address?, counterpartyName?,
+ *            counterpartyBin?, quantity?, ownershipShare?, acquisitionDate?, disposalDate?,
+ *            dueDate?, value?, currency? }
+ */
+router.post('/', domesticAssetsController.create);
+
+/**
+ * @route   GET /api/identities/:taxIdentityId/assets/:assetId
+ * @desc    Get register entry
+ * @access  Private
+ */
+router.get('/:assetId', domesticAssetsController.get);
+
+/**
+ * @route   PUT /api/identities/:taxIdentityId/assets/:assetId
+ * @desc    Update register entry
+ * @access  Private
+ */
+router.put('/:assetId', domesticAssetsController.update);
+
+/**
+ * @route   DELETE /api/identities/:taxIdentityId/assets/:assetId
+ * @desc    Delete register entry
+ * @access  Private (owner only)
+ */
+router.delete('/:assetId', domesticAssetsController.delete);
+
+module.exports = router;
@@ -0,0 +1,262 @@
+const domesticAssetsRepository = require('./domesticAssets.repository');
+const identitiesRepository = require('../identities/identities.repository');
+const exchangeRatesService = require('../exchange-rates/exchangeRates.service');
+const { parseTaxpayerNumber } = require('../../utils/iin');
+
+// 270.05 section B
+const PROPERTY_CATEGORIES = ['real_estate', 'vehicle', 'share', 'securities', 'other'];
+// 270.05 section C
+const RECEIVABLE_CATEGORIES = ['receivable', 'debt'];
+
+const VALID_CATEGORIES = [...PROPERTY_CATEGORIES, ...RECEIVABLE_CATEGORIES];
+
+const domesticAssetsService = {
+    PROPERTY_CATEGORIES,
+    RECEIVABLE_CATEGORIES,
+
+    // ==========================================
+    // CRUD
+    // ==========================================
+
+    /**
+     * Create domestic asset / receivable
+     * @param {string} userId
+     * @param {string} taxIdentityId
+     * @param {Object} data
+     * @returns {Promise<Object>}
+     */
+    async create(userId, taxIdentityId, data) {
+        await this.checkAccess(userId, taxIdentityId);
+
+        const asset = this.normalizeAsset(data, false);
+        return domesticAssetsRepository.create(taxIdentityId, asset);
+    },
+
+    /**
+     * List register entries of tax identity
+     * @param {string} userId
+     * @param {string} taxIdentityId
+     * @param {Object} options - { category, kind: 'property'|'receivables', taxYear, page, limit }
+     * @returns {Promise<Object>} { assets, pagination }
+     */
+    async list(userId, taxIdentityId, { category, kind, taxYear, page, limit } = {}) {
+        await this.checkAccess(userId, taxIdentityId);
+
+        let categories = null;
+        if (category) {
+            if (!VALID_CATEGORIES.includes(category)) {
+                throw new Error(`Asset category is invalid: ${category}. Supported: ${VALID_CATEGORIES.join(', ')}`);
+            }
+            categories = [category];
+        } else if (kind) {
+            if (!['property', 'receivables'].includes(kind)) {
+                throw new Error(`kind is invalid: ${kind}. Supported: property, receivables`);
+            }
+            categories = kind === 'property' ? PROPERTY_CATEGORIES : RECEIVABLE_CATEGORIES;
+        }
+
+        return domesticAssetsRepository.list(taxIdentityId, {
+            categories,
+            heldAt: taxYear ? `${taxYear}-12-31` : null,
+            page,
+            limit,
+        });
+    },
+
+    /**
+     * Get single entry
+     * @param {string} userId
+     * @param {string} taxIdentityId
+     * @param {string} assetId
+     * @returns {Promise<Object>}
+     */
+    async get(userId, taxIdentityId, assetId) {
+        await this.checkAccess(userId, taxIdentityId);
+        return this.findOwnAsset(taxIdentityId, assetId);
+    },
+
+    /**
+     * Update entry
+     * @param {string} userId
+     * @param {string} taxIdentityId
+     * @param {string} assetId
+     * @param {Object} data
+     * @returns {Promise<Object>}
+     */
+    async update(userId, taxIdentityId, assetId, data) {
+        await this.checkAccess(userId, taxIdentityId);
+        const existing = await this.findOwnAsset(taxIdentityId, assetId);
+
+        const asset = this.normalizeAsset(data, true);
+
+        const acquisition = asset.acquisitionDate !== undefined ? asset.acquisitionDate : this.toDateString(existing.acquisition_date);
+        const disposal = asset.disposalDate !== undefined ? asset.disposalDate : this.toDateString(existing.disposal_date);
+        if (acquisition && disposal && disposal < acquisition) {
+            throw new Error('disposalDate must not be earlier than acquisitionDate (invalid dates)');
+        }
+
+        return domesticAssetsRepository.update(assetId, asset);
+    },
+
+    /**
+     * Delete entry (owner only)
+     * @param {string} userId
+     * @param {string} taxIdentityId
+     * @param {string} assetId
+     * @returns {Promise<boolean>}
+     */
+    async delete(userId, taxIdentityId, assetId) {
+        await this.checkAccess(userId, taxIdentityId, ['owner']);
+        await this.findOwnAsset(taxIdentityId, assetId);
+        return domesticAssetsRepository.delete(assetId);
+    },
+
+    // ==========================================
+    // IMPORT / DECLARATION
+    // ==========================================
+
+    /**
+     * Import entries parsed from source record
+     * Invalid records are skipped and reported
+     * @param {Object} sourceRecord
+     * @param {Array} parsedAssets
+     * @returns {Promise<Object>} { imported, skipped }
+     */
+    async importFromSource(sourceRecord, parsedAssets) {
+        const valid = [];
+        const skipped = [];
+
+        parsedAssets.forEach((raw, index) => {
+            try {
+                valid.push(this.normalizeAsset(raw, false));
+            } catch (error) {
+                skipped.push({ index, error: error.message });
+            }
+        });
+
+        const imported = await domesticAssetsRepository.upsertFromSource(
+            sourceRecord.tax_identity_id,
+            sourceRecord.id,
+            valid
+        );
+
+        return { imported, skipped };
+    },
+
+    /**
+     * Property held and debts outstanding at the end of tax year,
+     * with value converted to KZT at the NBRK rate on December 31
+     * @param {string} taxIdentityId
+     * @param {number} taxYear
+     * @returns {Promise<Array>}
+     */
+    async getForDeclaration(taxIdentityId, taxYear) {
+        const yearEnd = `${taxYear}-12-31`;
+        const assets = await domesticAssetsRepository.listAll(taxIdentityId, { heldAt: yearEnd });
+
+        return exchangeRatesService.convertValuesToKzt(assets, yearEnd);
+    },
+
+    // ==========================================
+    // HELPERS
+    // ==========================================
+
+    async checkAccess(userId, taxIdentityId, roles) {
+        const hasAccess = await identitiesRepository.userHasAccess(userId, taxIdentityId, roles);
+        if (!hasAccess) {
+            throw new Error('No access to this tax identity');
+        }
+    },
+
+    async findOwnAsset(taxIdentityId, assetId) {
+        const asset = await domesticAssetsRepository.findById(assetId);
+        if (!asset || asset.tax_identity_id !== taxIdentityId) {
+            throw new Error('Asset not found');
+        }
+        return asset;
+    },
+
+    /**
+     * Validate and normalize register entry input
+     * @param {Object} data
+     * @param {boolean} partial - Update mode (required fields may be omitted)
+     * @returns {Object}
+     */
+    normalizeAsset(data, partial) {
+        const asset = { ...data };
+
+        if (!partial || asset.assetCategory !== undefined) {
+            if (!asset.assetCategory) {
+                throw new Error('assetCategory is required');
+            }
+            if (!VALID_CATEGORIES.includes(asset.assetCategory)) {
+                throw new Error(`Asset category is invalid: ${asset.assetCategory}. Supported: ${VALID_CATEGORIES.join(', ')}`);
+            }
+        }
+
+        // Legal entity (BIN) or individual debtor / creditor (IIN)
+        if (asset.counterpartyBin !== undefined && asset.counterpartyBin !== null && String(asset.counterpartyBin).trim() === '') {
+            asset.counterpartyBin = null;
+        }
+        if (asset.counterpartyBin !== undefined && asset.counterpartyBin !== null) {
+            asset.counterpartyBin = parseTaxpayerNumber(asset.counterpartyBin, 'counterpartyBin').number;
+        }
+
+        if (asset.currency !== undefined && asset.currency !== null) {
+            asset.currency = String(asset.currency).trim().toUpperCase();
+            if (!/^[A-Z]{3}$/.test(asset.currency)) {
+                throw new Error(`currency is invalid: ${asset.currency}`);
+            }
+        }
+
+        for (const key of ['value', 'quantity', 'ownershipShare']) {
+            if (asset[key] !== undefined && asset[key] !== null) {
+                const num = parseFloat(asset[key]);
+                if (isNaN(num) || num < 0) {
+                    throw new Error(`${key} is invalid: ${asset[key]}`);
+                }
+                asset[key] = num;
+            }
+        }
+
+        if (asset.ownershipShare > 100) {
+            throw new Error('ownershipShare is invalid: must be between 0 and 100');
+        }
+
+        for (const key of ['acquisitionDate', 'disposalDate', 'dueDate']) {
+            if (asset[key] !== undefined && asset[key] !== null) {
+                if (!/^\d{4}-\d{2}-\d{2}$/.test(asset[key]) || isNaN(new Date(asset[key]).getTime())) {
+                    throw new Error(`${key} is invalid: expected YYYY-MM-DD`);
+                }
+            }
+        }
+
+        if (asset.acquisitionDate && asset.disposalDate && asset.disposalDate < asset.acquisitionDate) {
+            throw new Error('disposalDate must not be earlier than acquisitionDate (invalid dates)');
+        }
+
+        if (!partial && RECEIVABLE_CATEGORIES.includes(asset.assetCategory)) {
+            if (!asset.counterpartyName && !asset.counterpartyBin) {
+                throw new Error('counterpartyName or counterpartyBin is required for receivables and debts');
+            }
+            if (asset.value === undefined || asset.value === null) {
+                throw new Error('value is required for receivables and debts');
+            }
+        }
+
+        return asset;
+    },
+
+    toDateString(date) {
+        if (!date) return null;
+        if (date instanceof Date) {
+            const y = date.getFullYear();
+            const m = String(date.getMonth() + 1).padStart(2, '0');
+            const d = String(date.getDate()).padStart(2, '0');
+            return `${y}-${m}-${d}`;
+        }
+        return String(date).slice(0, 10);
+    },
+};
+
+module.exports = domesticAssetsService;
@@ -0,0 +1,92 @@
+const exchangeRatesService = require('./exchangeRates.service');
+
+const exchangeRatesController = {
+    /**
+     * Import NBRK rate file
+     * POST /api/exchange-rates/import
+     * Accepts raw XML/CSV body or JSON { format, content }
+     */
+    async importRates(req, res, next) {
+        try {
+            let content;
+            let format;
+
+            if (typeof req.body === 'string') {
+                content = req.body;
+                format = req.is('text/csv') ? 'csv' : req.is('xml') ? 'xml' : null;
+            } else {
+                content = req.body && req.body.content;
+                format = req.body && req.body.format;
+            }
+
+            if (!content) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'content is required',
+                });
+            }
+
+            if (format && !['xml', 'csv'].includes(format)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'format must be xml or csv',
+                });
+            }
+
+            const result = await exchangeRatesService.importRates(content, format || undefined);
+
+            res.status(201).json({
+                success: true,
+                data: result,
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * List rates
+     * GET /api/exchange-rates
+     */
+    async listRates(req, res, next) {
+        try {
+            const { currency, from, to, page, limit } = req.query;
+
+            const result = await exchangeRatesService.listRates({
+                currency,
+                from,
+                to,
+                page: parseInt(page, 10) || 1,
+                limit: Math.min(parseInt(limit, 10) || 50, 500),
+            });
+
+            res.json({
+                success: true,
+                data: result,
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Get rate effective on date
+     * GET /api/exchange-rates/:currency/:date
+     */
+    async getRateOnDate(req, res, next) {
+        try {
+            const { currency, date } = req.params;
+
+            const rate = await exchangeRatesService.getRateOnDate(currency, date);
+
+            res.json({
+                success: true,
+                data: rate,
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+};
+
+module.exports = exchangeRatesController;
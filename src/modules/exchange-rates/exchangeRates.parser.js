@@ -0,0 +1,203 @@
+/**
+ * NBRK Exchange Rates Parser
+ * Parses National Bank of Kazakhstan daily rate files (XML / CSV)
+ */
+
+const exchangeRatesParser = {
+    /**
+     * Parse rate file content
+     * @param {string} content - Raw file content
+     * @param {string} format - 'xml' | 'csv'
+     * @returns {Array<Object>} Array of { currency, rateDate, rate, quantity }
+     */
+    parse(content, format) {
+        if (!content || typeof content !== 'string') {
+            throw new Error('Rate file content is required');
+        }
+
+        const detected = format || this.detectFormat(content);
+
+        let rates;
+        if (detected === 'xml') {
+            rates = this.parseXml(content);
+        } else if (detected === 'csv') {
+            rates = this.parseCsv(content);
+        } else {
+            throw new Error(`Unknown rate file format: ${format}. Supported: xml, csv`);
+        }
+
+        if (rates.length === 0) {
+            throw new Error('Rate file is invalid: no rates found');
+        }
+
+        return rates;
+    },
+
+    /**
+     * Detect format by content
+     * @param {string} content
+     * @returns {string}
+     */
+    detectFormat(content) {
+        return content.trim().startsWith('<') ? 'xml' : 'csv';
+    },
+
+    /**
+     * Parse NBRK daily XML (get_rates.cfm format)
+     *
+     * <rates>
+     *   <date>15.03.2024</date>
+     *   <item>
+     *     <fullname>ДОЛЛАР США</fullname>
+     *     <title>USD</title>
+     *     <description>450.12</description>
+     *     <quant>1</quant>
+     *   </item>
+     * </rates>
+     *
+     * @param {string} content
+     * @returns {Array<Object>}
+     */
+    parseXml(content) {
+        const dateValue = this.getTag(content, 'date');
+        if (!dateValue) {
+            throw new Error('NBRK XML: <date> is required');
+        }
+        const rateDate = this.normalizeDate(dateValue);
+
+        const rates = [];
+        const itemRegex = /<item>([\s\S]*?)<\/item>/g;
+        let match;
+        let index = 0;
+
+        while ((match = itemRegex.exec(content)) !== null) {
+            index++;
+            const item = match[1];
+            try {
+                rates.push(this.buildRate({
+                    currency: this.getTag(item, 'title'),
+                    rateDate,
+                    rate: this.getTag(item, 'description'),
+                    quantity: this.getTag(item, 'quant'),
+                }));
+            } catch (error) {
+                throw new Error(`NBRK XML: item ${index} - ${error.message}`);
+            }
+        }
+
+        return rates;
+    },
+
+    /**
+     * Parse CSV with header row
+     * Columns: date; currency; quant; rate (delimiter ';' or ',')
+     * @param {string} content
+     * @returns {Array<Object>}
+     */
+    parseCsv(content) {
+        const lines = content.split(/\r?\n/).filter(line => line.trim() !== '');
+        if (lines.length < 2) {
+            throw new Error('CSV: header and at least one row are required');
+        }
+
+        const delimiter = lines[0].includes(';') ? ';' : ',';
+        const headers = lines[0].split(delimiter).map(h => h.trim().toLowerCase());
+
+        const dateIdx = this.findColumn(headers, ['date', 'rate_date', 'дата']);
+        const currencyIdx = this.findColumn(headers, ['currency', 'code', 'title', 'валюта', 'код']);
+        const rateIdx = this.findColumn(headers, ['rate', 'description', 'курс']);
+        const quantIdx = this.findColumn(headers, ['quant', 'quantity', 'количество', 'кол-во']);
+
+        if (dateIdx === -1 || currencyIdx === -1 || rateIdx === -1) {
+            throw new Error('CSV: date, currency and rate columns are required');
+        }
+
+        const rates = [];
+        for (let i = 1; i < lines.length; i++) {
+            const cells = lines[i].split(delimiter).map(c => c.trim());
+            try {
+                rates.push(this.buildRate({
+                    currency: cells[currencyIdx],
+                    rateDate: this.normalizeDate(cells[dateIdx]),
+                    rate: cells[rateIdx],
+                    quantity: quantIdx !== -1 ? cells[quantIdx] : 1,
+                }));
+            } catch (error) {
+                throw new Error(`CSV: row ${i} - ${error.message}`);
+            }
+        }
+
+        return rates;
+    },
+
+    /**
+     * Validate and normalize single rate
+     * @param {Object} raw
+     * @returns {Object}
+     */
+    buildRate({ currency, rateDate, rate, quantity }) {
+        const code = currency ? String(currency).trim().toUpperCase() : '';
+        if (!/^[A-Z]{3}$/.test(code)) {
+            throw new Error(`invalid currency code: ${currency}`);
+        }
+
+        const value = parseFloat(String(rate).replace(/\s/g, '').replace(',', '.'));
+        if (isNaN(value) || value <= 0) {
+            throw new Error(`invalid rate for ${code}: ${rate}`);
+        }
+
+        const quant = parseInt(quantity, 10) || 1;
+
+        return {
+            currency: code,
+            rateDate,
+            rate: value,
+            quantity: quant,
+        };
+    },
+
+    /**
+     * Find column index by possible names
+     * @param {Array<string>} headers
+     * @param {Array<string>} possibleNames
+     * @returns {number}
+     */
+    findColumn(headers, possibleNames) {
+        for (const name of possibleNames) {
+            const idx = headers.indexOf(name);
+            if (idx !== -1) return idx;
+        }
+        return -1;
+    },
+
+    /**
+     * Get inner text of first tag occurrence
+     * @param {string} xml
+     * @param {string} tag
+     * @returns {string|null}
+     */
+    getTag(xml, tag) {
+        const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)<\\/${tag}>`));
+        return match ? match[1].trim() : null;
+    },
+
+    /**
+     * Normalize date to YYYY-MM-DD (accepts DD.MM.YYYY and YYYY-MM-DD)
+     * @param {string} date
+     * @returns {string}
+     */
+    normalizeDate(date) {
+        if (typeof date === 'string' && /^\d{2}\.\d{2}\.\d{4}$/.test(date)) {
+            const [day, month, year] = date.split('.');
+            date = `${year}-${month}-${day}`;
+        }
+
+        if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date).getTime())) {
+            throw new Error(`invalid date format: ${date}`);
+        }
+
+        return date;
+    },
+};
+
+module.exports = exchangeRatesParser;
@@ -0,0 +1,150 @@
+const db = require('../../db/postgres');
+
+const exchangeRatesRepository = {
+    // ==========================================
+    // WRITE
+    // ==========================================
+
+    /**
+     * Bulk upsert rates (re-import of the same day overwrites the rate)
+     * @param {Array} rates - [{ currency, rateDate, rate, quantity }]
+     * @param {string} source
+     * @returns {Promise<Object>} { inserted, updated }
+     */
+    async bulkUpsert(rates, source = 'nbrk') {
+        const client = await db.getClient();
+        try {
+            await client.query('BEGIN');
+
+            let inserted = 0;
+            let updated = 0;
+            for (const r of rates) {
+                const result = await client.query(
+                    `INSERT INTO exchange_rates (currency, rate_date, rate, quantity, source)
+                    VALUES ($1, $2, $3, $4, $5)
+                    ON CONFLICT (currency, rate_date)
+                    DO UPDATE SET rate = $3, quantity = $4, source = $5
+                    RETURNING (xmax = 0) AS inserted`,
+                    [r.currency, r.rateDate, r.rate, r.quantity, source]
+                );
+                if (result.rows[0].inserted) {
+                    inserted++;
+                } else {
+                    updated++;
+                }
+            }
+
+            await client.query('COMMIT');
+            return { inserted, updated };
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    },
+
+    // ==========================================
+    // READ
+    // ==========================================
+
+    /**
+     * Get rate for currency on date (latest published on or before the date)
+     * @param {string} currency
+     * @param {string} date
+     * @returns {Promise<Object|null>}
+     */
+    async findRateOnDate(currency, date) {
+        const result = await db.query(
+            `SELECT * FROM exchange_rates
+            WHERE currency = $1 AND rate_date <= $2
+            ORDER BY rate_date DESC
+            LIMIT 1`,
+            [currency, date]
+        );
+        return result.rows[0] || null;
+    },
+
+    /**
+     * Get rates for currencies covering a date range
+     * Includes the last rate before fromDate so that early events resolve
+     * @param {Array<string>} currencies
+     * @param {string} fromDate
+     * @param {string} toDate
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<Array>}
+     */
+    async getRatesForPeriod(currencies, fromDate, toDate, client = db) {
+        if (!currencies || currencies.length === 0) return [];
+
+        const result = await client.query(
+            `SELECT er.currency, er.rate_date, er.rate, er.quantity
+            FROM exchange_rates er
+            WHERE er.currency = ANY($1)
+              AND er.rate_date <= $3
+              AND er.rate_date >= COALESCE(
+                  (SELECT MAX(prev.rate_date) FROM exchange_rates prev
+                   WHERE prev.currency = er.currency AND prev.rate_date <= $2),
+                  $2
+              )
+            ORDER BY er.currency, er.rate_date`,
+            [currencies, fromDate, toDate]
+        );
+        return result.rows;
+    },
+
+    /**
+     * List rates with filters and pagination
+     * @param {Object} options
+     * @returns {Promise<Object>}
+     */
+    async list({ currency, from, to, page = 1, limit = 50 }) {
+        const conditions = [];
+        const params = [];
+        let paramIndex = 1;
+
+        if (currency) {
+            conditions.push(`currency = $${paramIndex++}`);
+            params.push(currency);
+        }
+
+        if (from) {
+            conditions.push(`rate_date >= $${paramIndex++}`);
+            params.push(from);
+        }
+
+        if (to) {
+            conditions.push(`rate_date <= $${paramIndex++}`);
+            params.push(to);
+        }
+
+        const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const offset = (page - 1) * limit;
+
+        const countResult = await db.query(
+            `SELECT COUNT(*) as total FROM exchange_rates ${whereClause}`,
+            params
+        );
+        const total = parseInt(countResult.rows[0].total, 10);
+
+        const result = await db.query(
+            `SELECT * FROM exchange_rates
+            ${whereClause}
+            ORDER BY rate_date DESC, currency
+            LIMIT $${paramIndex++} OFFSET $${paramIndex}`,
+            [...params, limit, offset]
+        );
+
+        return {
+            rates: result.rows,
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit),
+            },
+        };
+    },
+};
+
+module.exports = exchangeRatesRepository;
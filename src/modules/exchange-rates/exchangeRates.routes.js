@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const exchangeRatesController = require('./exchangeRates.controller');
+const { authenticate } = require('../../middleware/auth.middleware');
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   POST /api/exchange-rates/import
+ * @desc    Import NBRK daily rates file (XML or CSV)
+ * @access  Private
+ * @body    raw XML/CSV (Content-Type: application/xml | text/csv) or { format: 'xml'|'csv', content }
+ */
+router.post(
+    '/import',
+    express.text({ type: ['application/xml', 'text/xml', 'text/csv', 'text/plain'], limit: '5mb' }),
+    exchangeRatesController.importRates
+);
+
+/**
+ * @route   GET /api/exchange-rates
+ * @desc    List imported rates
+ * @access  Private
+ * @query   currency, from, to, page, limit
+ */
+router.get('/', exchangeRatesController.listRates);
+
+/**
+ * @route   GET /api/exchange-rates/:currency/:date
+ * @desc    Get rate effective on date (latest published on or before the date)
+ * @access  Private
+ */
+router.get('/:currency/:date', exchangeRatesController.getRateOnDate);
+
+module.exports = router;
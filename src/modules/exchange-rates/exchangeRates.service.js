@@ -0,0 +1,127 @@
+const exchangeRatesRepository = require('./exchangeRates.repository');
+const exchangeRatesParser = require('./exchangeRates.parser');
+const currencyConverter = require('../rule-engine/engine/currencyConverter');
+
+const exchangeRatesService = {
+    // ==========================================
+    // IMPORT
+    // ==========================================
+
+    /**
+     * Import NBRK rate file
+     * @param {string} content - Raw XML / CSV content
+     * @param {string} format - 'xml' | 'csv' (auto-detected if omitted)
+     * @returns {Promise<Object>}
+     */
+    async importRates(content, format) {
+        const rates = exchangeRatesParser.parse(content, format);
+
+        const { inserted, updated } = await exchangeRatesRepository.bulkUpsert(rates, 'nbrk');
+
+        const dates = [...new Set(rates.map(r => r.rateDate))].sort();
+        const currencies = [...new Set(rates.map(r => r.currency))].sort();
+
+        return {
+            total: rates.length,
+            inserted,
+            updated,
+            dateFrom: dates[0],
+            dateTo: dates[dates.length - 1],
+            currencies,
+        };
+    },
+
+    // ==========================================
+    // READ
+    // ==========================================
+
+    /**
+     * Get rate effective on date
+     * @param {string} currency
+     * @param {string} date - YYYY-MM-DD
+     * @returns {Promise<Object>}
+     */
+    async getRateOnDate(currency, date) {
+        const code = currency.toUpperCase();
+        const normalizedDate = exchangeRatesParser.normalizeDate(date);
+
+        if (code === currencyConverter.BASE_CURRENCY) {
+            return { currency: code, rate_date: normalizedDate, rate: 1, quantity: 1 };
+        }
+
+        const rate = await exchangeRatesRepository.findRateOnDate(code, normalizedDate);
+        if (!rate) {
+            throw new Error(`Exchange rate for ${code} on ${normalizedDate} not found`);
+        }
+
+        return rate;
+    },
+
+    /**
+     * List rates
+     * @param {Object} options
+     * @returns {Promise<Object>}
+     */
+    async listRates(options) {
+        return exchangeRatesRepository.list({
+            ...options,
+            currency: options.currency ? options.currency.toUpperCase() : null,
+        });
+    },
+
+    /**
+     * Load rates needed to convert tax events to KZT
+     * @param {Array} events - Tax events from DB
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<Array>}
+     */
+    async getRatesForEvents(events, client) {
+        const foreign = events.filter(e =>
+            e.currency && e.currency.trim().toUpperCase() !== currencyConverter.BASE_CURRENCY
+        );
+        if (foreign.length === 0) return [];
+
+        const currencies = [...new Set(foreign.map(e => e.currency.trim().toUpperCase()))];
+        const dates = foreign.map(e => currencyConverter.toDateString(e.event_date)).sort();
+
+        return exchangeRatesRepository.getRatesForPeriod(currencies, dates[0], dates[dates.length - 1], client);
+    },
+
+    /**
+     * Set value_kzt on register records (assets, receivables) at the rate
+     * effective on date. Records without a known rate get value_kzt = null
+     * @param {Array} records - Rows with value and currency
+     * @param {string} date - YYYY-MM-DD
+     * @returns {Promise<Array>}
+     */
+    async convertValuesToKzt(records, date) {
+        const rates = new Map();
+
+        for (const record of records) {
+            const currency = (record.currency || currencyConverter.BASE_CURRENCY).trim().toUpperCase();
+
+            if (record.value === null || record.value === undefined) {
+                record.value_kzt = null;
+                continue;
+            }
+
+            if (currency === currencyConverter.BASE_CURRENCY) {
+                record.value_kzt = parseFloat(record.value);
+                continue;
+            }
+
+            if (!rates.has(currency)) {
+                rates.set(currency, await exchangeRatesRepository.findRateOnDate(currency, date));
+            }
+
+            const rate = rates.get(currency);
+            record.value_kzt = rate
+                ? Math.round(parseFloat(record.value) * parseFloat(rate.rate) / rate.quantity * 100) / 100
+                : null;
+        }
+
+        return records;
+    },
+};
+
+module.exports = exchangeRatesService;
@@ -0,0 +1,109 @@
+const foreignAssetsService = require('./foreignAssets.service');
+
+const foreignAssetsController = {
+    /**
+     * List foreign assets
+     * GET /api/identities/:taxIdentityId/foreign-assets
+     */
+    async list(req, res, next) {
+        try {
+            const userId = req.user.id;
+            const { taxIdentityId } = req.params;
+            const { category, taxYear } = req.query;
+
+            const assets = await foreignAssetsService.list(userId, taxIdentityId, {
+                category,
+                taxYear: taxYear ? parseInt(taxYear, 10) : null,
+            });
+
+            res.json({
+                success: true,
+                data: assets,
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Create foreign asset
+     * POST /api/identities/:taxIdentityId/foreign-assets
+     */
+    async create(req, res, next) {
+        try {
+            const userId = req.user.id;
+            const { taxIdentityId } = req.params;
+
+            const asset = await foreignAssetsService.create(userId, taxIdentityId, req.body || {});
+
+            res.status(201).json({
+                success: true,
+                data: asset,
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Get foreign asset
+     * GET /api/identities/:taxIdentityId/foreign-assets/:assetId
+     */
+    async get(req, res, next) {
+        try {
+            const userId = req.user.id;
+            const { taxIdentityId, assetId } = req.params;
+
+            const asset = await foreignAssetsService.get(userId, taxIdentityId, assetId);
+
+            res.json({
+                success: true,
+                data: asset,
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Update foreign asset
+     * PUT /api/identities/:taxIdentityId/foreign-assets/:assetId
+     */
+    async update(req, res, next) {
+        try {
+            const userId = req.user.id;
+            const { taxIdentityId, assetId } = req.params;
+
+            const asset = await foreignAssetsService.update(userId, taxIdentityId, assetId, req.body || {});
+
+            res.json({
+                success: true,
+                data: asset,
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * Delete foreign asset
+     * DELETE /api/identities/:taxIdentityId/foreign-assets/:assetId
+     */
+    async delete(req, res, next) {
+        try {
+            const userId = req.user.id;
+            const { taxIdentityId, assetId } = req.params;
+
+            await foreignAssetsService.delete(userId, taxIdentityId, assetId);
+
+            res.json({
+                success: true,
+                message: 'Foreign asset deleted',
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+};
+
+module.exports = foreignAssetsController;
@@ -0,0 +1,191 @@
+const db = require('../../db/postgres');
+
+const ASSET_FIELDS = [
+    'asset_category', 'country_code', 'description', 'address', 'registration_number',
+    'issuer_name', 'bank_swift', 'account_number', 'quantity', 'ownership_share',
+    'acquisition_date', 'disposal_date', 'value', 'currency',
+];
+
+const foreignAssetsRepository = {
+    // ==========================================
+    // CRUD
+    // ==========================================
+
+    /**
+     * Create foreign asset
+     * @param {string} taxIdentityId
+     * @param {Object} data - camelCase asset fields
+     * @returns {Promise<Object>}
+     */
+    async create(taxIdentityId, data) {
+        const columns = ['tax_identity_id'];
+        const values = [taxIdentityId];
+
+        for (const field of ASSET_FIELDS) {
+            const value = data[this.toCamel(field)];
+            if (value !== undefined) {
+                columns.push(field);
+                values.push(value);
+            }
+        }
+
+        const placeholders = values.map((_, i) => `$${i + 1}`);
+        const result = await db.query(
+            `INSERT INTO foreign_assets (${columns.join(', ')})
+            VALUES (${placeholders.join(', ')})
+            RETURNING *`,
+            values
+        );
+        return result.rows[0];
+    },
+
+    /**
+     * Find asset by ID
+     * @param {string} id
+     * @returns {Promise<Object|null>}
+     */
+    async findById(id) {
+        const result = await db.query(
+            `SELECT * FROM foreign_assets WHERE id = $1`,
+            [id]
+        );
+        return result.rows[0] || null;
+    },
+
+    /**
+     * List assets for tax identity
+     * @param {string} taxIdentityId
+     * @param {Object} options - { category, heldAt }
+     * @returns {Promise<Array>}
+     */
+    async listByTaxIdentity(taxIdentityId, { category, heldAt } = {}) {
+        const conditions = ['tax_identity_id = $1'];
+        const params = [taxIdentityId];
+        let paramIndex = 2;
+
+        if (category) {
+            conditions.push(`asset_category = $${paramIndex++}`);
+            params.push(category);
+        }
+
+        // Held on date: acquired on/before and not disposed by that date
+        if (heldAt) {
+            conditions.push(`(acquisition_date IS NULL OR acquisition_date <= $${paramIndex})`);
+            conditions.push(`(disposal_date IS NULL OR disposal_date > $${paramIndex})`);
+            params.push(heldAt);
+            paramIndex++;
+        }
+
+        const result = await db.query(
+            `SELECT * FROM foreign_assets
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY asset_category, acquisition_date NULLS LAST, created_at`,
+            params
+        );
+        return result.rows;
+    },
+
+    /**
+     * Update asset
+     * @param {string} id
+     * @param {Object} data - camelCase asset fields
+     * @returns {Promise<Object>}
+     */
+    async update(id, data) {
+        const fields = [];
+        const values = [];
+        let paramIndex = 1;
+
+        for (const [key, value] of Object.entries(data)) {
+            const snakeKey = key.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+            if (ASSET_FIELDS.includes(snakeKey)) {
+                fields.push(`${snakeKey} = $${paramIndex}`);
+                values.push(value);
+                paramIndex++;
+            }
+        }
+
+        if (fields.length === 0) {
+            return this.findById(id);
+        }
+
+        values.push(id);
+        const result = await db.query(
+            `UPDATE foreign_assets
+            SET ${fields.join(', ')}, updated_at = now()
+            WHERE id = $${paramIndex}
+            RETURNING *`,
+            values
+        );
+        return result.rows[0];
+    },
+
+    /**
+     * Delete asset
+     * @param {string} id
+     * @returns {Promise<boolean>}
+     */
+    async delete(id) {
+        const result = await db.query(
+            `DELETE FROM foreign_assets WHERE id = $1`,
+            [id]
+        );
+        return result.rowCount > 0;
+    },
+
+    // ==========================================
+    // IMPORT
+    // ==========================================
+
+    /**
+     * Upsert assets parsed from source record (re-parse overwrites by position)
+     * @param {string} taxIdentityId
+     * @param {string} sourceRecordId
+     * @param {Array} assets - camelCase asset fields
+     * @returns {Promise<Array>}
+     */
+    async upsertFromSource(taxIdentityId, sourceRecordId, assets) {
+        if (!assets || assets.length === 0) return [];
+
+        const client = await db.getClient();
+        try {
+            await client.query('BEGIN');
+
+            const results = [];
+            for (let i = 0; i < assets.length; i++) {
+                const values = ASSET_FIELDS.map(field => {
+                    const value = assets[i][this.toCamel(field)];
+                    return value === undefined ? null : value;
+                });
+
+                const columns = [...ASSET_FIELDS, 'tax_identity_id', 'source_record_id', 'source_index'];
+                const placeholders = columns.map((_, idx) => `$${idx + 1}`);
+                const updates = ASSET_FIELDS.map(field => `${field} = EXCLUDED.${field}`);
+
+                const result = await client.query(
+                    `INSERT INTO foreign_assets (${columns.join(', ')})
+                    VALUES (${placeholders.join(', ')})
+                    ON CONFLICT (source_record_id, source_index)
+                    DO UPDATE SET ${updates.join(', ')}, updated_at = now()
+                    RETURNING *`,
+                    [...values, taxIdentityId, sourceRecordId, i]
+                );
+                results.push(result.rows[0]);
+            }
+
+            await client.query('COMMIT');
+            return results;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    },
+
+    toCamel(field) {
+        return field.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase());
+    },
+};
+
+module.exports = foreignAssetsRepository;
@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const foreignAssetsController = require('./foreignAssets.controller');
+const { authenticate } = require('../../middleware/auth.middleware');
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/identities/:taxIdentityId/foreign-assets
+ * @desc    List foreign assets (270.04 register)
+ * @access  Private
+ * @query   category, taxYear (assets held at year end)
+ */
+router.get('/', foreignAssetsController.list);
+
+/**
+ * @route   POST /api/identities/:taxIdentityId/foreign-assets
+ * @desc    Add foreign asset
+ * @access  Private
+ * @body    { assetCategory, countryCode, description?, address?, registrationNumber?, issuerName?,
+ *            bankSwift?, accountNumber?, quantity?, ownershipShare?, acquisitionDate?, disposalDate?,
+ *            value?, currency? }
+ */
+router.post('/', foreignAssetsController.create);
+
+/**
+ * @route   GET /api/identities/:taxIdentityId/foreign-assets/:assetId
+ * @desc    Get foreign asset
+ * @access  Private
+ */
+router.get('/:assetId', foreignAssetsController.get);
+
+/**
+ * @route   PUT /api/identities/:taxIdentityId/foreign-assets/:assetId
+ * @desc    Update foreign asset
+ * @access  Private
+ */
+router.put('/:assetId', foreignAssetsController.update);
+
+/**
+ * @route   DELETE /api/identities/:taxIdentityId/foreign-assets/:assetId
+ * @desc    Delete foreign asset
+ * @access  Private (owner only)
+ */
+router.delete('/:assetId', foreignAssetsController.delete);
+
+module.exports = router;
@@ -0,0 +1,244 @@
+const foreignAssetsRepository = require('./foreignAssets.repository');
+const identitiesRepository = require('../identities/identities.repository');
+const exchangeRatesService = require('../exchange-rates/exchangeRates.service');
+
+const VALID_CATEGORIES = ['real_estate', 'securities', 'share', 'bank_account'];
+
+const foreignAssetsService = {
+    VALID_CATEGORIES,
+
+    // ==========================================
+    // CRUD
+    // ==========================================
+
+    /**
+     * Create foreign asset
+     * @param {string} userId
+     * @param {string} taxIdentityId
+     * @param {Object} data
+     * @returns {Promise<Object>}
+     */
+    async create(userId, taxIdentityId, data) {
+        await this.checkAccess(userId, taxIdentityId);
+
+        const asset = this.normalizeAsset(data, false);
+        return foreignAssetsRepository.create(taxIdentityId, asset);
+    },
+
+    /**
+     * List foreign assets of tax identity
+     * @param {string} userId
+     * @param {string} taxIdentityId
+     * @param {Object} options - { category, taxYear }
+     * @returns {Promise<Array>}
+     */
+    async list(userId, taxIdentityId, { category, taxYear } = {}) {
+        await this.checkAccess(userId, taxIdentityId);
+
+        if (category && !VALID_CATEGORIES.includes(category)) {
+            throw new Error(`Asset category is invalid: ${category}. Supported: ${VALID_CATEGORIES.join(', ')}`);
+        }
+
+        return foreignAssetsRepository.listByTaxIdentity(taxIdentityId, {
+            category,
+            heldAt: taxYear ? `${taxYear}-12-31` : null,
+        });
+    },
+
+    /**
+     * Get single asset
+     * @param {string} userId
+     * @param {string} taxIdentityId
+     * @param {string} assetId
+     * @returns {Promise<Object>}
+     */
+    async get(userId, taxIdentityId, assetId) {
+        await this.checkAccess(userId, taxIdentityId);
+        return this.findOwnAsset(taxIdentityId, assetId);
+    },
+
+    /**
+     * Update asset
+     * @param {string} userId
+     * @param {string} taxIdentityId
+     * @param {string} assetId
+     * @param {Object} data
+     * @returns {Promise<Object>}
+     */
+    async update(userId, taxIdentityId, assetId, data) {
+        await this.checkAccess(userId, taxIdentityId);
+        const existing = await this.findOwnAsset(taxIdentityId, assetId);
+
+        const asset = this.normalizeAsset(data, true);
+
+        const acquisition = asset.acquisitionDate !== undefined ? asset.acquisitionDate : this.toDateString(existing.acquisition_date);
+        const disposal = asset.disposalDate !== undefined ? asset.disposalDate : this.toDateString(existing.disposal_date);
+        if (acquisition && disposal && disposal < acquisition) {
+            throw new Error('disposalDate must not be earlier than acquisitionDate (invalid dates)');
+        }
+
+        return foreignAssetsRepository.update(assetId, asset);
+    },
+
+    /**
+     * Delete asset (owner only)
+     * @param {string} userId
+     * @param {string} taxIdentityId
+     * @param {string} assetId
+     * @returns {Promise<boolean>}
+     */
+    async delete(userId, taxIdentityId, assetId) {
+        await this.checkAccess(userId, taxIdentityId, ['owner']);
+        await this.findOwnAsset(taxIdentityId, assetId);
+        return foreignAssetsRepository.delete(assetId);
+    },
+
+    // ==========================================
+    // IMPORT / DECLARATION
+    // ==========================================
+
+    /**
+     * Import assets parsed from source record
+     * Invalid records are skipped and reported
+     * @param {Object} sourceRecord
+     * @param {Array} parsedAssets
+     * @returns {Promise<Object>} { imported, skipped }
+     */
+    async importFromSource(sourceRecord, parsedAssets) {
+        const valid = [];
+        const skipped = [];
+
+        parsedAssets.forEach((raw, index) => {
+            try {
+                valid.push(this.normalizeAsset(raw, false));
+            } catch (error) {
+                skipped.push({ index, error: error.message });
+            }
+        });
+
+        const imported = await foreignAssetsRepository.upsertFromSource(
+            sourceRecord.tax_identity_id,
+            sourceRecord.id,
+            valid
+        );
+
+        return { imported, skipped };
+    },
+
+    /**
+     * Assets held at the end of tax year, with value converted to KZT
+     * at the NBRK rate on December 31
+     * @param {string} taxIdentityId
+     * @param {number} taxYear
+     * @returns {Promise<Array>}
+     */
+    async getForDeclaration(taxIdentityId, taxYear) {
+        const yearEnd = `${taxYear}-12-31`;
+        const assets = await foreignAssetsRepository.listByTaxIdentity(taxIdentityId, { heldAt: yearEnd });
+
+        return exchangeRatesService.convertValuesToKzt(assets, yearEnd);
+    },
+
+    // ==========================================
+    // HELPERS
+    // ==========================================
+
+    async checkAccess(userId, taxIdentityId, roles) {
+        const hasAccess = await identitiesRepository.userHasAccess(userId, taxIdentityId, roles);
+        if (!hasAccess) {
+            throw new Error('No access to this tax identity');
+        }
+    },
+
+    async findOwnAsset(taxIdentityId, assetId) {
+        const asset = await foreignAssetsRepository.findById(assetId);
+        if (!asset || asset.tax_identity_id !== taxIdentityId) {
+            throw new Error('Foreign asset not found');
+        }
+        return asset;
+    },
+
+    /**
+     * Validate and normalize asset input
+     * @param {Object} data
+     * @param {boolean} partial - Update mode (required fields may be omitted)
+     * @returns {Object}
+     */
+    normalizeAsset(data, partial) {
+        const asset = { ...data };
+
+        if (!partial || asset.assetCategory !== undefined) {
+            if (!asset.assetCategory) {
+                throw new Error('assetCategory is required');
+            }
+            if (!VALID_CATEGORIES.includes(asset.assetCategory)) {
+                throw new Error(`Asset category is invalid: ${asset.assetCategory}. Supported: ${VALID_CATEGORIES.join(', ')}`);
+            }
+        }
+
+        if (!partial || asset.countryCode !== undefined) {
+            if (!asset.countryCode) {
+                throw new Error('countryCode is required');
+            }
+            asset.countryCode = String(asset.countryCode).trim().toUpperCase();
+            if (!/^[A-Z]{2}$/.test(asset.countryCode)) {
+                throw new Error(`countryCode is invalid: ${asset.countryCode}. Expected ISO 3166-1 alpha-2`);
+            }
+            if (asset.countryCode === 'KZ') {
+                throw new Error('countryCode is invalid: KZ assets belong to the domestic register');
+            }
+        }
+
+        if (asset.currency !== undefined && asset.currency !== null) {
+            asset.currency = String(asset.currency).trim().toUpperCase();
+            if (!/^[A-Z]{3}$/.test(asset.currency)) {
+                throw new Error(`currency is invalid: ${asset.currency}`);
+            }
+        }
+
+        for (const key of ['value', 'quantity', 'ownershipShare']) {
+            if (asset[key] !== undefined && asset[key] !== null) {
+                const num = parseFloat(asset[key]);
+                if (isNaN(num) || num < 0) {
+                    throw new Error(`${key} is invalid: ${asset[key]}`);
+                }
+                asset[key] = num;
+            }
+        }
+
+        if (asset.ownershipShare > 100) {
+            throw new Error('ownershipShare is invalid: must be between 0 and 100');
+        }
+
+        for (const key of ['acquisitionDate', 'disposalDate']) {
+            if (asset[key] !== undefined && asset[key] !== null) {
+                if (!/^\d{4}-\d{2}-\d{2}$/.test(asset[key]) || isNaN(new Date(asset[key]).getTime())) {
+                    throw new Error(`${key} is invalid: expected YYYY-MM-DD`);
+                }
+            }
+        }
+
+        if (asset.acquisitionDate && asset.disposalDate && asset.disposalDate < asset.acquisitionDate) {
+            throw new Error('disposalDate must not be earlier than acquisitionDate (invalid dates)');
+        }
+
+        if (asset.assetCategory === 'bank_account' && !partial && !asset.accountNumber) {
+            throw new Error('accountNumber is required for bank_account');
+        }
+
+        return asset;
+    },
+
+    toDateString(date) {
+        if (!date) return null;
+        if (date instanceof Date) {
+            const y = date.getFullYear();
+            const m = String(date.getMonth() + 1).padStart(2, '0');
+            const d = String(date.getDate()).padStart(2, '0');
+            return `${y}-${m}-${d}`;
+        }
+        return String(date).slice(0, 10);
+    },
+};
+
+module.exports = foreignAssetsService;
@@ -12,7 +12,7 @@ const identitiesController = {
     async registerPerson(req, res, next) {
         try {
             const userId = req.user.id;
-            const { iin, lastName, firstName, middleName, email, phone, residencyStatus, maritalStatus, taxObligationStartYear, role } = req.body;
+            const { iin, lastName, firstName, middleName, email, phone, residencyStatus, maritalStatus, taxObligationStartYear, iik, bankBic, kogd, role } = req.body;
 
             if (!iin || !lastName || !firstName) {
                 return res.status(400).json({
@@ -21,13 +21,6 @@ const identitiesController = {
                 });
             }
 
-            if (!/^\d{12}$/.test(iin)) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'ИИН должен содержать 12 цифр',
-                });
-            }
-
             const result = await identitiesService.registerPerson(userId, {
                 iin,
                 lastName,
@@ -38,6 +31,9 @@ const identitiesController = {
                 residencyStatus,
                 maritalStatus,
                 taxObligationStartYear,
+                iik,
+                bankBic,
+                kogd,
             }, role || 'owner');
 
             res.status(201).json({
@@ -65,13 +61,6 @@ const identitiesController = {
                 });
             }
 
-            if (!/^\d{12}$/.test(bin)) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'БИН должен содержать 12 цифр',
-                });
-            }
-
             if (!['IP', 'TOO'].includes(entityType)) {
                 return res.status(400).json({
                     success: false,
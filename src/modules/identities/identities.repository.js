@@ -36,15 +36,16 @@ const identitiesRepository = {
      * @param {Object} data - Person data
      * @returns {Promise<Object>}
      */
-    async createPerson({ iin, lastName, firstName, middleName, email, phone, residencyStatus, maritalStatus, taxObligationStartYear }) {
+    async createPerson({ iin, lastName, firstName, middleName, email, phone, residencyStatus, maritalStatus, taxObligationStartYear, iik, bankBic, kogd }) {
         const result = await db.query(
             `INSERT INTO persons (
                 iin, last_name, first_name, middle_name,
-                email, phone, residency_status, marital_status, tax_obligation_start_year
+                email, phone, residency_status, marital_status, tax_obligation_start_year,
+                iik, bank_bic, kogd
             )
-            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
             RETURNING *`,
-            [iin, lastName, firstName, middleName || null, email || null, phone || null, residencyStatus, maritalStatus, taxObligationStartYear]
+            [iin, lastName, firstName, middleName || null, email || null, phone || null, residencyStatus, maritalStatus, taxObligationStartYear, iik || null, bankBic || null, kogd || null]
         );
         return result.rows[0];
     },
@@ -55,7 +56,7 @@ const identitiesRepository = {
      * @param {Object} data - Update data
      * @returns {Promise<Object>}
      */
-    async updatePerson(id, { lastName, firstName, middleName, email, phone, residencyStatus, maritalStatus, taxObligationStartYear }) {
+    async updatePerson(id, { lastName, firstName, middleName, email, phone, residencyStatus, maritalStatus, taxObligationStartYear, iik, bankBic, kogd }) {
         const result = await db.query(
             `UPDATE persons SET
                 last_name = COALESCE($2, last_name),
@@ -65,10 +66,13 @@ const identitiesRepository = {
                 phone = COALESCE($6, phone),
                 residency_status = COALESCE($7, residency_status),
                 marital_status = COALESCE($8, marital_status),
-                tax_obligation_start_year = COALESCE($9, tax_obligation_start_year)
+                tax_obligation_start_year = COALESCE($9, tax_obligation_start_year),
+                iik = COALESCE($10, iik),
+                bank_bic = COALESCE($11, bank_bic),
+                kogd = COALESCE($12, kogd)
             WHERE id = $1
             RETURNING *`,
-            [id, lastName, firstName, middleName, email, phone, residencyStatus, maritalStatus, taxObligationStartYear]
+            [id, lastName, firstName, middleName, email, phone, residencyStatus, maritalStatus, taxObligationStartYear, iik, bankBic, kogd]
         );
         return result.rows[0];
     },
@@ -198,6 +202,7 @@ const identitiesRepository = {
                 p.iin, p.last_name, p.first_name, p.middle_name,
                 p.email AS person_email, p.phone AS person_phone,
                 p.residency_status, p.marital_status, p.tax_obligation_start_year,
+                p.iik, p.bank_bic, p.kogd,
                 b.bin, b.legal_name, b.entity_type,
                 b.email AS business_email, b.phone AS business_phone
             FROM tax_identities ti
@@ -361,6 +366,29 @@ const identitiesRepository = {
         return result.rows;
     },
 
+    /**
+     * List owners of a tax identity, earliest granted first
+     * @param {string} taxIdentityId
+     * @returns {Promise<Array>}
+     */
+    async listOwners(taxIdentityId) {
+        const result = await db.query(
+            `SELECT
+                u.id AS user_id,
+                u.email,
+                u.phone,
+                u.username,
+                uir.role,
+                uir.created_at
+            FROM user_identity_roles uir
+            JOIN users u ON u.id = uir.user_id
+            WHERE uir.tax_identity_id = $1 AND uir.role = 'owner'
+            ORDER BY uir.created_at ASC, u.id ASC`,
+            [taxIdentityId]
+        );
+        return result.rows;
+    },
+
     /**
      * Check if user has access to tax identity
      * @param {string} userId
@@ -428,7 +456,10 @@ const identitiesRepository = {
                         'email', p.email,
                         'phone', p.phone,
                         'residency_status', p.residency_status,
-                        'marital_status', p.marital_status
+                        'marital_status', p.marital_status,
+                        'iik', p.iik,
+                        'bank_bic', p.bank_bic,
+                        'kogd', p.kogd
                     )
                     ELSE NULL
                 END AS person,
@@ -1,4 +1,5 @@
 const identitiesRepository = require('./identities.repository');
+const { parseIin, parseBin } = require('../../utils/iin');
 
 const identitiesService = {
     // ==========================================
@@ -13,7 +14,11 @@ const identitiesService = {
      * @returns {Promise<Object>}
      */
     async registerPerson(userId, personData, role = 'owner') {
-        const { iin, lastName, firstName, middleName, email, phone, residencyStatus, maritalStatus, taxObligationStartYear } = personData;
+        const { lastName, firstName, middleName, email, phone, residencyStatus, maritalStatus, taxObligationStartYear, iik, bankBic, kogd } = personData;
+
+        const identification = parseIin(personData.iin, 'iin');
+        const { iin } = identification;
+        this.validatePaymentDetails(personData);
 
         // Проверяем, существует ли уже физлицо с таким ИИН
         let person = await identitiesRepository.findPersonByIin(iin);
@@ -37,6 +42,7 @@ const identitiesService = {
                     taxIdentityId: existingTaxIdentity.id,
                     identityType: 'PERSON',
                     person,
+                    identification,
                     role,
                     isNew: false,
                 };
@@ -55,6 +61,9 @@ const identitiesService = {
                 residencyStatus,
                 maritalStatus,
                 taxObligationStartYear,
+                iik,
+                bankBic,
+                kogd,
             });
         }
 
@@ -68,6 +77,7 @@ const identitiesService = {
             taxIdentityId: taxIdentity.id,
             identityType: 'PERSON',
             person,
+            identification,
             role,
             isNew: true,
         };
@@ -85,7 +95,13 @@ const identitiesService = {
      * @returns {Promise<Object>}
      */
     async registerBusiness(userId, businessData, role = 'owner') {
-        const { bin, legalName, entityType, email, phone } = businessData;
+        const { legalName, entityType, email, phone } = businessData;
+
+        // ИП регистрируется по ИИН владельца
+        const identification = entityType === 'IP'
+            ? parseIin(businessData.bin, 'bin')
+            : parseBin(businessData.bin, 'bin');
+        const bin = identification.bin || identification.iin;
 
         // Проверяем, существует ли бизнес с таким БИН
         let business = await identitiesRepository.findBusinessByBin(bin);
@@ -106,6 +122,7 @@ const identitiesService = {
                     taxIdentityId: existingTaxIdentity.id,
                     identityType: 'BUSINESS',
                     business,
+                    identification,
                     role,
                     isNew: false,
                 };
@@ -129,6 +146,7 @@ const identitiesService = {
             taxIdentityId: taxIdentity.id,
             identityType: 'BUSINESS',
             business,
+            identification,
             role,
             isNew: true,
         };
@@ -201,6 +219,8 @@ const identitiesService = {
             throw new Error('Физлицо не найдено');
         }
 
+        this.validatePaymentDetails(updateData);
+
         const updatedPerson = await identitiesRepository.updatePerson(taxIdentity.person_id, updateData);
         return updatedPerson;
     },
@@ -344,6 +364,28 @@ const identitiesService = {
 
         return await identitiesRepository.deleteUserIdentityRole(userId, taxIdentityId);
     },
+
+    // ==========================================
+    // VALIDATION
+    // ==========================================
+
+    /**
+     * Проверка банковских реквизитов и КОГД (приложение 270.02)
+     * @param {Object} data - { iik, bankBic, kogd }
+     */
+    validatePaymentDetails({ iik, bankBic, kogd }) {
+        if (iik && !/^KZ[0-9A-Z]{18}$/.test(iik)) {
+            throw new Error('Неверный ИИК: ожидается KZ и 18 символов');
+        }
+
+        if (bankBic && !/^[A-Z0-9]{8}$/.test(bankBic)) {
+            throw new Error('Неверный БИК: ожидается 8 символов');
+        }
+
+        if (kogd && !/^\d{4}$/.test(kogd)) {
+            throw new Error('Неверный КОГД: ожидается 4 цифры');
+        }
+    },
 };
 
 module.exports = identitiesService;
\ No newline at end of file
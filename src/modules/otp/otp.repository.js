@@ -9,12 +9,12 @@ const otpRepository = {
      * @param {Object} data - OTP data
      * @returns {Promise<Object>}
      */
-    async create({ userId, codeHash, expiresAt, ipAddress, userAgent }) {
+    async create({ userId, codeHash, expiresAt, ipAddress, userAgent, purpose = 'login', payloadHash = null }) {
         const result = await db.query(
-            `INSERT INTO otp_codes (user_id, code_hash, expires_at, ip_address, user_agent)
-       VALUES ($1, $2, $3, $4, $5)
+            `INSERT INTO otp_codes (user_id, code_hash, expires_at, ip_address, user_agent, purpose, payload_hash)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
        RETURNING *`,
-            [userId, codeHash, expiresAt, ipAddress, userAgent]
+            [userId, codeHash, expiresAt, ipAddress, userAgent, purpose, payloadHash]
         );
         return result.rows[0];
     },
@@ -22,17 +22,19 @@ const otpRepository = {
     /**
      * Find active OTP by user ID (not used, not expired)
      * @param {string} userId - User UUID
+     * @param {string} purpose - login | declaration_signing
      * @returns {Promise<Object|null>}
      */
-    async findActiveByUserId(userId) {
+    async findActiveByUserId(userId, purpose = 'login') {
         const result = await db.query(
             `SELECT * FROM otp_codes 
        WHERE user_id = $1 
+         AND purpose = $2
          AND used = false 
          AND expires_at > NOW() AT TIME ZONE 'UTC'
        ORDER BY created_at DESC
        LIMIT 1`,
-            [userId]
+            [userId, purpose]
         );
         return result.rows[0] || null;
     },
@@ -70,16 +72,17 @@ const otpRepository = {
     },
 
     /**
-     * Invalidate all OTPs for a user
+     * Invalidate all OTPs of purpose for a user
      * @param {string} userId - User UUID
+     * @param {string} purpose - login | declaration_signing
      * @returns {Promise<number>}
      */
-    async invalidateAllForUser(userId) {
+    async invalidateAllForUser(userId, purpose = 'login') {
         const result = await db.query(
             `UPDATE otp_codes 
        SET used = true 
-       WHERE user_id = $1 AND used = false`,
-            [userId]
+       WHERE user_id = $1 AND purpose = $2 AND used = false`,
+            [userId, purpose]
         );
         return result.rowCount;
     },
@@ -100,15 +103,17 @@ const otpRepository = {
      * Count recent OTP requests (rate limiting)
      * @param {string} userId - User UUID
      * @param {number} minutes - Time window in minutes
+     * @param {string} purpose - login | declaration_signing
      * @returns {Promise<number>}
      */
-    async countRecentRequests(userId, minutes = 60) {
+    async countRecentRequests(userId, minutes = 60, purpose = 'login') {
         const result = await db.query(
             `SELECT COUNT(*) as count 
        FROM otp_codes 
        WHERE user_id = $1 
+         AND purpose = $2
          AND created_at > NOW() - INTERVAL '${minutes} minutes'`,
-            [userId]
+            [userId, purpose]
         );
         return parseInt(result.rows[0].count, 10);
     },
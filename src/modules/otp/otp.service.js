@@ -1,13 +1,19 @@
 const otpRepository = require('./otp.repository');
 const { generateOTP, getOTPExpiration, isOTPExpired } = require('../../utils/otp');
 const { hashValue, compareHash } = require('../../utils/crypto');
-const { sendOTPEmail } = require('../../utils/mailer');
+const { sendOTPEmail, sendSigningOTPEmail } = require('../../utils/mailer');
 require('dotenv').config();
 
 const MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS, 10) || 3;
 const EXPIRES_MINUTES = parseInt(process.env.OTP_EXPIRES_MINUTES, 10) || 5;
 const MAX_REQUESTS_PER_HOUR = 5;
 
+// Codes of one purpose can't be used for another (login code doesn't sign a declaration)
+const PURPOSES = {
+    login: (email, code) => sendOTPEmail(email, code),
+    declaration_signing: (email, code, details) => sendSigningOTPEmail(email, { code, ...details }),
+};
+
 /**
  * OTP Service - Business logic for OTP operations
  */
@@ -17,17 +23,22 @@ const otpService = {
      * @param {Object} user - User object
      * @param {string} ipAddress - Client IP
      * @param {string} userAgent - Client user agent
+     * @param {Object} options - { purpose, payloadHash (data confirmed by code), details (for email) }
      * @returns {Promise<Object>}
      */
-    async sendOTP(user, ipAddress, userAgent) {
+    async sendOTP(user, ipAddress, userAgent, { purpose = 'login', payloadHash = null, details = {} } = {}) {
+        if (!PURPOSES[purpose]) {
+            throw new Error(`OTP purpose is invalid: ${purpose}`);
+        }
+
         // Rate limiting check
-        const recentRequests = await otpRepository.countRecentRequests(user.id, 60);
+        const recentRequests = await otpRepository.countRecentRequests(user.id, 60, purpose);
         if (recentRequests >= MAX_REQUESTS_PER_HOUR) {
             throw new Error('Превышен лимит запросов OTP. Попробуйте позже.');
         }
 
-        // Invalidate any existing OTPs for this user
-        await otpRepository.invalidateAllForUser(user.id);
+        // Invalidate any existing OTPs of this purpose for this user
+        await otpRepository.invalidateAllForUser(user.id, purpose);
 
         // Generate new OTP
         const code = generateOTP();
@@ -43,11 +54,13 @@ const otpService = {
             expiresAt,
             ipAddress,
             userAgent,
+            purpose,
+            payloadHash,
         });
 
         // Send OTP via email
         if (user.email) {
-            await sendOTPEmail(user.email, code);
+            await PURPOSES[purpose](user.email, code, details);
         }
 
         return {
@@ -61,11 +74,12 @@ const otpService = {
      * Verify OTP code
      * @param {string} userId - User UUID
      * @param {string} code - OTP code to verify
+     * @param {Object} options - { purpose, payloadHash (must match the one code was issued for) }
      * @returns {Promise<Object>}
      */
-    async verifyOTP(userId, code) {
+    async verifyOTP(userId, code, { purpose = 'login', payloadHash = null } = {}) {
         // Find active OTP
-        const otp = await otpRepository.findActiveByUserId(userId);
+        const otp = await otpRepository.findActiveByUserId(userId, purpose);
 
         if (!otp) {
             throw new Error('Код не найден или истёк. Запросите новый код.');
@@ -83,6 +97,12 @@ const otpService = {
             throw new Error('Превышено количество попыток. Запросите новый код.');
         }
 
+        // Code confirms specific data (e.g. XML hash) - it changed since the code was sent
+        if (payloadHash && otp.payload_hash !== payloadHash) {
+            await otpRepository.markAsUsed(otp.id);
+            throw new Error('Код истёк: подтверждаемые данные изменились. Запросите новый код.');
+        }
+
         // Verify code
         const isValid = await compareHash(code, otp.code_hash);
 
@@ -97,6 +117,7 @@ const otpService = {
 
         return {
             success: true,
+            otpId: otp.id,
             message: 'Код подтверждён',
         };
     },
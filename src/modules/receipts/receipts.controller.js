@@ -0,0 +1,64 @@
+const receiptsService = require('./receipts.service');
+
+const receiptsController = {
+    /**
+     * POST /receipts/declarations/:declarationId
+     * Attach authority response: XML body (application/xml), { xml } or JSON notice
+     */
+    async attach(req, res, next) {
+        try {
+            const body = req.body;
+            let data;
+            if (typeof body === 'string') {
+                data = { payload: body, format: 'xml' };
+            } else if (body && typeof body.xml === 'string') {
+                data = { payload: body.xml, format: 'xml' };
+            } else {
+                data = { payload: body && Object.keys(body).length > 0 ? body : null, format: 'json' };
+            }
+
+            const result = await receiptsService.attach(req.params.declarationId, req.user.id, data);
+
+            res.status(201).json({
+                success: true,
+                data: result,
+            });
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return res.status(404).json({ success: false, error: error.message });
+            }
+            if (error.message.includes('No access')) {
+                return res.status(403).json({ success: false, error: error.message });
+            }
+            if (error.message.includes('Cannot')) {
+                return res.status(409).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * GET /receipts/declarations/:declarationId
+     * List authority receipts of declaration
+     */
+    async listForDeclaration(req, res, next) {
+        try {
+            const receipts = await receiptsService.listForDeclaration(req.params.declarationId, req.user.id);
+
+            res.json({
+                success: true,
+                data: receipts,
+            });
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return res.status(404).json({ success: false, error: error.message });
+            }
+            if (error.message.includes('No access')) {
+                return res.status(403).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    },
+};
+
+module.exports = receiptsController;
@@ -0,0 +1,231 @@
+/**
+ * Receipts Parser
+ * Reads tax authority response (receipt of acceptance / rejection notice)
+ * from XML or JSON into one shape:
+ *   { outcome, registrationNumber, postDate, processedAt, receptorName, reason,
+ *     errors: [{ code, message, applicationCode?, xmlField? }] }
+ *
+ * Element / key names differ between gateway versions, aliases below are accepted.
+ *
+ * XML:
+ *   <notice status="REJECTED">
+ *     <registrationNumber>620520250000123</registrationNumber>
+ *     <postDate>15.03.2025</postDate>
+ *     <receptorName>6205</receptorName>
+ *     <reason>...</reason>
+ *     <errors>
+ *       <error code="FNO_IIN_NOT_FOUND" form="form_270_00" field="iin">text</error>
+ *     </errors>
+ *   </notice>
+ *
+ * JSON: { status, registrationNumber, postDate, receptorName, reason, errors: [{ code, message, form, field }] }
+ */
+
+const { DOMParser } = require('@xmldom/xmldom');
+
+const ALIASES = {
+    outcome: ['outcome', 'status', 'result', 'decision'],
+    registrationNumber: ['registrationNumber', 'registration_number', 'regNumber', 'reg_number', 'inDocNumber', 'in_doc_number'],
+    postDate: ['postDate', 'post_date', 'receivedAt', 'receiveDate', 'acceptDate', 'acceptedAt'],
+    processedAt: ['processedAt', 'processed_at', 'processDate', 'decisionDate'],
+    receptorName: ['receptorName', 'receptor_name', 'receptor', 'kogd', 'authority'],
+    reason: ['reason', 'rejectionReason', 'rejection_reason', 'comment'],
+};
+
+const ERROR_ALIASES = {
+    code: ['code', 'errorCode'],
+    message: ['message', 'text', 'description'],
+    form: ['form', 'formName', 'applicationCode'],
+    field: ['field', 'fieldName', 'xmlField'],
+};
+
+const OUTCOMES = {
+    accepted: 'accepted',
+    accept: 'accepted',
+    ok: 'accepted',
+    rejected: 'rejected',
+    reject: 'rejected',
+    refused: 'rejected',
+};
+
+const receiptsParser = {
+    /**
+     * Parse authority response
+     * @param {string|Object} payload - XML string or JSON object
+     * @param {string} format - xml | json
+     * @returns {Object} Parsed receipt
+     */
+    parse(payload, format) {
+        if (!payload) {
+            throw new Error('Receipt payload is required');
+        }
+
+        const raw = format === 'xml' ? this.readXml(payload) : this.readJson(payload);
+        return this.normalize(raw);
+    },
+
+    /**
+     * @param {Object} payload
+     * @returns {Object} { values, errors }
+     */
+    readJson(payload) {
+        const data = typeof payload === 'string' ? this.parseJson(payload) : payload;
+        const body = data.receipt || data.notice || data;
+
+        const values = {};
+        for (const [key, aliases] of Object.entries(ALIASES)) {
+            values[key] = this.pick(body, aliases);
+        }
+
+        const errors = (Array.isArray(body.errors) ? body.errors : []).map((error) => {
+            const item = {};
+            for (const [key, aliases] of Object.entries(ERROR_ALIASES)) {
+                item[key] = this.pick(error, aliases);
+            }
+            return item;
+        });
+
+        return { values, errors };
+    },
+
+    parseJson(text) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Receipt JSON is invalid: ${error.message}`);
+        }
+    },
+
+    /**
+     * Values are read from root attributes or descendant elements
+     * @param {string} xml
+     * @returns {Object} { values, errors }
+     */
+    readXml(xml) {
+        const parseErrors = [];
+        let doc;
+        try {
+            doc = new DOMParser({ onError: (level, message) => level !== 'warning' && parseErrors.push(message) })
+                .parseFromString(String(xml), 'text/xml');
+        } catch (error) {
+            parseErrors.push(error.message);
+        }
+        if (parseErrors.length > 0 || !doc || !doc.documentElement) {
+            throw new Error(`Receipt XML is invalid: ${parseErrors[0] || 'empty document'}`);
+        }
+
+        const root = doc.documentElement;
+        const values = {};
+        for (const [key, aliases] of Object.entries(ALIASES)) {
+            values[key] = this.pickAttribute(root, aliases) || this.pickElementText(root, aliases);
+        }
+
+        const errorElements = Array.from(root.getElementsByTagName('*')).filter(el => el.localName === 'error');
+        const errors = errorElements.map((el) => {
+            const item = {};
+            for (const [key, aliases] of Object.entries(ERROR_ALIASES)) {
+                item[key] = this.pickAttribute(el, aliases) || this.pickElementText(el, aliases);
+            }
+            // <error code="...">text</error>
+            if (!item.message && el.getElementsByTagName('*').length === 0) {
+                item.message = (el.textContent || '').trim() || null;
+            }
+            return item;
+        });
+
+        return { values, errors };
+    },
+
+    /**
+     * @param {Object} raw - { values, errors }
+     * @returns {Object} Parsed receipt
+     */
+    normalize({ values, errors }) {
+        const outcome = OUTCOMES[String(values.outcome || '').trim().toLowerCase()];
+        if (!outcome) {
+            throw new Error(`Receipt status is invalid: ${values.outcome || 'missing'}. Expected accepted or rejected`);
+        }
+
+        return {
+            outcome,
+            registrationNumber: this.text(values.registrationNumber),
+            postDate: this.parseDate(values.postDate, 'postDate'),
+            processedAt: this.parseDate(values.processedAt, 'processedAt'),
+            receptorName: this.text(values.receptorName),
+            reason: this.text(values.reason),
+            errors: errors
+                .filter(error => error.code || error.message)
+                .map(error => ({
+                    code: this.text(error.code),
+                    message: this.text(error.message),
+                    applicationCode: this.applicationCode(error.form),
+                    xmlField: this.text(error.field),
+                })),
+        };
+    },
+
+    /**
+     * 'form_270_01' | '270.01' → '270.01'
+     * @param {string} form
+     * @returns {string|null}
+     */
+    applicationCode(form) {
+        const match = /(\d{3})[._](\d{2})$/.exec(String(form || '').trim());
+        return match ? `${match[1]}.${match[2]}` : null;
+    },
+
+    /**
+     * dd.MM.yyyy or ISO date → 'YYYY-MM-DD' (ISO timestamps are kept)
+     * @param {string} value
+     * @param {string} field
+     * @returns {string|null}
+     */
+    parseDate(value, field) {
+        const text = this.text(value);
+        if (!text) return null;
+
+        const dotted = /^(\d{2})\.(\d{2})\.(\d{4})$/.exec(text);
+        const iso = dotted ? `${dotted[3]}-${dotted[2]}-${dotted[1]}` : text;
+
+        if (isNaN(new Date(iso).getTime())) {
+            throw new Error(`Receipt ${field} is invalid: ${text}`);
+        }
+        return iso;
+    },
+
+    pick(obj, aliases) {
+        for (const alias of aliases) {
+            if (obj && obj[alias] !== undefined && obj[alias] !== null && obj[alias] !== '') {
+                return obj[alias];
+            }
+        }
+        return null;
+    },
+
+    pickAttribute(el, aliases) {
+        for (const alias of aliases) {
+            if (el.hasAttribute(alias)) {
+                return el.getAttribute(alias);
+            }
+        }
+        return null;
+    },
+
+    pickElementText(el, aliases) {
+        for (const alias of aliases) {
+            const found = Array.from(el.getElementsByTagName('*')).find(child => child.localName === alias);
+            if (found) {
+                return found.textContent;
+            }
+        }
+        return null;
+    },
+
+    text(value) {
+        if (value === null || value === undefined) return null;
+        const text = String(value).trim();
+        return text === '' ? null : text;
+    },
+};
+
+module.exports = receiptsParser;
@@ -0,0 +1,84 @@
+const db = require('../../db/postgres');
+
+const receiptsRepository = {
+    /**
+     * Store authority receipt
+     * @param {Object} data
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<Object>}
+     */
+    async create({ declarationId, submissionId, outcome, registrationNumber, postDate, processedAt, receptorName, reason, errors, source, rawPayload, createdByUserId }, client = db) {
+        const result = await client.query(
+            `INSERT INTO authority_receipts (
+                declaration_id, submission_id, outcome, registration_number, post_date, processed_at,
+                receptor_name, reason, errors, source, raw_payload, created_by_user_id
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+            RETURNING *`,
+            [
+                declarationId,
+                submissionId || null,
+                outcome,
+                registrationNumber || null,
+                postDate || null,
+                processedAt || null,
+                receptorName || null,
+                reason || null,
+                JSON.stringify(errors || []),
+                source,
+                rawPayload || null,
+                createdByUserId || null,
+            ]
+        );
+        return result.rows[0];
+    },
+
+    /**
+     * List receipts of declaration
+     * @param {string} declarationId
+     * @returns {Promise<Array>}
+     */
+    async listByDeclaration(declarationId) {
+        const result = await db.query(
+            `SELECT * FROM authority_receipts
+            WHERE declaration_id = $1
+            ORDER BY created_at DESC`,
+            [declarationId]
+        );
+        return result.rows;
+    },
+
+    /**
+     * Latest receipt of acceptance (its requisites go to XML header)
+     * @param {string} declarationId
+     * @returns {Promise<Object|null>}
+     */
+    async findLatestAccepted(declarationId) {
+        const result = await db.query(
+            `SELECT * FROM authority_receipts
+            WHERE declaration_id = $1 AND outcome = 'accepted'
+            ORDER BY created_at DESC
+            LIMIT 1`,
+            [declarationId]
+        );
+        return result.rows[0] || null;
+    },
+
+    /**
+     * Get error code descriptions
+     * @param {Array<string>} codes
+     * @returns {Promise<Array>}
+     */
+    async getErrorCodes(codes) {
+        if (codes.length === 0) {
+            return [];
+        }
+        const result = await db.query(
+            `SELECT * FROM authority_error_codes WHERE code = ANY($1)`,
+            [codes]
+        );
+        return result.rows;
+    },
+};
+
+module.exports = receiptsRepository;
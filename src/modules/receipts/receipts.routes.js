@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const receiptsController = require('./receipts.controller');
+const { authenticate } = require('../../middleware/auth.middleware');
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/receipts/declarations/:declarationId
+ * @desc    List tax authority receipts of declaration
+ * @access  Private
+ */
+router.get('/declarations/:declarationId', receiptsController.listForDeclaration);
+
+/**
+ * @route   POST /api/receipts/declarations/:declarationId
+ * @desc    Attach tax authority response (receipt / rejection notice),
+ *          submitted declaration moves to accepted or rejected
+ * @access  Private
+ * @body    XML notice (application/xml), { xml } or JSON notice
+ */
+router.post(
+    '/declarations/:declarationId',
+    express.text({ type: ['application/xml', 'text/xml'], limit: '1mb' }),
+    receiptsController.attach
+);
+
+module.exports = router;
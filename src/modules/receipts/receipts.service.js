@@ -0,0 +1,306 @@
+const db = require('../../db/postgres');
+const receiptsRepository = require('./receipts.repository');
+const receiptsParser = require('./receipts.parser');
+const declarationsRepository = require('../declarations/declarations.repository');
+const declarationsService = require('../declarations/declarations.service');
+const identitiesRepository = require('../identities/identities.repository');
+const submissionsRepository = require('../submissions/submissions.repository');
+const xmlGeneratorRepository = require('../xml-generator/xmlGenerator.repository');
+const snapshotsRepository = require('../snapshots/snapshots.repository');
+const snapshotsService = require('../snapshots/snapshots.service');
+
+// Declaration statuses that can receive authority response
+const RECEIPT_STATUSES = ['submitted', 'accepted', 'rejected'];
+
+/**
+ * Receipts Service
+ * Tax authority response to a submitted declaration
+ *
+ * accepted - registration number, acceptance date and receiving authority are stored
+ *            and go to in_doc_number / post_date / receptor_name of later XML exports
+ * rejected - rejection codes are resolved to form fields and logical fields
+ *            (authority_error_codes, xml_field_map) and stored as 'authority'
+ *            validation report, shown on the declaration while it is fixed (rejected → draft)
+ */
+const receiptsService = {
+    // ==========================================
+    // INGEST
+    // ==========================================
+
+    /**
+     * Attach authority response uploaded by user
+     * @param {string} declarationId
+     * @param {string} userId
+     * @param {Object} data - { payload (XML string or JSON object), format: xml | json }
+     * @returns {Promise<Object>} { receipt, report, declaration }
+     */
+    async attach(declarationId, userId, { payload, format } = {}) {
+        if (!['xml', 'json'].includes(format)) {
+            throw new Error(`Receipt format is invalid: ${format}. Supported: xml, json`);
+        }
+
+        const declaration = await this.getAccessibleDeclaration(declarationId, userId);
+
+        if (!RECEIPT_STATUSES.includes(declaration.status)) {
+            throw new Error(`Cannot attach receipt to declaration in status ${declaration.status}`);
+        }
+
+        const parsed = receiptsParser.parse(payload, format);
+
+        if (declaration.status !== 'submitted' && declaration.status !== parsed.outcome) {
+            throw new Error(`Cannot attach ${parsed.outcome} receipt to ${declaration.status} declaration`);
+        }
+
+        const [submission] = await submissionsRepository.listByDeclaration(declarationId);
+
+        return this.record(declaration, parsed, {
+            source: format,
+            rawPayload: typeof payload === 'string' ? payload : JSON.stringify(payload),
+            submissionId: submission ? submission.id : null,
+            userId,
+        });
+    },
+
+    /**
+     * Record final gateway result of submission
+     * @param {Object} submission - smartbridge_submissions row
+     * @param {Object} result - TransportResult (see submissions.transport)
+     * @returns {Promise<Object>} { receipt, report, declaration }
+     */
+    async recordFromGateway(submission, result) {
+        const parsed = receiptsParser.parse({
+            ...(result.payload || {}),
+            status: result.state,
+            registrationNumber: result.registrationNumber,
+            reason: result.reason,
+            errors: result.errors || [],
+        }, 'json');
+
+        // Gateway accepted the document on submission date unless it reports otherwise
+        if (!parsed.postDate && submission.submitted_at) {
+            parsed.postDate = new Date(submission.submitted_at).toISOString().slice(0, 10);
+        }
+
+        const declaration = await declarationsRepository.findById(submission.declaration_id);
+
+        return this.record(declaration, parsed, {
+            source: 'gateway',
+            rawPayload: JSON.stringify(result.payload || {}),
+            submissionId: submission.id,
+            userId: null,
+        });
+    },
+
+    /**
+     * Store receipt and its findings, move submitted declaration to outcome
+     * @param {Object} declaration
+     * @param {Object} parsed - receiptsParser result
+     * @param {Object} meta - { source, rawPayload, submissionId, userId }
+     * @returns {Promise<Object>} { receipt, report, declaration }
+     */
+    async record(declaration, parsed, { source, rawPayload, submissionId, userId }) {
+        const errors = parsed.outcome === 'rejected'
+            ? await this.resolveErrors(declaration, parsed.errors)
+            : [];
+
+        // Receipt, its report, the outcome status and its snapshot are stored together,
+        // status is re-read under declaration row lock
+        return db.withTransaction(async (client) => {
+            await snapshotsRepository.lockDeclaration(declaration.id, client);
+            const current = await declarationsRepository.findById(declaration.id, client);
+
+            const receipt = await receiptsRepository.create({
+                declarationId: declaration.id,
+                submissionId,
+                outcome: parsed.outcome,
+                registrationNumber: parsed.registrationNumber,
+                postDate: parsed.postDate,
+                processedAt: parsed.processedAt,
+                receptorName: parsed.receptorName,
+                reason: parsed.reason,
+                errors,
+                source,
+                rawPayload,
+                createdByUserId: userId,
+            }, client);
+
+            const report = this.buildReport(receipt);
+            await declarationsRepository.createValidationReport(declaration.id, 'authority', report.isValid, report, client);
+
+            // Authority decision is not a user action: no access check, only the workflow
+            let updated = current;
+            if (current.status === 'submitted'
+                && declarationsService.getAvailableTransitions(current.status).includes(parsed.outcome)) {
+                updated = await declarationsRepository.updateStatus(declaration.id, parsed.outcome, client);
+                await snapshotsService.take(declaration.id, 'status_transition', {
+                    userId,
+                    details: { from: current.status, to: parsed.outcome, receiptId: receipt.id },
+                }, client);
+            }
+
+            return { receipt, report, declaration: updated };
+        });
+    },
+
+    // ==========================================
+    // FINDINGS
+    // ==========================================
+
+    /**
+     * Link rejection codes to form fields and logical fields
+     * Field named in the notice wins over authority_error_codes
+     * @param {Object} declaration
+     * @param {Array} errors - [{ code, message, applicationCode, xmlField }]
+     * @returns {Promise<Array>} [{ code, message, applicationCode, xmlField, field, hint }]
+     */
+    async resolveErrors(declaration, errors) {
+        const codes = await receiptsRepository.getErrorCodes(errors.map(e => e.code).filter(Boolean));
+        const codeInfo = Object.fromEntries(codes.map(c => [c.code, c]));
+
+        const layoutYear = await xmlGeneratorRepository.getLayoutYear(declaration.form_code, declaration.tax_year);
+        const mappings = layoutYear === null || layoutYear === undefined
+            ? []
+            : await xmlGeneratorRepository.getXmlFieldMappings(declaration.form_code, layoutYear);
+
+        return errors.map((error) => {
+            const info = codeInfo[error.code] || {};
+            const applicationCode = error.applicationCode || info.application_code || null;
+            const xmlField = error.xmlField || info.xml_field_name || null;
+            const mapping = this.findMapping(mappings, applicationCode, xmlField);
+
+            return {
+                code: error.code,
+                message: error.message || info.message || null,
+                applicationCode,
+                xmlField,
+                field: info.logical_field || this.fieldOf(mapping),
+                hint: info.hint || null,
+            };
+        });
+    },
+
+    /**
+     * xml_field_map row for XML field; grid fields match their {n} template
+     * @param {Array} mappings
+     * @param {string} applicationCode
+     * @param {string} xmlField
+     * @returns {Object|null}
+     */
+    findMapping(mappings, applicationCode, xmlField) {
+        if (!xmlField) {
+            return null;
+        }
+        return mappings.find((m) => {
+            if (applicationCode && m.application_code !== applicationCode) {
+                return false;
+            }
+            if (m.xml_field_name === xmlField) {
+                return true;
+            }
+            const pattern = m.xml_field_name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace('\\{n\\}', '\\d+');
+            return m.xml_field_name.includes('{n}') && new RegExp(`^${pattern}$`).test(xmlField);
+        }) || null;
+    },
+
+    /**
+     * Logical field (LF_*) or header field behind XML field
+     * @param {Object} mapping - xml_field_map row
+     * @returns {string|null}
+     */
+    fieldOf(mapping) {
+        if (!mapping) {
+            return null;
+        }
+        if (mapping.logical_field) {
+            return mapping.logical_field;
+        }
+
+        const source = mapping.value_source || '';
+        if (source.startsWith('items.') || source.startsWith('declaration.') || source.startsWith('flags.')) {
+            return source.slice(source.indexOf('.') + 1);
+        }
+        if (source === 'taxYear') {
+            return 'tax_year';
+        }
+        if (source.startsWith('kind.')) {
+            return 'declaration_kind';
+        }
+        return null;
+    },
+
+    /**
+     * Validation report (same shape as business validation)
+     * @param {Object} receipt - authority_receipts row
+     * @returns {Object}
+     */
+    buildReport(receipt) {
+        const results = (receipt.errors || []).map(error => ({
+            ruleCode: error.code || 'AUTHORITY_REJECTION',
+            severity: 'error',
+            field: error.field,
+            message: error.message || receipt.reason,
+            detail: {
+                applicationCode: error.applicationCode,
+                xmlField: error.xmlField,
+                hint: error.hint,
+            },
+        }));
+
+        // Rejection without codes still has to be shown
+        if (receipt.outcome === 'rejected' && results.length === 0) {
+            results.push({
+                ruleCode: 'AUTHORITY_REJECTION',
+                severity: 'error',
+                field: null,
+                message: receipt.reason || 'Declaration rejected by tax authority',
+            });
+        }
+
+        return {
+            isValid: receipt.outcome === 'accepted',
+            summary: {
+                rulesChecked: results.length,
+                errors: results.length,
+                warnings: 0,
+            },
+            results,
+            receiptId: receipt.id,
+            outcome: receipt.outcome,
+            registrationNumber: receipt.registration_number,
+            reason: receipt.reason,
+        };
+    },
+
+    // ==========================================
+    // READ
+    // ==========================================
+
+    /**
+     * Receipts of declaration
+     * @param {string} declarationId
+     * @param {string} userId
+     * @returns {Promise<Array>}
+     */
+    async listForDeclaration(declarationId, userId) {
+        await this.getAccessibleDeclaration(declarationId, userId);
+        return receiptsRepository.listByDeclaration(declarationId);
+    },
+
+    // ==========================================
+    // HELPERS
+    // ==========================================
+
+    async getAccessibleDeclaration(declarationId, userId) {
+        const declaration = await declarationsRepository.findById(declarationId);
+        if (!declaration) {
+            throw new Error('Declaration not found');
+        }
+        const hasAccess = await identitiesRepository.userHasAccess(userId, declaration.tax_identity_id);
+        if (!hasAccess) {
+            throw new Error('No access to this declaration');
+        }
+        return declaration;
+    },
+};
+
+module.exports = receiptsService;
@@ -0,0 +1,510 @@
+/**
+ * Rule Bundle
+ * Self-contained export of rule configuration, moved between environments (staging → production):
+ *
+ *   {
+ *     format: 'tax-rules-bundle', version: 1,
+ *     taxYear:    2024 | null (all years),
+ *     exportedAt: ISO timestamp (not covered by checksum),
+ *     content: {
+ *       logicalFields: [{ code, description }],
+ *       eventTypes:    [{ code, description }],
+ *       rules:         [{ rule_code, tax_year, rule_type, conditions, actions, priority, is_active }],
+ *       xmlFieldMap:   [{ form_code, tax_year, application_code, sheet_name, row_group, logical_field,
+ *                         xml_field_name, value_source, value_format, default_value, sort_order }]
+ *     },
+ *     checksum: 'sha256:<hex>' of canonical JSON of { format, version, taxYear, content }
+ *   }
+ *
+ * Rules are matched by rule_code + tax_year, XML fields by their layout key
+ * (form_code, tax_year, application_code, sheet_name, xml_field_name).
+ * Logical fields and event types are only created or updated, never removed:
+ * events and declarations of earlier years reference them.
+ */
+
+const crypto = require('crypto');
+
+const FORMAT = 'tax-rules-bundle';
+const FORMAT_VERSION = 1;
+
+const RULE_TYPES = ['mapping', 'exclusion', 'calculation', 'flag'];
+const VALUE_FORMATS = ['text', 'money', 'number', 'date', 'bool'];
+
+const RULE_FIELDS = ['rule_type', 'conditions', 'actions', 'priority', 'is_active'];
+const XML_FIELD_FIELDS = ['row_group', 'logical_field', 'value_source', 'value_format', 'default_value', 'sort_order'];
+
+// Condition fields holding event type code
+const EVENT_TYPE_FIELDS = ['event_type', 'event.event_type', 'eventType'];
+const LOGICAL_FIELD_TOKEN = /\bLF_[A-Z0-9_]+\b/g;
+
+/**
+ * JSON with object keys sorted at every level (JSONB does not keep key order)
+ * @param {*} value
+ * @returns {string}
+ */
+const canonicalJson = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+};
+
+const same = (a, b) => canonicalJson(a ?? null) === canonicalJson(b ?? null);
+
+const ruleKey = rule => `${rule.rule_code}|${rule.tax_year ?? '*'}`;
+const xmlFieldKey = field => [
+    field.form_code, field.tax_year, field.application_code, field.sheet_name, field.xml_field_name,
+].join('|');
+const layoutKey = field => `${field.form_code}|${field.tax_year}`;
+
+const ruleBundle = {
+    FORMAT,
+    FORMAT_VERSION,
+    canonicalJson,
+
+    // ==========================================
+    // BUILD
+    // ==========================================
+
+    /**
+     * Bundle of database rows
+     * @param {Object} rows - { logicalFields, eventTypes, rules, xmlFieldMap } (table rows)
+     * @param {number|null} taxYear
+     * @returns {Object}
+     */
+    build({ logicalFields, eventTypes, rules, xmlFieldMap }, taxYear = null) {
+        const content = {
+            logicalFields: logicalFields.map(field => ({ code: field.code, description: field.description ?? null })),
+            eventTypes: eventTypes.map(type => ({ code: type.code, description: type.description ?? null })),
+            rules: rules.map(rule => this.pickRule(rule)),
+            xmlFieldMap: xmlFieldMap.map(field => this.pickXmlField(field)),
+        };
+
+        return {
+            format: FORMAT,
+            version: FORMAT_VERSION,
+            taxYear,
+            exportedAt: new Date().toISOString(),
+            content,
+            checksum: this.checksum({ taxYear, content }),
+        };
+    },
+
+    /**
+     * @param {Object} bundle - { taxYear, content }
+     * @returns {string} 'sha256:<hex>'
+     */
+    checksum({ taxYear, content }) {
+        const body = canonicalJson({ format: FORMAT, version: FORMAT_VERSION, taxYear: taxYear ?? null, content });
+        return `sha256:${crypto.createHash('sha256').update(body).digest('hex')}`;
+    },
+
+    pickRule(rule) {
+        return {
+            rule_code: rule.rule_code,
+            tax_year: rule.tax_year ?? null,
+            rule_type: rule.rule_type,
+            conditions: rule.conditions ?? null,
+            actions: rule.actions ?? null,
+            priority: rule.priority ?? 100,
+            is_active: rule.is_active !== false,
+        };
+    },
+
+    pickXmlField(field) {
+        return {
+            form_code: field.form_code,
+            tax_year: field.tax_year,
+            application_code: field.application_code,
+            sheet_name: field.sheet_name,
+            row_group: field.row_group ?? null,
+            logical_field: field.logical_field ?? null,
+            xml_field_name: field.xml_field_name,
+            value_source: field.value_source ?? null,
+            value_format: field.value_format || 'text',
+            default_value: field.default_value ?? null,
+            sort_order: field.sort_order ?? 0,
+        };
+    },
+
+    // ==========================================
+    // VERIFY
+    // ==========================================
+
+    /**
+     * Check format, checksum and shape of every entry
+     * @param {Object} bundle
+     * @returns {Object} { taxYear, checksum, content } - content with defaults filled
+     */
+    verify(bundle) {
+        const fail = (message) => {
+            throw new Error(`Bundle is invalid: ${message}`);
+        };
+
+        if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) {
+            fail('expected an object');
+        }
+        if (bundle.format !== FORMAT || bundle.version !== FORMAT_VERSION) {
+            fail(`expected format ${FORMAT} version ${FORMAT_VERSION}, got ${bundle.format} version ${bundle.version}`);
+        }
+
+        const taxYear = bundle.taxYear ?? null;
+        if (taxYear !== null && !Number.isInteger(taxYear)) {
+            fail(`taxYear must be a year or null, got ${bundle.taxYear}`);
+        }
+
+        const content = bundle.content;
+        if (!content || typeof content !== 'object') {
+            fail('content is required');
+        }
+        for (const key of ['logicalFields', 'eventTypes', 'rules', 'xmlFieldMap']) {
+            if (!Array.isArray(content[key])) {
+                fail(`content.${key} must be a list`);
+            }
+        }
+
+        const expected = this.checksum({ taxYear, content });
+        if (bundle.checksum !== expected) {
+            fail(`checksum mismatch (bundle ${bundle.checksum}, content ${expected})`);
+        }
+
+        const problems = this.checkShape(content, taxYear);
+        if (problems.length > 0) {
+            fail(problems.join('; '));
+        }
+
+        return {
+            taxYear,
+            checksum: expected,
+            content: {
+                logicalFields: content.logicalFields.map(field => ({ code: field.code, description: field.description ?? null })),
+                eventTypes: content.eventTypes.map(type => ({ code: type.code, description: type.description ?? null })),
+                rules: content.rules.map(rule => this.pickRule(rule)),
+                xmlFieldMap: content.xmlFieldMap.map(field => this.pickXmlField(field)),
+            },
+        };
+    },
+
+    /**
+     * Required attributes, allowed values and duplicate keys
+     * @param {Object} content
+     * @param {number|null} taxYear
+     * @returns {Array<string>}
+     */
+    checkShape(content, taxYear) {
+        const problems = [];
+        const isText = value => typeof value === 'string' && value.trim() !== '';
+
+        const unique = (list, keyOf, label) => {
+            const seen = new Set();
+            list.forEach((item, index) => {
+                const key = keyOf(item);
+                if (seen.has(key)) {
+                    problems.push(`${label}[${index}] duplicates ${key}`);
+                }
+                seen.add(key);
+            });
+        };
+
+        for (const key of ['logicalFields', 'eventTypes']) {
+            content[key].forEach((item, index) => {
+                if (!item || !isText(item.code)) {
+                    problems.push(`${key}[${index}].code is required`);
+                }
+            });
+        }
+        content.logicalFields.forEach((field, index) => {
+            if (field && isText(field.code) && !/^LF_[A-Z0-9_]+$/.test(field.code)) {
+                problems.push(`logicalFields[${index}].code must match LF_[A-Z0-9_]+, got ${field.code}`);
+            }
+        });
+
+        content.rules.forEach((rule, index) => {
+            if (!rule || !isText(rule.rule_code)) {
+                problems.push(`rules[${index}].rule_code is required to match rules between environments`);
+                return;
+            }
+            if (!RULE_TYPES.includes(rule.rule_type)) {
+                problems.push(`rules[${index}] (${rule.rule_code}).rule_type must be one of: ${RULE_TYPES.join(', ')}`);
+            }
+            if ((rule.tax_year ?? null) !== null && !Number.isInteger(rule.tax_year)) {
+                problems.push(`rules[${index}] (${rule.rule_code}).tax_year must be a year or null`);
+            }
+            if (taxYear !== null && (rule.tax_year ?? null) !== null && rule.tax_year !== taxYear) {
+                problems.push(`rules[${index}] (${rule.rule_code}) is for ${rule.tax_year}, bundle is for ${taxYear}`);
+            }
+            if (rule.priority !== undefined && !Number.isInteger(rule.priority)) {
+                problems.push(`rules[${index}] (${rule.rule_code}).priority must be an integer`);
+            }
+        });
+
+        content.xmlFieldMap.forEach((field, index) => {
+            const missing = ['form_code', 'application_code', 'sheet_name', 'xml_field_name']
+                .filter(key => !field || !isText(field[key]));
+            if (missing.length > 0) {
+                problems.push(`xmlFieldMap[${index}] needs ${missing.join(', ')}`);
+                return;
+            }
+            if (!Number.isInteger(field.tax_year)) {
+                problems.push(`xmlFieldMap[${index}].tax_year (layout year) is required`);
+            }
+            if (!VALUE_FORMATS.includes(field.value_format || 'text')) {
+                problems.push(`xmlFieldMap[${index}].value_format must be one of: ${VALUE_FORMATS.join(', ')}`);
+            }
+        });
+
+        if (problems.length === 0) {
+            unique(content.logicalFields, field => field.code, 'logicalFields');
+            unique(content.eventTypes, type => type.code, 'eventTypes');
+            unique(content.rules, ruleKey, 'rules');
+            unique(content.xmlFieldMap, xmlFieldKey, 'xmlFieldMap');
+        }
+
+        return problems;
+    },
+
+    /**
+     * Keys (rule_code + tax_year) shared by several rules
+     * @param {Array} rules - tax_rules rows or bundle rules
+     * @returns {Array<string>}
+     */
+    duplicateRules(rules) {
+        const counts = new Map();
+        for (const rule of rules) {
+            counts.set(ruleKey(rule), (counts.get(ruleKey(rule)) || 0) + 1);
+        }
+        return [...counts].filter(([, count]) => count > 1).map(([key]) => key);
+    },
+
+    /**
+     * References that resolve neither in the bundle nor in the target database
+     * @param {Object} content
+     * @param {Object} known - { logicalFields: Set, eventTypes: Set, templates: Set<'form|layout year|application'> } of database
+     * @returns {Array<string>}
+     */
+    checkReferences(content, known) {
+        const logicalFields = new Set([...known.logicalFields, ...content.logicalFields.map(field => field.code)]);
+        const eventTypes = new Set([...known.eventTypes, ...content.eventTypes.map(type => type.code)]);
+        const problems = [];
+
+        for (const rule of content.rules) {
+            for (const code of this.eventTypesOf(rule.conditions)) {
+                if (!eventTypes.has(code)) {
+                    problems.push(`rule ${rule.rule_code}: event type not found: ${code}`);
+                }
+            }
+            for (const code of this.logicalFieldsOf([rule.conditions, rule.actions])) {
+                if (!logicalFields.has(code)) {
+                    problems.push(`rule ${rule.rule_code}: logical field not found: ${code}`);
+                }
+            }
+        }
+
+        for (const field of content.xmlFieldMap) {
+            if (field.logical_field && !logicalFields.has(field.logical_field)) {
+                problems.push(`XML field ${xmlFieldKey(field)}: logical field not found: ${field.logical_field}`);
+            }
+            const template = `${field.form_code}|${field.tax_year}|${field.application_code}`;
+            if (!known.templates.has(template)) {
+                problems.push(`XML field ${xmlFieldKey(field)}: form template not found: ${template}`);
+            }
+        }
+
+        return [...new Set(problems)];
+    },
+
+    /**
+     * Event type codes compared with in conditions (all / any, { field, op, value }, compact form)
+     * @param {*} conditions
+     * @returns {Array<string>}
+     */
+    eventTypesOf(conditions) {
+        const codes = [];
+        const add = value => [].concat(value).forEach(code => typeof code === 'string' && codes.push(code));
+
+        const walk = (node) => {
+            if (!node || typeof node !== 'object') {
+                return;
+            }
+            if (Array.isArray(node)) {
+                node.forEach(walk);
+                return;
+            }
+            if (node.field && node.op) {
+                if (EVENT_TYPE_FIELDS.includes(node.field) && !['exists', 'not_exists'].includes(node.op)) {
+                    add(node.value);
+                }
+                return;
+            }
+            for (const [key, value] of Object.entries(node)) {
+                if (EVENT_TYPE_FIELDS.includes(key) && value && typeof value === 'object') {
+                    Object.values(value).forEach(add);
+                } else {
+                    walk(value);
+                }
+            }
+        };
+
+        walk(conditions);
+        return [...new Set(codes)];
+    },
+
+    /**
+     * LF_* codes anywhere in conditions / actions (targets, refs, formulas, field.LF_* paths)
+     * @param {*} value
+     * @returns {Array<string>}
+     */
+    logicalFieldsOf(value) {
+        const codes = new Set();
+        const walk = (node) => {
+            if (typeof node === 'string') {
+                (node.match(LOGICAL_FIELD_TOKEN) || []).forEach(code => codes.add(code));
+            } else if (node && typeof node === 'object') {
+                Object.values(node).forEach(walk);
+            }
+        };
+        walk(value);
+        return [...codes];
+    },
+
+    // ==========================================
+    // PLAN
+    // ==========================================
+
+    /**
+     * What import changes in the target database
+     * @param {Object} content - Verified bundle content
+     * @param {Object} current - { logicalFields, eventTypes, rules (of bundle scope), xmlFieldMap (of bundle layouts) } rows
+     * @returns {Object} { summary, changes } - changes carry the row to write and database id
+     */
+    plan(content, current) {
+        const logicalFields = this.planCodes(content.logicalFields, current.logicalFields);
+        const eventTypes = this.planCodes(content.eventTypes, current.eventTypes);
+
+        const rules = this.planKeyed(
+            content.rules,
+            current.rules.map(rule => this.pickRule(rule)),
+            current.rules,
+            ruleKey,
+            RULE_FIELDS
+        ).map(change => (change.action === 'remove' ? { ...change, action: 'deactivate' } : change))
+            // inactive rules missing from the bundle stay as they are
+            .filter(change => change.action !== 'deactivate' || change.existing.is_active);
+
+        const xmlFieldMap = this.planKeyed(
+            content.xmlFieldMap,
+            current.xmlFieldMap.map(field => this.pickXmlField(field)),
+            current.xmlFieldMap,
+            xmlFieldKey,
+            XML_FIELD_FIELDS
+        ).map(change => (change.action === 'remove' ? { ...change, action: 'delete' } : change));
+
+        const count = (changes, total, removal = null) => {
+            const summary = { create: 0, update: 0, ...(removal ? { [removal]: 0 } : {}) };
+            for (const change of changes) {
+                summary[change.action] += 1;
+            }
+            const incoming = changes.filter(change => change.action === 'create' || change.action === 'update').length;
+            return { ...summary, unchanged: total - incoming };
+        };
+
+        return {
+            summary: {
+                logicalFields: count(logicalFields, content.logicalFields.length),
+                eventTypes: count(eventTypes, content.eventTypes.length),
+                rules: count(rules, content.rules.length, 'deactivate'),
+                xmlFieldMap: count(xmlFieldMap, content.xmlFieldMap.length, 'delete'),
+            },
+            changes: { logicalFields, eventTypes, rules, xmlFieldMap },
+        };
+    },
+
+    /**
+     * Code tables (logical fields, event types): create or update description
+     */
+    planCodes(incoming, existing) {
+        const byCode = new Map(existing.map(row => [row.code, row]));
+        const changes = [];
+
+        for (const item of incoming) {
+            const row = byCode.get(item.code);
+            if (!row) {
+                changes.push({ action: 'create', key: item.code, item });
+            } else if ((row.description ?? null) !== (item.description ?? null)) {
+                changes.push({
+                    action: 'update',
+                    key: item.code,
+                    item,
+                    changes: [{ field: 'description', from: row.description ?? null, to: item.description ?? null }],
+                });
+            }
+        }
+        return changes;
+    },
+
+    /**
+     * Keyed entries: create, update (field by field) or remove (in database, not in bundle)
+     */
+    planKeyed(incoming, existing, rows, keyOf, fields) {
+        const byKey = new Map(existing.map((item, index) => [keyOf(item), { item, row: rows[index] }]));
+        const incomingKeys = new Set(incoming.map(keyOf));
+        const changes = [];
+
+        for (const item of incoming) {
+            const key = keyOf(item);
+            const match = byKey.get(key);
+            if (!match) {
+                changes.push({ action: 'create', key, item });
+                continue;
+            }
+            const diff = fields
+                .filter(field => !same(match.item[field], item[field]))
+                .map(field => ({ field, from: match.item[field] ?? null, to: item[field] ?? null }));
+            if (diff.length > 0) {
+                changes.push({ action: 'update', key, item, id: match.row.id, changes: diff });
+            }
+        }
+
+        for (const [key, match] of byKey) {
+            if (!incomingKeys.has(key)) {
+                changes.push({ action: 'remove', key, id: match.row.id, existing: match.item });
+            }
+        }
+        return changes;
+    },
+
+    /**
+     * Plan without rows and database ids, as returned by the API
+     * @param {Object} changes
+     * @returns {Object}
+     */
+    describeChanges(changes) {
+        const describe = change => ({
+            action: change.action,
+            key: change.key,
+            ...(change.changes ? { changes: change.changes } : {}),
+        });
+        return Object.fromEntries(Object.entries(changes).map(([key, list]) => [key, list.map(describe)]));
+    },
+
+    /**
+     * Layouts (form_code, layout year) of XML fields in bundle
+     * @param {Array} xmlFieldMap
+     * @returns {Array<Object>} [{ formCode, taxYear }]
+     */
+    layoutsOf(xmlFieldMap) {
+        const layouts = new Map();
+        for (const field of xmlFieldMap) {
+            layouts.set(layoutKey(field), { formCode: field.form_code, taxYear: field.tax_year });
+        }
+        return [...layouts.values()];
+    },
+};
+
+module.exports = ruleBundle;
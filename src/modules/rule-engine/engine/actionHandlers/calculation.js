@@ -29,8 +29,9 @@ const calculationHandler = {
             throw new Error(`Calculation action missing formula in rule ${rule.id}`);
         }
 
-        // Evaluate formula
-        let result = formulaEvaluator.evaluate(formula, context.fieldValues);
+        // Evaluate formula, sub-expression values are kept for explain
+        const trace = formulaEvaluator.trace(formula, context.fieldValues);
+        let result = trace.value;
 
         // Apply rounding if specified
         if (action.round !== undefined) {
@@ -48,14 +49,22 @@ const calculationHandler = {
             result = action.max;
         }
 
+        // Pinned manual override is kept, dependent formulas use it
+        const pinned = context.pinned && context.pinned.has(target);
+
         // Store result
-        context.fieldValues.set(target, result);
+        if (!pinned) {
+            context.fieldValues.set(target, result);
+        }
 
         // Track calculation
         context.calculations.push({
             logicalField: target,
             value: result,
             ruleId: rule.id,
+            formula,
+            trace,
+            ...(pinned && { pinned: true }),
         });
 
         return { logicalField: target, value: result };
@@ -4,6 +4,9 @@
  */
 
 const flagHandler = {
+    // Operators evaluateSingleFlagCondition understands (anything else passes)
+    OPERATORS: ['>', 'gt', '>=', 'gte', '<', 'lt', '<=', 'lte', '=', 'eq', '!=', 'neq', 'exists'],
+
     /**
      * Process flag action
      * @param {Object} action - Action definition { type: 'flag', set: { pril_1: true } }
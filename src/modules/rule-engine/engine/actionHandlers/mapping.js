@@ -3,10 +3,13 @@
  * Maps tax events to logical fields
  */
 
+const currencyConverter = require('../currencyConverter');
+const conditionEvaluator = require('../conditionEvaluator');
+
 const mappingHandler = {
     /**
      * Process mapping action
-     * @param {Object} action - Action definition { type: 'map', logical_field, amount_source }
+     * @param {Object} action - Action definition { type: 'map', logical_field, amount_source, ownership_share_by?, group_by? }
      * @param {Object} event - Tax event
      * @param {Object} rule - Rule that triggered this action
      * @param {Object} context - Engine context
@@ -25,6 +28,29 @@ const mappingHandler = {
         // Determine amount
         let amount = this.extractAmount(action, event);
 
+        // Convert event amounts to KZT at the event date rate
+        // (fixed amounts in the rule are already in KZT)
+        // Missing rate fails the rule for the event and is recorded: the run must not be persisted without it
+        let conversion = null;
+        if (this.usesEventAmount(action)) {
+            try {
+                conversion = currencyConverter.toKzt(amount, event.currency, event.event_date, context.rateTable);
+            } catch (error) {
+                context.missingRates.push({
+                    eventId: event.id,
+                    currency: String(event.currency).trim().toUpperCase(),
+                    date: currencyConverter.toDateString(event.event_date),
+                });
+                throw error;
+            }
+            amount = conversion.amount;
+        }
+
+        // Taxpayer's part of an entity-level amount (e.g. CFC profit × ownership share)
+        if (action.ownership_share_by) {
+            amount = amount * this.getOwnershipShare(action, event, context) / 100;
+        }
+
         // Apply multiplier if specified
         if (action.multiplier !== undefined) {
             amount *= action.multiplier;
@@ -44,6 +70,10 @@ const mappingHandler = {
             logicalField: logicalField,
             amount: amount,
             ruleId: rule.id,
+            originalAmount: conversion ? conversion.originalAmount : null,
+            originalCurrency: conversion ? conversion.originalCurrency : null,
+            exchangeRate: conversion ? conversion.rate : null,
+            exchangeRateDate: conversion ? conversion.rateDate : null,
         };
 
         // Accumulate into field values
@@ -53,9 +83,71 @@ const mappingHandler = {
         // Track mapping
         context.mappings.push(mapping);
 
+        // Per-group monthly breakdown (e.g. per tax agent BIN for 270.03)
+        if (action.group_by) {
+            this.addBreakdown(action, event, rule, amount, context);
+        }
+
         return mapping;
     },
 
+    /**
+     * Accumulate amount into group/month breakdown of the logical field
+     * @param {Object} action - Action with group_by path (e.g. 'event.metadata.agent_bin')
+     * @param {Object} event
+     * @param {Object} rule
+     * @param {number} amount - Amount in KZT
+     * @param {Object} context
+     */
+    addBreakdown(action, event, rule, amount, context) {
+        const groupValue = conditionEvaluator.getFieldValue(action.group_by, event);
+        if (groupValue === null || groupValue === undefined || String(groupValue).trim() === '') {
+            context.errors.push({
+                ruleId: rule.id,
+                eventId: event.id,
+                error: `Missing ${action.group_by} for breakdown of ${action.logical_field}`,
+            });
+            return;
+        }
+
+        const groupKey = String(groupValue).trim();
+        const month = parseInt(currencyConverter.toDateString(event.event_date).slice(5, 7), 10);
+        const key = `${action.logical_field}|${groupKey}|${month}`;
+
+        const current = context.breakdowns.get(key);
+        if (current) {
+            current.value += amount;
+        } else {
+            context.breakdowns.set(key, {
+                logicalField: action.logical_field,
+                groupKey,
+                month,
+                value: amount,
+            });
+        }
+    },
+
+    /**
+     * Resolve ownership share (%) of the entity referenced by the event
+     * @param {Object} action - Action with ownership_share_by path (e.g. 'event.metadata.cfc_reg_number')
+     * @param {Object} event
+     * @param {Object} context - Engine context with ownershipShares map
+     * @returns {number}
+     */
+    getOwnershipShare(action, event, context) {
+        const key = conditionEvaluator.getFieldValue(action.ownership_share_by, event);
+        if (key === null || key === undefined || String(key).trim() === '') {
+            throw new Error(`Missing ${action.ownership_share_by} for ownership share of ${action.logical_field}`);
+        }
+
+        const share = context.ownershipShares.get(String(key).trim());
+        if (share === undefined) {
+            throw new Error(`No ownership share registered for ${String(key).trim()}`);
+        }
+
+        return share;
+    },
+
     /**
      * Extract amount from event based on action config
      * @param {Object} action
@@ -92,6 +184,18 @@ const mappingHandler = {
 
         return 0;
     },
+
+    /**
+     * Check whether amount comes from the event (and is in event currency)
+     * @param {Object} action
+     * @returns {boolean}
+     */
+    usesEventAmount(action) {
+        if (typeof action.amount === 'number') {
+            return false;
+        }
+        return (action.amount_source || 'event.amount') !== 'fixed';
+    },
 };
 
 module.exports = mappingHandler;
@@ -4,6 +4,18 @@
  */
 
 const conditionEvaluator = {
+    // Operators evaluateSingle understands (anything else never matches)
+    OPERATORS: [
+        '=', 'eq', '!=', 'neq', 'in', 'not_in', '>', 'gt', '>=', 'gte', '<', 'lt', '<=', 'lte',
+        'exists', 'not_exists', 'contains', 'starts_with', 'ends_with',
+    ],
+
+    // event.<field> paths getFieldValue resolves, besides event.metadata.<key>
+    EVENT_FIELDS: [
+        'event_type', 'eventType', 'amount', 'currency', 'event_date', 'eventDate',
+        'tax_year', 'taxYear', 'id', 'source_record_id',
+    ],
+
     /**
      * Evaluate conditions against an event
      * @param {Object} conditions - Conditions JSON from rule
@@ -0,0 +1,115 @@
+/**
+ * Currency Converter
+ * Converts event amounts to KZT using official NBRK rates
+ */
+
+const BASE_CURRENCY = 'KZT';
+
+const currencyConverter = {
+    BASE_CURRENCY,
+
+    /**
+     * Build lookup table from exchange_rates rows
+     * @param {Array} rates - Rows { currency, rate_date, rate, quantity }
+     * @returns {Map} currency -> [{ date, rate }] sorted by date ascending
+     */
+    buildRateTable(rates = []) {
+        const table = new Map();
+
+        for (const row of rates) {
+            const currency = String(row.currency).trim().toUpperCase();
+            const quantity = parseInt(row.quantity, 10) || 1;
+
+            if (!table.has(currency)) {
+                table.set(currency, []);
+            }
+
+            table.get(currency).push({
+                date: this.toDateString(row.rate_date),
+                rate: parseFloat(row.rate) / quantity,
+            });
+        }
+
+        for (const list of table.values()) {
+            list.sort((a, b) => a.date.localeCompare(b.date));
+        }
+
+        return table;
+    },
+
+    /**
+     * Find rate for currency on date
+     * NBRK does not publish rates on weekends/holidays, so the latest rate
+     * on or before the date is used
+     * @param {Map} table
+     * @param {string} currency
+     * @param {string|Date} date
+     * @returns {Object|null} { date, rate } per 1 unit of currency
+     */
+    findRate(table, currency, date) {
+        const list = table ? table.get(currency) : null;
+        if (!list || list.length === 0) return null;
+
+        const target = this.toDateString(date);
+        let found = null;
+
+        for (const entry of list) {
+            if (entry.date > target) break;
+            found = entry;
+        }
+
+        return found;
+    },
+
+    /**
+     * Convert amount to KZT at event date
+     * @param {number} amount
+     * @param {string} currency
+     * @param {string|Date} date
+     * @param {Map} table
+     * @returns {Object} { amount, originalAmount, originalCurrency, rate, rateDate }
+     */
+    toKzt(amount, currency, date, table) {
+        const code = currency ? String(currency).trim().toUpperCase() : BASE_CURRENCY;
+
+        if (code === BASE_CURRENCY) {
+            return {
+                amount,
+                originalAmount: amount,
+                originalCurrency: BASE_CURRENCY,
+                rate: 1,
+                rateDate: null,
+            };
+        }
+
+        const found = this.findRate(table, code, date);
+        if (!found) {
+            throw new Error(`No exchange rate for ${code} on ${this.toDateString(date)}`);
+        }
+
+        return {
+            amount: Math.round(amount * found.rate * 100) / 100,
+            originalAmount: amount,
+            originalCurrency: code,
+            rate: found.rate,
+            rateDate: found.date,
+        };
+    },
+
+    /**
+     * Normalize date to YYYY-MM-DD (pg returns DATE as local midnight)
+     * @param {string|Date} date
+     * @returns {string}
+     */
+    toDateString(date) {
+        if (date instanceof Date) {
+            const y = date.getFullYear();
+            const m = String(date.getMonth() + 1).padStart(2, '0');
+            const d = String(date.getDate()).padStart(2, '0');
+            return `${y}-${m}-${d}`;
+        }
+        return String(date).slice(0, 10);
+    },
+};
+
+module.exports = currencyConverter;
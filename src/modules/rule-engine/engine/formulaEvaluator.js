@@ -4,6 +4,12 @@
  */
 
 const formulaEvaluator = {
+    // Operations evaluateOperation understands (anything else evaluates to 0)
+    OPERATIONS: [
+        'sum', 'sub', 'mul', 'div', 'max', 'min', 'round', 'floor', 'ceil', 'abs', 'percent',
+        'if', 'gt', 'gte', 'lt', 'lte', 'eq',
+    ],
+
     /**
      * Evaluate a formula against accumulated values
      * @param {Object} formula - Formula definition
@@ -169,6 +175,46 @@ const formulaEvaluator = {
         }
     },
 
+    /**
+     * Evaluate formula keeping value of every sub-expression (calculation trace)
+     * @param {Object} formula - Formula definition
+     * @param {Map<string, number>} fieldValues - Current logical field values
+     * @returns {Object} { value, ref? , op?, args? }
+     */
+    trace(formula, fieldValues) {
+        if (formula && formula.ref) {
+            return { ref: formula.ref, value: this.getFieldValue(formula.ref, fieldValues) };
+        }
+
+        if (formula && formula.op) {
+            const operands = Array.isArray(formula.refs)
+                ? formula.refs
+                : ['a', 'b', 'condition', 'then', 'else'].filter(key => formula[key] !== undefined).map(key => formula[key]);
+
+            return {
+                op: formula.op,
+                value: this.evaluate(formula, fieldValues),
+                args: operands.map(operand => (typeof operand === 'string'
+                    ? { ref: operand, value: this.getFieldValue(operand, fieldValues) }
+                    : this.trace(operand, fieldValues))),
+            };
+        }
+
+        return { value: this.evaluate(formula, fieldValues) };
+    },
+
+    /**
+     * Logical fields referenced by formula trace
+     * @param {Object} trace - Result of trace()
+     * @returns {Array<string>}
+     */
+    refsOf(trace) {
+        if (trace.ref) {
+            return [trace.ref];
+        }
+        return [...new Set((trace.args || []).flatMap(arg => this.refsOf(arg)))];
+    },
+
     /**
      * Get value of a logical field
      * @param {string} fieldCode
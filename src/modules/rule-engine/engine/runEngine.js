@@ -7,6 +7,7 @@ const conditionEvaluator = require('./conditionEvaluator');
 const mappingHandler = require('./actionHandlers/mapping');
 const calculationHandler = require('./actionHandlers/calculation');
 const flagHandler = require('./actionHandlers/flag');
+const currencyConverter = require('./currencyConverter');
 
 const runEngine = {
     /**
@@ -14,19 +15,35 @@ const runEngine = {
      * 
      * @param {Array} events - Tax events from DB
      * @param {Array} rules - Active rules for the year
-     * @param {Object} options - Additional options
+     * @param {Object} options - Additional options ({ exchangeRates } - NBRK rates for non-KZT events,
+     *                           { ownershipShares } - CFC registration number -> ownership %,
+     *                           { pinnedValues } - logical_field -> manual override kept as is)
      * @returns {Object} Engine result
      */
     run(events, rules, options = {}) {
+        const pinnedValues = options.pinnedValues || {};
+
+        // Engine's own values of pinned fields come from the same run without pins
+        const unpinned = Object.keys(pinnedValues).length > 0
+            ? this.run(events, rules, { ...options, pinnedValues: null })
+            : null;
+
         // Initialize context
         const context = {
             fieldValues: new Map(),     // logical_field -> accumulated amount
             mappings: [],               // tax_mappings to insert
+            breakdowns: new Map(),      // logical_field|group|month -> breakdown row (group_by mappings)
             calculations: [],           // calculated field results
             flags: {},                  // declaration flags
             flagActions: [],            // flag action audit
             excludedEventIds: new Set(), // events to exclude
+            exclusions: [],             // { eventId, ruleId } exclusion audit
+            autoCalculations: [],       // built-in totals / derived fields audit (phases 3, 5)
+            rateTable: currencyConverter.buildRateTable(options.exchangeRates), // currency -> daily rates
+            ownershipShares: new Map(Object.entries(options.ownershipShares || {})), // entity key -> ownership %
+            pinned: new Map(Object.entries(pinnedValues).map(([field, value]) => [field, parseFloat(value)])), // manual overrides
             errors: [],                 // processing errors
+            missingRates: [],           // { eventId, currency, date } - foreign events left unconverted
             stats: {
                 eventsProcessed: 0,
                 eventsExcluded: 0,
@@ -43,6 +60,9 @@ const runEngine = {
         const mappingRules = rules.filter(r => r.rule_type === 'mapping');
         this.applyMappings(events, mappingRules, context);
 
+        // Pinned overrides replace mapped values, totals below are computed around them
+        this.applyPins(context);
+
         // Phase 3: Auto-calculate base totals (LF_INCOME_TOTAL, etc.) BEFORE custom calculations
         this.autoCalculateBaseTotals(context);
 
@@ -52,6 +72,7 @@ const runEngine = {
 
         // Phase 5: Auto-calculate derived fields (taxable income, IPN) if not set by rules
         this.autoCalculateDerivedFields(context);
+        this.applyPins(context);
 
         // Phase 6: Apply flag rules based on accumulated values
         const flagRules = rules.filter(r => r.rule_type === 'flag');
@@ -69,11 +90,25 @@ const runEngine = {
         return {
             fieldValues: fieldValuesObj,
             mappings: context.mappings,
+            breakdowns: Array.from(context.breakdowns.values()),
             calculations: context.calculations,
             flags: context.flags,
             excludedEventIds: Array.from(context.excludedEventIds),
+            exclusions: context.exclusions,
+            autoCalculations: context.autoCalculations,
+            overrides: Array.from(context.pinned.entries()).map(([logicalField, value]) => ({
+                logicalField,
+                value,
+                engineValue: unpinned.fieldValues[logicalField] || 0,
+            })),
+            // inputs of this run, kept in declaration snapshots
+            sources: {
+                eventIds: events.map(e => e.id),
+                ruleIds: rules.map(r => r.id),
+            },
             stats: context.stats,
             errors: context.errors,
+            missingRates: context.missingRates,
         };
     },
 
@@ -86,6 +121,7 @@ const runEngine = {
             for (const rule of rules) {
                 if (conditionEvaluator.evaluate(rule.conditions, event)) {
                     context.excludedEventIds.add(event.id);
+                    context.exclusions.push({ eventId: event.id, ruleId: rule.id });
                     context.stats.eventsExcluded++;
                     break; // Event is excluded, no need to check more rules
                 }
@@ -140,6 +176,41 @@ const runEngine = {
         }
     },
 
+    /**
+     * Set pinned values over engine results
+     */
+    applyPins(context) {
+        for (const [field, value] of context.pinned) {
+            context.fieldValues.set(field, value);
+        }
+    },
+
+    /**
+     * Store auto-calculated value unless the field is pinned by manual override
+     * Formula and its input values are kept for explain
+     * @param {Object} context
+     * @param {string} field
+     * @param {number} value
+     * @param {Object} step - { phase, formula } formula as text, e.g. 'MAX(0, LF_A - LF_B)'
+     */
+    setComputed(context, field, value, { phase, formula }) {
+        const pinned = context.pinned.has(field);
+        const inputs = [...new Set(formula.match(/LF_[A-Z0-9_]+/g) || [])];
+
+        context.autoCalculations.push({
+            logicalField: field,
+            value,
+            phase,
+            formula,
+            inputs: Object.fromEntries(inputs.map(code => [code, context.fieldValues.get(code) || 0])),
+            ...(pinned && { pinned: true }),
+        });
+
+        if (!pinned) {
+            context.fieldValues.set(field, value);
+        }
+    },
+
     /**
      * Phase 3: Calculate base totals from mapped values
      * Must run BEFORE custom calculation rules
@@ -153,7 +224,10 @@ const runEngine = {
                 (fv.get('LF_INCOME_PROPERTY_KZ') || 0) +
                 (fv.get('LF_INCOME_PROPERTY_FOREIGN') || 0) +
                 (fv.get('LF_INCOME_PROPERTY_CAPITAL_CONTRIBUTION') || 0);
-            fv.set('LF_INCOME_PROPERTY_TOTAL', propertyTotal);
+            this.setComputed(context, 'LF_INCOME_PROPERTY_TOTAL', propertyTotal, {
+                phase: 'autoCalculateBaseTotals',
+                formula: 'LF_INCOME_PROPERTY_KZ + LF_INCOME_PROPERTY_FOREIGN + LF_INCOME_PROPERTY_CAPITAL_CONTRIBUTION',
+            });
         }
 
         // LF_INCOME_FOREIGN_TOTAL = sum of foreign incomes
@@ -170,7 +244,10 @@ const runEngine = {
                 'LF_INCOME_FOREIGN_OTHER',
             ];
             const foreignTotal = foreignIncomes.reduce((sum, code) => sum + (fv.get(code) || 0), 0);
-            fv.set('LF_INCOME_FOREIGN_TOTAL', foreignTotal);
+            this.setComputed(context, 'LF_INCOME_FOREIGN_TOTAL', foreignTotal, {
+                phase: 'autoCalculateBaseTotals',
+                formula: foreignIncomes.join(' + '),
+            });
         }
 
         // LF_DEDUCTION_TOTAL = sum of deductions
@@ -178,7 +255,10 @@ const runEngine = {
             const deductionTotal =
                 (fv.get('LF_DEDUCTION_STANDARD') || 0) +
                 (fv.get('LF_DEDUCTION_OTHER') || 0);
-            fv.set('LF_DEDUCTION_TOTAL', deductionTotal);
+            this.setComputed(context, 'LF_DEDUCTION_TOTAL', deductionTotal, {
+                phase: 'autoCalculateBaseTotals',
+                formula: 'LF_DEDUCTION_STANDARD + LF_DEDUCTION_OTHER',
+            });
         }
 
         // LF_ADJUSTMENT_TOTAL = sum of adjustments
@@ -188,7 +268,10 @@ const runEngine = {
                 (fv.get('LF_ADJUSTMENT_EXCLUDED_ART_654') || 0) +
                 (fv.get('LF_ADJUSTMENT_EXCLUDED_TREATY') || 0) +
                 (fv.get('LF_ADJUSTMENT_EXCLUDED_AIFC') || 0);
-            fv.set('LF_ADJUSTMENT_TOTAL', adjustmentTotal);
+            this.setComputed(context, 'LF_ADJUSTMENT_TOTAL', adjustmentTotal, {
+                phase: 'autoCalculateBaseTotals',
+                formula: 'LF_ADJUSTMENT_EXCLUDED_ART_341 + LF_ADJUSTMENT_EXCLUDED_ART_654 + LF_ADJUSTMENT_EXCLUDED_TREATY + LF_ADJUSTMENT_EXCLUDED_AIFC',
+            });
         }
 
         // LF_INCOME_TOTAL = sum of all income categories
@@ -208,7 +291,10 @@ const runEngine = {
                 'LF_INCOME_CFC_PROFIT',
             ];
             const incomeTotal = incomeCategories.reduce((sum, code) => sum + (fv.get(code) || 0), 0);
-            fv.set('LF_INCOME_TOTAL', incomeTotal);
+            this.setComputed(context, 'LF_INCOME_TOTAL', incomeTotal, {
+                phase: 'autoCalculateBaseTotals',
+                formula: incomeCategories.join(' + '),
+            });
         }
     },
 
@@ -225,14 +311,20 @@ const runEngine = {
                 (fv.get('LF_INCOME_TOTAL') || 0) -
                 (fv.get('LF_ADJUSTMENT_TOTAL') || 0) -
                 (fv.get('LF_DEDUCTION_TOTAL') || 0);
-            fv.set('LF_TAXABLE_INCOME', Math.max(0, taxableIncome));
+            this.setComputed(context, 'LF_TAXABLE_INCOME', Math.max(0, taxableIncome), {
+                phase: 'autoCalculateDerivedFields',
+                formula: 'MAX(0, LF_INCOME_TOTAL - LF_ADJUSTMENT_TOTAL - LF_DEDUCTION_TOTAL)',
+            });
         }
 
         // LF_IPN_CALCULATED = taxable income * 10%
         if (!fv.has('LF_IPN_CALCULATED') || fv.get('LF_IPN_CALCULATED') === 0) {
             const taxableIncome = fv.get('LF_TAXABLE_INCOME') || 0;
             const ipn = Math.round(taxableIncome * 0.1);
-            fv.set('LF_IPN_CALCULATED', ipn);
+            this.setComputed(context, 'LF_IPN_CALCULATED', ipn, {
+                phase: 'autoCalculateDerivedFields',
+                formula: 'ROUND(LF_TAXABLE_INCOME * 10%)',
+            });
         }
 
         // LF_IPN_PAYABLE = calculated - foreign credits
@@ -241,7 +333,23 @@ const runEngine = {
             const foreignCredit =
                 (fv.get('LF_FOREIGN_TAX_CREDIT_GENERAL') || 0) +
                 (fv.get('LF_FOREIGN_TAX_CREDIT_CFC') || 0);
-            fv.set('LF_IPN_PAYABLE', Math.max(0, ipnCalculated - foreignCredit));
+            this.setComputed(context, 'LF_IPN_PAYABLE', Math.max(0, ipnCalculated - foreignCredit), {
+                phase: 'autoCalculateDerivedFields',
+                formula: 'MAX(0, LF_IPN_CALCULATED - LF_FOREIGN_TAX_CREDIT_GENERAL - LF_FOREIGN_TAX_CREDIT_CFC)',
+            });
+        }
+
+        // LF_IPN_TO_PAY / LF_IPN_TO_REFUND = payable vs. already paid (270.02 B / C)
+        if (!fv.has('LF_IPN_TO_PAY') && !fv.has('LF_IPN_TO_REFUND')) {
+            const balance = (fv.get('LF_IPN_PAYABLE') || 0) - (fv.get('LF_IPN_PREPAID') || 0);
+            this.setComputed(context, 'LF_IPN_TO_PAY', Math.max(0, balance), {
+                phase: 'autoCalculateDerivedFields',
+                formula: 'MAX(0, LF_IPN_PAYABLE - LF_IPN_PREPAID)',
+            });
+            this.setComputed(context, 'LF_IPN_TO_REFUND', Math.max(0, -balance), {
+                phase: 'autoCalculateDerivedFields',
+                formula: 'MAX(0, LF_IPN_PREPAID - LF_IPN_PAYABLE)',
+            });
         }
     },
 
@@ -260,9 +368,15 @@ const runEngine = {
             context.flags['pril_2'] = true;
         }
 
+        if ((fv.get('LF_AGENT_INCOME') || 0) > 0) {
+            context.flags['has_agent_income'] = true;
+            context.flags['pril_3'] = true;
+        }
+
         if ((fv.get('LF_INCOME_CFC_PROFIT') || 0) > 0) {
             context.flags['has_cfc'] = true;
-            context.flags['pril_3'] = true;
+            context.flags['pril_6'] = true;
+            context.flags['pril_7'] = true;
         }
 
         if ((fv.get('LF_DEDUCTION_TOTAL') || 0) > 0) {
@@ -0,0 +1,176 @@
+/**
+ * Trace Builder
+ * Explains how an engine run produced value of a logical field:
+ * mapped events, exclusions, evaluated formulas and auto-calculation phases
+ */
+
+const conditionEvaluator = require('./conditionEvaluator');
+const formulaEvaluator = require('./formulaEvaluator');
+
+const traceBuilder = {
+    /**
+     * Build explanation tree of logical field
+     * @param {string} logicalField
+     * @param {Object} run - { result (runEngine.run output), events, rules, sourceRecords, descriptions }
+     * @returns {Object} Node; fields used by its formula are nested in inputs
+     */
+    build(logicalField, run) {
+        const index = {
+            events: new Map(run.events.map(event => [event.id, event])),
+            rules: new Map(run.rules.map(rule => [rule.id, rule])),
+            sourceRecords: new Map((run.sourceRecords || []).map(record => [record.id, record])),
+        };
+        return this.buildNode(logicalField, run, index, new Set());
+    },
+
+    /**
+     * @param {string} logicalField
+     * @param {Object} run
+     * @param {Object} index - events / rules / source records by id
+     * @param {Set} path - fields above this node (formula cycles are not expanded)
+     * @returns {Object}
+     */
+    buildNode(logicalField, run, index, path) {
+        const { result } = run;
+        const mappings = result.mappings.filter(m => m.logicalField === logicalField);
+        const calculations = result.calculations.filter(c => c.logicalField === logicalField);
+        const autoCalculations = result.autoCalculations.filter(a => a.logicalField === logicalField);
+        const override = (result.overrides || []).find(o => o.logicalField === logicalField) || null;
+
+        // Engine order: base totals (phase 3) → calculation rules (phase 4) → derived fields (phase 5)
+        const steps = [
+            ...autoCalculations.filter(a => a.phase === 'autoCalculateBaseTotals'),
+            ...calculations.map(c => ({ ...c, phase: 'calculation' })),
+            ...autoCalculations.filter(a => a.phase === 'autoCalculateDerivedFields'),
+        ];
+        const lastStep = steps[steps.length - 1] || null;
+
+        let producedBy = null;
+        if (override) {
+            producedBy = 'manual_override';
+        } else if (lastStep) {
+            producedBy = lastStep.phase;
+        } else if (mappings.length > 0) {
+            producedBy = 'mapping';
+        }
+
+        let inputFields = [];
+        if (lastStep) {
+            inputFields = lastStep.trace ? formulaEvaluator.refsOf(lastStep.trace) : Object.keys(lastStep.inputs);
+        }
+        const childPath = new Set(path).add(logicalField);
+
+        return {
+            logicalField,
+            description: run.descriptions[logicalField] || null,
+            value: result.fieldValues[logicalField] || 0,
+            producedBy,
+            override: override ? { value: override.value, engineValue: override.engineValue } : null,
+            mappings: mappings.map(mapping => ({
+                amount: mapping.amount,
+                rule: this.describeRule(index.rules.get(mapping.ruleId)),
+                event: this.describeEvent(index.events.get(mapping.taxEventId), index),
+                conversion: mapping.originalCurrency ? {
+                    originalAmount: mapping.originalAmount,
+                    originalCurrency: mapping.originalCurrency,
+                    exchangeRate: mapping.exchangeRate,
+                    exchangeRateDate: mapping.exchangeRateDate,
+                } : null,
+            })),
+            exclusions: this.exclusionsOf(logicalField, run, index),
+            calculations: calculations.map(calculation => ({
+                rule: this.describeRule(index.rules.get(calculation.ruleId)),
+                formula: calculation.formula,
+                trace: calculation.trace,
+                value: calculation.value,
+                pinned: Boolean(calculation.pinned),
+            })),
+            autoCalculations: autoCalculations.map(auto => ({
+                phase: auto.phase,
+                formula: auto.formula,
+                inputs: auto.inputs,
+                value: auto.value,
+                pinned: Boolean(auto.pinned),
+            })),
+            // Formula inputs that are 0 and have nothing behind them are left out of the tree
+            inputs: inputFields
+                .filter(field => !childPath.has(field))
+                .map(field => this.buildNode(field, run, index, childPath))
+                .filter(node => node.value !== 0 || node.override
+                    || node.mappings.length > 0 || node.exclusions.length > 0 || node.inputs.length > 0),
+        };
+    },
+
+    /**
+     * Excluded events that a mapping rule would have put into the field
+     * @param {string} logicalField
+     * @param {Object} run
+     * @param {Object} index
+     * @returns {Array} [{ event, excludedBy, wouldMapBy }]
+     */
+    exclusionsOf(logicalField, run, index) {
+        const mappingRules = run.rules.filter(rule => rule.rule_type === 'mapping' && this.mapsTo(rule, logicalField));
+        if (mappingRules.length === 0) {
+            return [];
+        }
+
+        const excluded = [];
+        for (const exclusion of run.result.exclusions) {
+            const event = index.events.get(exclusion.eventId);
+            const wouldMapBy = mappingRules.find(rule => conditionEvaluator.evaluate(rule.conditions, event));
+            if (wouldMapBy) {
+                excluded.push({
+                    event: this.describeEvent(event, index),
+                    excludedBy: this.describeRule(index.rules.get(exclusion.ruleId)),
+                    wouldMapBy: this.describeRule(wouldMapBy),
+                });
+            }
+        }
+        return excluded;
+    },
+
+    mapsTo(rule, logicalField) {
+        const actions = Array.isArray(rule.actions) ? rule.actions : [rule.actions];
+        return actions.some(action => action && action.type === 'map' && action.logical_field === logicalField);
+    },
+
+    describeRule(rule) {
+        if (!rule) {
+            return null;
+        }
+        return {
+            id: rule.id,
+            ruleCode: rule.rule_code,
+            ruleType: rule.rule_type,
+            priority: rule.priority,
+        };
+    },
+
+    /**
+     * Event with the source record and file row it was imported from
+     */
+    describeEvent(event, index) {
+        if (!event) {
+            return null;
+        }
+        const record = event.source_record_id ? index.sourceRecords.get(event.source_record_id) : null;
+        const rowIndex = event.metadata ? event.metadata._row_index : undefined;
+
+        return {
+            id: event.id,
+            eventType: event.event_type,
+            eventDate: event.event_date,
+            amount: event.amount === null ? null : parseFloat(event.amount),
+            currency: event.currency,
+            source: {
+                sourceRecordId: event.source_record_id || null,
+                sourceType: record ? record.source_type : null,
+                externalId: record ? record.external_id : null,
+                importedAt: record ? record.imported_at : null,
+                rowIndex: rowIndex === undefined ? null : rowIndex,
+            },
+        };
+    },
+};
+
+module.exports = traceBuilder;
@@ -0,0 +1,666 @@
+/**
+ * Rule Linter
+ * Static checks of a rule set, the way the engine will read it (nothing is run)
+ *
+ * Report (same shape as validation reports):
+ * {
+ *   isValid,                                  // no findings with severity 'error'
+ *   summary: { rulesChecked, errors, warnings },
+ *   results: [{ ruleCode, ruleId, severity, check, message, related? }]
+ * }
+ *
+ * Checks:
+ *   invalid_condition     - condition shape the evaluator does not read (never or always matches)
+ *   unsupported_operator  - operator conditionEvaluator / flag handler do not support
+ *   unknown_event_type    - condition compares event_type with a code missing from tax_event_types
+ *   unknown_metadata_key  - event.metadata.<key> no parser produces and no stored event has (warning)
+ *   unknown_logical_field - action target, formula or flag condition references a missing LF_* code
+ *   invalid_formula       - formula the formula evaluator turns into 0 (text, unknown operation)
+ *   invalid_action        - action the handler rejects or ignores
+ *   circular_calculation  - calculation rules depending on each other
+ *   shadowed_mapping      - exclusion rule removes every event a mapping rule matches (warning)
+ *   double_count          - two mappings add the same event to the same field (error when conditions are identical)
+ *   dead_rule             - conditions contradict each other / no action the engine runs (warning)
+ *   ignored_conditions    - conditions of calculation rules are not evaluated (warning)
+ */
+
+const conditionEvaluator = require('../engine/conditionEvaluator');
+const formulaEvaluator = require('../engine/formulaEvaluator');
+const flagHandler = require('../engine/actionHandlers/flag');
+
+// Metadata keys written by tax event parsers (src/modules/tax-events/parsers)
+// and used by seeded rules (db/seed.sql); other keys are looked up in stored events
+const KNOWN_METADATA_KEYS = [
+    '_row_index', '_sheet',
+    'source_system', 'version', 'doc_type', 'doc_number', 'doc_date', 'item_name', 'item_code',
+    'counterparty', 'counterparty_bin', 'description', 'operation_type', 'debit_account', 'credit_account',
+    'source_api', 'payer', 'payer_bin', 'tax_paid', 'original', 'asset_type', 'country',
+    'bank_name', 'account', 'transaction_id', 'type', 'is_credit',
+    'cfc_reg_number', 'agent_bin', 'ipn_withheld',
+];
+
+// Operator and field aliases, compared in one spelling
+const OPERATOR_ALIASES = { eq: '=', neq: '!=', gt: '>', gte: '>=', lt: '<', lte: '<=' };
+const FIELD_ALIASES = { eventType: 'event_type', eventDate: 'event_date', taxYear: 'tax_year' };
+const VALUE_OPERATORS = ['=', '!=', 'in', 'not_in'];
+const AMOUNT_SOURCES = ['event.amount', 'fixed'];
+
+const LOGICAL_FIELD_CODE = /^LF_[A-Z0-9_]+$/;
+
+const ruleLabel = rule => rule.rule_code || rule.id;
+const actionsOf = rule => (rule.actions ? [].concat(rule.actions) : []);
+const sameYear = (a, b) => a.tax_year === null || a.tax_year === undefined
+    || b.tax_year === null || b.tax_year === undefined || a.tax_year === b.tax_year;
+
+const ruleLinter = {
+    KNOWN_METADATA_KEYS,
+
+    /**
+     * Lint rules
+     * @param {Array} rules - tax_rules rows (inactive rules are skipped)
+     * @param {Object} known - { eventTypes: Set, logicalFields: Set, metadataKeys: Set | null (skip check) }
+     * @returns {Object} Report
+     */
+    lint(rules, known) {
+        const active = rules.filter(rule => rule.is_active !== false);
+        const results = [];
+        const report = (rule, severity, check, message, related = null) => {
+            results.push({
+                ruleCode: ruleLabel(rule),
+                ruleId: rule.id || null,
+                severity,
+                check,
+                message,
+                ...(related && related.length > 0 && { related: related.map(ruleLabel) }),
+            });
+        };
+
+        const parsed = new Map();
+        for (const rule of active) {
+            const conditions = rule.rule_type === 'flag'
+                ? this.checkFlagConditions(rule, known, report)
+                : this.checkEventConditions(rule, known, report);
+            parsed.set(rule, conditions);
+            this.checkActions(rule, known, report);
+        }
+
+        this.checkCycles(active.filter(rule => rule.rule_type === 'calculation'), report);
+        this.checkMappingConflicts(active, parsed, report);
+
+        const errors = results.filter(result => result.severity === 'error').length;
+
+        return {
+            isValid: errors === 0,
+            summary: {
+                rulesChecked: active.length,
+                errors,
+                warnings: results.length - errors,
+            },
+            results,
+        };
+    },
+
+    /**
+     * event.metadata.<key> keys referenced by rules (conditions and mapping actions)
+     * @param {Array} rules
+     * @returns {Array<string>}
+     */
+    metadataKeysOf(rules) {
+        const keys = new Set();
+        for (const rule of rules.filter(r => r.rule_type !== 'flag' && r.is_active !== false)) {
+            const { constraints } = this.parseConditions(rule.conditions);
+            const paths = [
+                ...constraints.filter(Boolean).map(constraint => constraint.field),
+                ...actionsOf(rule).flatMap(action =>
+                    [action.amount_source, action.group_by, action.ownership_share_by]),
+            ];
+            for (const path of paths) {
+                const key = this.metadataKeyOf(path);
+                if (key) {
+                    keys.add(key);
+                }
+            }
+        }
+        return [...keys];
+    },
+
+    // ==========================================
+    // CONDITIONS
+    // ==========================================
+
+    /**
+     * Read conditions the way conditionEvaluator.evaluate does
+     * @param {*} conditions
+     * @returns {Object} { mode: all | any, constraints: [{ field, op, value }], problem? }
+     *                   no constraints in 'all' mode - matches every event
+     */
+    parseConditions(conditions) {
+        if (!conditions || conditions.always === true) {
+            return { mode: 'all', constraints: [] };
+        }
+        if (typeof conditions !== 'object' || Array.isArray(conditions)) {
+            return { mode: 'all', constraints: [], problem: 'conditions must be an object, the rule matches every event' };
+        }
+
+        for (const mode of ['all', 'any']) {
+            if (conditions[mode] && Array.isArray(conditions[mode])) {
+                return { mode, constraints: conditions[mode] };
+            }
+        }
+
+        if (conditions.field && conditions.op) {
+            return { mode: 'all', constraints: [conditions] };
+        }
+
+        const keys = Object.keys(conditions);
+        if (keys.length === 0) {
+            return { mode: 'all', constraints: [] };
+        }
+        if (keys.length === 1) {
+            const field = keys[0];
+            const opValue = conditions[field];
+            if (opValue && typeof opValue === 'object' && Object.keys(opValue).length === 1) {
+                const op = Object.keys(opValue)[0];
+                return {
+                    mode: 'all',
+                    constraints: [{ field: field.startsWith('event.') ? field : `event.${field}`, op, value: opValue[op] }],
+                };
+            }
+        }
+
+        return {
+            mode: 'all',
+            constraints: [],
+            problem: 'conditions are not in a supported form ({ all }, { any }, { field, op, value } or { <field>: { <op>: value } }), the rule matches every event',
+        };
+    },
+
+    /**
+     * Conditions of mapping / exclusion / calculation rules (evaluated against events)
+     * @returns {Object|null} Parsed conditions, null when they cannot be reasoned about (or never match)
+     */
+    checkEventConditions(rule, known, report) {
+        const parsed = this.parseConditions(rule.conditions);
+        if (parsed.problem) {
+            report(rule, 'error', 'invalid_condition', parsed.problem);
+            return null;
+        }
+
+        if (rule.rule_type === 'calculation') {
+            if (parsed.constraints.length > 0) {
+                report(rule, 'warning', 'ignored_conditions',
+                    'conditions of calculation rules are not evaluated, the formula always runs');
+            }
+            return parsed;
+        }
+
+        let usable = true;
+        parsed.constraints.forEach((constraint, index) => {
+            const where = parsed.constraints.length > 1 ? `conditions.${parsed.mode}[${index}]` : 'condition';
+
+            if (!constraint || typeof constraint !== 'object' || !constraint.field || !constraint.op) {
+                report(rule, 'error', 'invalid_condition',
+                    `${where} must be { field, op, value } (nested groups and compact form are read only at top level), it never matches`);
+                usable = false;
+                return;
+            }
+
+            const { field, op, value } = constraint;
+            if (!conditionEvaluator.OPERATORS.includes(op)) {
+                report(rule, 'error', 'unsupported_operator',
+                    `${where}: operator '${op}' is not supported (${conditionEvaluator.OPERATORS.join(', ')}), it never matches`);
+                usable = false;
+            }
+
+            if (!this.isEventPath(field)) {
+                report(rule, 'error', 'invalid_condition',
+                    `${where}: field '${field}' is not an event field (event.<${conditionEvaluator.EVENT_FIELDS.join('|')}> or event.metadata.<key>), its value is always empty`);
+                usable = false;
+            }
+
+            if (['in', 'not_in'].includes(op) && !Array.isArray(value)) {
+                report(rule, 'error', 'invalid_condition', `${where}: '${op}' needs a list of values`);
+                usable = false;
+            }
+
+            if (this.normalizeField(field) === 'event.event_type' && VALUE_OPERATORS.includes(op)) {
+                for (const code of [].concat(value)) {
+                    if (typeof code === 'string' && !known.eventTypes.has(code)) {
+                        report(rule, 'error', 'unknown_event_type', `${where}: event type ${code} is not in tax_event_types`);
+                    }
+                }
+            }
+
+            const metadataKey = this.metadataKeyOf(field);
+            if (metadataKey && known.metadataKeys && !known.metadataKeys.has(metadataKey)) {
+                report(rule, 'warning', 'unknown_metadata_key',
+                    `${where}: metadata key '${metadataKey}' is not produced by parsers and no stored event has it`);
+            }
+        });
+
+        if (usable && parsed.mode === 'all' && this.contradicts(parsed.constraints, parsed.constraints)) {
+            report(rule, 'warning', 'dead_rule', 'conditions contradict each other, the rule never matches');
+            return null;
+        }
+
+        return usable ? parsed : null;
+    },
+
+    /**
+     * Conditions of flag rules (evaluated against logical field values)
+     */
+    checkFlagConditions(rule, known, report) {
+        const conditions = rule.conditions;
+        if (!conditions || conditions.always === true) {
+            return null;
+        }
+
+        const list = Array.isArray(conditions.all) ? conditions.all
+            : Array.isArray(conditions.any) ? conditions.any
+                : [conditions];
+
+        list.forEach((condition, index) => {
+            const where = list.length > 1 ? `conditions[${index}]` : 'condition';
+            const field = condition && condition.field;
+
+            if (typeof field !== 'string' || !(field.startsWith('field.') || field.startsWith('LF_'))) {
+                report(rule, 'error', 'invalid_condition',
+                    `${where} of flag rule must be { field: 'field.LF_*' | 'LF_*', op, value }, otherwise it always passes`);
+                return;
+            }
+            if (!flagHandler.OPERATORS.includes(condition.op)) {
+                report(rule, 'error', 'unsupported_operator',
+                    `${where}: operator '${condition.op}' is not supported for flags (${flagHandler.OPERATORS.join(', ')}), it always passes`);
+            }
+
+            const code = field.replace(/^field\./, '');
+            if (!known.logicalFields.has(code)) {
+                report(rule, 'error', 'unknown_logical_field', `${where}: logical field ${code} is not in logical_fields`);
+            }
+        });
+
+        return null;
+    },
+
+    // ==========================================
+    // ACTIONS
+    // ==========================================
+
+    checkActions(rule, known, report) {
+        const actions = actionsOf(rule);
+        const ran = {
+            mapping: ['map', 'flag'],
+            calculation: ['calc'],
+            flag: ['flag'],
+            exclusion: null,
+        }[rule.rule_type];
+
+        if (ran && !actions.some(action => action && ran.includes(action.type))) {
+            report(rule, 'warning', 'dead_rule',
+                `${rule.rule_type} rule has no ${ran.join(' / ')} actions, the engine does nothing with it`);
+        }
+
+        actions.forEach((action, index) => {
+            const where = actions.length > 1 ? `actions[${index}]` : 'action';
+            if (!action || typeof action !== 'object') {
+                report(rule, 'error', 'invalid_action', `${where} must be an object`);
+                return;
+            }
+
+            if (action.type === 'map' && rule.rule_type === 'mapping') {
+                this.checkMapAction(rule, action, where, known, report);
+            } else if (action.type === 'calc' && rule.rule_type === 'calculation') {
+                this.checkCalcAction(rule, action, where, known, report);
+            } else if (action.type === 'flag' && ['mapping', 'flag'].includes(rule.rule_type)) {
+                if (!action.set || typeof action.set !== 'object') {
+                    report(rule, 'error', 'invalid_action', `${where}: flag action needs a 'set' object`);
+                }
+            }
+        });
+    },
+
+    checkMapAction(rule, action, where, known, report) {
+        if (!action.logical_field) {
+            report(rule, 'error', 'invalid_action', `${where}: map action needs logical_field`);
+        } else if (!known.logicalFields.has(action.logical_field)) {
+            report(rule, 'error', 'unknown_logical_field', `${where}: logical field ${action.logical_field} is not in logical_fields`);
+        }
+
+        const source = action.amount_source;
+        if (source !== undefined && typeof action.amount !== 'number'
+            && !AMOUNT_SOURCES.includes(source) && !this.metadataKeyOf(source)) {
+            report(rule, 'error', 'invalid_action',
+                `${where}: amount_source '${source}' is not event.amount, event.metadata.<key> or fixed, the amount is always 0`);
+        }
+
+        for (const key of ['group_by', 'ownership_share_by']) {
+            if (action[key] !== undefined && !this.isEventPath(action[key])) {
+                report(rule, 'error', 'invalid_action', `${where}: ${key} '${action[key]}' is not an event field`);
+            }
+        }
+
+        if (known.metadataKeys) {
+            for (const path of [source, action.group_by, action.ownership_share_by]) {
+                const key = this.metadataKeyOf(path);
+                if (key && !known.metadataKeys.has(key)) {
+                    report(rule, 'warning', 'unknown_metadata_key',
+                        `${where}: metadata key '${key}' is not produced by parsers and no stored event has it`);
+                }
+            }
+        }
+    },
+
+    checkCalcAction(rule, action, where, known, report) {
+        const target = action.target || action.logical_field;
+        if (!target) {
+            report(rule, 'error', 'invalid_action', `${where}: calc action needs logical_field (or target)`);
+        } else if (!known.logicalFields.has(target)) {
+            report(rule, 'error', 'unknown_logical_field', `${where}: target ${target} is not in logical_fields`);
+        }
+
+        if (action.formula === undefined || action.formula === null) {
+            report(rule, 'error', 'invalid_formula', `${where}: calc action needs formula`);
+            return;
+        }
+
+        const { refs, problems } = this.readFormula(action.formula);
+        for (const problem of problems) {
+            report(rule, 'error', 'invalid_formula', `${where}: ${problem}`);
+        }
+        for (const code of refs) {
+            if (!known.logicalFields.has(code)) {
+                report(rule, 'error', 'unknown_logical_field', `${where}: formula references ${code}, which is not in logical_fields`);
+            }
+        }
+    },
+
+    /**
+     * Logical fields referenced by formula and parts formulaEvaluator cannot evaluate
+     * @param {*} formula
+     * @returns {Object} { refs: Array<string>, problems: Array<string> }
+     */
+    readFormula(formula) {
+        const refs = new Set();
+        const problems = [];
+
+        const walk = (node, path) => {
+            if (typeof node === 'number') {
+                return;
+            }
+            if (typeof node === 'string') {
+                if (path === 'formula') {
+                    problems.push(`formula '${node}' is text, the formula evaluator reads { op, ... } / { ref } / numbers and returns 0`);
+                    (node.match(/LF_[A-Z0-9_]+/g) || []).forEach(code => refs.add(code));
+                } else if (LOGICAL_FIELD_CODE.test(node)) {
+                    refs.add(node); // refs: ['LF_A', ...]
+                } else {
+                    problems.push(`${path} '${node}' is not a logical field code`);
+                }
+                return;
+            }
+            if (!node || typeof node !== 'object') {
+                problems.push(`${path} is empty, it evaluates to 0`);
+                return;
+            }
+            if (node.ref) {
+                refs.add(node.ref);
+                return;
+            }
+            if (!node.op) {
+                problems.push(`${path} has neither op nor ref, it evaluates to 0`);
+                return;
+            }
+            if (!formulaEvaluator.OPERATIONS.includes(node.op)) {
+                problems.push(`${path}: operation '${node.op}' is not supported (${formulaEvaluator.OPERATIONS.join(', ')}), it evaluates to 0`);
+            }
+            if (Array.isArray(node.refs)) {
+                node.refs.forEach((ref, index) => walk(ref, `${path}.refs[${index}]`));
+            }
+            for (const key of ['a', 'b', 'condition', 'then', 'else']) {
+                if (node[key] !== undefined) {
+                    walk(node[key], `${path}.${key}`);
+                }
+            }
+        };
+
+        walk(formula, 'formula');
+        return { refs: [...refs], problems };
+    },
+
+    // ==========================================
+    // RULE SET
+    // ==========================================
+
+    /**
+     * Calculation rules whose targets depend on each other
+     * @param {Array} rules - Active calculation rules
+     */
+    checkCycles(rules, report) {
+        const calcs = rules.flatMap(rule => actionsOf(rule)
+            .filter(action => action && action.type === 'calc' && (action.target || action.logical_field))
+            .map(action => ({
+                rule,
+                target: action.target || action.logical_field,
+                refs: this.readFormula(action.formula).refs,
+            })));
+
+        const reported = new Set();
+        for (const start of calcs) {
+            // depth-first over calculations that can run together (same tax year or every year)
+            const visit = (calc, path) => {
+                for (const next of calcs) {
+                    if (!calc.refs.includes(next.target) || !sameYear(start.rule, next.rule)) {
+                        continue;
+                    }
+                    if (next === start) {
+                        const cycle = [start, ...path];
+                        const key = cycle.map(item => item.target).sort().join('|');
+                        if (!reported.has(key)) {
+                            reported.add(key);
+                            const fields = [...cycle, start].map(item => item.target).join(' → ');
+                            const involved = [...new Set(cycle.map(item => item.rule))];
+                            for (const rule of involved) {
+                                report(rule, 'error', 'circular_calculation',
+                                    `circular calculation ${fields}, result depends on rule priority`,
+                                    involved.filter(other => other !== rule));
+                            }
+                        }
+                    } else if (!path.includes(next)) {
+                        visit(next, [...path, next]);
+                    }
+                }
+            };
+            visit(start, []);
+        }
+    },
+
+    /**
+     * Exclusions shadowing mappings, mappings counting the same event into the same field twice
+     * @param {Array} rules - Active rules
+     * @param {Map} parsed - rule → parsed conditions (null when unusable)
+     */
+    checkMappingConflicts(rules, parsed, report) {
+        const mappings = rules.filter(rule => rule.rule_type === 'mapping' && parsed.get(rule));
+        const exclusions = rules.filter(rule => rule.rule_type === 'exclusion' && parsed.get(rule));
+
+        for (const mapping of mappings) {
+            const shadowing = exclusions.find(exclusion =>
+                sameYear(mapping, exclusion) && this.covers(parsed.get(exclusion), parsed.get(mapping)));
+            if (shadowing) {
+                report(mapping, 'warning', 'shadowed_mapping',
+                    `exclusion ${ruleLabel(shadowing)} removes every event this mapping matches, it never applies`,
+                    [shadowing]);
+            }
+        }
+
+        const targets = rule => actionsOf(rule)
+            .filter(action => action && action.type === 'map' && action.logical_field)
+            .map(action => action.logical_field);
+
+        mappings.forEach((first, index) => {
+            const firstTargets = targets(first);
+
+            // one rule mapping the same event twice into a field
+            for (const field of new Set(firstTargets.filter((field, i) => firstTargets.indexOf(field) !== i))) {
+                report(first, 'warning', 'double_count', `several map actions add the same event to ${field}`);
+            }
+
+            for (const second of mappings.slice(index + 1)) {
+                const shared = [...new Set(targets(second).filter(field => firstTargets.includes(field)))];
+                if (shared.length === 0 || !sameYear(first, second)) {
+                    continue;
+                }
+                const a = parsed.get(first);
+                const b = parsed.get(second);
+                if (a.mode === 'all' && b.mode === 'all' && this.contradicts(a.constraints, b.constraints)) {
+                    continue;
+                }
+
+                const identical = JSON.stringify(this.canonical(a)) === JSON.stringify(this.canonical(b));
+                const message = other => (identical
+                    ? `same conditions as ${ruleLabel(other)}, every matching event is added to ${shared.join(', ')} twice`
+                    : `${ruleLabel(other)} can match the same event, it would be added to ${shared.join(', ')} twice`);
+                report(first, identical ? 'error' : 'warning', 'double_count', message(second), [second]);
+                report(second, identical ? 'error' : 'warning', 'double_count', message(first), [first]);
+            }
+        });
+    },
+
+    /**
+     * Every event matching `inner` also matches `outer`
+     * (each outer constraint follows from one of inner's constraints)
+     */
+    covers(outer, inner) {
+        if (outer.mode === 'all' && outer.constraints.length === 0) {
+            return true;
+        }
+        if (inner.mode !== 'all') {
+            return false;
+        }
+        const implied = constraint => inner.constraints.some(other => this.implies(other, constraint));
+        return outer.mode === 'all'
+            ? outer.constraints.every(implied)
+            : outer.constraints.some(implied);
+    },
+
+    /**
+     * Any constraint of one list contradicts a constraint of the other (no event matches both)
+     */
+    contradicts(first, second) {
+        return first.some(a => second.some(b => this.disjoint(a, b)));
+    },
+
+    implies(a, b) {
+        a = this.normalize(a);
+        b = this.normalize(b);
+        if (a.field !== b.field) {
+            return false;
+        }
+        if (a.op === b.op && JSON.stringify(a.value) === JSON.stringify(b.value)) {
+            return true;
+        }
+        const values = a.op === '=' ? [a.value] : a.op === 'in' && Array.isArray(a.value) ? a.value : null;
+        if (!values) {
+            return false;
+        }
+        switch (b.op) {
+            case '=':
+                return values.length === 1 && values[0] === b.value;
+            case 'in':
+                return Array.isArray(b.value) && values.every(value => b.value.includes(value));
+            case '!=':
+                return !values.includes(b.value);
+            case 'not_in':
+                return Array.isArray(b.value) && values.every(value => !b.value.includes(value));
+            case 'exists':
+                return values.every(value => value !== null && value !== undefined);
+            default:
+                return false;
+        }
+    },
+
+    disjoint(a, b) {
+        a = this.normalize(a);
+        b = this.normalize(b);
+        if (a.field !== b.field) {
+            return false;
+        }
+        if ((a.op === 'exists' && b.op === 'not_exists') || (a.op === 'not_exists' && b.op === 'exists')) {
+            return true;
+        }
+        const valuesOf = c => (c.op === '=' ? [c.value] : c.op === 'in' && Array.isArray(c.value) ? c.value : null);
+        const left = valuesOf(a);
+        const right = valuesOf(b);
+
+        if (left && right) {
+            return !left.some(value => right.includes(value));
+        }
+        const [values, other] = left ? [left, b] : right ? [right, a] : [null, null];
+        if (!values) {
+            return false;
+        }
+        switch (other.op) {
+            case '!=':
+                return values.every(value => value === other.value);
+            case 'not_in':
+                return Array.isArray(other.value) && values.every(value => other.value.includes(value));
+            case 'not_exists':
+                return values.every(value => value !== null && value !== undefined);
+            default:
+                return false;
+        }
+    },
+
+    canonical(parsed) {
+        return {
+            mode: parsed.mode,
+            constraints: parsed.constraints
+                .map(constraint => this.normalize(constraint))
+                .map(({ field, op, value }) => [field, op, JSON.stringify(value)])
+                .sort(),
+        };
+    },
+
+    // ==========================================
+    // HELPERS
+    // ==========================================
+
+    normalize(constraint) {
+        return {
+            field: this.normalizeField(constraint.field),
+            op: OPERATOR_ALIASES[constraint.op] || constraint.op,
+            value: constraint.value,
+        };
+    },
+
+    normalizeField(field) {
+        const parts = String(field).split('.');
+        if (parts.length === 2 && FIELD_ALIASES[parts[1]]) {
+            return `event.${FIELD_ALIASES[parts[1]]}`;
+        }
+        return String(field);
+    },
+
+    isEventPath(path) {
+        if (typeof path !== 'string') {
+            return false;
+        }
+        const parts = path.split('.');
+        if (parts[0] !== 'event') {
+            return false;
+        }
+        if (parts.length === 2) {
+            return conditionEvaluator.EVENT_FIELDS.includes(parts[1]);
+        }
+        return parts.length >= 3 && parts[1] === 'metadata' && parts.slice(2).every(Boolean);
+    },
+
+    metadataKeyOf(path) {
+        if (typeof path !== 'string' || !path.startsWith('event.metadata.')) {
+            return null;
+        }
+        return path.split('.')[2] || null;
+    },
+};
+
+module.exports = ruleLinter;
@@ -27,23 +27,28 @@ const ruleEngineController = {
                 data: result,
             });
         } catch (error) {
+            if (error.message.includes('Cannot recalculate')) {
+                return res.status(409).json({ success: false, error: error.message });
+            }
             next(error);
         }
     },
 
     /**
      * Preview engine results without persisting
-     * GET /api/rules/preview/:taxIdentityId/:taxYear
+     * GET /api/rules/preview/:taxIdentityId/:taxYear?ruleSetVersion=
      */
     async previewEngine(req, res, next) {
         try {
             const userId = req.user.id;
             const { taxIdentityId, taxYear } = req.params;
+            const { ruleSetVersion } = req.query;
 
             const result = await ruleEngineService.previewEngine(
                 taxIdentityId,
                 parseInt(taxYear, 10),
-                userId
+                userId,
+                ruleSetVersion ? parseInt(ruleSetVersion, 10) : null
             );
 
             res.status(200).json({
@@ -56,7 +61,7 @@ const ruleEngineController = {
     },
 
     /**
-     * Recalculate declaration (delete and recalculate)
+     * Recalculate declaration (previous mappings and items are replaced)
      * POST /api/rules/recalculate/:taxIdentityId/:taxYear
      */
     async recalculate(req, res, next) {
@@ -75,6 +80,153 @@ const ruleEngineController = {
                 data: result,
             });
         } catch (error) {
+            if (error.message.includes('Cannot recalculate')) {
+                return res.status(409).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * What-if calculation with hypothetical events, excluded events and draft rules
+     * POST /api/rules/simulate/:taxIdentityId/:taxYear
+     */
+    async simulate(req, res, next) {
+        try {
+            const userId = req.user.id;
+            const { taxIdentityId, taxYear } = req.params;
+            const { events, excludeEventIds, rules, formCode } = req.body;
+
+            const result = await ruleEngineService.simulate(
+                taxIdentityId,
+                parseInt(taxYear, 10),
+                userId,
+                { events, excludeEventIds, rules, formCode }
+            );
+
+            res.status(200).json({
+                success: true,
+                data: result,
+            });
+        } catch (error) {
+            if (error.message.includes('No access')) {
+                return res.status(403).json({ success: false, error: error.message });
+            }
+            if (error.message.includes('is invalid')) {
+                return res.status(400).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * Run regression scenarios against draft rules
+     * POST /api/rules/test
+     */
+    async testScenarios(req, res, next) {
+        try {
+            const { scenarios, name, ruleSetVersion, rules } = req.body;
+
+            const result = await ruleEngineService.testScenarios({
+                scenarios,
+                name,
+                ruleSetVersion: ruleSetVersion ? parseInt(ruleSetVersion, 10) : null,
+                rules,
+            });
+
+            res.status(200).json({
+                success: true,
+                data: result,
+            });
+        } catch (error) {
+            if (error.message.includes('is invalid')) {
+                return res.status(400).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    },
+
+    // ==========================================
+    // LINT
+    // ==========================================
+
+    /**
+     * Static checks of working rules or a rule set version
+     * GET /api/rules/lint
+     */
+    async lintRules(req, res, next) {
+        try {
+            const { taxYear, ruleSetVersion } = req.query;
+
+            const result = await ruleEngineService.lintRules({
+                taxYear: taxYear ? parseInt(taxYear, 10) : null,
+                ruleSetVersion: ruleSetVersion ? parseInt(ruleSetVersion, 10) : null,
+            });
+
+            res.status(200).json({
+                success: true,
+                data: result,
+            });
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return res.status(404).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    },
+
+    // ==========================================
+    // RULE BUNDLES
+    // ==========================================
+
+    /**
+     * Export rules with logical fields, event types and XML field map
+     * GET /api/rules/export
+     */
+    async exportBundle(req, res, next) {
+        try {
+            let taxYear = null;
+            if (req.query.taxYear !== undefined) {
+                taxYear = parseInt(req.query.taxYear, 10);
+                if (!Number.isInteger(taxYear) || taxYear < 2000) {
+                    return res.status(400).json({ success: false, error: `taxYear is invalid: ${req.query.taxYear}` });
+                }
+            }
+
+            const bundle = await ruleEngineService.exportBundle(taxYear);
+
+            res.status(200).json({
+                success: true,
+                data: bundle,
+            });
+        } catch (error) {
+            if (error.message.includes('Cannot')) {
+                return res.status(409).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * Import bundle (dry run reports changes only)
+     * POST /api/rules/import
+     */
+    async importBundle(req, res, next) {
+        try {
+            const { bundle, dryRun } = req.body;
+
+            const result = await ruleEngineService.importBundle(bundle, {
+                dryRun: dryRun === true || dryRun === 'true',
+            });
+
+            res.status(200).json({
+                success: true,
+                data: result,
+            });
+        } catch (error) {
+            if (error.message.includes('is invalid')) {
+                return res.status(400).json({ success: false, error: error.message });
+            }
             next(error);
         }
     },
@@ -113,6 +265,9 @@ const ruleEngineController = {
                 data: rule,
             });
         } catch (error) {
+            if (error.message.includes('is invalid')) {
+                return res.status(400).json({ success: false, error: error.message });
+            }
             next(error);
         }
     },
@@ -177,6 +332,9 @@ const ruleEngineController = {
                 data: rule,
             });
         } catch (error) {
+            if (error.message.includes('is invalid')) {
+                return res.status(400).json({ success: false, error: error.message });
+            }
             next(error);
         }
     },
@@ -7,10 +7,11 @@ const ruleEngineRepository = {
 
     /**
      * Get all logical fields
+     * @param {Object} client - Transaction client (optional)
      * @returns {Promise<Array>}
      */
-    async getAllLogicalFields() {
-        const result = await db.query(
+    async getAllLogicalFields(client = db) {
+        const result = await client.query(
             `SELECT code, description FROM logical_fields ORDER BY code`
         );
         return result.rows;
@@ -33,10 +34,11 @@ const ruleEngineRepository = {
      * Create logical field
      * @param {string} code
      * @param {string} description
+     * @param {Object} client - Transaction client (optional)
      * @returns {Promise<Object>}
      */
-    async createLogicalField(code, description) {
-        const result = await db.query(
+    async createLogicalField(code, description, client = db) {
+        const result = await client.query(
             `INSERT INTO logical_fields (code, description)
             VALUES ($1, $2)
             ON CONFLICT (code) DO UPDATE SET description = $2
@@ -53,10 +55,11 @@ const ruleEngineRepository = {
     /**
      * Get all active rules for tax year, ordered by priority
      * @param {number} taxYear
+     * @param {Object} client - Transaction client (optional)
      * @returns {Promise<Array>}
      */
-    async getActiveRules(taxYear) {
-        const result = await db.query(
+    async getActiveRules(taxYear, client = db) {
+        const result = await client.query(
             `SELECT * FROM tax_rules 
             WHERE is_active = true 
             AND (tax_year = $1 OR tax_year IS NULL)
@@ -66,6 +69,19 @@ const ruleEngineRepository = {
         return result.rows;
     },
 
+    /**
+     * Get all active rules of every tax year, ordered by priority
+     * @returns {Promise<Array>}
+     */
+    async getAllActiveRules() {
+        const result = await db.query(
+            `SELECT * FROM tax_rules
+            WHERE is_active = true
+            ORDER BY priority ASC, created_at ASC`
+        );
+        return result.rows;
+    },
+
     /**
      * Get rules by type
      * @param {number} taxYear
@@ -210,6 +226,101 @@ const ruleEngineRepository = {
         };
     },
 
+    // ==========================================
+    // RULE BUNDLES (export / import between environments)
+    // ==========================================
+
+    /**
+     * Rules of tax year (active and inactive, rules for every year included)
+     * @param {number|null} taxYear - All rules when null
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<Array>}
+     */
+    async getBundleRules(taxYear, client = db) {
+        const result = await client.query(
+            `SELECT * FROM tax_rules
+            WHERE $1::int IS NULL OR tax_year = $1 OR tax_year IS NULL
+            ORDER BY tax_year ASC NULLS FIRST, rule_code ASC, created_at ASC`,
+            [taxYear]
+        );
+        return result.rows;
+    },
+
+    /**
+     * Insert rule in bundle shape
+     * @param {Object} rule - { rule_code, tax_year, rule_type, conditions, actions, priority, is_active }
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<Object>}
+     */
+    async insertBundleRule(rule, client = db) {
+        const result = await client.query(
+            `INSERT INTO tax_rules (rule_code, tax_year, rule_type, conditions, actions, priority, is_active)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING *`,
+            [
+                rule.rule_code,
+                rule.tax_year,
+                rule.rule_type,
+                rule.conditions === null ? null : JSON.stringify(rule.conditions),
+                rule.actions === null ? null : JSON.stringify(rule.actions),
+                rule.priority,
+                rule.is_active,
+            ]
+        );
+        return result.rows[0];
+    },
+
+    /**
+     * Overwrite rule with bundle version (NULL conditions / actions included, unlike updateRule)
+     * @param {string} id
+     * @param {Object} rule
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<Object>}
+     */
+    async replaceBundleRule(id, rule, client = db) {
+        const result = await client.query(
+            `UPDATE tax_rules SET
+                rule_type = $2,
+                conditions = $3,
+                actions = $4,
+                priority = $5,
+                is_active = $6
+            WHERE id = $1
+            RETURNING *`,
+            [
+                id,
+                rule.rule_type,
+                rule.conditions === null ? null : JSON.stringify(rule.conditions),
+                rule.actions === null ? null : JSON.stringify(rule.actions),
+                rule.priority,
+                rule.is_active,
+            ]
+        );
+        return result.rows[0];
+    },
+
+    /**
+     * Deactivate rule missing from imported bundle (kept for rule set versions and mappings)
+     * @param {string} id
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<void>}
+     */
+    async deactivateRule(id, client = db) {
+        await client.query(
+            `UPDATE tax_rules SET is_active = false WHERE id = $1`,
+            [id]
+        );
+    },
+
+    /**
+     * Serialize bundle imports (transaction-level advisory lock)
+     * @param {Object} client - Transaction client
+     * @returns {Promise<void>}
+     */
+    async lockBundleImport(client) {
+        await client.query(`SELECT pg_advisory_xact_lock(hashtext('rule_bundle_import'))`);
+    },
+
     // ==========================================
     // TAX MAPPINGS
     // ==========================================
@@ -219,12 +330,21 @@ const ruleEngineRepository = {
      * @param {Object} mapping
      * @returns {Promise<Object>}
      */
-    async insertMapping({ taxEventId, taxYear, logicalField, amount, ruleId }) {
+    async insertMapping({
+        taxEventId, taxYear, logicalField, amount, ruleId,
+        originalAmount, originalCurrency, exchangeRate, exchangeRateDate,
+    }) {
         const result = await db.query(
-            `INSERT INTO tax_mappings (tax_event_id, tax_year, logical_field, amount, rule_id)
-            VALUES ($1, $2, $3, $4, $5)
+            `INSERT INTO tax_mappings (
+                tax_event_id, tax_year, logical_field, amount, rule_id,
+                original_amount, original_currency, exchange_rate, exchange_rate_date
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
             RETURNING *`,
-            [taxEventId, taxYear, logicalField, amount, ruleId]
+            [
+                taxEventId, taxYear, logicalField, amount, ruleId,
+                originalAmount ?? null, originalCurrency ?? null, exchangeRate ?? null, exchangeRateDate ?? null,
+            ]
         );
         return result.rows[0];
     },
@@ -232,34 +352,31 @@ const ruleEngineRepository = {
     /**
      * Bulk insert tax mappings
      * @param {Array} mappings
+     * @param {Object} client - Transaction client (optional)
      * @returns {Promise<Array>}
      */
-    async bulkInsertMappings(mappings) {
+    async bulkInsertMappings(mappings, client = null) {
         if (!mappings || mappings.length === 0) return [];
 
-        const client = await db.getClient();
-        try {
-            await client.query('BEGIN');
-
+        return db.withTransaction(async (tx) => {
             const results = [];
             for (const m of mappings) {
-                const result = await client.query(
-                    `INSERT INTO tax_mappings (tax_event_id, tax_year, logical_field, amount, rule_id)
-                    VALUES ($1, $2, $3, $4, $5)
+                const result = await tx.query(
+                    `INSERT INTO tax_mappings (
+                        tax_event_id, tax_year, logical_field, amount, rule_id,
+                        original_amount, original_currency, exchange_rate, exchange_rate_date
+                    )
+                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
                     RETURNING *`,
-                    [m.taxEventId, m.taxYear, m.logicalField, m.amount, m.ruleId]
+                    [
+                        m.taxEventId, m.taxYear, m.logicalField, m.amount, m.ruleId,
+                        m.originalAmount ?? null, m.originalCurrency ?? null, m.exchangeRate ?? null, m.exchangeRateDate ?? null,
+                    ]
                 );
                 results.push(result.rows[0]);
             }
-
-            await client.query('COMMIT');
             return results;
-        } catch (error) {
-            await client.query('ROLLBACK');
-            throw error;
-        } finally {
-            client.release();
-        }
+        }, client);
     },
 
     /**
@@ -284,10 +401,11 @@ const ruleEngineRepository = {
      * Delete mappings for declaration recalculation
      * @param {string} taxIdentityId
      * @param {number} taxYear
+     * @param {Object} client - Transaction client (optional)
      * @returns {Promise<number>}
      */
-    async deleteMappingsByIdentityYear(taxIdentityId, taxYear) {
-        const result = await db.query(
+    async deleteMappingsByIdentityYear(taxIdentityId, taxYear, client = db) {
+        const result = await client.query(
             `DELETE FROM tax_mappings tm
             USING tax_events te
             WHERE tm.tax_event_id = te.id
@@ -303,26 +421,41 @@ const ruleEngineRepository = {
     // ==========================================
 
     /**
-     * Get or create declaration
+     * Get latest declaration (additional one once the main is corrected)
      * @param {string} taxIdentityId
      * @param {number} taxYear
      * @param {string} formCode
-     * @returns {Promise<Object>}
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<Object|null>}
      */
-    async getOrCreateDeclaration(taxIdentityId, taxYear, formCode = '270.00') {
-        // Try to find existing
-        let result = await db.query(
+    async findDeclaration(taxIdentityId, taxYear, formCode = '270.00', client = db) {
+        const result = await client.query(
             `SELECT * FROM declarations 
-            WHERE tax_identity_id = $1 AND tax_year = $2 AND form_code = $3`,
+            WHERE tax_identity_id = $1 AND tax_year = $2 AND form_code = $3
+            ORDER BY created_at DESC
+            LIMIT 1`,
             [taxIdentityId, taxYear, formCode]
         );
+        return result.rows[0] || null;
+    },
 
-        if (result.rows[0]) {
-            return result.rows[0];
+    /**
+     * Get latest declaration (additional one once the main is corrected) or create main
+     * @param {string} taxIdentityId
+     * @param {number} taxYear
+     * @param {string} formCode
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<Object>}
+     */
+    async getOrCreateDeclaration(taxIdentityId, taxYear, formCode = '270.00', client = db) {
+        // Try to find existing
+        const existing = await this.findDeclaration(taxIdentityId, taxYear, formCode, client);
+        if (existing) {
+            return existing;
         }
 
         // Create new
-        result = await db.query(
+        const result = await client.query(
             `INSERT INTO declarations (tax_identity_id, tax_year, form_code, status)
             VALUES ($1, $2, $3, 'draft')
             RETURNING *`,
@@ -348,10 +481,11 @@ const ruleEngineRepository = {
      * Update declaration flags
      * @param {string} id
      * @param {Object} flags
+     * @param {Object} client - Transaction client (optional)
      * @returns {Promise<Object>}
      */
-    async updateDeclarationFlags(id, flags) {
-        const result = await db.query(
+    async updateDeclarationFlags(id, flags, client = db) {
+        const result = await client.query(
             `UPDATE declarations 
             SET flags = COALESCE(flags, '{}'::jsonb) || $2::jsonb
             WHERE id = $1
@@ -361,14 +495,29 @@ const ruleEngineRepository = {
         return result.rows[0];
     },
 
+    /**
+     * Record rule set version declaration was calculated with
+     * @param {string} id
+     * @param {string|null} ruleSetVersionId - null while no version is published
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<void>}
+     */
+    async setDeclarationRuleSet(id, ruleSetVersionId, client = db) {
+        await client.query(
+            `UPDATE declarations SET rule_set_version_id = $2 WHERE id = $1`,
+            [id, ruleSetVersionId]
+        );
+    },
+
     /**
      * Set declaration header snapshot
      * @param {string} id
      * @param {Object} header
+     * @param {Object} client - Transaction client (optional)
      * @returns {Promise<Object>}
      */
-    async setDeclarationHeader(id, { iin, fioLast, fioFirst, fioMiddle, phone, email }) {
-        const result = await db.query(
+    async setDeclarationHeader(id, { iin, fioLast, fioFirst, fioMiddle, phone, email }, client = db) {
+        const result = await client.query(
             `UPDATE declarations SET
                 iin = COALESCE($2, iin),
                 fio_last = COALESCE($3, fio_last),
@@ -383,6 +532,22 @@ const ruleEngineRepository = {
         return result.rows[0];
     },
 
+    /**
+     * Take transaction-level advisory lock of identity / year calculation
+     * Released on commit or rollback
+     * @param {string} taxIdentityId
+     * @param {number} taxYear
+     * @param {Object} client - Transaction client
+     * @returns {Promise<boolean>} false if another calculation holds the lock
+     */
+    async tryLockCalculation(taxIdentityId, taxYear, client) {
+        const result = await client.query(
+            `SELECT pg_try_advisory_xact_lock(hashtext($1), $2) as locked`,
+            [taxIdentityId, taxYear]
+        );
+        return result.rows[0].locked;
+    },
+
     // ==========================================
     // DECLARATION ITEMS
     // ==========================================
@@ -411,18 +576,16 @@ const ruleEngineRepository = {
      * Bulk upsert declaration items
      * @param {string} declarationId
      * @param {Array} items - Array of { logicalField, value }
+     * @param {Object} client - Transaction client (optional)
      * @returns {Promise<Array>}
      */
-    async bulkUpsertDeclarationItems(declarationId, items) {
+    async bulkUpsertDeclarationItems(declarationId, items, client = null) {
         if (!items || items.length === 0) return [];
 
-        const client = await db.getClient();
-        try {
-            await client.query('BEGIN');
-
+        return db.withTransaction(async (tx) => {
             const results = [];
             for (const item of items) {
-                const result = await client.query(
+                const result = await tx.query(
                     `INSERT INTO declaration_items (declaration_id, logical_field, value, source)
                     VALUES ($1, $2, $3, 'rule_engine')
                     ON CONFLICT (declaration_id, logical_field) 
@@ -432,15 +595,8 @@ const ruleEngineRepository = {
                 );
                 results.push(result.rows[0]);
             }
-
-            await client.query('COMMIT');
             return results;
-        } catch (error) {
-            await client.query('ROLLBACK');
-            throw error;
-        } finally {
-            client.release();
-        }
+        }, client);
     },
 
     /**
@@ -461,13 +617,14 @@ const ruleEngineRepository = {
     },
 
     /**
-     * Delete declaration items for recalculation
+     * Delete declaration items for recalculation, pinned manual overrides are kept
      * @param {string} declarationId
+     * @param {Object} client - Transaction client (optional)
      * @returns {Promise<number>}
      */
-    async deleteDeclarationItems(declarationId) {
-        const result = await db.query(
-            `DELETE FROM declaration_items WHERE declaration_id = $1`,
+    async deleteDeclarationItems(declarationId, client = db) {
+        const result = await client.query(
+            `DELETE FROM declaration_items WHERE declaration_id = $1 AND pinned = false`,
             [declarationId]
         );
         return result.rowCount;
@@ -481,10 +638,11 @@ const ruleEngineRepository = {
      * Get tax events for engine processing
      * @param {string} taxIdentityId
      * @param {number} taxYear
+     * @param {Object} client - Transaction client (optional)
      * @returns {Promise<Array>}
      */
-    async getTaxEventsForEngine(taxIdentityId, taxYear) {
-        const result = await db.query(
+    async getTaxEventsForEngine(taxIdentityId, taxYear, client = db) {
+        const result = await client.query(
             `SELECT 
                 te.*,
                 tet.description as event_type_description
@@ -497,13 +655,31 @@ const ruleEngineRepository = {
         return result.rows;
     },
 
+    /**
+     * Source records events were imported from (without raw payload)
+     * @param {Array<string>} ids
+     * @returns {Promise<Array>}
+     */
+    async getSourceRecords(ids) {
+        if (!ids || ids.length === 0) return [];
+
+        const result = await db.query(
+            `SELECT id, source_type, external_id, imported_at
+            FROM source_records
+            WHERE id = ANY($1::uuid[])`,
+            [ids]
+        );
+        return result.rows;
+    },
+
     /**
      * Get person data for declaration header
      * @param {string} taxIdentityId
+     * @param {Object} client - Transaction client (optional)
      * @returns {Promise<Object|null>}
      */
-    async getPersonByTaxIdentity(taxIdentityId) {
-        const result = await db.query(
+    async getPersonByTaxIdentity(taxIdentityId, client = db) {
+        const result = await client.query(
             `SELECT p.* 
             FROM persons p
             JOIN tax_identities ti ON ti.person_id = p.id
@@ -49,6 +49,7 @@ router.post('/run/:taxIdentityId/:taxYear', ruleEngineController.runEngine);
  * @route   GET /api/rules/preview/:taxIdentityId/:taxYear
  * @desc    Preview engine results without persisting
  * @access  Private
+ * @query   ruleSetVersion? - reproduce with given rule set version (version in effect by default)
  */
 router.get('/preview/:taxIdentityId/:taxYear', ruleEngineController.previewEngine);
 
@@ -59,6 +60,57 @@ router.get('/preview/:taxIdentityId/:taxYear', ruleEngineController.previewEngin
  */
 router.post('/recalculate/:taxIdentityId/:taxYear', ruleEngineController.recalculate);
 
+/**
+ * @route   POST /api/rules/simulate/:taxIdentityId/:taxYear
+ * @desc    What-if calculation: add hypothetical events, exclude events, apply draft rules (nothing is persisted)
+ * @access  Private
+ * @body    { events?: [{ eventType, eventDate, amount, currency?, metadata? }], excludeEventIds?: [], rules?: [{ ruleCode?, ruleType, conditions, actions, priority? }], formCode? }
+ */
+router.post('/simulate/:taxIdentityId/:taxYear', ruleEngineController.simulate);
+
+/**
+ * @route   POST /api/rules/test
+ * @desc    Run regression scenarios (test/rule-scenarios) against rules before they are published
+ * @access  Private
+ * @body    { scenarios? (inline, stored by default), name?, ruleSetVersion? | rules? (working rules by default) }
+ */
+router.post('/test', ruleEngineController.testScenarios);
+
+// ==========================================
+// LINT (before parameterized routes)
+// ==========================================
+
+/**
+ * @route   GET /api/rules/lint
+ * @desc    Static checks: unknown event types / metadata keys / logical fields, unsupported operators,
+ *          circular calculations, exclusions shadowing mappings, double-counting mappings
+ *          (errors in a created or updated rule reject the save)
+ * @access  Private
+ * @query   taxYear? (every year by default), ruleSetVersion? (working rules by default)
+ */
+router.get('/lint', ruleEngineController.lintRules);
+
+// ==========================================
+// RULE BUNDLES (staging → production)
+// ==========================================
+
+/**
+ * @route   GET /api/rules/export
+ * @desc    Export checksummed bundle: logical fields, event types, rules, xml_field_map
+ * @access  Private
+ * @query   taxYear? - rules of the year and XML layouts effective for it (everything by default)
+ */
+router.get('/export', ruleEngineController.exportBundle);
+
+/**
+ * @route   POST /api/rules/import
+ * @desc    Validate bundle, check references and report changes; unless dry run, apply them in one transaction
+ *          (imported rules are working rules, publish a rule set version to put them in effect)
+ * @access  Private
+ * @body    { bundle, dryRun? }
+ */
+router.post('/import', ruleEngineController.importBundle);
+
 // ==========================================
 // DECLARATION & MAPPINGS
 // ==========================================
@@ -99,7 +151,7 @@ router.get('/', ruleEngineController.listRules);
 
 /**
  * @route   POST /api/rules
- * @desc    Create a new rule
+ * @desc    Create a new rule (rejected when the linter finds errors in it)
  * @access  Private
  * @body    { ruleCode, taxYear, ruleType, conditions, actions, priority, isActive }
  */
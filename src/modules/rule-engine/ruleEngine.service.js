@@ -1,6 +1,29 @@
+const db = require('../../db/postgres');
 const ruleEngineRepository = require('./ruleEngine.repository');
 const runEngine = require('./engine/runEngine');
+const traceBuilder = require('./engine/traceBuilder');
 const identitiesRepository = require('../identities/identities.repository');
+const exchangeRatesService = require('../exchange-rates/exchangeRates.service');
+const declarationsRepository = require('../declarations/declarations.repository');
+const cfcService = require('../cfc/cfc.service');
+const snapshotsService = require('../snapshots/snapshots.service');
+const ruleSetsService = require('../rule-sets/ruleSets.service');
+const ruleSetsRepository = require('../rule-sets/ruleSets.repository');
+const scenarioLoader = require('./scenarios/scenarioLoader');
+const scenarioRunner = require('./scenarios/scenarioRunner');
+const ruleBundle = require('./bundle/ruleBundle');
+const ruleLinter = require('./lint/ruleLinter');
+const xmlGeneratorRepository = require('../xml-generator/xmlGenerator.repository');
+const taxEventsRepository = require('../tax-events/taxEvents.repository');
+const { diffItems, diffFlags } = require('../../utils/declarationDiff');
+
+// Tax due reported by simulation
+const SIMULATION_TAX_FIELDS = {
+    calculated: 'LF_IPN_CALCULATED',
+    payable: 'LF_IPN_PAYABLE',
+    toPay: 'LF_IPN_TO_PAY',
+    toRefund: 'LF_IPN_TO_REFUND',
+};
 
 const ruleEngineService = {
     // ==========================================
@@ -15,53 +38,345 @@ const ruleEngineService = {
      * @param {number} taxYear
      * @param {string} userId
      * @param {Object} options
+     * @param {Object} client - Transaction client (optional): inputs are read in the caller's transaction
      * @returns {Promise<Object>}
      */
-    async runEngine(taxIdentityId, taxYear, userId, options = {}) {
+    async runEngine(taxIdentityId, taxYear, userId, options = {}, client = null) {
         // 1. Check access
         const hasAccess = await identitiesRepository.userHasAccess(userId, taxIdentityId);
         if (!hasAccess) {
             throw new Error('No access to this tax identity');
         }
 
-        // 2. Get tax events for the year
-        const events = await ruleEngineRepository.getTaxEventsForEngine(taxIdentityId, taxYear);
+        // 2-5. Tax events, rules of the rule set version, NBRK rates, CFC ownership shares
+        const load = async (tx) => {
+            const inputs = await this.loadInputs(taxIdentityId, taxYear, { ruleSetVersion: options.ruleSetVersion }, tx);
+            if (inputs.events.length === 0 && !options.allowEmpty) {
+                throw new Error(`No tax events found for year ${taxYear}`);
+            }
+            return inputs;
+        };
 
-        if (events.length === 0 && !options.allowEmpty) {
-            throw new Error(`No tax events found for year ${taxYear}`);
+        // 6. Preview: engine result only
+        if (options.persist === false) {
+            const { events, rules, ruleSet, exchangeRates, ownershipShares } = await load(client || db);
+            const result = runEngine.run(events, rules, { ...options, exchangeRates, ownershipShares });
+            return {
+                taxIdentityId,
+                taxYear,
+                ruleSet: ruleSetsService.describe(ruleSet),
+                ...result,
+            };
         }
 
-        // 3. Get active rules
-        const rules = await ruleEngineRepository.getActiveRules(taxYear);
+        // 7. Run and persist in one transaction, one calculation per identity / year at a time;
+        // inputs are read under the lock, so a concurrent run cannot persist results of stale ones
+        const { declaration, ruleSet, result, previousMappingsDeleted } = await db.withTransaction(async (tx) => {
+            await this.lockCalculation(taxIdentityId, taxYear, tx);
 
-        // 4. Run the engine
-        const result = runEngine.run(events, rules, options);
+            const { events, rules, ruleSet, exchangeRates, ownershipShares } = await load(tx);
 
-        // 5. If persist mode, save results to DB
-        if (options.persist !== false) {
-            await this.persistResults(taxIdentityId, taxYear, result, options.formCode);
-        }
+            const declaration = await ruleEngineRepository.getOrCreateDeclaration(taxIdentityId, taxYear, options.formCode, tx);
+            this.assertNotFiled(declaration);
+
+            // Manual overrides pinned on the declaration
+            const pinnedValues = await declarationsRepository.getPinnedValues(declaration.id, tx);
+
+            const result = runEngine.run(events, rules, { ...options, exchangeRates, ownershipShares, pinnedValues });
+            this.assertRatesLoaded(result);
+            const previousMappingsDeleted = await this.persistResults(declaration, result, tx, ruleSet);
+
+            // 8. Keep the calculated version in declaration history
+            await snapshotsService.take(declaration.id, 'generate', {
+                userId,
+                sources: result.sources,
+                details: { stats: result.stats, ruleSetVersion: ruleSet ? ruleSet.version : null },
+            }, tx);
+
+            return { declaration, ruleSet, result, previousMappingsDeleted };
+        }, client);
 
         return {
             taxIdentityId,
             taxYear,
+            ruleSet: ruleSetsService.describe(ruleSet),
             ...result,
+            previousMappingsDeleted,
+        };
+    },
+
+    /**
+     * What-if calculation: current events and rules in effect plus hypothetical events,
+     * minus excluded events, with draft rules applied. Nothing is persisted.
+     * Draft rule with rule code of a rule in effect replaces it.
+     * @param {string} taxIdentityId
+     * @param {number} taxYear
+     * @param {string} userId
+     * @param {Object} scenario - { events: [{ eventType, eventDate, amount, currency?, metadata? }],
+     *                              excludeEventIds: [], rules: [{ ruleCode?, ruleType, conditions, actions, priority? }], formCode? }
+     * @returns {Promise<Object>} { fieldValues, flags, tax, diff, overrides, simulation, stats, errors }
+     */
+    async simulate(taxIdentityId, taxYear, userId, { events = [], excludeEventIds = [], rules = [], formCode = '270.00' } = {}) {
+        const hasAccess = await identitiesRepository.userHasAccess(userId, taxIdentityId);
+        if (!hasAccess) {
+            throw new Error('No access to this tax identity');
+        }
+
+        for (const [name, list] of Object.entries({ events, excludeEventIds, rules })) {
+            if (!Array.isArray(list)) {
+                throw new Error(`${name} is invalid: expected an array`);
+            }
+        }
+
+        // 1. Persisted events without excluded ones, plus hypothetical events
+        const persisted = await ruleEngineRepository.getTaxEventsForEngine(taxIdentityId, taxYear);
+        const persistedIds = new Set(persisted.map(event => event.id));
+        const unknownId = excludeEventIds.find(id => !persistedIds.has(id));
+        if (unknownId) {
+            throw new Error(`excludeEventIds is invalid: ${unknownId} is not a tax event of ${taxYear}`);
+        }
+
+        const hypothetical = [];
+        for (const [index, event] of events.entries()) {
+            hypothetical.push(await this.buildSimulatedEvent(event, index, taxIdentityId, taxYear));
+        }
+
+        const excluded = new Set(excludeEventIds);
+        const scenarioEvents = [...persisted.filter(event => !excluded.has(event.id)), ...hypothetical];
+
+        // 2. Rules in effect with draft rules applied (by priority, drafts after rules of the same priority)
+        const draftRules = [];
+        for (const [index, ruleData] of rules.entries()) {
+            try {
+                await this.validateRule(ruleData || {});
+            } catch (error) {
+                throw new Error(`rules[${index}] is invalid: ${error.message}`);
+            }
+            draftRules.push({
+                id: `draft-${index + 1}`,
+                rule_code: ruleData.ruleCode || `DRAFT_${index + 1}`,
+                tax_year: taxYear,
+                rule_type: ruleData.ruleType,
+                conditions: ruleData.conditions || null,
+                actions: ruleData.actions || null,
+                priority: ruleData.priority || 100,
+                is_active: true,
+                draft: true,
+            });
+        }
+        const draftCodes = new Set(draftRules.map(rule => rule.rule_code));
+        const { ruleSet, rules: activeRules } = await ruleSetsService.resolveRules(taxYear);
+        const replacedRules = activeRules.filter(rule => draftCodes.has(rule.rule_code));
+        const scenarioRules = [...activeRules.filter(rule => !draftCodes.has(rule.rule_code)), ...draftRules]
+            .sort((a, b) => a.priority - b.priority);
+
+        // 3. Rates and CFC shares, pinned overrides of current declaration stay as in generate
+        const exchangeRates = await exchangeRatesService.getRatesForEvents(scenarioEvents);
+        const ownershipShares = await cfcService.getOwnershipShares(taxIdentityId, taxYear);
+
+        const declaration = await ruleEngineRepository.findDeclaration(taxIdentityId, taxYear, formCode);
+        const pinnedValues = declaration ? await declarationsRepository.getPinnedValues(declaration.id) : {};
+
+        // 4. Run the engine
+        const result = runEngine.run(scenarioEvents, scenarioRules, { exchangeRates, ownershipShares, pinnedValues });
+
+        // 5. Compare with current declaration
+        const currentValues = declaration ? await declarationsRepository.getItemsAsObject(declaration.id) : {};
+        const currentFlags = declaration ? declaration.flags : {};
+        const taxOf = values => Object.fromEntries(
+            Object.entries(SIMULATION_TAX_FIELDS).map(([key, field]) => [key, Math.round((values[field] || 0) * 100) / 100])
+        );
+        const currentTax = taxOf(currentValues);
+        const simulatedTax = taxOf(result.fieldValues);
+
+        return {
+            taxIdentityId,
+            taxYear,
+            declarationId: declaration ? declaration.id : null,
+            ruleSet: ruleSetsService.describe(ruleSet),
+            fieldValues: result.fieldValues,
+            flags: result.flags,
+            tax: {
+                current: currentTax,
+                simulated: simulatedTax,
+                delta: Object.fromEntries(Object.keys(simulatedTax)
+                    .map(key => [key, Math.round((simulatedTax[key] - currentTax[key]) * 100) / 100])),
+            },
+            diff: {
+                items: diffItems(currentValues, result.fieldValues),
+                flags: diffFlags(currentFlags, result.flags),
+            },
+            overrides: result.overrides,
+            simulation: {
+                eventsAdded: hypothetical.length,
+                eventsExcluded: excluded.size,
+                draftRules: draftRules.map(rule => rule.rule_code),
+                replacedRules: replacedRules.map(rule => ({ id: rule.id, ruleCode: rule.rule_code })),
+            },
+            stats: result.stats,
+            errors: result.errors,
+        };
+    },
+
+    /**
+     * Run regression scenarios against rules that are not published yet
+     * @param {Object} options - { scenarios? (inline, stored scenarios by default), name? (filter of stored ones),
+     *                             ruleSetVersion? (e.g. draft version), rules? (draft rules) } - working rules by default
+     * @returns {Promise<Object>} { rules, summary: { total, passed, failed }, results }
+     */
+    async testScenarios({ scenarios, name, ruleSetVersion, rules } = {}) {
+        let loaded;
+        if (scenarios !== undefined && scenarios !== null) {
+            if (!Array.isArray(scenarios)) {
+                throw new Error('scenarios is invalid: expected an array');
+            }
+            loaded = scenarios.map((scenario, index) =>
+                scenarioLoader.normalize(scenario, (scenario && scenario.name) || `scenarios[${index}]`));
+        } else {
+            loaded = scenarioLoader.loadDir(scenarioLoader.DEFAULT_DIR, { name });
+        }
+
+        let tested = 'working';
+        if (rules !== undefined && rules !== null) {
+            if (!Array.isArray(rules)) {
+                throw new Error('rules is invalid: expected an array');
+            }
+            for (const [index, ruleData] of rules.entries()) {
+                try {
+                    await this.validateRule(ruleData || {});
+                } catch (error) {
+                    throw new Error(`rules[${index}] is invalid: ${error.message}`);
+                }
+            }
+            tested = rules;
+        } else if (ruleSetVersion) {
+            tested = (await ruleSetsService.get(ruleSetVersion)).version;
+        }
+
+        const report = await scenarioRunner.runAll(loaded, { rules: tested });
+
+        return {
+            rules: Array.isArray(tested) ? 'inline' : tested === 'working' ? 'working' : `version ${tested}`,
+            ...report,
+        };
+    },
+
+    /**
+     * Hypothetical event in the shape of tax_events row
+     * @param {Object} event - { eventType, eventDate, amount, currency?, metadata? }
+     * @param {number} index
+     * @param {string} taxIdentityId
+     * @param {number} taxYear
+     * @returns {Promise<Object>}
+     */
+    async buildSimulatedEvent(event, index, taxIdentityId, taxYear) {
+        const { eventType, eventDate, amount, currency, metadata } = event || {};
+        const label = `events[${index}]`;
+
+        if (!eventType || !eventDate) {
+            throw new Error(`${label}: eventType and eventDate are required`);
+        }
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(eventDate) || parseInt(eventDate.slice(0, 4), 10) !== taxYear) {
+            throw new Error(`${label}: eventDate is invalid, expected YYYY-MM-DD within ${taxYear}`);
+        }
+        if (amount !== undefined && amount !== null && !Number.isFinite(Number(amount))) {
+            throw new Error(`${label}: amount is invalid`);
+        }
+
+        const typeExists = await taxEventsRepository.eventTypeExists(eventType);
+        if (!typeExists) {
+            throw new Error(`${label}: eventType is invalid, unknown event type ${eventType}`);
+        }
+
+        return {
+            id: `simulated-${index + 1}`,
+            tax_identity_id: taxIdentityId,
+            source_record_id: null,
+            event_type: eventType,
+            event_date: eventDate,
+            amount: amount === undefined || amount === null ? 0 : Number(amount),
+            currency: (currency || 'KZT').toUpperCase(),
+            metadata: metadata || {},
+            tax_year: taxYear,
+            simulated: true,
         };
     },
 
+    /**
+     * Engine inputs of identity / year
+     * @param {string} taxIdentityId
+     * @param {number} taxYear
+     * @param {Object} options - { ruleSetVersion } (rule set version in effect today by default)
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<Object>} { events, rules, ruleSet, exchangeRates, ownershipShares }
+     */
+    async loadInputs(taxIdentityId, taxYear, { ruleSetVersion = null } = {}, client) {
+        // Tax events for the year
+        const events = await ruleEngineRepository.getTaxEventsForEngine(taxIdentityId, taxYear, client);
+
+        // Rules of the rule set version (active tax_rules while nothing is published)
+        const { ruleSet, rules } = await ruleSetsService.resolveRules(taxYear, ruleSetVersion, client);
+
+        // NBRK rates for foreign-currency events
+        const exchangeRates = await exchangeRatesService.getRatesForEvents(events, client);
+
+        // CFC ownership shares (registration number → %)
+        const ownershipShares = await cfcService.getOwnershipShares(taxIdentityId, taxYear, client);
+
+        return { events, rules, ruleSet, exchangeRates, ownershipShares };
+    },
+
+    /**
+     * Explain value of logical field: engine is re-run on current events and rules
+     * of the given rule set version (nothing is persisted) and its audit is turned into a tree
+     * @param {string} taxIdentityId
+     * @param {number} taxYear
+     * @param {string} logicalField
+     * @param {string} userId
+     * @param {Object} options - { pinnedValues, ruleSetVersion } (rule set version in effect today by default)
+     * @returns {Promise<Object>} Tree node (see traceBuilder)
+     */
+    async explainField(taxIdentityId, taxYear, logicalField, userId, { pinnedValues = {}, ruleSetVersion = null } = {}) {
+        const hasAccess = await identitiesRepository.userHasAccess(userId, taxIdentityId);
+        if (!hasAccess) {
+            throw new Error('No access to this tax identity');
+        }
+
+        const exists = await ruleEngineRepository.logicalFieldExists(logicalField);
+        if (!exists) {
+            throw new Error(`Logical field not found: ${logicalField}`);
+        }
+
+        const { events, rules, exchangeRates, ownershipShares } = await this.loadInputs(taxIdentityId, taxYear, { ruleSetVersion });
+        const result = runEngine.run(events, rules, { exchangeRates, ownershipShares, pinnedValues });
+
+        const sourceRecordIds = [...new Set(events.map(event => event.source_record_id).filter(Boolean))];
+        const sourceRecords = await ruleEngineRepository.getSourceRecords(sourceRecordIds);
+        const fields = await ruleEngineRepository.getAllLogicalFields();
+
+        return traceBuilder.build(logicalField, {
+            result,
+            events,
+            rules,
+            sourceRecords,
+            descriptions: Object.fromEntries(fields.map(field => [field.code, field.description])),
+        });
+    },
+
     /**
      * Preview engine results without persisting
      * @param {string} taxIdentityId
      * @param {number} taxYear
      * @param {string} userId
+     * @param {number} ruleSetVersion - Reproduce with given rule set version (version in effect by default)
      * @returns {Promise<Object>}
      */
-    async previewEngine(taxIdentityId, taxYear, userId) {
-        return this.runEngine(taxIdentityId, taxYear, userId, { persist: false, allowEmpty: true });
+    async previewEngine(taxIdentityId, taxYear, userId, ruleSetVersion = null) {
+        return this.runEngine(taxIdentityId, taxYear, userId, { persist: false, allowEmpty: true, ruleSetVersion });
     },
 
     /**
-     * Recalculate declaration (delete old, calculate new)
+     * Recalculate declaration (previous mappings and items are replaced)
      * @param {string} taxIdentityId
      * @param {number} taxYear
      * @param {string} userId
@@ -74,58 +389,59 @@ const ruleEngineService = {
             throw new Error('Only owner can recalculate declaration');
         }
 
-        // Delete existing mappings
-        const deletedMappings = await ruleEngineRepository.deleteMappingsByIdentityYear(taxIdentityId, taxYear);
-
-        // Run engine with persist
-        const result = await this.runEngine(taxIdentityId, taxYear, userId, {
+        return this.runEngine(taxIdentityId, taxYear, userId, {
             persist: true,
             allowEmpty: true,
         });
-
-        return {
-            ...result,
-            previousMappingsDeleted: deletedMappings,
-        };
     },
 
     /**
      * Persist engine results to database
-     * @param {string} taxIdentityId
-     * @param {number} taxYear
+     * Runs inside calculation transaction: previous mappings and items are replaced
+     * @param {Object} declaration
      * @param {Object} result
-     * @param {string} formCode
+     * @param {Object} client - Transaction client
+     * @param {Object|null} ruleSet - Rule set version the result was calculated with
+     * @returns {Promise<number>} Previous mappings deleted
      */
-    async persistResults(taxIdentityId, taxYear, result, formCode = '270.00') {
-        // 1. Get or create declaration
-        const declaration = await ruleEngineRepository.getOrCreateDeclaration(taxIdentityId, taxYear, formCode);
-
-        // 2. Insert tax mappings
+    async persistResults(declaration, result, client, ruleSet = null) {
+        // 1. Replace tax mappings
+        const previousMappingsDeleted = await ruleEngineRepository.deleteMappingsByIdentityYear(
+            declaration.tax_identity_id,
+            declaration.tax_year,
+            client
+        );
         if (result.mappings && result.mappings.length > 0) {
-            await ruleEngineRepository.bulkInsertMappings(result.mappings);
+            await ruleEngineRepository.bulkInsertMappings(result.mappings, client);
         }
 
-        // 3. Prepare declaration items from field values
+        // 2. Prepare declaration items from field values (pinned overrides are kept as stored)
+        const pinnedFields = (result.overrides || []).map(o => o.logicalField);
         const items = [];
         for (const [logicalField, value] of Object.entries(result.fieldValues)) {
-            if (value !== 0 && value !== null) {
+            if (value !== 0 && value !== null && !pinnedFields.includes(logicalField)) {
                 items.push({ logicalField, value });
             }
         }
 
-        // 4. Delete old items and insert new
-        await ruleEngineRepository.deleteDeclarationItems(declaration.id);
+        // 3. Delete old items and insert new
+        await ruleEngineRepository.deleteDeclarationItems(declaration.id, client);
         if (items.length > 0) {
-            await ruleEngineRepository.bulkUpsertDeclarationItems(declaration.id, items);
+            await ruleEngineRepository.bulkUpsertDeclarationItems(declaration.id, items, client);
         }
+        await declarationsRepository.setEngineValues(declaration.id, result.overrides, client);
 
-        // 5. Update declaration flags
+        // 4. Replace per-group breakdowns (tax agents for 270.03)
+        await declarationsRepository.replaceBreakdowns(declaration.id, result.breakdowns, client);
+
+        // 5. Update declaration flags and rule set version
         if (result.flags && Object.keys(result.flags).length > 0) {
-            await ruleEngineRepository.updateDeclarationFlags(declaration.id, result.flags);
+            await ruleEngineRepository.updateDeclarationFlags(declaration.id, result.flags, client);
         }
+        await ruleEngineRepository.setDeclarationRuleSet(declaration.id, ruleSet ? ruleSet.id : null, client);
 
         // 6. Set declaration header from person data
-        const person = await ruleEngineRepository.getPersonByTaxIdentity(taxIdentityId);
+        const person = await ruleEngineRepository.getPersonByTaxIdentity(declaration.tax_identity_id, client);
         if (person) {
             await ruleEngineRepository.setDeclarationHeader(declaration.id, {
                 iin: person.iin,
@@ -134,10 +450,240 @@ const ruleEngineService = {
                 fioMiddle: person.middle_name,
                 phone: person.phone,
                 email: person.email,
-            });
+            }, client);
+        }
+
+        return previousMappingsDeleted;
+    },
+
+    /**
+     * Lock identity / year calculation until the transaction ends
+     * @param {string} taxIdentityId
+     * @param {number} taxYear
+     * @param {Object} client - Transaction client
+     */
+    async lockCalculation(taxIdentityId, taxYear, client) {
+        const locked = await ruleEngineRepository.tryLockCalculation(taxIdentityId, taxYear, client);
+        if (!locked) {
+            throw new Error(`Cannot recalculate declaration: calculation for year ${taxYear} is already in progress, retry when it finishes`);
+        }
+    },
+
+    /**
+     * Foreign-currency events without NBRK rate are left out of the result,
+     * such a run must not be persisted (and exported) as the declaration
+     * @param {Object} result - runEngine.run output
+     */
+    assertRatesLoaded(result) {
+        const missing = [...new Set((result.missingRates || []).map(m => `${m.currency} on ${m.date}`))];
+        if (missing.length > 0) {
+            throw new Error(`Cannot recalculate declaration: no NBRK exchange rate for ${missing.join(', ')}. Load the rates and recalculate`);
+        }
+    },
+
+    /**
+     * Filed declarations are immutable, corrections go to additional declaration
+     * @param {Object} declaration
+     */
+    assertNotFiled(declaration) {
+        if (['submitted', 'accepted'].includes(declaration.status)) {
+            throw new Error(`Cannot recalculate ${declaration.status} declaration. Create additional declaration instead (POST /declarations/:id/amend).`);
+        }
+    },
+
+    // ==========================================
+    // LINT
+    // ==========================================
+
+    /**
+     * Static checks of a rule set (see lint/ruleLinter.js)
+     * @param {Object} options - { taxYear? (rules of every year by default), ruleSetVersion? (working rules by default) }
+     * @returns {Promise<Object>} { taxYear, rules, isValid, summary, results }
+     */
+    async lintRules({ taxYear = null, ruleSetVersion = null } = {}) {
+        let rules;
+        if (ruleSetVersion) {
+            const ruleSet = await ruleSetsService.get(ruleSetVersion);
+            rules = ruleSet.rules.filter(rule => !taxYear || !rule.tax_year || rule.tax_year === taxYear);
+        } else {
+            rules = taxYear
+                ? await ruleEngineRepository.getActiveRules(taxYear)
+                : await ruleEngineRepository.getAllActiveRules();
+        }
+
+        const catalog = await this.loadLintCatalog();
+
+        // Keys outside the parser list count as known once any stored event carries them
+        const unlisted = ruleLinter.metadataKeysOf(rules)
+            .filter(key => !ruleLinter.KNOWN_METADATA_KEYS.includes(key));
+        const inUse = await taxEventsRepository.findMetadataKeysInUse(unlisted);
+
+        const report = ruleLinter.lint(rules, {
+            ...catalog,
+            metadataKeys: new Set([...ruleLinter.KNOWN_METADATA_KEYS, ...inUse]),
+        });
+
+        return {
+            taxYear,
+            rules: ruleSetVersion ? `version ${ruleSetVersion}` : 'working',
+            ...report,
+        };
+    },
+
+    /**
+     * Event types and logical fields rules may reference
+     * @returns {Promise<Object>} { eventTypes: Set, logicalFields: Set }
+     */
+    async loadLintCatalog() {
+        const [eventTypes, logicalFields] = await Promise.all([
+            taxEventsRepository.getAllEventTypes(),
+            ruleEngineRepository.getAllLogicalFields(),
+        ]);
+        return {
+            eventTypes: new Set(eventTypes.map(type => type.code)),
+            logicalFields: new Set(logicalFields.map(field => field.code)),
+        };
+    },
+
+    // ==========================================
+    // RULE BUNDLES
+    // ==========================================
+
+    /**
+     * Export logical fields, event types, rules and XML field map as checksummed bundle
+     * @param {number|null} taxYear - Rules of the year (and rules for every year), XML layouts effective
+     *                                for the year; everything when null
+     * @returns {Promise<Object>} Bundle (see bundle/ruleBundle.js)
+     */
+    async exportBundle(taxYear = null) {
+        const rules = await ruleEngineRepository.getBundleRules(taxYear);
+
+        const withoutCode = rules.filter(rule => !rule.rule_code);
+        if (withoutCode.length > 0) {
+            throw new Error(`Cannot export rules without rule_code: ${withoutCode.map(rule => rule.id).join(', ')}`);
+        }
+        const duplicates = ruleBundle.duplicateRules(rules);
+        if (duplicates.length > 0) {
+            throw new Error(`Cannot export rules: rule_code used by several rules of the same year: ${duplicates.join(', ')}`);
+        }
+
+        const [logicalFields, eventTypes, xmlFieldMap] = await Promise.all([
+            ruleEngineRepository.getAllLogicalFields(),
+            taxEventsRepository.getAllEventTypes(),
+            xmlGeneratorRepository.getFieldMapForTaxYear(taxYear),
+        ]);
+
+        return ruleBundle.build({ logicalFields, eventTypes, rules, xmlFieldMap }, taxYear);
+    },
+
+    /**
+     * Import bundle exported by another environment
+     * Dry run only reports the plan; otherwise the plan is rebuilt and applied in one transaction.
+     * Rules of the bundle scope (its tax year and rules for every year) missing from the bundle are
+     * deactivated, XML fields of the bundle layouts missing from it are deleted.
+     * Imported rules are working rules: a rule set version has to be published to put them in effect.
+     * @param {Object} bundle
+     * @param {Object} options - { dryRun }
+     * @returns {Promise<Object>} { taxYear, checksum, dryRun, applied, valid, errors, summary, changes }
+     */
+    async importBundle(bundle, { dryRun = false } = {}) {
+        const { taxYear, checksum, content } = ruleBundle.verify(bundle);
+
+        const report = ({ errors, plan }, applied) => ({
+            taxYear,
+            checksum,
+            dryRun,
+            applied,
+            valid: errors.length === 0,
+            errors,
+            summary: plan.summary,
+            changes: ruleBundle.describeChanges(plan.changes),
+        });
+
+        if (dryRun) {
+            return report(await this.planBundle(content, taxYear), false);
+        }
+
+        return db.withTransaction(async (client) => {
+            await ruleEngineRepository.lockBundleImport(client);
+
+            const prepared = await this.planBundle(content, taxYear, client);
+            if (prepared.errors.length > 0) {
+                throw new Error(`Bundle is invalid: ${prepared.errors.join('; ')}`);
+            }
+
+            await this.applyBundle(prepared.plan.changes, client);
+            return report(prepared, true);
+        });
+    },
+
+    /**
+     * Unresolved references and changes of bundle against the database
+     * @param {Object} content - Verified bundle content
+     * @param {number|null} taxYear
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<Object>} { errors, plan }
+     */
+    async planBundle(content, taxYear, client = db) {
+        const [logicalFields, eventTypes, rules, xmlFieldMap, templates] = await Promise.all([
+            ruleEngineRepository.getAllLogicalFields(client),
+            taxEventsRepository.getAllEventTypes(client),
+            ruleEngineRepository.getBundleRules(taxYear, client),
+            xmlGeneratorRepository.getFieldMapOfLayouts(ruleBundle.layoutsOf(content.xmlFieldMap), client),
+            xmlGeneratorRepository.getTemplateKeys(client),
+        ]);
+
+        const errors = ruleBundle.checkReferences(content, {
+            logicalFields: new Set(logicalFields.map(field => field.code)),
+            eventTypes: new Set(eventTypes.map(type => type.code)),
+            templates,
+        });
+        for (const key of ruleBundle.duplicateRules(rules.filter(rule => rule.rule_code))) {
+            errors.push(`rule ${key} matches several rules in the database`);
         }
 
-        return declaration;
+        const plan = ruleBundle.plan(content, {
+            logicalFields,
+            eventTypes,
+            // rules without code cannot be matched, import leaves them alone
+            rules: rules.filter(rule => rule.rule_code),
+            xmlFieldMap,
+        });
+
+        return { errors, plan };
+    },
+
+    /**
+     * Write planned changes
+     * @param {Object} changes - ruleBundle.plan(...).changes
+     * @param {Object} client - Transaction client
+     * @returns {Promise<void>}
+     */
+    async applyBundle(changes, client) {
+        for (const change of changes.logicalFields) {
+            await ruleEngineRepository.createLogicalField(change.item.code, change.item.description, client);
+        }
+        for (const change of changes.eventTypes) {
+            await taxEventsRepository.upsertEventType(change.item.code, change.item.description, client);
+        }
+
+        for (const change of changes.rules) {
+            if (change.action === 'create') {
+                await ruleEngineRepository.insertBundleRule(change.item, client);
+            } else if (change.action === 'update') {
+                await ruleEngineRepository.replaceBundleRule(change.id, change.item, client);
+            } else {
+                await ruleEngineRepository.deactivateRule(change.id, client);
+            }
+        }
+
+        for (const change of changes.xmlFieldMap) {
+            if (change.action === 'delete') {
+                await xmlGeneratorRepository.deleteFieldMapping(change.id, client);
+            } else {
+                await xmlGeneratorRepository.upsertFieldMapping(change.item, client);
+            }
+        }
     },
 
     // ==========================================
@@ -150,6 +696,28 @@ const ruleEngineService = {
      * @returns {Promise<Object>}
      */
     async createRule(ruleData) {
+        await this.validateRule(ruleData);
+
+        await this.assertRuleLints({
+            id: 'new-rule',
+            rule_code: ruleData.ruleCode || null,
+            tax_year: ruleData.taxYear || null,
+            rule_type: ruleData.ruleType,
+            conditions: ruleData.conditions || null,
+            actions: ruleData.actions || null,
+            priority: ruleData.priority || 100,
+            is_active: ruleData.isActive !== false,
+        });
+
+        return await ruleEngineRepository.createRule(ruleData);
+    },
+
+    /**
+     * Check rule type and logical fields of mapping actions
+     * @param {Object} ruleData
+     * @returns {Promise<void>}
+     */
+    async validateRule(ruleData) {
         // Validate rule type
         const validTypes = ['mapping', 'exclusion', 'calculation', 'flag'];
         if (!validTypes.includes(ruleData.ruleType)) {
@@ -168,8 +736,6 @@ const ruleEngineService = {
                 }
             }
         }
-
-        return await ruleEngineRepository.createRule(ruleData);
     },
 
     /**
@@ -184,15 +750,59 @@ const ruleEngineService = {
             throw new Error('Rule not found');
         }
 
+        // Same merge as the repository update (missing values are kept)
+        await this.assertRuleLints({
+            ...existing,
+            rule_code: updates.ruleCode ?? existing.rule_code,
+            tax_year: updates.taxYear ?? existing.tax_year,
+            rule_type: updates.ruleType ?? existing.rule_type,
+            conditions: updates.conditions ?? existing.conditions,
+            actions: updates.actions ?? existing.actions,
+            priority: updates.priority ?? existing.priority,
+            is_active: updates.isActive ?? existing.is_active,
+        });
+
         return await ruleEngineRepository.updateRule(id, updates);
     },
 
+    /**
+     * Save-time check: lint the active rules of the rule's tax year with the rule in place,
+     * errors found in the saved rule reject it (warnings and other rules' findings are left to GET /lint)
+     * @param {Object} rule - tax_rules row as it will be stored
+     * @returns {Promise<void>}
+     */
+    async assertRuleLints(rule) {
+        if (!rule.is_active) {
+            return;
+        }
+
+        const rules = rule.tax_year
+            ? await ruleEngineRepository.getActiveRules(rule.tax_year)
+            : await ruleEngineRepository.getAllActiveRules();
+
+        const report = ruleLinter.lint(
+            [...rules.filter(other => other.id !== rule.id), rule],
+            { ...(await this.loadLintCatalog()), metadataKeys: null }
+        );
+
+        const errors = report.results.filter(result => result.ruleId === rule.id && result.severity === 'error');
+        if (errors.length > 0) {
+            throw new Error(`Rule is invalid: ${errors.map(result => result.message).join('; ')}`);
+        }
+    },
+
     /**
      * Delete a tax rule
+     * Rule that is part of a rule set version is deactivated instead: versions and
+     * mappings calculated with them keep referencing it
      * @param {string} id
      * @returns {Promise<boolean>}
      */
     async deleteRule(id) {
+        if (await ruleSetsRepository.isRuleVersioned(id)) {
+            const rule = await ruleEngineRepository.updateRule(id, { isActive: false });
+            return Boolean(rule);
+        }
         return await ruleEngineRepository.deleteRule(id);
     },
 
@@ -0,0 +1,261 @@
+/**
+ * Scenario Loader
+ * Reads rule regression scenarios (YAML / JSON fixtures) and checks their shape
+ *
+ * Scenario (see test/rule-scenarios for commented examples):
+ *   name:            text shown in the report (file name by default)
+ *   taxYear:         2024
+ *   identity:        { iin?, name?, cfcOwnership?: { <CFC registration number>: <ownership %> } }
+ *   sources:         [{ type: manual | csv | excel | bank | api | 1c, payload }] - run through parsers
+ *   events:          [{ eventType, eventDate, amount, currency?, metadata? }]
+ *   exchangeRates:   [{ currency, date, rate, quantity? }] - NBRK rates for non-KZT events
+ *   rules:           effective (default) | working | <rule set version> | [{ ruleCode, ruleType, conditions, actions, priority?, taxYear? }]
+ *   validationRules: active (default) | seeded (db/seed.sql) | [{ ruleCode, severity?, conditions?, assertion, message? }]
+ *   expected:        { fields: { LF_*: amount }, flags: { <flag>: true | false }, errors?: <engine errors count, 0 by default>,
+ *                      validation?: [<codes of validation rules expected to report errors>] - [] means the declaration passes }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const DEFAULT_DIR = process.env.RULE_SCENARIOS_DIR
+    || path.join(__dirname, '..', '..', '..', '..', 'test', 'rule-scenarios');
+
+const SEED_FILE = path.join(__dirname, '..', '..', '..', '..', 'db', 'seed.sql');
+
+const EXTENSIONS = ['.yaml', '.yml', '.json'];
+const RULE_REFS = ['effective', 'working'];
+const VALIDATION_RULE_REFS = ['active', 'seeded'];
+
+// ('VAL_CODE', 'error', '{conditions}', '{assertion}', 'message', priority) in seed VALUES list
+const SEED_VALIDATION_ROW = /\(\s*'(\w+)',\s*'(error|warning)',\s*'((?:[^']|'')*)',\s*'((?:[^']|'')*)',\s*'((?:[^']|'')*)',\s*(\d+)\)/g;
+
+const scenarioLoader = {
+    DEFAULT_DIR,
+
+    /**
+     * Load scenarios of directory (subdirectories included), sorted by file
+     * @param {string} dir
+     * @param {Object} options - { name } - only scenarios whose name or file contains it
+     * @returns {Array<Object>}
+     */
+    loadDir(dir = DEFAULT_DIR, { name = null } = {}) {
+        if (!fs.existsSync(dir)) {
+            throw new Error(`Scenario directory not found: ${dir}`);
+        }
+
+        return this.listFiles(dir)
+            .map(file => this.loadFile(file, path.relative(dir, file)))
+            .filter(scenario => !name
+                || scenario.name.toLowerCase().includes(name.toLowerCase())
+                || scenario.file.toLowerCase().includes(name.toLowerCase()));
+    },
+
+    /**
+     * @param {string} dir
+     * @returns {Array<string>} Scenario files
+     */
+    listFiles(dir) {
+        const files = [];
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+            const full = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                files.push(...this.listFiles(full));
+            } else if (EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+                files.push(full);
+            }
+        }
+        return files.sort();
+    },
+
+    /**
+     * @param {string} file
+     * @param {string} label - File name shown in errors and reports
+     * @returns {Object} Scenario
+     */
+    loadFile(file, label = path.basename(file)) {
+        const text = fs.readFileSync(file, 'utf8');
+
+        let raw;
+        try {
+            // Core schema: dates stay strings (2024-03-01), as in API payloads
+            raw = path.extname(file).toLowerCase() === '.json'
+                ? JSON.parse(text)
+                : yaml.load(text, { schema: yaml.CORE_SCHEMA });
+        } catch (error) {
+            throw new Error(`Scenario ${label} is invalid: ${error.message}`);
+        }
+
+        return this.normalize(raw, label);
+    },
+
+    /**
+     * Rules to test scenarios with, from YAML / JSON file: list of rules or { rules: [...] }
+     * @param {string} file
+     * @returns {Array}
+     */
+    loadRulesFile(file) {
+        const text = fs.readFileSync(file, 'utf8');
+        const raw = path.extname(file).toLowerCase() === '.json'
+            ? JSON.parse(text)
+            : yaml.load(text, { schema: yaml.CORE_SCHEMA });
+        const rules = Array.isArray(raw) ? raw : raw && raw.rules;
+
+        if (!Array.isArray(rules)) {
+            throw new Error(`Rules file ${file} is invalid: expected a list of rules`);
+        }
+        return rules;
+    },
+
+    /**
+     * Validation rules as seeded by db/seed.sql (validation_rules rows, in priority order)
+     * @param {string} file
+     * @returns {Array}
+     */
+    loadSeededValidationRules(file = SEED_FILE) {
+        const text = fs.readFileSync(file, 'utf8');
+        const start = text.indexOf('INSERT INTO validation_rules');
+        const end = text.indexOf(') AS v(', start);
+        if (start === -1 || end === -1) {
+            throw new Error(`Validation rules not found in ${file}`);
+        }
+
+        const unquote = value => value.replace(/''/g, "'");
+        const rules = [];
+        for (const match of text.slice(start, end).matchAll(SEED_VALIDATION_ROW)) {
+            rules.push({
+                rule_code: match[1],
+                tax_year: null,
+                severity: match[2],
+                conditions: JSON.parse(unquote(match[3])),
+                assertion: JSON.parse(unquote(match[4])),
+                message: unquote(match[5]),
+                priority: parseInt(match[6], 10),
+                is_active: true,
+            });
+        }
+
+        return rules.sort((a, b) => a.priority - b.priority || a.rule_code.localeCompare(b.rule_code));
+    },
+
+    /**
+     * Check scenario and fill defaults
+     * @param {Object} raw - Parsed fixture (or API request item)
+     * @param {string} label
+     * @returns {Object}
+     */
+    normalize(raw, label) {
+        const fail = (message) => {
+            throw new Error(`Scenario ${label} is invalid: ${message}`);
+        };
+
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+            fail('expected an object');
+        }
+
+        const taxYear = Number(raw.taxYear);
+        if (!Number.isInteger(taxYear) || taxYear < 2000) {
+            fail(`taxYear is required, got ${raw.taxYear}`);
+        }
+
+        const listOf = (key) => {
+            const value = raw[key] === undefined || raw[key] === null ? [] : raw[key];
+            if (!Array.isArray(value)) {
+                fail(`${key} must be a list`);
+            }
+            return value;
+        };
+
+        const sources = listOf('sources').map((source, index) => {
+            if (!source || !source.type || !source.payload) {
+                fail(`sources[${index}] needs type and payload`);
+            }
+            return { type: source.type, payload: source.payload, name: source.name || `source ${index + 1}` };
+        });
+
+        const events = listOf('events').map((event, index) => {
+            if (!event || !event.eventType || !event.eventDate) {
+                fail(`events[${index}] needs eventType and eventDate`);
+            }
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(String(event.eventDate))) {
+                fail(`events[${index}].eventDate must be YYYY-MM-DD, got ${event.eventDate}`);
+            }
+            if (event.amount !== undefined && event.amount !== null && !Number.isFinite(Number(event.amount))) {
+                fail(`events[${index}].amount must be a number, got ${event.amount}`);
+            }
+            return event;
+        });
+
+        const exchangeRates = listOf('exchangeRates').map((rate, index) => {
+            if (!rate || !rate.currency || !(rate.date || rate.rateDate) || !(Number(rate.rate) > 0)) {
+                fail(`exchangeRates[${index}] needs currency, date and rate`);
+            }
+            return {
+                currency: rate.currency,
+                rate_date: String(rate.date || rate.rateDate),
+                rate: Number(rate.rate),
+                quantity: rate.quantity || 1,
+            };
+        });
+
+        const rules = raw.rules === undefined || raw.rules === null ? 'effective' : raw.rules;
+        if (!Array.isArray(rules) && !RULE_REFS.includes(rules) && !(Number.isInteger(rules) && rules > 0)) {
+            fail(`rules must be ${RULE_REFS.join(', ')}, a rule set version or a list of rules, got ${rules}`);
+        }
+
+        const validationRules = raw.validationRules === undefined || raw.validationRules === null
+            ? 'active'
+            : raw.validationRules;
+        if (!Array.isArray(validationRules) && !VALIDATION_RULE_REFS.includes(validationRules)) {
+            fail(`validationRules must be ${VALIDATION_RULE_REFS.join(', ')} or a list of rules, got ${validationRules}`);
+        }
+
+        const expected = raw.expected || {};
+        for (const key of ['fields', 'flags']) {
+            if (expected[key] !== undefined && (typeof expected[key] !== 'object' || Array.isArray(expected[key]))) {
+                fail(`expected.${key} must be a map`);
+            }
+        }
+        for (const [field, value] of Object.entries(expected.fields || {})) {
+            if (!Number.isFinite(Number(value))) {
+                fail(`expected.fields.${field} must be a number, got ${value}`);
+            }
+        }
+        for (const [flag, value] of Object.entries(expected.flags || {})) {
+            if (typeof value !== 'boolean') {
+                fail(`expected.flags.${flag} must be true or false, got ${value}`);
+            }
+        }
+        if (expected.validation !== undefined && expected.validation !== null && !Array.isArray(expected.validation)) {
+            fail('expected.validation must be a list of validation rule codes');
+        }
+
+        const identity = raw.identity || {};
+
+        return {
+            name: raw.name || label,
+            file: label,
+            description: raw.description || null,
+            taxYear,
+            identity: {
+                iin: identity.iin || null,
+                name: identity.name || null,
+                cfcOwnership: identity.cfcOwnership || {},
+            },
+            sources,
+            events,
+            exchangeRates,
+            rules,
+            validationRules,
+            expected: {
+                fields: expected.fields || {},
+                flags: expected.flags || {},
+                errors: expected.errors === undefined ? 0 : Number(expected.errors),
+                validation: Array.isArray(expected.validation) ? expected.validation.map(String) : null,
+            },
+        };
+    },
+};
+
+module.exports = scenarioLoader;
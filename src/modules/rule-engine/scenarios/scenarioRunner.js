@@ -0,0 +1,335 @@
+/**
+ * Scenario Runner
+ * Runs rule regression scenarios headlessly: source payloads go through the
+ * tax event parsers, events through runEngine.run, results are compared with
+ * expected field values and flags, and optionally checked with declaration
+ * validation rules. Nothing is read from or written to the database except rules
+ * referenced by the scenario (working / rule set version / active validation rules).
+ */
+
+const runEngine = require('../engine/runEngine');
+const taxEventsParser = require('../../tax-events/taxEvents.parser');
+const ruleEngineRepository = require('../ruleEngine.repository');
+const ruleSetsService = require('../../rule-sets/ruleSets.service');
+const validationService = require('../../validation/validation.service');
+const validationRepository = require('../../validation/validation.repository');
+const scenarioLoader = require('./scenarioLoader');
+
+const RULE_TYPES = ['mapping', 'exclusion', 'calculation', 'flag'];
+const SCENARIO_IDENTITY_ID = 'scenario-identity';
+
+const round = value => Math.round((parseFloat(value) || 0) * 100) / 100;
+
+const scenarioRunner = {
+    /**
+     * Run scenarios one by one
+     * @param {Array} scenarios - Normalized scenarios (scenarioLoader)
+     * @param {Object} options - { rules } - rules for every scenario instead of its own
+     *                           (working | effective | <rule set version> | list of rules)
+     * @returns {Promise<Object>} { summary: { total, passed, failed }, results }
+     */
+    async runAll(scenarios, { rules = null } = {}) {
+        const results = [];
+        for (const scenario of scenarios) {
+            results.push(await this.run(scenario, rules));
+        }
+
+        const passed = results.filter(result => result.passed).length;
+        return {
+            summary: { total: results.length, passed, failed: results.length - passed },
+            results,
+        };
+    },
+
+    /**
+     * Run one scenario; problems of the scenario itself (bad payload, unknown version) fail it
+     * @param {Object} scenario
+     * @param {*} rulesOverride
+     * @returns {Promise<Object>} { name, file, taxYear, ruleSet, passed, failures, fieldValues, flags, errors, validation, stats }
+     */
+    async run(scenario, rulesOverride = null) {
+        const report = {
+            name: scenario.name,
+            file: scenario.file,
+            taxYear: scenario.taxYear,
+            ruleSet: null,
+        };
+
+        try {
+            const { label, rules } = await this.resolveRules(rulesOverride || scenario.rules, scenario.taxYear);
+            const events = this.buildEvents(scenario);
+
+            const result = runEngine.run(events, rules, {
+                exchangeRates: scenario.exchangeRates,
+                ownershipShares: scenario.identity.cfcOwnership,
+            });
+            const failures = this.compare(scenario, result);
+
+            let validation = null;
+            if (scenario.expected.validation) {
+                validation = await this.validate(scenario, result);
+                failures.push(...this.compareValidation(scenario, validation));
+            }
+
+            return {
+                ...report,
+                ruleSet: label,
+                passed: failures.length === 0,
+                failures,
+                fieldValues: result.fieldValues,
+                flags: result.flags,
+                errors: result.errors,
+                validation,
+                stats: { ...result.stats, events: events.length },
+            };
+        } catch (error) {
+            return {
+                ...report,
+                passed: false,
+                failures: [{ kind: 'scenario', message: error.message }],
+            };
+        }
+    },
+
+    // ==========================================
+    // INPUTS
+    // ==========================================
+
+    /**
+     * Rules of scenario for its tax year, in engine order
+     * @param {*} ref - effective | working | <rule set version> | list of rules
+     * @param {number} taxYear
+     * @returns {Promise<Object>} { label, rules }
+     */
+    async resolveRules(ref, taxYear) {
+        if (Array.isArray(ref)) {
+            const rules = this.normalizeRules(ref)
+                .filter(rule => rule.tax_year === null || rule.tax_year === taxYear)
+                .sort((a, b) => a.priority - b.priority);
+            return { label: 'inline', rules };
+        }
+
+        if (ref === 'working') {
+            return { label: 'working', rules: await ruleEngineRepository.getActiveRules(taxYear) };
+        }
+
+        const { ruleSet, rules } = await ruleSetsService.resolveRules(taxYear, ref === 'effective' ? null : ref);
+        return { label: ruleSet ? `version ${ruleSet.version}` : 'working', rules };
+    },
+
+    /**
+     * Inline rules in API (ruleCode, ruleType, ...) or tax_rules (rule_code, rule_type, ...) shape
+     * @param {Array} list
+     * @returns {Array} tax_rules-shaped rows
+     */
+    normalizeRules(list) {
+        return list
+            .filter(rule => rule && rule.isActive !== false && rule.is_active !== false)
+            .map((rule, index) => {
+                const ruleType = rule.ruleType || rule.rule_type;
+                if (!RULE_TYPES.includes(ruleType)) {
+                    throw new Error(`rules[${index}].ruleType must be one of: ${RULE_TYPES.join(', ')}`);
+                }
+                const taxYear = rule.taxYear ?? rule.tax_year ?? null;
+
+                return {
+                    id: rule.id || `scenario-rule-${index + 1}`,
+                    rule_code: rule.ruleCode || rule.rule_code || `SCENARIO_RULE_${index + 1}`,
+                    tax_year: taxYear === null ? null : Number(taxYear),
+                    rule_type: ruleType,
+                    conditions: rule.conditions || null,
+                    actions: rule.actions || null,
+                    priority: rule.priority ?? 100,
+                    is_active: true,
+                };
+            });
+    },
+
+    /**
+     * Events of the tax year in the shape of tax_events rows:
+     * parsed source payloads first, then events given directly
+     * @param {Object} scenario
+     * @returns {Array}
+     */
+    buildEvents(scenario) {
+        const inputs = [];
+
+        scenario.sources.forEach((source, index) => {
+            try {
+                inputs.push(...taxEventsParser.parse({
+                    id: `source-${index + 1}`,
+                    tax_identity_id: SCENARIO_IDENTITY_ID,
+                    source_type: source.type,
+                    raw_payload: source.payload,
+                }));
+            } catch (error) {
+                throw new Error(`${source.name}: ${error.message}`);
+            }
+        });
+
+        for (const event of scenario.events) {
+            inputs.push({
+                taxIdentityId: SCENARIO_IDENTITY_ID,
+                sourceRecordId: null,
+                eventType: event.eventType,
+                eventDate: String(event.eventDate),
+                amount: event.amount === undefined || event.amount === null ? null : Number(event.amount),
+                currency: event.currency || null,
+                metadata: event.metadata || null,
+            });
+        }
+
+        // tax_events.tax_year is the year of event date
+        return inputs
+            .filter(input => parseInt(input.eventDate.slice(0, 4), 10) === scenario.taxYear)
+            .map((input, index) => ({
+                id: `event-${index + 1}`,
+                tax_identity_id: input.taxIdentityId,
+                source_record_id: input.sourceRecordId,
+                event_type: input.eventType,
+                event_date: input.eventDate,
+                amount: input.amount || null,
+                currency: input.currency || null,
+                metadata: input.metadata || null,
+                tax_year: scenario.taxYear,
+            }));
+    },
+
+    // ==========================================
+    // CHECK
+    // ==========================================
+
+    /**
+     * Differences from expected values (fields to the tiyn, missing field is 0, missing flag is false)
+     * @param {Object} scenario
+     * @param {Object} result - runEngine.run output
+     * @returns {Array} [{ kind: field | flag | errors, key, expected, actual }]
+     */
+    compare(scenario, result) {
+        const failures = [];
+
+        for (const [field, value] of Object.entries(scenario.expected.fields)) {
+            const expected = round(value);
+            const actual = round(result.fieldValues[field]);
+            if (expected !== actual) {
+                failures.push({ kind: 'field', key: field, expected, actual });
+            }
+        }
+
+        for (const [flag, value] of Object.entries(scenario.expected.flags)) {
+            const actual = Boolean(result.flags[flag]);
+            if (actual !== value) {
+                failures.push({ kind: 'flag', key: flag, expected: value, actual });
+            }
+        }
+
+        if (result.errors.length !== scenario.expected.errors) {
+            failures.push({
+                kind: 'errors',
+                key: 'errors',
+                expected: scenario.expected.errors,
+                actual: result.errors.length,
+                details: result.errors,
+            });
+        }
+
+        return failures;
+    },
+
+    // ==========================================
+    // VALIDATION
+    // ==========================================
+
+    /**
+     * Validation rules of scenario for its tax year
+     * @param {*} ref - active | seeded | list of rules
+     * @param {number} taxYear
+     * @returns {Promise<Array>} validation_rules-shaped rows
+     */
+    async resolveValidationRules(ref, taxYear) {
+        if (ref === 'active') {
+            return validationRepository.getActiveRules(taxYear);
+        }
+
+        const rules = ref === 'seeded'
+            ? scenarioLoader.loadSeededValidationRules()
+            : ref.map((rule, index) => ({
+                rule_code: rule.ruleCode || rule.rule_code || `SCENARIO_VALIDATION_${index + 1}`,
+                tax_year: rule.taxYear ?? rule.tax_year ?? null,
+                severity: rule.severity || 'error',
+                conditions: rule.conditions || null,
+                assertion: rule.assertion,
+                message: rule.message || '',
+                priority: rule.priority ?? 100,
+            }));
+
+        return rules.filter(rule => rule.tax_year === null || Number(rule.tax_year) === taxYear);
+    },
+
+    /**
+     * Validate engine output as it is persisted for a main declaration:
+     * non-zero field values become items, flags and header come from the run and scenario identity
+     * @param {Object} scenario
+     * @param {Object} result - runEngine.run output
+     * @returns {Promise<Object>} Validation report (see validationService)
+     */
+    async validate(scenario, result) {
+        const rules = await this.resolveValidationRules(scenario.validationRules, scenario.taxYear);
+        const [fioLast = null, fioFirst = null, fioMiddle = null] = (scenario.identity.name || '').split(/\s+/).filter(Boolean);
+
+        const declaration = {
+            tax_year: scenario.taxYear,
+            declaration_kind: 'main',
+            iin: scenario.identity.iin,
+            fio_last: fioLast,
+            fio_first: fioFirst,
+            fio_middle: fioMiddle,
+            flags: result.flags,
+        };
+        const data = {
+            items: Object.fromEntries(Object.entries(result.fieldValues).filter(([, value]) => value !== 0 && value !== null)),
+            breakdowns: result.breakdowns.map(b => ({
+                logical_field: b.logicalField,
+                group_key: b.groupKey,
+                period_month: b.month,
+                value: b.value,
+            })),
+            foreignAssets: [],
+            domesticAssets: [],
+            cfcEntities: [],
+            receipt: null,
+        };
+
+        return validationService.runRules(rules, validationService.buildContext(declaration, data));
+    },
+
+    /**
+     * Validation rules that reported errors must be exactly the expected ones
+     * @param {Object} scenario
+     * @param {Object} report - see validate
+     * @returns {Array} [{ kind: validation, key, expected, actual, details? }]
+     */
+    compareValidation(scenario, report) {
+        const expected = scenario.expected.validation;
+        const findings = report.results.filter(r => r.severity === 'error');
+        const actual = [...new Set(findings.map(r => r.ruleCode))];
+        const failures = [];
+
+        for (const ruleCode of actual.filter(code => !expected.includes(code))) {
+            failures.push({
+                kind: 'validation',
+                key: ruleCode,
+                expected: 'passed',
+                actual: 'error',
+                details: findings.filter(r => r.ruleCode === ruleCode),
+            });
+        }
+        for (const ruleCode of expected.filter(code => !actual.includes(code))) {
+            failures.push({ kind: 'validation', key: ruleCode, expected: 'error', actual: 'passed' });
+        }
+
+        return failures;
+    },
+};
+
+module.exports = scenarioRunner;
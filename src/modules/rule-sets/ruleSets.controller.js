@@ -0,0 +1,144 @@
+const ruleSetsService = require('./ruleSets.service');
+
+const parseVersion = (value, name = 'version') => {
+    const version = parseInt(value, 10);
+    if (!Number.isInteger(version) || version < 1) {
+        throw new Error(`${name} is invalid: ${value}`);
+    }
+    return version;
+};
+
+const ruleSetsController = {
+    /**
+     * GET /rule-sets
+     * List versions, version in effect today
+     */
+    async list(req, res, next) {
+        try {
+            const versions = await ruleSetsService.list();
+            const effective = await ruleSetsService.getEffective();
+
+            res.json({
+                success: true,
+                data: {
+                    versions,
+                    effective: ruleSetsService.describe(effective),
+                },
+            });
+        } catch (error) {
+            next(error);
+        }
+    },
+
+    /**
+     * POST /rule-sets
+     * Create draft from active rules
+     */
+    async createDraft(req, res, next) {
+        try {
+            const { effectiveFrom, notes } = req.body;
+            const ruleSet = await ruleSetsService.createDraft({ effectiveFrom, notes }, req.user.id);
+
+            res.status(201).json({
+                success: true,
+                data: ruleSet,
+            });
+        } catch (error) {
+            if (error.message.includes('Cannot')) {
+                return res.status(409).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * GET /rule-sets/:version
+     * Get version with rules
+     */
+    async get(req, res, next) {
+        try {
+            const ruleSet = await ruleSetsService.get(parseVersion(req.params.version));
+
+            res.json({
+                success: true,
+                data: ruleSet,
+            });
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return res.status(404).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * GET /rule-sets/:version/diff
+     * Compare rules with earlier version (query: against, previous version by default)
+     */
+    async diff(req, res, next) {
+        try {
+            const against = req.query.against ? parseVersion(req.query.against, 'against') : null;
+            const diff = await ruleSetsService.diff(parseVersion(req.params.version), against);
+
+            res.json({
+                success: true,
+                data: diff,
+            });
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return res.status(404).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * POST /rule-sets/:version/publish
+     * Publish draft
+     */
+    async publish(req, res, next) {
+        try {
+            const { effectiveFrom } = req.body;
+            const result = await ruleSetsService.publish(parseVersion(req.params.version), { effectiveFrom });
+
+            res.json({
+                success: true,
+                data: result,
+            });
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return res.status(404).json({ success: false, error: error.message });
+            }
+            if (error.message.includes('Cannot')) {
+                return res.status(409).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * POST /rule-sets/:version/rollback
+     * Publish rules of earlier version again
+     */
+    async rollback(req, res, next) {
+        try {
+            const { notes } = req.body;
+            const result = await ruleSetsService.rollback(parseVersion(req.params.version), { notes }, req.user.id);
+
+            res.json({
+                success: true,
+                data: result,
+            });
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return res.status(404).json({ success: false, error: error.message });
+            }
+            if (error.message.includes('Cannot')) {
+                return res.status(409).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    },
+};
+
+module.exports = ruleSetsController;
@@ -0,0 +1,201 @@
+const db = require('../../db/postgres');
+
+// Rule set content is immutable: versions are created and change only status / dates
+const ruleSetsRepository = {
+    // ==========================================
+    // READ
+    // ==========================================
+
+    /**
+     * List versions without rules, newest first
+     * @returns {Promise<Array>}
+     */
+    async list() {
+        const result = await db.query(
+            `SELECT id, version, status, effective_from, notes, rolled_back_from,
+                created_by_user_id, published_at, retired_at, created_at,
+                jsonb_array_length(rules) as rules_count
+            FROM rule_set_versions
+            ORDER BY version DESC`
+        );
+        return result.rows;
+    },
+
+    /**
+     * Find version by number
+     * @param {number} version
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<Object|null>}
+     */
+    async findByVersion(version, client = db) {
+        const result = await client.query(
+            `SELECT * FROM rule_set_versions WHERE version = $1`,
+            [version]
+        );
+        return result.rows[0] || null;
+    },
+
+    /**
+     * Find version by id
+     * @param {string} id
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<Object|null>}
+     */
+    async findById(id, client = db) {
+        const result = await client.query(
+            `SELECT * FROM rule_set_versions WHERE id = $1`,
+            [id]
+        );
+        return result.rows[0] || null;
+    },
+
+    /**
+     * Version created right before given one
+     * @param {number} version
+     * @returns {Promise<Object|null>}
+     */
+    async findPrevious(version) {
+        const result = await db.query(
+            `SELECT * FROM rule_set_versions
+            WHERE version < $1
+            ORDER BY version DESC
+            LIMIT 1`,
+            [version]
+        );
+        return result.rows[0] || null;
+    },
+
+    /**
+     * Published version in effect on date (latest effective date, then latest version)
+     * @param {string} date - YYYY-MM-DD
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<Object|null>}
+     */
+    async findEffective(date, client = db) {
+        const result = await client.query(
+            `SELECT * FROM rule_set_versions
+            WHERE status = 'published' AND effective_from <= $1
+            ORDER BY effective_from DESC, version DESC
+            LIMIT 1`,
+            [date]
+        );
+        return result.rows[0] || null;
+    },
+
+    /**
+     * Active working rules (tax_rules) in engine order
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<Array>}
+     */
+    async getWorkingRules(client = db) {
+        const result = await client.query(
+            `SELECT id, rule_code, tax_year, rule_type, conditions, actions, priority
+            FROM tax_rules
+            WHERE is_active = true
+            ORDER BY priority ASC, created_at ASC`
+        );
+        return result.rows;
+    },
+
+    /**
+     * Whether tax rule is part of any version
+     * @param {string} ruleId
+     * @returns {Promise<boolean>}
+     */
+    async isRuleVersioned(ruleId) {
+        const result = await db.query(
+            `SELECT EXISTS(
+                SELECT 1 FROM rule_set_versions
+                WHERE rules @> jsonb_build_array(jsonb_build_object('id', $1::text))
+            ) as versioned`,
+            [ruleId]
+        );
+        return result.rows[0].versioned;
+    },
+
+    // ==========================================
+    // WRITE
+    // ==========================================
+
+    /**
+     * Store version, number is next after the latest one
+     * @param {Object} data
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<Object>}
+     */
+    async create({ status = 'draft', effectiveFrom, rules, notes, rolledBackFrom, createdByUserId }, client = db) {
+        const result = await client.query(
+            `INSERT INTO rule_set_versions (
+                version, status, effective_from, rules, notes, rolled_back_from, created_by_user_id, published_at
+            )
+            SELECT COALESCE(MAX(version), 0) + 1, $1, $2, $3, $4, $5, $6,
+                CASE WHEN $1 = 'published' THEN now() END
+            FROM rule_set_versions
+            RETURNING *`,
+            [
+                status,
+                effectiveFrom,
+                JSON.stringify(rules || []),
+                notes || null,
+                rolledBackFrom || null,
+                createdByUserId || null,
+            ]
+        );
+        return result.rows[0];
+    },
+
+    /**
+     * Publish draft
+     * @param {string} id
+     * @param {string} effectiveFrom - YYYY-MM-DD, draft date is kept if null
+     * @param {Object} client - Transaction client
+     * @returns {Promise<Object>}
+     */
+    async publish(id, effectiveFrom, client) {
+        const result = await client.query(
+            `UPDATE rule_set_versions SET
+                status = 'published',
+                effective_from = COALESCE($2, effective_from),
+                published_at = now()
+            WHERE id = $1 AND status = 'draft'
+            RETURNING *`,
+            [id, effectiveFrom]
+        );
+        return result.rows[0] || null;
+    },
+
+    /**
+     * Retire published versions replaced by given one:
+     * scheduled on or after its effective date, or in effect before the version in effect today
+     * @param {Object} published - Version just published
+     * @param {Object|null} current - Version in effect today
+     * @param {Object} client - Transaction client
+     * @returns {Promise<Array<number>>} Retired version numbers
+     */
+    async retireSuperseded(published, current, client) {
+        const result = await client.query(
+            `UPDATE rule_set_versions SET
+                status = 'retired',
+                retired_at = now()
+            WHERE status = 'published'
+            AND id <> $1
+            AND (
+                effective_from >= $2
+                OR (effective_from, version) < ($3::date, $4::int)
+            )
+            RETURNING version`,
+            [published.id, published.effective_from, current ? current.effective_from : null, current ? current.version : null]
+        );
+        return result.rows.map(row => row.version).sort((a, b) => a - b);
+    },
+
+    /**
+     * Serialize rule set changes until the transaction ends
+     * @param {Object} client - Transaction client
+     */
+    async lock(client) {
+        await client.query(`SELECT pg_advisory_xact_lock(hashtext('rule_set_versions'))`);
+    },
+};
+
+module.exports = ruleSetsRepository;
@@ -0,0 +1,55 @@
+const express = require('express');
+const router = express.Router();
+const ruleSetsController = require('./ruleSets.controller');
+const { authenticate } = require('../../middleware/auth.middleware');
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/rule-sets
+ * @desc    List rule set versions (newest first) and the version in effect today
+ * @access  Private
+ */
+router.get('/', ruleSetsController.list);
+
+/**
+ * @route   POST /api/rule-sets
+ * @desc    Create draft version from active rules
+ * @access  Private
+ * @body    { effectiveFrom? (YYYY-MM-DD, today by default), notes? }
+ */
+router.post('/', ruleSetsController.createDraft);
+
+/**
+ * @route   GET /api/rule-sets/:version
+ * @desc    Get version with rules
+ * @access  Private
+ */
+router.get('/:version', ruleSetsController.get);
+
+/**
+ * @route   GET /api/rule-sets/:version/diff
+ * @desc    Compare rules with earlier version
+ * @access  Private
+ * @query   against? - version number (previous version by default)
+ */
+router.get('/:version/diff', ruleSetsController.diff);
+
+/**
+ * @route   POST /api/rule-sets/:version/publish
+ * @desc    Publish draft, versions it replaces are retired in the same transaction
+ * @access  Private
+ * @body    { effectiveFrom? (draft date by default) }
+ */
+router.post('/:version/publish', ruleSetsController.publish);
+
+/**
+ * @route   POST /api/rule-sets/:version/rollback
+ * @desc    Roll back: rules of the version are published again as a new version effective today
+ * @access  Private
+ * @body    { notes? }
+ */
+router.post('/:version/rollback', ruleSetsController.rollback);
+
+module.exports = router;
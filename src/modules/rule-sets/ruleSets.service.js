@@ -0,0 +1,286 @@
+const db = require('../../db/postgres');
+const ruleSetsRepository = require('./ruleSets.repository');
+const ruleEngineRepository = require('../rule-engine/ruleEngine.repository');
+
+// Rule attributes compared between versions
+const RULE_FIELDS = ['rule_type', 'tax_year', 'priority', 'conditions', 'actions'];
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Rule Sets Service
+ * Versioned bundles of engine rules
+ *
+ * draft     - snapshot of active tax_rules (working copy edited via /api/rules)
+ * published - used by calculations from effective_from on; the version in effect
+ *             on calculation date is recorded on the declaration
+ * retired   - replaced by a later publish or rollback, kept for reproduction
+ *
+ * Until the first version is published the engine uses tax_rules directly
+ */
+const ruleSetsService = {
+    // ==========================================
+    // READ
+    // ==========================================
+
+    /**
+     * Versions without rules, newest first
+     * @returns {Promise<Array>}
+     */
+    async list() {
+        return ruleSetsRepository.list();
+    },
+
+    /**
+     * Version with rules
+     * @param {number} version
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<Object>}
+     */
+    async get(version, client) {
+        const ruleSet = await ruleSetsRepository.findByVersion(version, client);
+        if (!ruleSet) {
+            throw new Error(`Rule set version ${version} not found`);
+        }
+        return ruleSet;
+    },
+
+    /**
+     * Version by id (e.g. the one recorded on a declaration)
+     * @param {string} id
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<Object>}
+     */
+    async getById(id, client) {
+        const ruleSet = await ruleSetsRepository.findById(id, client);
+        if (!ruleSet) {
+            throw new Error(`Rule set version ${id} not found`);
+        }
+        return ruleSet;
+    },
+
+    /**
+     * Version in effect today
+     * @returns {Promise<Object|null>}
+     */
+    async getEffective() {
+        return ruleSetsRepository.findEffective(today());
+    },
+
+    /**
+     * Compare rules of two versions, rules are matched by rule code
+     * @param {number} version
+     * @param {number} againstVersion - Earlier version, previous one by default
+     * @returns {Promise<Object>} { from, to, summary, added, removed, changed }
+     */
+    async diff(version, againstVersion = null) {
+        const ruleSet = await this.get(version);
+        const against = againstVersion
+            ? await this.get(againstVersion)
+            : await ruleSetsRepository.findPrevious(ruleSet.version);
+
+        const { added, removed, changed } = this.diffRules(against ? against.rules : [], ruleSet.rules);
+
+        return {
+            from: against ? this.describe(against) : null,
+            to: this.describe(ruleSet),
+            summary: {
+                added: added.length,
+                removed: removed.length,
+                changed: changed.length,
+            },
+            added,
+            removed,
+            changed,
+        };
+    },
+
+    /**
+     * Rule-by-rule difference (rule without code is matched by ID)
+     * @param {Array} before
+     * @param {Array} after
+     * @returns {Object} { added, removed, changed: [{ ruleCode, changes: [{ field, from, to }] }] }
+     */
+    diffRules(before, after) {
+        const keyOf = rule => rule.rule_code || rule.id;
+        const beforeByKey = new Map(before.map(rule => [keyOf(rule), rule]));
+        const afterByKey = new Map(after.map(rule => [keyOf(rule), rule]));
+
+        const added = after.filter(rule => !beforeByKey.has(keyOf(rule)));
+        const removed = before.filter(rule => !afterByKey.has(keyOf(rule)));
+
+        const changed = [];
+        for (const rule of after) {
+            const previous = beforeByKey.get(keyOf(rule));
+            if (!previous) {
+                continue;
+            }
+            const changes = RULE_FIELDS
+                .filter(field => JSON.stringify(previous[field] ?? null) !== JSON.stringify(rule[field] ?? null))
+                .map(field => ({ field, from: previous[field] ?? null, to: rule[field] ?? null }));
+            if (changes.length > 0) {
+                changed.push({ ruleCode: keyOf(rule), changes });
+            }
+        }
+
+        return { added, removed, changed };
+    },
+
+    describe(ruleSet) {
+        if (!ruleSet) {
+            return null;
+        }
+        return {
+            id: ruleSet.id,
+            version: ruleSet.version,
+            status: ruleSet.status,
+            effectiveFrom: ruleSet.effective_from,
+        };
+    },
+
+    // ==========================================
+    // ENGINE
+    // ==========================================
+
+    /**
+     * Rules the engine runs with for tax year
+     * @param {number} taxYear
+     * @param {number} version - Given version (reproduction), version in effect today by default
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<Object>} { ruleSet (null while nothing is published), rules }
+     */
+    async resolveRules(taxYear, version = null, client) {
+        const ruleSet = version
+            ? await this.get(version, client)
+            : await ruleSetsRepository.findEffective(today(), client);
+
+        if (!ruleSet) {
+            return { ruleSet: null, rules: await ruleEngineRepository.getActiveRules(taxYear, client) };
+        }
+
+        // Stored in engine order (priority, creation)
+        const rules = ruleSet.rules
+            .filter(rule => rule.tax_year === null || rule.tax_year === undefined || rule.tax_year === taxYear)
+            .map(rule => ({ ...rule, is_active: true }));
+
+        return { ruleSet, rules };
+    },
+
+    // ==========================================
+    // PUBLISH / ROLLBACK
+    // ==========================================
+
+    /**
+     * Snapshot active tax_rules into a new draft
+     * @param {Object} data - { effectiveFrom? (today by default), notes? }
+     * @param {string} userId
+     * @returns {Promise<Object>}
+     */
+    async createDraft({ effectiveFrom, notes } = {}, userId) {
+        const date = this.parseDate(effectiveFrom) || today();
+
+        return db.withTransaction(async (client) => {
+            await ruleSetsRepository.lock(client);
+
+            const rules = await ruleSetsRepository.getWorkingRules(client);
+            if (rules.length === 0) {
+                throw new Error('Cannot create rule set version: there are no active rules');
+            }
+
+            return ruleSetsRepository.create({
+                effectiveFrom: date,
+                rules,
+                notes,
+                createdByUserId: userId,
+            }, client);
+        });
+    },
+
+    /**
+     * Publish draft atomically: published versions it replaces are retired in the same transaction
+     * @param {number} version
+     * @param {Object} data - { effectiveFrom? (draft date by default) }
+     * @returns {Promise<Object>} { ruleSet, retired: [version] }
+     */
+    async publish(version, { effectiveFrom } = {}) {
+        const date = this.parseDate(effectiveFrom);
+
+        return db.withTransaction(async (client) => {
+            await ruleSetsRepository.lock(client);
+
+            const draft = await ruleSetsRepository.findByVersion(version, client);
+            if (!draft) {
+                throw new Error(`Rule set version ${version} not found`);
+            }
+            if (draft.status !== 'draft') {
+                throw new Error(`Cannot publish rule set version ${version}: it is ${draft.status}, only drafts can be published`);
+            }
+
+            const ruleSet = await ruleSetsRepository.publish(draft.id, date, client);
+            const current = await ruleSetsRepository.findEffective(today(), client);
+            const retired = await ruleSetsRepository.retireSuperseded(ruleSet, current, client);
+
+            return { ruleSet, retired };
+        });
+    },
+
+    /**
+     * Roll back to earlier version: its rules are published again as a new version effective today,
+     * every other published version (scheduled ones too) is retired
+     * @param {number} version - Version to go back to
+     * @param {Object} data - { notes? }
+     * @param {string} userId
+     * @returns {Promise<Object>} { ruleSet, retired: [version] }
+     */
+    async rollback(version, { notes } = {}, userId) {
+        return db.withTransaction(async (client) => {
+            await ruleSetsRepository.lock(client);
+
+            const target = await ruleSetsRepository.findByVersion(version, client);
+            if (!target) {
+                throw new Error(`Rule set version ${version} not found`);
+            }
+            if (target.status === 'draft') {
+                throw new Error(`Cannot roll back to rule set version ${version}: it is a draft, publish it instead`);
+            }
+
+            const current = await ruleSetsRepository.findEffective(today(), client);
+            if (current && current.id === target.id) {
+                throw new Error(`Cannot roll back to rule set version ${version}: it is already in effect`);
+            }
+
+            const ruleSet = await ruleSetsRepository.create({
+                status: 'published',
+                effectiveFrom: today(),
+                rules: target.rules,
+                notes: notes || `Rollback to version ${target.version}`,
+                rolledBackFrom: target.version,
+                createdByUserId: userId,
+            }, client);
+            const retired = await ruleSetsRepository.retireSuperseded(ruleSet, ruleSet, client);
+
+            return { ruleSet, retired };
+        });
+    },
+
+    // ==========================================
+    // HELPERS
+    // ==========================================
+
+    /**
+     * @param {string} value - YYYY-MM-DD
+     * @returns {string|null}
+     */
+    parseDate(value) {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+        const date = new Date(`${value}T00:00:00Z`);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+            throw new Error(`effectiveFrom is invalid: ${value}, expected YYYY-MM-DD`);
+        }
+        return value;
+    },
+};
+
+module.exports = ruleSetsService;
@@ -0,0 +1,195 @@
+const signaturesService = require('./signatures.service');
+
+const signaturesController = {
+    /**
+     * GET /signatures/:declarationId
+     * List declaration signatures
+     */
+    async list(req, res, next) {
+        try {
+            const signatures = await signaturesService.list(req.params.declarationId, req.user.id);
+
+            res.json({
+                success: true,
+                data: signatures,
+            });
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return res.status(404).json({ success: false, error: error.message });
+            }
+            if (error.message.includes('No access')) {
+                return res.status(403).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * POST /signatures/:declarationId/eds
+     * Attach client-side XMLDSig
+     */
+    async signClient(req, res, next) {
+        try {
+            const { signature, signedXml } = req.body || {};
+            const ipAddress = req.ip || req.connection.remoteAddress;
+            const userAgent = req.get('User-Agent');
+
+            const result = await signaturesService.signWithClientSignature(
+                req.params.declarationId,
+                req.user.id,
+                { signature, signedXml },
+                { ipAddress, userAgent }
+            );
+
+            res.status(201).json({
+                success: true,
+                data: result,
+                message: 'Декларация подписана ЭЦП',
+            });
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return res.status(404).json({ success: false, error: error.message });
+            }
+            if (error.message.includes('No access')) {
+                return res.status(403).json({ success: false, error: error.message });
+            }
+            if (error.message.includes('Cannot')) {
+                return res.status(409).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * POST /signatures/:declarationId/eds/server
+     * Sign with uploaded PKCS#12
+     */
+    async signServer(req, res, next) {
+        try {
+            const { pkcs12, password } = req.body || {};
+            const ipAddress = req.ip || req.connection.remoteAddress;
+            const userAgent = req.get('User-Agent');
+
+            const result = await signaturesService.signOnServer(
+                req.params.declarationId,
+                req.user.id,
+                { pkcs12, password },
+                { ipAddress, userAgent }
+            );
+
+            res.status(201).json({
+                success: true,
+                data: result,
+                message: 'Декларация подписана ЭЦП',
+            });
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return res.status(404).json({ success: false, error: error.message });
+            }
+            if (error.message.includes('No access')) {
+                return res.status(403).json({ success: false, error: error.message });
+            }
+            if (error.message.includes('Cannot')) {
+                return res.status(409).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * POST /signatures/:declarationId/otp/request
+     * Send signing code bound to the latest XML hash
+     */
+    async requestOtp(req, res, next) {
+        try {
+            const ipAddress = req.ip || req.connection.remoteAddress;
+            const userAgent = req.get('User-Agent');
+
+            const result = await signaturesService.requestOtp(
+                req.params.declarationId,
+                req.user.id,
+                { ipAddress, userAgent }
+            );
+
+            res.json({
+                success: true,
+                data: result,
+            });
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return res.status(404).json({ success: false, error: error.message });
+            }
+            if (error.message.includes('No access')) {
+                return res.status(403).json({ success: false, error: error.message });
+            }
+            if (error.message.includes('Cannot')) {
+                return res.status(409).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * POST /signatures/:declarationId/otp
+     * Sign with the code
+     */
+    async signOtp(req, res, next) {
+        try {
+            const { code } = req.body || {};
+            const ipAddress = req.ip || req.connection.remoteAddress;
+            const userAgent = req.get('User-Agent');
+
+            const result = await signaturesService.signWithOtp(
+                req.params.declarationId,
+                req.user.id,
+                { code },
+                { ipAddress, userAgent }
+            );
+
+            res.status(201).json({
+                success: true,
+                data: result,
+                message: 'Декларация подписана кодом подтверждения',
+            });
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return res.status(404).json({ success: false, error: error.message });
+            }
+            if (error.message.includes('No access')) {
+                return res.status(403).json({ success: false, error: error.message });
+            }
+            if (error.message.includes('Cannot')) {
+                return res.status(409).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * GET /signatures/:declarationId/signed-xml
+     * Download latest XML with embedded signature
+     */
+    async downloadSignedXml(req, res, next) {
+        try {
+            const { declarationId } = req.params;
+
+            const result = await signaturesService.getSignedXml(declarationId, req.user.id);
+
+            const filename = `declaration_270_${declarationId}_signed.xml`;
+            res.setHeader('Content-Type', 'application/xml');
+            res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+            res.send(result.xmlContent);
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return res.status(404).json({ success: false, error: error.message });
+            }
+            if (error.message.includes('No access')) {
+                return res.status(403).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    },
+};
+
+module.exports = signaturesController;
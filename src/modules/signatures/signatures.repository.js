@@ -0,0 +1,70 @@
+const db = require('../../db/postgres');
+
+const signaturesRepository = {
+    /**
+     * Store declaration signature
+     * @param {Object} data
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<Object>}
+     */
+    async create({ declarationId, signedByIdentityId, signatureType, signaturePayload, xmlExportId, xmlHash, signedByUserId, signingMethod, signerIin, certificate, ipAddress, userAgent }, client = db) {
+        const result = await client.query(
+            `INSERT INTO declaration_signatures (
+                declaration_id, signed_by_identity_id, signature_type, signature_payload,
+                xml_export_id, xml_hash, signed_by_user_id, signing_method, signer_iin, certificate,
+                ip_address, user_agent
+            )
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+            RETURNING *`,
+            [
+                declarationId,
+                signedByIdentityId,
+                signatureType,
+                signaturePayload,
+                xmlExportId,
+                xmlHash,
+                signedByUserId,
+                signingMethod || null,
+                signerIin || null,
+                certificate ? JSON.stringify(certificate) : null,
+                ipAddress || null,
+                userAgent || null,
+            ]
+        );
+        return result.rows[0];
+    },
+
+    /**
+     * List signatures of declaration
+     * @param {string} declarationId
+     * @returns {Promise<Array>}
+     */
+    async listByDeclaration(declarationId) {
+        const result = await db.query(
+            `SELECT * FROM declaration_signatures
+            WHERE declaration_id = $1
+            ORDER BY signed_at DESC`,
+            [declarationId]
+        );
+        return result.rows;
+    },
+
+    /**
+     * Latest signature of XML export
+     * @param {string} xmlExportId
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<Object|null>}
+     */
+    async findLatestForXml(xmlExportId, client = db) {
+        const result = await client.query(
+            `SELECT * FROM declaration_signatures
+            WHERE xml_export_id = $1
+            ORDER BY signed_at DESC
+            LIMIT 1`,
+            [xmlExportId]
+        );
+        return result.rows[0] || null;
+    },
+};
+
+module.exports = signaturesRepository;
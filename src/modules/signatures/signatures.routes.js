@@ -0,0 +1,54 @@
+const express = require('express');
+const router = express.Router();
+const signaturesController = require('./signatures.controller');
+const { authenticate } = require('../../middleware/auth.middleware');
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/signatures/:declarationId
+ * @desc    List declaration signatures
+ * @access  Private
+ */
+router.get('/:declarationId', signaturesController.list);
+
+/**
+ * @route   POST /api/signatures/:declarationId/eds
+ * @desc    Attach XMLDSig produced client-side to the latest (consented) XML
+ * @access  Private
+ * @body    { signature } - detached ds:Signature, or { signedXml } - document with enveloped signature
+ */
+router.post('/:declarationId/eds', signaturesController.signClient);
+
+/**
+ * @route   POST /api/signatures/:declarationId/eds/server
+ * @desc    Sign latest XML on server with user's PKCS#12 (key is not stored)
+ * @access  Private
+ * @body    { pkcs12: base64, password }
+ */
+router.post('/:declarationId/eds/server', signaturesController.signServer);
+
+/**
+ * @route   POST /api/signatures/:declarationId/otp/request
+ * @desc    Send simple signature code to owner's email, bound to latest XML hash
+ * @access  Private (owner)
+ */
+router.post('/:declarationId/otp/request', signaturesController.requestOtp);
+
+/**
+ * @route   POST /api/signatures/:declarationId/otp
+ * @desc    Sign latest XML with the code (signature_type = otp)
+ * @access  Private (owner)
+ * @body    { code }
+ */
+router.post('/:declarationId/otp', signaturesController.signOtp);
+
+/**
+ * @route   GET /api/signatures/:declarationId/signed-xml
+ * @desc    Download latest XML with embedded signature
+ * @access  Private
+ */
+router.get('/:declarationId/signed-xml', signaturesController.downloadSignedXml);
+
+module.exports = router;
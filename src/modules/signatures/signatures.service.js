@@ -0,0 +1,329 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const db = require('../../db/postgres');
+const signaturesRepository = require('./signatures.repository');
+const declarationsRepository = require('../declarations/declarations.repository');
+const declarationsService = require('../declarations/declarations.service');
+const identitiesRepository = require('../identities/identities.repository');
+const authRepository = require('../auth/auth.repository');
+const otpService = require('../otp/otp.service');
+const xmlGeneratorRepository = require('../xml-generator/xmlGenerator.repository');
+const consentService = require('../consent/consent.service');
+const xmldsig = require('../../utils/xmldsig');
+require('dotenv').config();
+
+// PEM bundle of trusted CAs (NCA RK). Not set → any certificate, marked trusted: false
+const CA_CERTS_PATH = process.env.SIGNATURE_CA_CERTS || null;
+
+const OTP_PURPOSE = 'declaration_signing';
+
+/**
+ * Signatures Service
+ * XMLDSig (EDS) signing of the consented XML export
+ *
+ * client - ds:Signature produced client-side: detached element or whole signed document
+ * server - signed here with user's PKCS#12, the key is used in memory only
+ * otp    - simple signature: owner confirms the XML hash with a one-time code
+ *
+ * EDS is verified against the stored export (digest of canonicalized XML,
+ * signature value, certificate validity and IIN), OTP code must be issued for
+ * the export's hash. The signature is stored in declaration_signatures,
+ * the export is marked signed and declaration → signed
+ */
+const signaturesService = {
+    // ==========================================
+    // SIGN
+    // ==========================================
+
+    /**
+     * Attach client-side signature
+     * @param {string} declarationId
+     * @param {string} userId
+     * @param {Object} data - { signature } (ds:Signature) or { signedXml } (document with enveloped signature)
+     * @param {Object} meta - { ipAddress, userAgent }
+     * @returns {Promise<Object>} { signature, declaration }
+     */
+    async signWithClientSignature(declarationId, userId, { signature, signedXml } = {}, meta = {}) {
+        if (!signature && !signedXml) {
+            throw new Error('signature or signedXml is required');
+        }
+
+        const { declaration, xml } = await this.prepare(declarationId, userId);
+        const signatureXml = signature || xmldsig.extractSignature(signedXml);
+
+        return this.complete(declaration, xml, signatureXml, userId, 'client', meta);
+    },
+
+    /**
+     * Sign on server with PKCS#12 key uploaded by user
+     * @param {string} declarationId
+     * @param {string} userId
+     * @param {Object} data - { pkcs12 (base64), password }
+     * @param {Object} meta - { ipAddress, userAgent }
+     * @returns {Promise<Object>} { signature, declaration }
+     */
+    async signOnServer(declarationId, userId, { pkcs12, password } = {}, meta = {}) {
+        if (!pkcs12) {
+            throw new Error('pkcs12 is required');
+        }
+
+        const { declaration, xml } = await this.prepare(declarationId, userId);
+        const keys = xmldsig.readPkcs12(pkcs12, password);
+
+        // Check certificate before producing a signature with it
+        this.checkCertificate(xmldsig.parseCertificate(keys.certificatePem), declaration);
+
+        const signedXml = xmldsig.signEnveloped(xml.xml_content, keys);
+        const signatureXml = xmldsig.extractSignature(signedXml);
+
+        return this.complete(declaration, xml, signatureXml, userId, 'server', meta);
+    },
+
+    /**
+     * Send signing code for the latest XML to owner's email
+     * @param {string} declarationId
+     * @param {string} userId
+     * @param {Object} meta - { ipAddress, userAgent }
+     * @returns {Promise<Object>} { otpId, expiresAt, message, xmlExportId, xmlHash }
+     */
+    async requestOtp(declarationId, userId, { ipAddress, userAgent } = {}) {
+        const { declaration, xml } = await this.prepare(declarationId, userId);
+        await this.assertOwner(declaration, userId);
+
+        const user = await authRepository.findById(userId);
+        if (!user || !user.email) {
+            throw new Error('User email is required for OTP signature');
+        }
+
+        const result = await otpService.sendOTP(user, ipAddress, userAgent, {
+            purpose: OTP_PURPOSE,
+            payloadHash: xml.xml_hash,
+            details: { taxYear: declaration.tax_year, xmlHash: xml.xml_hash },
+        });
+
+        return { ...result, xmlExportId: xml.id, xmlHash: xml.xml_hash };
+    },
+
+    /**
+     * Sign latest XML with the code sent by requestOtp
+     * @param {string} declarationId
+     * @param {string} userId
+     * @param {Object} data - { code }
+     * @param {Object} meta - { ipAddress, userAgent }
+     * @returns {Promise<Object>} { signature, declaration }
+     */
+    async signWithOtp(declarationId, userId, { code } = {}, meta = {}) {
+        if (!code) {
+            throw new Error('code is required');
+        }
+
+        const { declaration, xml } = await this.prepare(declarationId, userId);
+        await this.assertOwner(declaration, userId);
+
+        // Code issued for another XML version is rejected
+        await otpService.verifyOTP(userId, String(code), { purpose: OTP_PURPOSE, payloadHash: xml.xml_hash });
+
+        return this.store(declaration, xml, userId, {
+            signatureType: 'otp',
+            signaturePayload: null,
+            signerIin: declaration.iin,
+        }, meta);
+    },
+
+    /**
+     * Declaration must await signature and have owner's consent to the latest XML
+     * @param {string} declarationId
+     * @param {string} userId
+     * @returns {Promise<Object>} { declaration, xml }
+     */
+    async prepare(declarationId, userId) {
+        const declaration = await this.getAccessibleDeclaration(declarationId, userId);
+
+        if (declaration.status !== 'awaiting_consent') {
+            throw new Error(`Cannot sign declaration in status ${declaration.status}`);
+        }
+
+        await consentService.assertSubmissionConsent(declaration);
+
+        const xml = await xmlGeneratorRepository.getLatestXml(declarationId);
+        return { declaration, xml };
+    },
+
+    /**
+     * Verify EDS against stored XML, store it and move declaration to signed
+     * @param {Object} declaration
+     * @param {Object} xml - Latest xml_exports row
+     * @param {string} signatureXml - ds:Signature
+     * @param {string} userId
+     * @param {string} signingMethod - client | server
+     * @param {Object} meta - { ipAddress, userAgent }
+     * @returns {Promise<Object>} { signature, declaration }
+     */
+    async complete(declaration, xml, signatureXml, userId, signingMethod, meta = {}) {
+        const verified = xmldsig.verifySignature(xml.xml_content, signatureXml);
+        const certificate = this.checkCertificate(xmldsig.parseCertificate(verified.certificatePem), declaration);
+
+        return this.store(declaration, xml, userId, {
+            signatureType: 'eds',
+            signaturePayload: signatureXml,
+            signingMethod,
+            signerIin: certificate.iin,
+            certificate: {
+                subject: certificate.subject,
+                issuer: certificate.issuer,
+                serialNumber: certificate.serialNumber,
+                validFrom: certificate.validFrom,
+                validTo: certificate.validTo,
+                fingerprint: certificate.fingerprint,
+                trusted: certificate.trusted,
+                signatureAlgorithm: verified.signatureAlgorithm,
+                digestAlgorithm: verified.digestAlgorithm,
+            },
+        }, meta);
+    },
+
+    /**
+     * Store signature of XML export, mark export signed and move declaration to signed
+     * (all in one transaction: failed transition leaves no signature behind)
+     * @param {Object} declaration
+     * @param {Object} xml - Latest xml_exports row
+     * @param {string} userId
+     * @param {Object} data - { signatureType, signaturePayload, signingMethod?, signerIin, certificate? }
+     * @param {Object} meta - { ipAddress, userAgent }
+     * @returns {Promise<Object>} { signature, declaration }
+     */
+    async store(declaration, xml, userId, data, { ipAddress, userAgent } = {}) {
+        return db.withTransaction(async (client) => {
+            // Transition first: it locks the declaration, so concurrent signing waits and then fails on status
+            const updated = await declarationsService.transitionStatus(declaration.id, 'signed', userId, {}, client);
+
+            const signature = await signaturesRepository.create({
+                ...data,
+                declarationId: declaration.id,
+                signedByIdentityId: declaration.tax_identity_id,
+                xmlExportId: xml.id,
+                xmlHash: xml.xml_hash,
+                signedByUserId: userId,
+                ipAddress,
+                userAgent,
+            }, client);
+
+            await xmlGeneratorRepository.markAsSigned(xml.id, client);
+
+            return { signature, declaration: updated };
+        });
+    },
+
+    /**
+     * Certificate must be valid now, issued to the declarant (IIN)
+     * and, if CA bundle is configured, issued by a trusted CA
+     * @param {Object} certificate - xmldsig.parseCertificate result
+     * @param {Object} declaration
+     * @returns {Object} certificate with trusted flag
+     */
+    checkCertificate(certificate, declaration) {
+        if (!declaration.iin) {
+            throw new Error('Declaration IIN is required for EDS signing');
+        }
+
+        const now = new Date().toISOString();
+        if (now < certificate.validFrom || now > certificate.validTo) {
+            throw new Error(`Certificate is invalid: valid from ${certificate.validFrom} to ${certificate.validTo}`);
+        }
+
+        if (!certificate.iin) {
+            throw new Error('Certificate is invalid: subject serialNumber has no IIN');
+        }
+        if (certificate.iin !== String(declaration.iin).trim()) {
+            throw new Error(`Certificate is invalid: IIN ${certificate.iin} does not match declaration IIN ${declaration.iin}`);
+        }
+
+        const caCerts = this.loadTrustedCas();
+        const trusted = caCerts.some(ca => certificate.x509.checkIssued(ca) && certificate.x509.verify(ca.publicKey));
+        if (caCerts.length > 0 && !trusted) {
+            throw new Error(`Certificate is invalid: issuer ${certificate.issuer} is not trusted`);
+        }
+
+        return { ...certificate, trusted };
+    },
+
+    // ==========================================
+    // READ
+    // ==========================================
+
+    /**
+     * List declaration signatures
+     * @param {string} declarationId
+     * @param {string} userId
+     * @returns {Promise<Array>}
+     */
+    async list(declarationId, userId) {
+        await this.getAccessibleDeclaration(declarationId, userId);
+        return signaturesRepository.listByDeclaration(declarationId);
+    },
+
+    /**
+     * Latest XML with its EDS embedded (what is submitted)
+     * @param {string} declarationId
+     * @param {string} userId
+     * @returns {Promise<Object>} { xmlExportId, xmlContent }
+     */
+    async getSignedXml(declarationId, userId) {
+        await this.getAccessibleDeclaration(declarationId, userId);
+
+        const xml = await xmlGeneratorRepository.getLatestXml(declarationId);
+        const signature = xml && await signaturesRepository.findLatestForXml(xml.id);
+        if (!signature || signature.signature_type !== 'eds') {
+            throw new Error('Signed XML not found');
+        }
+
+        return {
+            xmlExportId: xml.id,
+            xmlContent: xmldsig.attachSignature(xml.xml_content, signature.signature_payload),
+        };
+    },
+
+    // ==========================================
+    // HELPERS
+    // ==========================================
+
+    async getAccessibleDeclaration(declarationId, userId) {
+        const declaration = await declarationsRepository.findById(declarationId);
+        if (!declaration) {
+            throw new Error('Declaration not found');
+        }
+        const hasAccess = await identitiesRepository.userHasAccess(userId, declaration.tax_identity_id);
+        if (!hasAccess) {
+            throw new Error('No access to this declaration');
+        }
+        return declaration;
+    },
+
+    /**
+     * Simple (OTP) signature is given by the owner only
+     */
+    async assertOwner(declaration, userId) {
+        const isOwner = await identitiesRepository.userHasAccess(userId, declaration.tax_identity_id, ['owner']);
+        if (!isOwner) {
+            throw new Error('No access: OTP signature can only be given by the owner');
+        }
+    },
+
+    /**
+     * Trusted CA certificates from SIGNATURE_CA_CERTS (PEM bundle)
+     * @returns {Array<crypto.X509Certificate>}
+     */
+    loadTrustedCas() {
+        if (!CA_CERTS_PATH) {
+            return [];
+        }
+        if (!this.trustedCas) {
+            const bundle = fs.readFileSync(CA_CERTS_PATH, 'utf8');
+            this.trustedCas = (bundle.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g) || [])
+                .map(pem => new crypto.X509Certificate(pem));
+        }
+        return this.trustedCas;
+    },
+};
+
+module.exports = signaturesService;
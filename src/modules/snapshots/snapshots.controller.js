@@ -0,0 +1,104 @@
+const snapshotsService = require('./snapshots.service');
+
+const snapshotsController = {
+    /**
+     * GET /snapshots/declarations/:declarationId
+     * List snapshots of declaration
+     */
+    async listForDeclaration(req, res, next) {
+        try {
+            const snapshots = await snapshotsService.listForDeclaration(req.params.declarationId, req.user.id);
+
+            res.json({
+                success: true,
+                data: snapshots,
+            });
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return res.status(404).json({ success: false, error: error.message });
+            }
+            if (error.message.includes('No access')) {
+                return res.status(403).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * GET /snapshots/:snapshotId
+     * Get snapshot with items, flags, header, events and rules
+     */
+    async getById(req, res, next) {
+        try {
+            const snapshot = await snapshotsService.getById(req.params.snapshotId, req.user.id);
+
+            res.json({
+                success: true,
+                data: snapshot,
+            });
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return res.status(404).json({ success: false, error: error.message });
+            }
+            if (error.message.includes('No access')) {
+                return res.status(403).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * GET /snapshots/:snapshotId/diff
+     * Compare with earlier snapshot (query: against, previous version by default)
+     */
+    async diff(req, res, next) {
+        try {
+            const diff = await snapshotsService.diff(req.params.snapshotId, req.user.id, req.query.against || null);
+
+            res.json({
+                success: true,
+                data: diff,
+            });
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return res.status(404).json({ success: false, error: error.message });
+            }
+            if (error.message.includes('No access')) {
+                return res.status(403).json({ success: false, error: error.message });
+            }
+            if (error.message.includes('Cannot')) {
+                return res.status(409).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * POST /snapshots/:snapshotId/restore
+     * Restore draft declaration from snapshot
+     */
+    async restore(req, res, next) {
+        try {
+            const result = await snapshotsService.restore(req.params.snapshotId, req.user.id);
+
+            res.json({
+                success: true,
+                data: result,
+                message: 'Declaration restored from snapshot',
+            });
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return res.status(404).json({ success: false, error: error.message });
+            }
+            if (error.message.includes('No access')) {
+                return res.status(403).json({ success: false, error: error.message });
+            }
+            if (error.message.includes('Cannot')) {
+                return res.status(409).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    },
+};
+
+module.exports = snapshotsController;
@@ -0,0 +1,122 @@
+const db = require('../../db/postgres');
+
+// Snapshots are immutable: only INSERT / SELECT here
+const snapshotsRepository = {
+    /**
+     * Lock declaration row until the transaction ends, so snapshot versions
+     * of one declaration are numbered one at a time
+     * @param {string} declarationId
+     * @param {Object} client - Transaction client
+     * @returns {Promise<boolean>} false if declaration does not exist
+     */
+    async lockDeclaration(declarationId, client) {
+        const result = await client.query(
+            `SELECT id FROM declarations WHERE id = $1 FOR UPDATE`,
+            [declarationId]
+        );
+        return result.rowCount > 0;
+    },
+
+    /**
+     * Store snapshot, version is next for declaration (see lockDeclaration)
+     * @param {Object} data
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<Object>}
+     */
+    async create({ declarationId, reason, status, items, breakdowns, flags, header, eventIds, ruleIds, details, createdByUserId }, client = db) {
+        const result = await client.query(
+            `INSERT INTO declaration_snapshots (
+                declaration_id, version, reason, status, items, breakdowns, flags, header,
+                event_ids, rule_ids, details, created_by_user_id
+            )
+            SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11
+            FROM declaration_snapshots
+            WHERE declaration_id = $1
+            RETURNING *`,
+            [
+                declarationId,
+                reason,
+                status,
+                JSON.stringify(items || []),
+                JSON.stringify(breakdowns || []),
+                JSON.stringify(flags || {}),
+                JSON.stringify(header || {}),
+                JSON.stringify(eventIds || []),
+                JSON.stringify(ruleIds || []),
+                details ? JSON.stringify(details) : null,
+                createdByUserId || null,
+            ]
+        );
+        return result.rows[0];
+    },
+
+    /**
+     * Find snapshot by ID
+     * @param {string} id
+     * @returns {Promise<Object|null>}
+     */
+    async findById(id) {
+        const result = await db.query(
+            `SELECT s.*, d.tax_identity_id
+            FROM declaration_snapshots s
+            JOIN declarations d ON d.id = s.declaration_id
+            WHERE s.id = $1`,
+            [id]
+        );
+        return result.rows[0] || null;
+    },
+
+    /**
+     * List snapshots of declaration without their content
+     * @param {string} declarationId
+     * @returns {Promise<Array>}
+     */
+    async listByDeclaration(declarationId) {
+        const result = await db.query(
+            `SELECT id, declaration_id, version, reason, status, details, created_by_user_id, created_at,
+                jsonb_array_length(items) as items_count,
+                jsonb_array_length(event_ids) as events_count
+            FROM declaration_snapshots
+            WHERE declaration_id = $1
+            ORDER BY version DESC`,
+            [declarationId]
+        );
+        return result.rows;
+    },
+
+    /**
+     * Latest snapshot of declaration
+     * @param {string} declarationId
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<Object|null>}
+     */
+    async findLatest(declarationId, client = db) {
+        const result = await client.query(
+            `SELECT * FROM declaration_snapshots
+            WHERE declaration_id = $1
+            ORDER BY version DESC
+            LIMIT 1`,
+            [declarationId]
+        );
+        return result.rows[0] || null;
+    },
+
+    /**
+     * Snapshot taken right before given version
+     * @param {string} declarationId
+     * @param {number} version
+     * @returns {Promise<Object|null>}
+     */
+    async findPrevious(declarationId, version) {
+        const result = await db.query(
+            `SELECT * FROM declaration_snapshots
+            WHERE declaration_id = $1 AND version < $2
+            ORDER BY version DESC
+            LIMIT 1`,
+            [declarationId, version]
+        );
+        return result.rows[0] || null;
+    },
+};
+
+module.exports = snapshotsRepository;
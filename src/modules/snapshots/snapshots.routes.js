@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const snapshotsController = require('./snapshots.controller');
+const { authenticate } = require('../../middleware/auth.middleware');
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/snapshots/declarations/:declarationId
+ * @desc    List declaration snapshots (version history), newest first
+ * @access  Private
+ */
+router.get('/declarations/:declarationId', snapshotsController.listForDeclaration);
+
+/**
+ * @route   GET /api/snapshots/:snapshotId
+ * @desc    Get snapshot: items, breakdowns, flags, header, event and rule IDs
+ * @access  Private
+ */
+router.get('/:snapshotId', snapshotsController.getById);
+
+/**
+ * @route   GET /api/snapshots/:snapshotId/diff
+ * @desc    Compare snapshot with earlier one
+ * @access  Private
+ * @query   against? - snapshot ID (previous version by default)
+ */
+router.get('/:snapshotId/diff', snapshotsController.diff);
+
+/**
+ * @route   POST /api/snapshots/:snapshotId/restore
+ * @desc    Restore draft declaration from snapshot (validated goes back to draft)
+ * @access  Private
+ */
+router.post('/:snapshotId/restore', snapshotsController.restore);
+
+module.exports = router;
@@ -0,0 +1,244 @@
+const db = require('../../db/postgres');
+const snapshotsRepository = require('./snapshots.repository');
+const declarationsRepository = require('../declarations/declarations.repository');
+const identitiesRepository = require('../identities/identities.repository');
+const { HEADER_FIELDS, diffItems, diffBreakdowns, diffHeader, diffFlags } = require('../../utils/declarationDiff');
+
+// Restoring rewrites items, so only editable declarations can be restored
+const RESTORABLE_STATUSES = ['draft', 'validated'];
+
+/**
+ * Snapshots Service
+ * Immutable declaration versions: items, breakdowns, flags, header and
+ * tax events / rules of the calculation, taken on every generate, manual override,
+ * header update, validation and status transition
+ */
+const snapshotsService = {
+    // ==========================================
+    // TAKE
+    // ==========================================
+
+    /**
+     * Snapshot current state of declaration
+     * Events and rules are carried over from the previous snapshot unless given
+     * Pass the client of the action's transaction: snapshot is stored with the action or not at all
+     * @param {string} declarationId
+     * @param {string} reason - generate | manual_override | header_update | validation | status_transition | restore
+     * @param {Object} options - { userId, details, sources: { eventIds, ruleIds } }
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<Object>}
+     */
+    async take(declarationId, reason, { userId = null, details = null, sources = null } = {}, client = null) {
+        return db.withTransaction(async (tx) => {
+            const exists = await snapshotsRepository.lockDeclaration(declarationId, tx);
+            if (!exists) {
+                throw new Error('Declaration not found');
+            }
+
+            const declaration = await declarationsRepository.findById(declarationId, tx);
+            const items = await declarationsRepository.getItems(declarationId, tx);
+            const breakdowns = await declarationsRepository.getBreakdowns(declarationId, tx);
+
+            let eventIds = sources ? sources.eventIds : null;
+            let ruleIds = sources ? sources.ruleIds : null;
+            if (!sources) {
+                const previous = await snapshotsRepository.findLatest(declarationId, tx);
+                eventIds = previous ? previous.event_ids : [];
+                ruleIds = previous ? previous.rule_ids : [];
+            }
+
+            return snapshotsRepository.create({
+                declarationId,
+                reason,
+                status: declaration.status,
+                items: items.map(item => ({
+                    logical_field: item.logical_field,
+                    value: parseFloat(item.value),
+                    source: item.source,
+                    pinned: item.pinned,
+                    engine_value: item.engine_value === null ? null : parseFloat(item.engine_value),
+                    overridden_by_user_id: item.overridden_by_user_id,
+                    overridden_at: item.overridden_at,
+                })),
+                breakdowns: breakdowns.map(row => ({ ...row, value: parseFloat(row.value) })),
+                flags: declaration.flags || {},
+                header: Object.fromEntries(HEADER_FIELDS.map(field => [field, declaration[field] || null])),
+                eventIds,
+                ruleIds,
+                details,
+                createdByUserId: userId,
+            }, tx);
+        }, client);
+    },
+
+    // ==========================================
+    // READ
+    // ==========================================
+
+    /**
+     * Snapshots of declaration, newest first
+     * @param {string} declarationId
+     * @param {string} userId
+     * @returns {Promise<Array>}
+     */
+    async listForDeclaration(declarationId, userId) {
+        await this.getAccessibleDeclaration(declarationId, userId);
+        return snapshotsRepository.listByDeclaration(declarationId);
+    },
+
+    /**
+     * Get snapshot with content
+     * @param {string} snapshotId
+     * @param {string} userId
+     * @returns {Promise<Object>}
+     */
+    async getById(snapshotId, userId) {
+        return this.getAccessibleSnapshot(snapshotId, userId);
+    },
+
+    /**
+     * Compare snapshot with another snapshot of the same declaration
+     * @param {string} snapshotId
+     * @param {string} userId
+     * @param {string} againstId - Earlier snapshot, previous version by default
+     * @returns {Promise<Object>} { from, to, summary, status, items, breakdowns, header, flags, events, rules }
+     */
+    async diff(snapshotId, userId, againstId = null) {
+        const snapshot = await this.getAccessibleSnapshot(snapshotId, userId);
+
+        let against;
+        if (againstId) {
+            against = await this.getAccessibleSnapshot(againstId, userId);
+            if (against.declaration_id !== snapshot.declaration_id) {
+                throw new Error('Cannot compare snapshots of different declarations');
+            }
+        } else {
+            against = await snapshotsRepository.findPrevious(snapshot.declaration_id, snapshot.version);
+        }
+
+        const valuesOf = (items = []) => Object.fromEntries(items.map(item => [item.logical_field, item.value]));
+        const idsDiff = (before = [], after = []) => ({
+            added: after.filter(id => !before.includes(id)),
+            removed: before.filter(id => !after.includes(id)),
+        });
+
+        const base = against || { items: [], breakdowns: [], flags: {}, header: {}, event_ids: [], rule_ids: [] };
+
+        const items = diffItems(valuesOf(base.items), valuesOf(snapshot.items));
+        const breakdowns = diffBreakdowns(base.breakdowns, snapshot.breakdowns);
+        const header = diffHeader(base.header, snapshot.header);
+        const flags = diffFlags(base.flags, snapshot.flags);
+        const events = idsDiff(base.event_ids, snapshot.event_ids);
+        const rules = idsDiff(base.rule_ids, snapshot.rule_ids);
+
+        return {
+            from: against ? this.describe(against) : null,
+            to: this.describe(snapshot),
+            summary: {
+                items: items.length,
+                breakdowns: breakdowns.length,
+                header: header.length,
+                flags: flags.length,
+                events: events.added.length + events.removed.length,
+                rules: rules.added.length + rules.removed.length,
+            },
+            status: { from: against ? against.status : null, to: snapshot.status },
+            items,
+            breakdowns,
+            header,
+            flags,
+            events,
+            rules,
+        };
+    },
+
+    describe(snapshot) {
+        return {
+            id: snapshot.id,
+            version: snapshot.version,
+            reason: snapshot.reason,
+            status: snapshot.status,
+            createdAt: snapshot.created_at,
+        };
+    },
+
+    // ==========================================
+    // RESTORE
+    // ==========================================
+
+    /**
+     * Restore draft from snapshot: items, breakdowns, flags and header
+     * Validated declaration goes back to draft
+     * @param {string} snapshotId
+     * @param {string} userId
+     * @returns {Promise<Object>} { declaration, snapshot }
+     */
+    async restore(snapshotId, userId) {
+        const snapshot = await this.getAccessibleSnapshot(snapshotId, userId);
+
+        // Items, breakdowns, header and the restore snapshot are written together
+        return db.withTransaction(async (client) => {
+            await snapshotsRepository.lockDeclaration(snapshot.declaration_id, client);
+            const declaration = await declarationsRepository.findById(snapshot.declaration_id, client);
+
+            if (!RESTORABLE_STATUSES.includes(declaration.status)) {
+                throw new Error(`Cannot restore snapshot: declaration is ${declaration.status}, only draft or validated can be restored`);
+            }
+
+            await declarationsRepository.replaceItems(declaration.id, snapshot.items, client);
+            await declarationsRepository.replaceBreakdowns(declaration.id, snapshot.breakdowns.map(row => ({
+                logicalField: row.logical_field,
+                groupKey: row.group_key,
+                month: row.period_month,
+                value: row.value,
+            })), client);
+
+            await declarationsRepository.update(declaration.id, {
+                ...snapshot.header,
+                flags: snapshot.flags,
+                status: 'draft',
+            }, client);
+
+            const restored = await this.take(declaration.id, 'restore', {
+                userId,
+                details: { snapshotId: snapshot.id, version: snapshot.version },
+                sources: { eventIds: snapshot.event_ids, ruleIds: snapshot.rule_ids },
+            }, client);
+
+            return {
+                declaration: await declarationsRepository.findById(declaration.id, client),
+                snapshot: restored,
+            };
+        });
+    },
+
+    // ==========================================
+    // HELPERS
+    // ==========================================
+
+    async getAccessibleDeclaration(declarationId, userId) {
+        const declaration = await declarationsRepository.findById(declarationId);
+        if (!declaration) {
+            throw new Error('Declaration not found');
+        }
+        const hasAccess = await identitiesRepository.userHasAccess(userId, declaration.tax_identity_id);
+        if (!hasAccess) {
+            throw new Error('No access to this declaration');
+        }
+        return declaration;
+    },
+
+    async getAccessibleSnapshot(snapshotId, userId) {
+        const snapshot = await snapshotsRepository.findById(snapshotId);
+        if (!snapshot) {
+            throw new Error('Snapshot not found');
+        }
+        const hasAccess = await identitiesRepository.userHasAccess(userId, snapshot.tax_identity_id);
+        if (!hasAccess) {
+            throw new Error('No access to this snapshot');
+        }
+        return snapshot;
+    },
+};
+
+module.exports = snapshotsService;
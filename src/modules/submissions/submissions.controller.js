@@ -0,0 +1,165 @@
+const submissionsService = require('./submissions.service');
+
+const submissionsController = {
+    /**
+     * POST /submissions/declarations/:declarationId
+     * Submit signed declaration to gateway
+     */
+    async submit(req, res, next) {
+        try {
+            const { scenario, errorCode, delaySeconds } = req.body || {};
+
+            const result = await submissionsService.submit(
+                req.params.declarationId,
+                req.user.id,
+                { scenario, errorCode, delaySeconds }
+            );
+
+            res.status(201).json({
+                success: true,
+                data: result,
+                message: 'Декларация отправлена',
+            });
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return res.status(404).json({ success: false, error: error.message });
+            }
+            if (error.message.includes('No access')) {
+                return res.status(403).json({ success: false, error: error.message });
+            }
+            if (error.message.includes('Cannot')) {
+                return res.status(409).json({ success: false, error: error.message });
+            }
+            if (error.message.includes('gateway error')) {
+                return res.status(502).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * GET /submissions/declarations/:declarationId
+     * List declaration submissions
+     */
+    async listForDeclaration(req, res, next) {
+        try {
+            const submissions = await submissionsService.listForDeclaration(req.params.declarationId, req.user.id);
+
+            res.json({
+                success: true,
+                data: submissions,
+            });
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return res.status(404).json({ success: false, error: error.message });
+            }
+            if (error.message.includes('No access')) {
+                return res.status(403).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * GET /submissions/:submissionId
+     * Get submission
+     */
+    async getById(req, res, next) {
+        try {
+            const submission = await submissionsService.getById(req.params.submissionId, req.user.id);
+
+            res.json({
+                success: true,
+                data: submission,
+            });
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return res.status(404).json({ success: false, error: error.message });
+            }
+            if (error.message.includes('No access')) {
+                return res.status(403).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * POST /submissions/:submissionId/poll
+     * Ask gateway for submission status
+     */
+    async poll(req, res, next) {
+        try {
+            const result = await submissionsService.poll(req.params.submissionId, req.user.id);
+
+            res.json({
+                success: true,
+                data: result,
+            });
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return res.status(404).json({ success: false, error: error.message });
+            }
+            if (error.message.includes('No access')) {
+                return res.status(403).json({ success: false, error: error.message });
+            }
+            if (error.message.includes('gateway error')) {
+                return res.status(502).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * POST /submissions/poll-pending
+     * Poll all pending submissions (scheduled job)
+     */
+    async pollPending(req, res, next) {
+        try {
+            const limit = req.body && req.body.limit ? parseInt(req.body.limit, 10) : undefined;
+
+            const result = await submissionsService.pollPending({ limit }, req.get('X-Job-Secret'));
+
+            res.json({
+                success: true,
+                data: result,
+            });
+        } catch (error) {
+            if (error.message.includes('No access')) {
+                return res.status(403).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    },
+
+    /**
+     * POST /submissions/callback/:transport
+     * Status pushed by gateway
+     */
+    async callback(req, res, next) {
+        try {
+            const result = await submissionsService.handleCallback(
+                req.params.transport,
+                req.body,
+                req.get('X-Callback-Secret')
+            );
+
+            res.json({
+                success: true,
+                data: {
+                    submissionId: result.submission.id,
+                    state: result.submission.state,
+                },
+            });
+        } catch (error) {
+            if (error.message.includes('not found')) {
+                return res.status(404).json({ success: false, error: error.message });
+            }
+            if (error.message.includes('No access')) {
+                return res.status(403).json({ success: false, error: error.message });
+            }
+            next(error);
+        }
+    },
+};
+
+module.exports = submissionsController;
@@ -0,0 +1,206 @@
+const db = require('../../db/postgres');
+
+// Submission states still waiting for the gateway
+const PENDING_STATES = ['sent', 'processing'];
+
+// States blocking another submission of the same declaration (created - gateway is being called)
+const IN_FLIGHT_STATES = ['created', ...PENDING_STATES];
+
+const submissionsRepository = {
+    PENDING_STATES,
+    IN_FLIGHT_STATES,
+
+    /**
+     * Create submission (state created, before calling gateway)
+     * @param {Object} data
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<Object>}
+     */
+    async create({ declarationId, externalSystem, xmlExportId, signatureId, submittedByUserId }, client = db) {
+        const result = await client.query(
+            `INSERT INTO smartbridge_submissions (
+                declaration_id, external_system, xml_export_id, signature_id, submitted_by_user_id
+            )
+            VALUES ($1, $2, $3, $4, $5)
+            RETURNING *`,
+            [declarationId, externalSystem, xmlExportId, signatureId, submittedByUserId]
+        );
+        return result.rows[0];
+    },
+
+    /**
+     * Find submission by ID
+     * @param {string} id
+     * @returns {Promise<Object|null>}
+     */
+    async findById(id) {
+        const result = await db.query(
+            `SELECT s.*, d.tax_identity_id
+            FROM smartbridge_submissions s
+            JOIN declarations d ON d.id = s.declaration_id
+            WHERE s.id = $1`,
+            [id]
+        );
+        return result.rows[0] || null;
+    },
+
+    /**
+     * Find submission by gateway ID
+     * @param {string} externalSystem
+     * @param {string} externalId
+     * @returns {Promise<Object|null>}
+     */
+    async findByExternalId(externalSystem, externalId) {
+        const result = await db.query(
+            `SELECT * FROM smartbridge_submissions
+            WHERE external_system = $1 AND external_id = $2`,
+            [externalSystem, externalId]
+        );
+        return result.rows[0] || null;
+    },
+
+    /**
+     * List submissions of declaration
+     * @param {string} declarationId
+     * @returns {Promise<Array>}
+     */
+    async listByDeclaration(declarationId) {
+        const result = await db.query(
+            `SELECT * FROM smartbridge_submissions
+            WHERE declaration_id = $1
+            ORDER BY created_at DESC`,
+            [declarationId]
+        );
+        return result.rows;
+    },
+
+    /**
+     * Submission of declaration still processed by gateway (or being sent to it)
+     * @param {string} declarationId
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<Object|null>}
+     */
+    async findPendingByDeclaration(declarationId, client = db) {
+        const result = await client.query(
+            `SELECT * FROM smartbridge_submissions
+            WHERE declaration_id = $1 AND state = ANY($2)
+            ORDER BY created_at DESC
+            LIMIT 1`,
+            [declarationId, IN_FLIGHT_STATES]
+        );
+        return result.rows[0] || null;
+    },
+
+    /**
+     * Pending submissions to poll, least recently polled first
+     * @param {number} limit
+     * @returns {Promise<Array>}
+     */
+    async listPending(limit = 50) {
+        const result = await db.query(
+            `SELECT * FROM smartbridge_submissions
+            WHERE state = ANY($1)
+            ORDER BY last_polled_at NULLS FIRST, created_at
+            LIMIT $2`,
+            [PENDING_STATES, limit]
+        );
+        return result.rows;
+    },
+
+    /**
+     * Record gateway answer to submit request
+     * @param {string} id
+     * @param {Object} data - { externalId, status, state, responsePayload }
+     * @returns {Promise<Object>}
+     */
+    async markSent(id, { externalId, status, state, responsePayload }) {
+        const result = await db.query(
+            `UPDATE smartbridge_submissions
+            SET external_id = $2,
+                status = $3,
+                state = $4,
+                response_payload = $5,
+                submitted_at = now(),
+                updated_at = now()
+            WHERE id = $1
+            RETURNING *`,
+            [id, externalId, status, state, JSON.stringify(responsePayload || {})]
+        );
+        return result.rows[0];
+    },
+
+    /**
+     * Gateway refused or was unavailable
+     * @param {string} id
+     * @param {string} error
+     * @returns {Promise<Object>}
+     */
+    async markFailed(id, error) {
+        const result = await db.query(
+            `UPDATE smartbridge_submissions
+            SET state = 'failed',
+                response_payload = $2,
+                completed_at = now(),
+                updated_at = now()
+            WHERE id = $1
+            RETURNING *`,
+            [id, JSON.stringify({ error })]
+        );
+        return result.rows[0];
+    },
+
+    /**
+     * Store processing status from polling or callback
+     * @param {string} id
+     * @param {Object} data - { status, state, responsePayload, registrationNumber, rejectionReason, errors, polled }
+     * @returns {Promise<Object>}
+     */
+    async updateStatus(id, { status, state, responsePayload, registrationNumber, rejectionReason, errors, polled = false }) {
+        const result = await db.query(
+            `UPDATE smartbridge_submissions
+            SET status = $2,
+                state = $3,
+                response_payload = COALESCE($4, response_payload),
+                registration_number = COALESCE($5, registration_number),
+                rejection_reason = COALESCE($6, rejection_reason),
+                errors = COALESCE($7, errors),
+                poll_attempts = poll_attempts + CASE WHEN $8 THEN 1 ELSE 0 END,
+                last_polled_at = CASE WHEN $8 THEN now() ELSE last_polled_at END,
+                completed_at = CASE WHEN $3 IN ('accepted', 'rejected') THEN now() ELSE completed_at END,
+                updated_at = now()
+            WHERE id = $1
+            RETURNING *`,
+            [
+                id,
+                status,
+                state,
+                responsePayload ? JSON.stringify(responsePayload) : null,
+                registrationNumber || null,
+                rejectionReason || null,
+                errors ? JSON.stringify(errors) : null,
+                polled,
+            ]
+        );
+        return result.rows[0];
+    },
+
+    /**
+     * Record failed poll (gateway error) so queue moves on
+     * @param {string} id
+     * @returns {Promise<Object>}
+     */
+    async touchPolled(id) {
+        const result = await db.query(
+            `UPDATE smartbridge_submissions
+            SET poll_attempts = poll_attempts + 1,
+                last_polled_at = now(),
+                updated_at = now()
+            WHERE id = $1
+            RETURNING *`,
+            [id]
+        );
+        return result.rows[0];
+    },
+};
+
+module.exports = submissionsRepository;
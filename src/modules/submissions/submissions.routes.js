@@ -0,0 +1,53 @@
+const express = require('express');
+const router = express.Router();
+const submissionsController = require('./submissions.controller');
+const { authenticate } = require('../../middleware/auth.middleware');
+
+/**
+ * @route   POST /api/submissions/callback/:transport
+ * @desc    Status pushed by gateway (checked by X-Callback-Secret)
+ * @access  Gateway
+ */
+router.post('/callback/:transport', submissionsController.callback);
+
+/**
+ * @route   POST /api/submissions/poll-pending
+ * @desc    Poll gateway for pending submissions of all users (checked by X-Job-Secret)
+ * @access  Scheduler
+ * @body    { limit? }
+ */
+router.post('/poll-pending', submissionsController.pollPending);
+
+// Other routes require authentication
+router.use(authenticate);
+
+/**
+ * @route   GET /api/submissions/declarations/:declarationId
+ * @desc    List declaration submissions
+ * @access  Private
+ */
+router.get('/declarations/:declarationId', submissionsController.listForDeclaration);
+
+/**
+ * @route   POST /api/submissions/declarations/:declarationId
+ * @desc    Submit signed declaration (signed → submitted)
+ * @access  Private
+ * @body    { scenario?, errorCode?, delaySeconds? } - mock transport only
+ */
+router.post('/declarations/:declarationId', submissionsController.submit);
+
+/**
+ * @route   GET /api/submissions/:submissionId
+ * @desc    Get submission
+ * @access  Private
+ */
+router.get('/:submissionId', submissionsController.getById);
+
+/**
+ * @route   POST /api/submissions/:submissionId/poll
+ * @desc    Ask gateway for status (submitted → accepted | rejected)
+ * @access  Private
+ */
+router.post('/:submissionId/poll', submissionsController.poll);
+
+module.exports = router;
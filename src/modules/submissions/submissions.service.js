@@ -0,0 +1,311 @@
+const crypto = require('crypto');
+const db = require('../../db/postgres');
+const submissionsRepository = require('./submissions.repository');
+const submissionsTransport = require('./submissions.transport');
+const declarationsRepository = require('../declarations/declarations.repository');
+const declarationsService = require('../declarations/declarations.service');
+const identitiesRepository = require('../identities/identities.repository');
+const snapshotsRepository = require('../snapshots/snapshots.repository');
+const signaturesRepository = require('../signatures/signatures.repository');
+const xmlGeneratorRepository = require('../xml-generator/xmlGenerator.repository');
+const receiptsService = require('../receipts/receipts.service');
+const xmldsig = require('../../utils/xmldsig');
+require('dotenv').config();
+
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+const CALLBACK_SECRET = process.env.SUBMISSION_CALLBACK_SECRET || null;
+const JOB_SECRET = process.env.SUBMISSION_JOB_SECRET || null;
+
+/**
+ * Submissions Service
+ * Submits the signed XML through gateway transport and follows processing:
+ * signed → submitted (gateway took the request) → accepted | rejected
+ * (by polling or gateway callback, result is stored as authority receipt)
+ */
+const submissionsService = {
+    // ==========================================
+    // SUBMIT
+    // ==========================================
+
+    /**
+     * Submit latest signed XML of declaration
+     * @param {string} declarationId
+     * @param {string} userId
+     * @param {Object} options - Transport options (mock: scenario, errorCode, delaySeconds)
+     * @returns {Promise<Object>} { submission, declaration }
+     */
+    async submit(declarationId, userId, options = {}) {
+        await this.getAccessibleDeclaration(declarationId, userId);
+
+        const transport = submissionsTransport.getTransport();
+
+        // Checks and the submission row under declaration row lock: concurrent submit
+        // waits here and then sees this submission as in flight
+        const { declaration, submission, xmlContent, signature } = await db.withTransaction(async (client) => {
+            await snapshotsRepository.lockDeclaration(declarationId, client);
+            const current = await declarationsRepository.findById(declarationId, client);
+
+            if (current.status !== 'signed') {
+                throw new Error(`Cannot submit declaration in status ${current.status}`);
+            }
+
+            const pending = await submissionsRepository.findPendingByDeclaration(declarationId, client);
+            if (pending) {
+                throw new Error(`Cannot submit declaration: submission ${pending.id} is still processed by gateway`);
+            }
+
+            const xml = await xmlGeneratorRepository.getLatestXml(declarationId, client);
+            const latestSignature = xml && await signaturesRepository.findLatestForXml(xml.id, client);
+            if (!latestSignature) {
+                throw new Error('Cannot submit declaration: latest XML is not signed');
+            }
+
+            const created = await submissionsRepository.create({
+                declarationId,
+                externalSystem: transport.name,
+                xmlExportId: xml.id,
+                signatureId: latestSignature.id,
+                submittedByUserId: userId,
+            }, client);
+
+            return {
+                declaration: current,
+                submission: created,
+                // EDS travels inside the document, OTP signature as request metadata
+                xmlContent: latestSignature.signature_type === 'eds'
+                    ? xmldsig.attachSignature(xml.xml_content, latestSignature.signature_payload)
+                    : xml.xml_content,
+                signature: latestSignature,
+            };
+        });
+
+        let result;
+        try {
+            result = submissionsTransport.validateResult(await transport.submit({
+                submissionId: submission.id,
+                declaration,
+                xmlContent,
+                signature: {
+                    type: signature.signature_type,
+                    xmlHash: signature.xml_hash,
+                    signerIin: signature.signer_iin,
+                    signedAt: signature.signed_at,
+                },
+                callbackUrl: `${APP_URL}/api/submissions/callback/${transport.name}`,
+                options,
+            }), transport.name);
+        } catch (error) {
+            await submissionsRepository.markFailed(submission.id, error.message);
+            throw new Error(`Submission gateway error: ${error.message}`);
+        }
+
+        const sent = await submissionsRepository.markSent(submission.id, {
+            externalId: result.externalId,
+            status: result.status,
+            state: submissionsTransport.FINAL_STATES.includes(result.state) ? 'processing' : result.state,
+            responsePayload: result.payload,
+        });
+
+        const submitted = await declarationsService.transitionStatus(declarationId, 'submitted', userId, { bySubmission: true });
+
+        // Gateway may answer synchronously
+        if (submissionsTransport.FINAL_STATES.includes(result.state)) {
+            return this.applyResult(sent, result);
+        }
+        return { submission: sent, declaration: submitted };
+    },
+
+    // ==========================================
+    // STATUS (POLLING / CALLBACK)
+    // ==========================================
+
+    /**
+     * Poll gateway for submission status
+     * @param {string} submissionId
+     * @param {string} userId
+     * @returns {Promise<Object>} { submission, declaration }
+     */
+    async poll(submissionId, userId) {
+        const submission = await this.getAccessibleSubmission(submissionId, userId);
+        return this.pollSubmission(submission);
+    },
+
+    /**
+     * Poll all pending submissions of every user (scheduled job)
+     * @param {Object} options - { limit }
+     * @param {string} secret - X-Job-Secret header
+     * @returns {Promise<Object>} { polled, completed, errors }
+     */
+    async pollPending({ limit = 50 } = {}, secret) {
+        this.verifySecret(JOB_SECRET, secret, 'job', 'SUBMISSION_JOB_SECRET');
+
+        const pending = await submissionsRepository.listPending(limit);
+        const summary = { polled: 0, completed: 0, errors: [] };
+
+        for (const submission of pending) {
+            try {
+                const { submission: updated } = await this.pollSubmission(submission);
+                summary.polled++;
+                if (submissionsTransport.FINAL_STATES.includes(updated.state)) {
+                    summary.completed++;
+                }
+            } catch (error) {
+                summary.errors.push({ submissionId: submission.id, error: error.message });
+            }
+        }
+
+        return summary;
+    },
+
+    /**
+     * @param {Object} submission - smartbridge_submissions row
+     * @returns {Promise<Object>} { submission, declaration }
+     */
+    async pollSubmission(submission) {
+        if (!submissionsRepository.PENDING_STATES.includes(submission.state)) {
+            return { submission, declaration: await declarationsRepository.findById(submission.declaration_id) };
+        }
+
+        const transport = submissionsTransport.getTransport(submission.external_system);
+
+        let result;
+        try {
+            result = submissionsTransport.validateResult(await transport.getStatus(submission.external_id), transport.name);
+        } catch (error) {
+            await submissionsRepository.touchPolled(submission.id);
+            throw new Error(`Submission gateway error: ${error.message}`);
+        }
+
+        return this.applyResult(submission, result, { polled: true });
+    },
+
+    /**
+     * Status pushed by gateway
+     * @param {string} transportName
+     * @param {Object} body
+     * @param {string} secret - X-Callback-Secret header
+     * @returns {Promise<Object>} { submission, declaration }
+     */
+    async handleCallback(transportName, body, secret) {
+        this.verifyCallbackSecret(secret);
+
+        const transport = submissionsTransport.getTransport(transportName);
+        const result = submissionsTransport.validateResult(transport.parseCallback(body), transport.name);
+
+        const submission = await submissionsRepository.findByExternalId(transport.name, result.externalId);
+        if (!submission) {
+            throw new Error(`Submission not found: ${result.externalId}`);
+        }
+
+        return this.applyResult(submission, result);
+    },
+
+    /**
+     * Store gateway status; final state is recorded as authority receipt,
+     * which moves declaration submitted → accepted | rejected.
+     * Repeated results for completed submission are ignored.
+     * @param {Object} submission
+     * @param {Object} result - TransportResult
+     * @param {Object} options - { polled }
+     * @returns {Promise<Object>} { submission, declaration, receipt? }
+     */
+    async applyResult(submission, result, { polled = false } = {}) {
+        if (!submissionsRepository.PENDING_STATES.includes(submission.state)) {
+            return { submission, declaration: await declarationsRepository.findById(submission.declaration_id) };
+        }
+
+        const updated = await submissionsRepository.updateStatus(submission.id, {
+            status: result.status,
+            state: result.state,
+            responsePayload: result.payload,
+            registrationNumber: result.registrationNumber,
+            rejectionReason: result.reason,
+            errors: result.errors,
+            polled,
+        });
+
+        if (!submissionsTransport.FINAL_STATES.includes(result.state)) {
+            return { submission: updated, declaration: await declarationsRepository.findById(submission.declaration_id) };
+        }
+
+        const { receipt, declaration } = await receiptsService.recordFromGateway(updated, result);
+        return { submission: updated, declaration, receipt };
+    },
+
+    verifyCallbackSecret(secret) {
+        this.verifySecret(CALLBACK_SECRET, secret, 'callback', 'SUBMISSION_CALLBACK_SECRET');
+    },
+
+    /**
+     * Check shared secret of caller outside user sessions (gateway, scheduler)
+     * @param {string|null} configured - Secret from environment, null disables the endpoint
+     * @param {string} secret - Secret sent by caller
+     * @param {string} name - Secret name used in error messages (callback, job)
+     * @param {string} variable - Environment variable of the secret
+     */
+    verifySecret(configured, secret, name, variable) {
+        if (!configured) {
+            throw new Error(`No access: endpoint is disabled (${variable} is not set)`);
+        }
+        const expected = crypto.createHash('sha256').update(configured).digest();
+        const actual = crypto.createHash('sha256').update(String(secret || '')).digest();
+        if (!crypto.timingSafeEqual(expected, actual)) {
+            throw new Error(`No access: ${name} secret is invalid`);
+        }
+    },
+
+    // ==========================================
+    // READ
+    // ==========================================
+
+    /**
+     * Submissions of declaration
+     * @param {string} declarationId
+     * @param {string} userId
+     * @returns {Promise<Array>}
+     */
+    async listForDeclaration(declarationId, userId) {
+        await this.getAccessibleDeclaration(declarationId, userId);
+        return submissionsRepository.listByDeclaration(declarationId);
+    },
+
+    /**
+     * Get submission
+     * @param {string} submissionId
+     * @param {string} userId
+     * @returns {Promise<Object>}
+     */
+    async getById(submissionId, userId) {
+        return this.getAccessibleSubmission(submissionId, userId);
+    },
+
+    // ==========================================
+    // HELPERS
+    // ==========================================
+
+    async getAccessibleDeclaration(declarationId, userId) {
+        const declaration = await declarationsRepository.findById(declarationId);
+        if (!declaration) {
+            throw new Error('Declaration not found');
+        }
+        const hasAccess = await identitiesRepository.userHasAccess(userId, declaration.tax_identity_id);
+        if (!hasAccess) {
+            throw new Error('No access to this declaration');
+        }
+        return declaration;
+    },
+
+    async getAccessibleSubmission(submissionId, userId) {
+        const submission = await submissionsRepository.findById(submissionId);
+        if (!submission) {
+            throw new Error('Submission not found');
+        }
+        const hasAccess = await identitiesRepository.userHasAccess(userId, submission.tax_identity_id);
+        if (!hasAccess) {
+            throw new Error('No access to this submission');
+        }
+        return submission;
+    },
+};
+
+module.exports = submissionsService;
@@ -0,0 +1,68 @@
+/**
+ * Submission Transport Manager
+ * Selects gateway transport used to submit signed declarations
+ *
+ * Transport interface:
+ *   name: string - stored in smartbridge_submissions.external_system
+ *
+ *   submit({ submissionId, declaration, xmlContent, signature, callbackUrl, options })
+ *     → Promise<TransportResult> - gateway accepted the request for processing
+ *       (throws if gateway is unavailable or refused the request)
+ *
+ *   getStatus(externalId) → Promise<TransportResult> - current processing status (polling)
+ *
+ *   parseCallback(body) → TransportResult - status pushed by gateway to callbackUrl
+ *
+ * TransportResult:
+ *   { externalId, status (raw gateway status), state (sent | processing | accepted | rejected),
+ *     registrationNumber?, reason?, errors?: [{ code, message, form?, field? }], payload }
+ */
+
+const MockTransport = require('./transports/mock.transport');
+require('dotenv').config();
+
+const DEFAULT_TRANSPORT = process.env.SUBMISSION_TRANSPORT || 'mock';
+
+// Final states end processing; declaration moves to the same status
+const FINAL_STATES = ['accepted', 'rejected'];
+
+const submissionsTransport = {
+    FINAL_STATES,
+
+    /**
+     * Get transport by name
+     * @param {string} name - Defaults to SUBMISSION_TRANSPORT
+     * @returns {Object} Transport module
+     */
+    getTransport(name = DEFAULT_TRANSPORT) {
+        const transports = {
+            'mock': MockTransport,
+        };
+
+        const transport = transports[name];
+
+        if (!transport) {
+            throw new Error(`Unknown submission transport: ${name}. Supported: ${Object.keys(transports).join(', ')}`);
+        }
+
+        return transport;
+    },
+
+    /**
+     * Check transport result has the fields service relies on
+     * @param {Object} result
+     * @param {string} transportName
+     * @returns {Object} result
+     */
+    validateResult(result, transportName) {
+        if (!result || !result.externalId) {
+            throw new Error(`Transport ${transportName}: externalId is required`);
+        }
+        if (!['sent', 'processing', ...FINAL_STATES].includes(result.state)) {
+            throw new Error(`Transport ${transportName}: state is invalid: ${result.state}`);
+        }
+        return result;
+    },
+};
+
+module.exports = submissionsTransport;
@@ -0,0 +1,212 @@
+/**
+ * Mock Transport
+ * Local imitation of the tax authority gateway for testing the filing lifecycle
+ *
+ * Scenarios (options.scenario, default SUBMISSION_MOCK_SCENARIO):
+ *   accept      - declaration accepted, registration number assigned
+ *   reject      - declaration rejected with error code (options.errorCode)
+ *   unavailable - gateway refuses the request (submit throws)
+ *
+ * Processing takes options.delaySeconds (default SUBMISSION_MOCK_DELAY_SECONDS);
+ * until then status is PROCESSING. Scenario and due time are encoded in externalId,
+ * so polling works across restarts without any mock state.
+ */
+
+const crypto = require('crypto');
+require('dotenv').config();
+
+const DEFAULT_SCENARIO = process.env.SUBMISSION_MOCK_SCENARIO || 'accept';
+const DEFAULT_DELAY_SECONDS = parseInt(process.env.SUBMISSION_MOCK_DELAY_SECONDS, 10) || 0;
+const CALLBACK_SECRET = process.env.SUBMISSION_CALLBACK_SECRET || null;
+
+const SCENARIOS = ['accept', 'reject', 'unavailable'];
+
+// Rejection codes the mock gateway returns, with the form field they point to
+const MOCK_ERRORS = {
+    FNO_IIN_NOT_FOUND: {
+        message: 'ИИН налогоплательщика не найден в ГБД ФЛ',
+        form: 'form_270_00',
+        field: 'iin',
+    },
+    FNO_PERIOD_DUPLICATE: {
+        message: 'Декларация за указанный период уже принята. Подайте дополнительную декларацию',
+        form: 'form_270_00',
+        field: 'period_year',
+    },
+    FNO_INCOME_TOTAL_MISMATCH: {
+        message: 'Итоговая сумма доходов не равна сумме строк',
+        form: 'form_270_01',
+        field: 'field_270_01_B',
+    },
+    FNO_SIGNATURE_INVALID: {
+        message: 'Подпись декларации не прошла проверку',
+        form: null,
+        field: null,
+    },
+};
+
+const DEFAULT_ERROR_CODE = 'FNO_IIN_NOT_FOUND';
+
+const ID_PATTERN = /^MOCK-(A|R)-([A-Z_]+|0)-([0-9a-z]+)-([0-9a-f]+)$/;
+
+const MockTransport = {
+    name: 'mock',
+
+    /**
+     * Accept submission for processing
+     * @param {Object} request - { declaration, xmlContent, signature, callbackUrl, options }
+     * @returns {Promise<Object>} TransportResult
+     */
+    async submit({ declaration, xmlContent, signature, callbackUrl, options = {} }) {
+        const scenario = options.scenario || DEFAULT_SCENARIO;
+        if (!SCENARIOS.includes(scenario)) {
+            throw new Error(`Mock scenario is invalid: ${scenario}. Supported: ${SCENARIOS.join(', ')}`);
+        }
+        if (scenario === 'unavailable') {
+            throw new Error('Mock gateway is unavailable (503)');
+        }
+
+        if (!xmlContent || !/<fno[\s>]/.test(xmlContent)) {
+            throw new Error('Mock gateway: request is invalid: fno document expected');
+        }
+        if (!signature) {
+            throw new Error('Mock gateway: request is invalid: signature is required');
+        }
+
+        const errorCode = scenario === 'reject' ? (options.errorCode || DEFAULT_ERROR_CODE) : null;
+        if (errorCode && !MOCK_ERRORS[errorCode]) {
+            throw new Error(`Mock errorCode is invalid: ${errorCode}. Supported: ${Object.keys(MOCK_ERRORS).join(', ')}`);
+        }
+
+        const delaySeconds = options.delaySeconds !== undefined
+            ? parseInt(options.delaySeconds, 10) || 0
+            : DEFAULT_DELAY_SECONDS;
+        const dueAt = Date.now() + delaySeconds * 1000;
+
+        const externalId = [
+            'MOCK',
+            scenario === 'accept' ? 'A' : 'R',
+            errorCode || '0',
+            dueAt.toString(36),
+            crypto.randomBytes(6).toString('hex'),
+        ].join('-');
+
+        if (callbackUrl && CALLBACK_SECRET) {
+            this.scheduleCallback(externalId, callbackUrl, delaySeconds);
+        }
+
+        // Without delay the result is returned right away
+        if (delaySeconds <= 0) {
+            return this.resolve(externalId);
+        }
+
+        return {
+            externalId,
+            status: 'RECEIVED',
+            state: 'sent',
+            payload: {
+                externalId,
+                status: 'RECEIVED',
+                receivedAt: new Date().toISOString(),
+                taxYear: declaration.tax_year,
+            },
+        };
+    },
+
+    /**
+     * Current processing status
+     * @param {string} externalId
+     * @returns {Promise<Object>} TransportResult
+     */
+    async getStatus(externalId) {
+        return this.resolve(externalId);
+    },
+
+    /**
+     * Status pushed to callback URL (same shape as resolve payload)
+     * @param {Object} body
+     * @returns {Object} TransportResult
+     */
+    parseCallback(body) {
+        if (!body || !body.externalId) {
+            throw new Error('Mock callback: externalId is required');
+        }
+        return this.resolve(body.externalId);
+    },
+
+    /**
+     * Compute status from externalId
+     * @param {string} externalId
+     * @returns {Object} TransportResult
+     */
+    resolve(externalId) {
+        const match = ID_PATTERN.exec(String(externalId));
+        if (!match) {
+            throw new Error(`Mock submission not found: ${externalId}`);
+        }
+
+        const [, outcome, errorCode, dueAt36, random] = match;
+        const dueAt = parseInt(dueAt36, 36);
+
+        if (Date.now() < dueAt) {
+            return {
+                externalId,
+                status: 'PROCESSING',
+                state: 'processing',
+                payload: { externalId, status: 'PROCESSING', expectedAt: new Date(dueAt).toISOString() },
+            };
+        }
+
+        const processedAt = new Date(dueAt).toISOString();
+
+        if (outcome === 'A') {
+            const registrationNumber = `${random.slice(0, 4).toUpperCase()}${dueAt.toString().slice(-8)}`;
+            return {
+                externalId,
+                status: 'ACCEPTED',
+                state: 'accepted',
+                registrationNumber,
+                payload: { externalId, status: 'ACCEPTED', registrationNumber, processedAt },
+            };
+        }
+
+        const error = MOCK_ERRORS[errorCode];
+        const errors = [{ code: errorCode, message: error.message, form: error.form, field: error.field }];
+        return {
+            externalId,
+            status: 'REJECTED',
+            state: 'rejected',
+            reason: error.message,
+            errors,
+            payload: { externalId, status: 'REJECTED', reason: error.message, errors, processedAt },
+        };
+    },
+
+    /**
+     * Push final status to callbackUrl once processing is done
+     * (polling still works if the callback is lost)
+     * @param {string} externalId
+     * @param {string} callbackUrl
+     * @param {number} delaySeconds
+     */
+    scheduleCallback(externalId, callbackUrl, delaySeconds) {
+        const timer = setTimeout(async () => {
+            try {
+                await fetch(callbackUrl, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-Callback-Secret': CALLBACK_SECRET,
+                    },
+                    body: JSON.stringify(this.resolve(externalId).payload),
+                });
+            } catch (error) {
+                console.error('Mock gateway callback failed:', error.message);
+            }
+        }, Math.max(delaySeconds, 0) * 1000 + 100);
+
+        timer.unref();
+    },
+};
+
+module.exports = MockTransport;
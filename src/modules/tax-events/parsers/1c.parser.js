@@ -3,6 +3,8 @@
  * Parses 1C accounting system export data
  */
 
+const { normalizeBin } = require('../../../utils/iin');
+
 const OneCParser = {
     /**
      * Parse source record with 1C data
@@ -129,7 +131,7 @@ const OneCParser = {
                 item_name: item.name || item.nomenclature,
                 item_code: item.code,
                 counterparty: doc.counterparty || doc.contractor,
-                counterparty_bin: doc.counterparty_bin || doc.bin,
+                counterparty_bin: normalizeBin(doc.counterparty_bin || doc.bin, 'counterparty_bin'),
             },
         };
     },
@@ -162,7 +164,7 @@ const OneCParser = {
                 doc_type: doc.doc_type || doc.type,
                 doc_number: doc.number || doc.doc_number,
                 counterparty: doc.counterparty || doc.contractor,
-                counterparty_bin: doc.counterparty_bin || doc.bin,
+                counterparty_bin: normalizeBin(doc.counterparty_bin || doc.bin, 'counterparty_bin'),
                 description: doc.description || doc.comment,
             },
         };
@@ -3,6 +3,8 @@
  * Parses data received from external APIs (e.g., egov.kz)
  */
 
+const { normalizeBin } = require('../../../utils/iin');
+
 const ApiParser = {
     /**
      * Parse source record with API data
@@ -38,7 +40,8 @@ const ApiParser = {
             }
         }
 
-        // Format 3: { assets: [...] } - for foreign assets
+        // Format 3: { assets: [...] } - foreign assets register (270.04),
+        // only disposals produce income events
         if (responseData.assets && Array.isArray(responseData.assets)) {
             for (const asset of responseData.assets) {
                 const event = this.parseAssetRecord(asset, taxIdentityId, sourceRecordId, payload);
@@ -46,13 +49,8 @@ const ApiParser = {
             }
         }
 
-        // Format 4: { debts: [...] } - for debts
-        if (responseData.debts && Array.isArray(responseData.debts)) {
-            for (const debt of responseData.debts) {
-                const event = this.parseDebtRecord(debt, taxIdentityId, sourceRecordId, payload);
-                if (event) events.push(event);
-            }
-        }
+        // Format 4: { debts: [...] } - receivables / debts go to the
+        // domestic assets register (270.05), see parseDomesticAssets
 
         // Single record format
         if (!events.length && (responseData.event_type || responseData.type)) {
@@ -60,13 +58,76 @@ const ApiParser = {
             if (event) events.push(event);
         }
 
-        if (events.length === 0) {
+        const registerRecords = this.parseForeignAssets(sourceRecord).length +
+            this.parseDomesticAssets(sourceRecord).length;
+
+        if (events.length === 0 && registerRecords === 0) {
             throw new Error('API parser: no valid events found in payload');
         }
 
         return events;
     },
 
+    /**
+     * Parse foreign assets register records (270.04)
+     * @param {Object} sourceRecord - Source record from DB
+     * @returns {Array<Object>} - Array of foreign asset inputs (camelCase)
+     */
+    parseForeignAssets(sourceRecord) {
+        return this.getResponseList(sourceRecord, 'assets')
+            .filter(asset => !this.isDomesticAsset(asset))
+            .map(asset => ({
+                assetCategory: this.mapAssetCategory(asset.asset_category || asset.asset_type || asset.type),
+                countryCode: asset.country_code || asset.country,
+                description: asset.description || asset.name || null,
+                address: asset.address || null,
+                registrationNumber: asset.registration_number || asset.cadastral_number || asset.isin || null,
+                issuerName: asset.issuer_name || asset.issuer || asset.company_name || asset.bank_name || null,
+                bankSwift: asset.bank_swift || asset.swift || null,
+                accountNumber: asset.account_number || asset.iban || null,
+                quantity: asset.quantity ?? null,
+                ownershipShare: asset.ownership_share ?? asset.share_percent ?? null,
+                acquisitionDate: this.safeDate(asset.acquisition_date),
+                disposalDate: this.safeDate(asset.disposal_date),
+                value: asset.value ?? asset.cost ?? null,
+                currency: asset.currency ? this.normalizeCurrency(asset.currency) : null,
+            }));
+    },
+
+    /**
+     * Parse domestic register records (270.05): assets located in
+     * Kazakhstan and receivables / debts
+     * @param {Object} sourceRecord - Source record from DB
+     * @returns {Array<Object>} - Array of domestic asset inputs (camelCase)
+     */
+    parseDomesticAssets(sourceRecord) {
+        const assets = this.getResponseList(sourceRecord, 'assets')
+            .filter(asset => this.isDomesticAsset(asset))
+            .map(asset => {
+                const category = this.mapAssetCategory(asset.asset_category || asset.asset_type || asset.type);
+                return {
+                    // Bank accounts in KZ are not declared in 270.05
+                    assetCategory: category === 'bank_account' ? null : category,
+                    description: asset.description || asset.name || null,
+                    registrationNumber: asset.registration_number || asset.cadastral_number || asset.vin || asset.isin || null,
+                    address: asset.address || null,
+                    counterpartyName: asset.issuer_name || asset.issuer || asset.company_name || null,
+                    counterpartyBin: asset.company_bin || asset.issuer_bin || null,
+                    quantity: asset.quantity ?? null,
+                    ownershipShare: asset.ownership_share ?? asset.share_percent ?? null,
+                    acquisitionDate: this.safeDate(asset.acquisition_date),
+                    disposalDate: this.safeDate(asset.disposal_date),
+                    value: asset.value ?? asset.cost ?? null,
+                    currency: asset.currency ? this.normalizeCurrency(asset.currency) : null,
+                };
+            });
+
+        const debts = this.getResponseList(sourceRecord, 'debts')
+            .map(debt => this.parseDebtRecord(debt));
+
+        return [...assets, ...debts];
+    },
+
     /**
      * Parse income record from API
      * @param {Object} income
@@ -93,7 +154,7 @@ const ApiParser = {
             metadata: {
                 source_api: originalPayload.source_api || originalPayload.endpoint,
                 payer: income.payer || income.source,
-                payer_bin: income.payer_bin || income.bin,
+                payer_bin: normalizeBin(income.payer_bin || income.bin, 'payer_bin'),
                 tax_paid: income.tax_paid || income.tax,
                 original: income,
             },
@@ -136,7 +197,7 @@ const ApiParser = {
     },
 
     /**
-     * Parse asset record (for foreign assets - 270.04)
+     * Parse asset record: only disposals produce income events
      * @param {Object} asset
      * @param {string} taxIdentityId
      * @param {string} sourceRecordId
@@ -144,25 +205,32 @@ const ApiParser = {
      * @returns {Object|null}
      */
     parseAssetRecord(asset, taxIdentityId, sourceRecordId, originalPayload) {
-        const eventDate = this.extractDate(asset);
-        if (!eventDate) {
+        // Held assets go to the asset registers (270.04 / 270.05), not to income
+        const action = (asset.action || '').toLowerCase();
+        const isDisposal = Boolean(asset.disposal_date) ||
+            action.includes('dispos') || action.includes('sold') || action.includes('отчужден');
+
+        if (!isDisposal) {
             return null;
         }
 
-        // Determine if acquisition or disposal
-        const action = (asset.action || asset.type || '').toLowerCase();
-        let eventType = 'EV_PROPERTY_SALE_FOREIGN';
-
-        if (action.includes('dispos') || action.includes('sold') || action.includes('отчужден')) {
-            eventType = 'EV_PROPERTY_SALE_FOREIGN';
+        const eventDate = asset.disposal_date
+            ? this.normalizeDate(asset.disposal_date)
+            : this.extractDate(asset);
+        if (!eventDate) {
+            return null;
         }
 
+        const saleAmount = asset.sale_amount ?? asset.disposal_amount;
+
         return {
             taxIdentityId,
             sourceRecordId,
-            eventType,
+            eventType: this.isDomesticAsset(asset) ? 'EV_PROPERTY_SALE_KZ' : 'EV_PROPERTY_SALE_FOREIGN',
             eventDate,
-            amount: this.extractAmount(asset),
+            amount: saleAmount !== undefined && saleAmount !== null
+                ? parseFloat(saleAmount)
+                : this.extractAmount(asset),
             currency: this.normalizeCurrency(asset.currency),
             metadata: {
                 source_api: originalPayload.source_api,
@@ -175,39 +243,66 @@ const ApiParser = {
     },
 
     /**
-     * Parse debt record (270.06)
+     * Parse debt record into domestic register entry (270.05 C)
      * @param {Object} debt
-     * @param {string} taxIdentityId
-     * @param {string} sourceRecordId
-     * @param {Object} originalPayload
-     * @returns {Object|null}
+     * @returns {Object} - Domestic asset input (camelCase)
      */
-    parseDebtRecord(debt, taxIdentityId, sourceRecordId, originalPayload) {
-        const eventDate = this.extractDate(debt);
-        if (!eventDate) {
-            return null;
-        }
-
+    parseDebtRecord(debt) {
         const type = (debt.debt_type || debt.type || '').toLowerCase();
-        // Debt events are not mapped to 270.00, but tracked for 270.06
-        let eventType = 'EV_OTHER_NON_AGENT_INCOME';
+        const isReceivable = ['receiv', 'lent', 'loan_given', 'дебитор', 'выдан'].some(key => type.includes(key));
 
         return {
-            taxIdentityId,
-            sourceRecordId,
-            eventType,
-            eventDate,
-            amount: this.extractAmount(debt),
+            assetCategory: isReceivable ? 'receivable' : 'debt',
+            description: debt.description || debt.contract_subject || null,
+            registrationNumber: debt.contract_number || debt.contract_no || null,
+            counterpartyName: debt.counterparty || debt.debtor || debt.creditor || null,
+            counterpartyBin: debt.counterparty_bin || null,
+            acquisitionDate: this.safeDate(debt.contract_date || debt.start_date) || this.extractDate(debt),
+            disposalDate: this.safeDate(debt.repaid_date || debt.repayment_date),
+            dueDate: this.safeDate(debt.due_date || debt.maturity_date),
+            value: this.extractAmount(debt),
             currency: this.normalizeCurrency(debt.currency),
-            metadata: {
-                source_api: originalPayload.source_api,
-                counterparty: debt.counterparty || debt.debtor || debt.creditor,
-                counterparty_bin: debt.counterparty_bin,
-                original: debt,
-            },
         };
     },
 
+    /**
+     * Get list from API response data
+     * @param {Object} sourceRecord
+     * @param {string} key
+     * @returns {Array}
+     */
+    getResponseList(sourceRecord, key) {
+        const payload = sourceRecord.raw_payload;
+        if (!payload) return [];
+
+        const responseData = payload.response_data || payload.data || payload;
+        return Array.isArray(responseData[key]) ? responseData[key] : [];
+    },
+
+    /**
+     * Check whether asset is located in Kazakhstan
+     * @param {Object} asset
+     * @returns {boolean}
+     */
+    isDomesticAsset(asset) {
+        const country = String(asset.country_code || asset.country || '').trim().toUpperCase();
+        return country === 'KZ' || country === 'KAZ';
+    },
+
+    /**
+     * Normalize date, null when missing or unparseable
+     * @param {string|Date} date
+     * @returns {string|null}
+     */
+    safeDate(date) {
+        if (!date) return null;
+        try {
+            return this.normalizeDate(date);
+        } catch {
+            return null;
+        }
+    },
+
     /**
      * Extract date from record
      * @param {Object} record
@@ -345,6 +440,47 @@ const ApiParser = {
         return legacyMap[normalized] || 'EV_OTHER_NON_AGENT_INCOME';
     },
 
+    /**
+     * Map API asset type to register asset category
+     * @param {string} type
+     * @returns {string|null}
+     */
+    mapAssetCategory(type) {
+        if (!type) return null;
+
+        const value = type.toLowerCase().trim().replace(/[\s-]+/g, '_');
+
+        const mapping = {
+            'real_estate': 'real_estate',
+            'realty': 'real_estate',
+            'property': 'real_estate',
+            'недвиж': 'real_estate',
+            'securit': 'securities',
+            'stock': 'securities',
+            'bond': 'securities',
+            'ценн': 'securities',
+            'share': 'share',
+            'participation': 'share',
+            'доля': 'share',
+            'account': 'bank_account',
+            'deposit': 'bank_account',
+            'счет': 'bank_account',
+            'счёт': 'bank_account',
+            'vehicle': 'vehicle',
+            'car': 'vehicle',
+            'транспорт': 'vehicle',
+            'автомоб': 'vehicle',
+        };
+
+        for (const [key, category] of Object.entries(mapping)) {
+            if (value.includes(key)) {
+                return category;
+            }
+        }
+
+        return null;
+    },
+
     /**
      * Normalize currency
      * @param {string} currency
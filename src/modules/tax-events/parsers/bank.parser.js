@@ -3,6 +3,8 @@
  * Parses bank statement data into tax events
  */
 
+const { normalizeBin } = require('../../../utils/iin');
+
 const BankParser = {
     /**
      * Parse source record with bank statement data
@@ -96,7 +98,7 @@ const BankParser = {
                 type: txn.type || txn.transaction_type,
                 description: txn.description || txn.purpose || txn.назначение,
                 counterparty: txn.counterparty || txn.sender || txn.recipient,
-                counterparty_bin: txn.counterparty_bin || txn.bin,
+                counterparty_bin: normalizeBin(txn.counterparty_bin || txn.bin, 'counterparty_bin'),
                 is_credit: amount > 0,
                 _row_index: index,
             },
@@ -169,6 +169,10 @@ const CsvParser = {
             // Foreign tax
             'FOREIGN_TAX': 'EV_FOREIGN_TAX_PAID_GENERAL',
             'FOREIGN_TAX_CFC': 'EV_FOREIGN_TAX_PAID_CFC',
+
+            // Tax agent income (270.03), agent_bin column required
+            'AGENT_INCOME': 'EV_AGENT_INCOME',
+            'AGENT_IPN': 'EV_AGENT_IPN_WITHHELD',
         };
 
         // Return if already EV_* format
@@ -35,13 +35,71 @@ const ManualParser = {
             events.push(this.parseLegacyFormat(payload, taxIdentityId, sourceRecordId));
         }
 
-        if (events.length === 0) {
+        const registerRecords = this.parseForeignAssets(sourceRecord).length +
+            this.parseDomesticAssets(sourceRecord).length;
+
+        if (events.length === 0 && registerRecords === 0) {
             throw new Error('Manual parser: no valid events found in payload');
         }
 
         return events;
     },
 
+    /**
+     * Parse foreign assets register records (270.04)
+     * Format: { foreign_assets: [{ asset_category, country_code, ... }] }
+     * @param {Object} sourceRecord - Source record from DB
+     * @returns {Array<Object>} - Array of foreign asset inputs (camelCase)
+     */
+    parseForeignAssets(sourceRecord) {
+        const payload = sourceRecord.raw_payload;
+        if (!payload || !Array.isArray(payload.foreign_assets)) return [];
+
+        return payload.foreign_assets.map(asset => ({
+            assetCategory: asset.asset_category || asset.category,
+            countryCode: asset.country_code || asset.country,
+            description: asset.description ?? null,
+            address: asset.address ?? null,
+            registrationNumber: asset.registration_number ?? null,
+            issuerName: asset.issuer_name ?? null,
+            bankSwift: asset.bank_swift ?? null,
+            accountNumber: asset.account_number ?? null,
+            quantity: asset.quantity ?? null,
+            ownershipShare: asset.ownership_share ?? null,
+            acquisitionDate: asset.acquisition_date ? this.normalizeDate(asset.acquisition_date) : null,
+            disposalDate: asset.disposal_date ? this.normalizeDate(asset.disposal_date) : null,
+            value: asset.value ?? null,
+            currency: asset.currency ? this.normalizeCurrency(asset.currency) : null,
+        }));
+    },
+
+    /**
+     * Parse domestic register records (270.05)
+     * Format: { domestic_assets: [{ asset_category, counterparty_bin, ... }] }
+     * @param {Object} sourceRecord - Source record from DB
+     * @returns {Array<Object>} - Array of domestic asset inputs (camelCase)
+     */
+    parseDomesticAssets(sourceRecord) {
+        const payload = sourceRecord.raw_payload;
+        if (!payload || !Array.isArray(payload.domestic_assets)) return [];
+
+        return payload.domestic_assets.map(asset => ({
+            assetCategory: asset.asset_category || asset.category,
+            description: asset.description ?? null,
+            registrationNumber: asset.registration_number ?? null,
+            address: asset.address ?? null,
+            counterpartyName: asset.counterparty_name ?? null,
+            counterpartyBin: asset.counterparty_bin ?? null,
+            quantity: asset.quantity ?? null,
+            ownershipShare: asset.ownership_share ?? null,
+            acquisitionDate: asset.acquisition_date ? this.normalizeDate(asset.acquisition_date) : null,
+            disposalDate: asset.disposal_date ? this.normalizeDate(asset.disposal_date) : null,
+            dueDate: asset.due_date ? this.normalizeDate(asset.due_date) : null,
+            value: asset.value ?? null,
+            currency: asset.currency ? this.normalizeCurrency(asset.currency) : null,
+        }));
+    },
+
     /**
      * Parse single event from payload
      * @param {Object} data - Event data
@@ -70,6 +70,45 @@ const taxEventsParser = {
         }
     },
 
+    /**
+     * Extract foreign assets register records (270.04) from source record
+     * @param {Object} sourceRecord - Full source record from DB
+     * @returns {Array<Object>} Array of foreign asset inputs
+     */
+    parseForeignAssets(sourceRecord) {
+        return this.parseRegister(sourceRecord, 'parseForeignAssets');
+    },
+
+    /**
+     * Extract domestic assets / receivables register records (270.05)
+     * @param {Object} sourceRecord - Full source record from DB
+     * @returns {Array<Object>} Array of domestic asset inputs
+     */
+    parseDomesticAssets(sourceRecord) {
+        return this.parseRegister(sourceRecord, 'parseDomesticAssets');
+    },
+
+    /**
+     * Run register parser method; only parsers that support the
+     * register implement it
+     * @param {Object} sourceRecord
+     * @param {string} method
+     * @returns {Array<Object>}
+     */
+    parseRegister(sourceRecord, method) {
+        const parser = this.getParser(sourceRecord.source_type);
+
+        if (typeof parser[method] !== 'function') {
+            return [];
+        }
+
+        try {
+            return parser[method](sourceRecord);
+        } catch (error) {
+            throw new Error(`Parsing failed for source ${sourceRecord.id}: ${error.message}`);
+        }
+    },
+
     /**
      * Validate parsed event
      * @param {Object} event
@@ -7,10 +7,11 @@ const taxEventsRepository = {
 
     /**
      * Get all tax event types
+     * @param {Object} client - Transaction client (optional)
      * @returns {Promise<Array>}
      */
-    async getAllEventTypes() {
-        const result = await db.query(
+    async getAllEventTypes(client = db) {
+        const result = await client.query(
             `SELECT code, description FROM tax_event_types ORDER BY code`
         );
         return result.rows;
@@ -29,6 +30,23 @@ const taxEventsRepository = {
         return result.rowCount > 0;
     },
 
+    /**
+     * Metadata keys (top level) present on at least one stored event
+     * @param {Array<string>} keys - Keys to look up
+     * @returns {Promise<Array<string>>}
+     */
+    async findMetadataKeysInUse(keys) {
+        if (keys.length === 0) {
+            return [];
+        }
+        const result = await db.query(
+            `SELECT k.key FROM unnest($1::text[]) AS k(key)
+            WHERE EXISTS (SELECT 1 FROM tax_events te WHERE te.metadata ? k.key)`,
+            [keys]
+        );
+        return result.rows.map(row => row.key);
+    },
+
     /**
      * Create event type (admin only)
      * @param {string} code
@@ -46,6 +64,24 @@ const taxEventsRepository = {
         return result.rows[0];
     },
 
+    /**
+     * Create event type or update its description (rule bundle import)
+     * @param {string} code
+     * @param {string} description
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<Object>}
+     */
+    async upsertEventType(code, description, client = db) {
+        const result = await client.query(
+            `INSERT INTO tax_event_types (code, description)
+            VALUES ($1, $2)
+            ON CONFLICT (code) DO UPDATE SET description = EXCLUDED.description
+            RETURNING *`,
+            [code, description]
+        );
+        return result.rows[0];
+    },
+
     // ==========================================
     // TAX EVENTS CRUD
     // ==========================================
@@ -2,6 +2,8 @@ const taxEventsRepository = require('./taxEvents.repository');
 const taxEventsParser = require('./taxEvents.parser');
 const sourcesRepository = require('../sources/sources.repository');
 const identitiesRepository = require('../identities/identities.repository');
+const foreignAssetsService = require('../foreign-assets/foreignAssets.service');
+const domesticAssetsService = require('../domestic-assets/domesticAssets.service');
 
 const taxEventsService = {
     // ==========================================
@@ -61,11 +63,29 @@ const taxEventsService = {
         // 7. Insert events (transactional)
         const insertedEvents = await taxEventsRepository.bulkInsert(parsedEvents);
 
+        // 8. Asset registers (270.04, 270.05)
+        const foreignAssets = await foreignAssetsService.importFromSource(
+            sourceRecord,
+            taxEventsParser.parseForeignAssets(sourceRecord)
+        );
+        const domesticAssets = await domesticAssetsService.importFromSource(
+            sourceRecord,
+            taxEventsParser.parseDomesticAssets(sourceRecord)
+        );
+
         return {
             created: insertedEvents.length,
             skipped: 0,
             message: `Created ${insertedEvents.length} tax events`,
             events: insertedEvents,
+            foreignAssets: {
+                imported: foreignAssets.imported.length,
+                skipped: foreignAssets.skipped,
+            },
+            domesticAssets: {
+                imported: domesticAssets.imported.length,
+                skipped: domesticAssets.skipped,
+            },
         };
     },
 
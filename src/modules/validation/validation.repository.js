@@ -0,0 +1,25 @@
+const db = require('../../db/postgres');
+
+const validationRepository = {
+    // ==========================================
+    // VALIDATION RULES
+    // ==========================================
+
+    /**
+     * Get active validation rules for tax year, ordered by priority
+     * @param {number} taxYear
+     * @returns {Promise<Array>}
+     */
+    async getActiveRules(taxYear) {
+        const result = await db.query(
+            `SELECT * FROM validation_rules
+            WHERE is_active = true
+            AND (tax_year = $1 OR tax_year IS NULL)
+            ORDER BY priority ASC, rule_code ASC`,
+            [taxYear]
+        );
+        return result.rows;
+    },
+};
+
+module.exports = validationRepository;
@@ -0,0 +1,230 @@
+const validationRepository = require('./validation.repository');
+const xmlGeneratorService = require('../xml-generator/xmlGenerator.service');
+const formulaEvaluator = require('../rule-engine/engine/formulaEvaluator');
+const { parseIin } = require('../../utils/iin');
+
+// validation_rules.assertion.type → handler method
+const ASSERTION_HANDLERS = {
+    required_items: 'assertRequiredItems',
+    required_header: 'assertRequiredHeader',
+    formula: 'assertFormula',
+    iin: 'assertIin',
+    distinct: 'assertDistinct',
+    flag: 'assertFlag',
+};
+
+/**
+ * Validation Service
+ * Runs declarative business rules (validation_rules) against a declaration
+ *
+ * Report:
+ * {
+ *   isValid,                                  // no findings with severity 'error'
+ *   summary: { rulesChecked, errors, warnings },
+ *   results: [{ ruleCode, severity, field, message, expected?, actual?, detail? }]
+ * }
+ */
+const validationService = {
+    // ==========================================
+    // MAIN
+    // ==========================================
+
+    /**
+     * Validate declaration against active rules of its tax year
+     * Additional declaration is checked on its full recalculated values, not on the delta filed in XML
+     * @param {Object} declaration - declarations row
+     * @returns {Promise<Object>} Report
+     */
+    async validateDeclaration(declaration) {
+        const rules = await validationRepository.getActiveRules(declaration.tax_year);
+        const data = await xmlGeneratorService.loadDeclarationData(declaration);
+
+        return this.runRules(rules, this.buildContext(declaration, data));
+    },
+
+    /**
+     * Values available to rules
+     * Formulas see declaration items plus REG_* register counts,
+     * flags are the pril_N values that go to XML
+     * @param {Object} declaration
+     * @param {Object} data - see xmlGeneratorService.loadDeclarationData
+     * @returns {Object} { declaration, values, flags }
+     */
+    buildContext(declaration, data) {
+        const xmlContext = xmlGeneratorService.buildContext(declaration, data.items, data);
+
+        const values = new Map(Object.entries(data.items));
+        values.set('REG_AGENTS', xmlContext.agents.length);
+        values.set('REG_FOREIGN_ASSETS', data.foreignAssets.length);
+        values.set('REG_DOMESTIC_ASSETS', data.domesticAssets.length);
+        values.set('REG_CFC', xmlContext.cfc.length);
+
+        return { declaration, values, flags: xmlContext.flags };
+    },
+
+    /**
+     * Evaluate rules and build report
+     * @param {Array} rules - validation_rules rows
+     * @param {Object} context
+     * @returns {Object} Report
+     */
+    runRules(rules, context) {
+        const results = [];
+
+        for (const rule of rules) {
+            if (!this.conditionsMatch(rule.conditions, context)) {
+                continue;
+            }
+
+            const handler = ASSERTION_HANDLERS[rule.assertion && rule.assertion.type];
+            if (!handler) {
+                results.push({
+                    ruleCode: rule.rule_code,
+                    severity: 'error',
+                    field: null,
+                    message: `Validation rule assertion type is invalid: ${rule.assertion && rule.assertion.type}`,
+                });
+                continue;
+            }
+
+            for (const finding of this[handler](rule.assertion, context)) {
+                results.push({
+                    ruleCode: rule.rule_code,
+                    severity: rule.severity,
+                    message: rule.message,
+                    ...finding,
+                });
+            }
+        }
+
+        const errors = results.filter(r => r.severity === 'error').length;
+
+        return {
+            isValid: errors === 0,
+            summary: {
+                rulesChecked: rules.length,
+                errors,
+                warnings: results.length - errors,
+            },
+            results,
+        };
+    },
+
+    /**
+     * @param {Object} conditions - {"always": true} or {"formula": {...}} (applies if > 0)
+     * @param {Object} context
+     * @returns {boolean}
+     */
+    conditionsMatch(conditions, context) {
+        if (!conditions || conditions.always === true) {
+            return true;
+        }
+        if (conditions.formula) {
+            return formulaEvaluator.evaluate(conditions.formula, context.values) > 0;
+        }
+        return true;
+    },
+
+    // ==========================================
+    // ASSERTIONS
+    // Each returns findings: [{ field, expected?, actual?, detail? }]
+    // ==========================================
+
+    /**
+     * Logical fields must be present in declaration items
+     * { type: 'required_items', fields: ['LF_INCOME_TOTAL', ...] }
+     */
+    assertRequiredItems(assertion, context) {
+        return assertion.fields
+            .filter(field => !context.values.has(field))
+            .map(field => ({ field }));
+    },
+
+    /**
+     * Declaration header fields must be non-empty
+     * { type: 'required_header', fields: ['iin', 'fio_last', ...] }
+     */
+    assertRequiredHeader(assertion, context) {
+        return assertion.fields
+            .filter(field => this.isEmpty(context.declaration[field]))
+            .map(field => ({ field }));
+    },
+
+    /**
+     * Field must equal formula within tolerance
+     * { type: 'formula', field: 'LF_INCOME_TOTAL', formula: {...}, tolerance: 1 }
+     */
+    assertFormula(assertion, context) {
+        const actual = context.values.get(assertion.field) || 0;
+        const expected = formulaEvaluator.evaluate(assertion.formula, context.values);
+        const tolerance = assertion.tolerance !== undefined ? assertion.tolerance : 0.01;
+
+        if (Math.abs(actual - expected) <= tolerance) {
+            return [];
+        }
+        return [{
+            field: assertion.field,
+            expected: Math.round(expected * 100) / 100,
+            actual,
+        }];
+    },
+
+    /**
+     * Header IIN must be valid: control digit, century and birth date
+     * (empty values are left to required_header)
+     * { type: 'iin', field: 'iin_spouse' }
+     */
+    assertIin(assertion, context) {
+        const value = context.declaration[assertion.field];
+        if (this.isEmpty(value)) {
+            return [];
+        }
+        try {
+            parseIin(value, assertion.field);
+            return [];
+        } catch (error) {
+            return [{ field: assertion.field, actual: value, detail: error.message }];
+        }
+    },
+
+    /**
+     * Non-empty header fields must differ
+     * { type: 'distinct', fields: ['iin', 'iin_spouse'] }
+     */
+    assertDistinct(assertion, context) {
+        const [first, ...others] = assertion.fields;
+        const value = context.declaration[first];
+        if (this.isEmpty(value)) {
+            return [];
+        }
+
+        return others
+            .filter(field => String(context.declaration[field] || '') === String(value))
+            .map(field => ({ field, actual: context.declaration[field] }));
+    },
+
+    /**
+     * Flag must be set if and only if formula > 0
+     * { type: 'flag', flag: 'pril_4', formula: { ref: 'REG_FOREIGN_ASSETS' } }
+     */
+    assertFlag(assertion, context) {
+        const value = context.flags[assertion.flag];
+        const actual = Boolean(value) && value !== 'false';
+        const expected = formulaEvaluator.evaluate(assertion.formula, context.values) > 0;
+
+        if (actual === expected) {
+            return [];
+        }
+        return [{ field: assertion.flag, expected, actual }];
+    },
+
+    // ==========================================
+    // HELPERS
+    // ==========================================
+
+    isEmpty(value) {
+        return value === null || value === undefined || String(value).trim() === '';
+    },
+};
+
+module.exports = validationService;
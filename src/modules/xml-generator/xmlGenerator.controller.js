@@ -18,9 +18,12 @@ const xmlGeneratorController = {
                     id: result.id,
                     version: result.version,
                     xmlHash: result.xmlHash,
+                    xsd: result.xsd,
                     createdAt: result.createdAt,
                 },
-                message: `XML v${result.version} generated successfully`,
+                message: result.xsd.isValid
+                    ? `XML v${result.version} generated successfully`
+                    : `XML v${result.version} generated with ${result.xsd.errors.length} XSD errors`,
             });
         } catch (error) {
             if (error.message.includes('not found')) {
@@ -32,6 +35,9 @@ const xmlGeneratorController = {
             if (error.message.includes('must be validated')) {
                 return res.status(422).json({ success: false, error: error.message });
             }
+            if (error.message.includes('Cannot')) {
+                return res.status(409).json({ success: false, error: error.message });
+            }
             next(error);
         }
     },
@@ -185,28 +191,29 @@ const xmlGeneratorController = {
 
     /**
      * POST /xml/:declarationId/validate
-     * Validate XML structure
+     * Validate latest XML against XSD and store 'xsd' validation report
      */
     async validate(req, res, next) {
         try {
             const { declarationId } = req.params;
             const userId = req.user.id;
 
-            const xml = await xmlGeneratorService.getLatest(declarationId, userId);
+            const result = await xmlGeneratorService.validateLatest(declarationId, userId);
 
-            if (!xml) {
+            if (!result) {
                 return res.status(404).json({
                     success: false,
                     error: 'No XML generated for this declaration',
                 });
             }
 
-            const validation = xmlGeneratorService.validateXmlStructure(xml.xml_content);
+            const { xml, validation } = result;
 
             res.json({
                 success: true,
                 data: {
                     isValid: validation.isValid,
+                    schema: validation.schema,
                     errors: validation.errors,
                     xmlVersion: xml.version,
                     xmlHash: xml.xml_hash,
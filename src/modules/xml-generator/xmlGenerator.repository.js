@@ -2,26 +2,67 @@ const db = require('../../db/postgres');
 
 const xmlGeneratorRepository = {
     // ==========================================
-    // XML FIELD MAPPINGS (from xml_field_map table)
+    // XML LAYOUT (xml_form_templates + xml_field_map, versioned by tax_year)
     // ==========================================
 
     /**
-     * Get XML field mappings for a form code
+     * Get layout version effective for tax year
+     * (greatest template tax_year not after the declaration year)
      * @param {string} formCode - e.g., '270.00'
+     * @param {number} taxYear
+     * @returns {Promise<number|null>}
+     */
+    async getLayoutYear(formCode, taxYear) {
+        const result = await db.query(
+            `SELECT MAX(tax_year) AS layout_year
+            FROM xml_form_templates
+            WHERE form_code = $1 AND tax_year <= $2`,
+            [formCode, taxYear]
+        );
+        return result.rows[0].layout_year;
+    },
+
+    /**
+     * Get form templates (one per application) of layout version
+     * @param {string} formCode
+     * @param {number} layoutYear
+     * @returns {Promise<Array>}
+     */
+    async getFormTemplates(formCode, layoutYear) {
+        const result = await db.query(
+            `SELECT * FROM xml_form_templates
+            WHERE form_code = $1 AND tax_year = $2
+            ORDER BY sort_order, application_code`,
+            [formCode, layoutYear]
+        );
+        return result.rows;
+    },
+
+    /**
+     * Get XML field mappings of layout version
+     * @param {string} formCode - e.g., '270.00'
+     * @param {number} layoutYear
      * @returns {Promise<Array>}
      */
-    async getXmlFieldMappings(formCode = '270.00') {
+    async getXmlFieldMappings(formCode, layoutYear) {
         const result = await db.query(
             `SELECT 
                 xfm.id,
                 xfm.form_code,
+                xfm.tax_year,
                 xfm.application_code,
+                xfm.sheet_name,
+                xfm.row_group,
                 xfm.logical_field,
-                xfm.xml_field_name
+                xfm.xml_field_name,
+                xfm.value_source,
+                xfm.value_format,
+                xfm.default_value,
+                xfm.sort_order
             FROM xml_field_map xfm
-            WHERE xfm.form_code = $1
-            ORDER BY xfm.application_code, xfm.xml_field_name`,
-            [formCode]
+            WHERE xfm.form_code = $1 AND xfm.tax_year = $2
+            ORDER BY xfm.application_code, xfm.sheet_name, xfm.sort_order, xfm.xml_field_name`,
+            [formCode, layoutYear]
         );
         return result.rows;
     },
@@ -30,13 +71,16 @@ const xmlGeneratorRepository = {
      * Get XML field mapping by logical field code
      * @param {string} logicalFieldCode
      * @param {string} formCode
+     * @param {number} layoutYear
      * @returns {Promise<Object|null>}
      */
-    async getXmlFieldByLogicalCode(logicalFieldCode, formCode = '270.00') {
+    async getXmlFieldByLogicalCode(logicalFieldCode, formCode, layoutYear) {
         const result = await db.query(
             `SELECT * FROM xml_field_map
-            WHERE logical_field = $1 AND form_code = $2`,
-            [logicalFieldCode, formCode]
+            WHERE logical_field = $1 AND form_code = $2 AND tax_year = $3
+            ORDER BY application_code, sort_order
+            LIMIT 1`,
+            [logicalFieldCode, formCode, layoutYear]
         );
         return result.rows[0] || null;
     },
@@ -44,13 +88,14 @@ const xmlGeneratorRepository = {
     /**
      * Get mappings as object: logical_field_code -> xml_field_name
      * @param {string} formCode
+     * @param {number} layoutYear
      * @returns {Promise<Object>}
      */
-    async getMappingsAsObject(formCode = '270.00') {
-        const mappings = await this.getXmlFieldMappings(formCode);
+    async getMappingsAsObject(formCode, layoutYear) {
+        const mappings = await this.getXmlFieldMappings(formCode, layoutYear);
         const obj = {};
         for (const m of mappings) {
-            if (m.logical_field) {
+            if (m.logical_field && !obj[m.logical_field]) {
                 obj[m.logical_field] = {
                     xmlFieldName: m.xml_field_name,
                     applicationCode: m.application_code,
@@ -60,6 +105,108 @@ const xmlGeneratorRepository = {
         return obj;
     },
 
+    // ==========================================
+    // RULE BUNDLES (xml_field_map export / import)
+    // ==========================================
+
+    /**
+     * XML fields of layouts effective for tax year (every form), all layouts when tax year is null
+     * @param {number|null} taxYear
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<Array>}
+     */
+    async getFieldMapForTaxYear(taxYear, client = db) {
+        const result = await client.query(
+            `SELECT xfm.* FROM xml_field_map xfm
+            WHERE $1::int IS NULL OR xfm.tax_year = (
+                SELECT MAX(t.tax_year) FROM xml_form_templates t
+                WHERE t.form_code = xfm.form_code AND t.tax_year <= $1
+            )
+            ORDER BY xfm.form_code, xfm.tax_year, xfm.application_code, xfm.sheet_name, xfm.sort_order, xfm.xml_field_name`,
+            [taxYear]
+        );
+        return result.rows;
+    },
+
+    /**
+     * XML fields of given layouts
+     * @param {Array<Object>} layouts - [{ formCode, taxYear }]
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<Array>}
+     */
+    async getFieldMapOfLayouts(layouts, client = db) {
+        if (layouts.length === 0) {
+            return [];
+        }
+        const result = await client.query(
+            `SELECT xfm.* FROM xml_field_map xfm
+            JOIN unnest($1::text[], $2::int[]) AS l(form_code, tax_year)
+              ON l.form_code = xfm.form_code AND l.tax_year = xfm.tax_year
+            ORDER BY xfm.form_code, xfm.tax_year, xfm.application_code, xfm.sheet_name, xfm.sort_order`,
+            [layouts.map(layout => layout.formCode), layouts.map(layout => layout.taxYear)]
+        );
+        return result.rows;
+    },
+
+    /**
+     * Form templates as 'form_code|tax_year|application_code' keys
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<Set<string>>}
+     */
+    async getTemplateKeys(client = db) {
+        const result = await client.query(
+            `SELECT form_code, tax_year, application_code FROM xml_form_templates`
+        );
+        return new Set(result.rows.map(row => `${row.form_code}|${row.tax_year}|${row.application_code}`));
+    },
+
+    /**
+     * Insert or update XML field by layout key
+     * @param {Object} field - xml_field_map row without id
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<Object>}
+     */
+    async upsertFieldMapping(field, client = db) {
+        const result = await client.query(
+            `INSERT INTO xml_field_map (
+                form_code, tax_year, application_code, sheet_name, row_group, logical_field,
+                xml_field_name, value_source, value_format, default_value, sort_order
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+            ON CONFLICT (form_code, tax_year, application_code, sheet_name, xml_field_name) DO UPDATE SET
+                row_group = EXCLUDED.row_group,
+                logical_field = EXCLUDED.logical_field,
+                value_source = EXCLUDED.value_source,
+                value_format = EXCLUDED.value_format,
+                default_value = EXCLUDED.default_value,
+                sort_order = EXCLUDED.sort_order
+            RETURNING *`,
+            [
+                field.form_code,
+                field.tax_year,
+                field.application_code,
+                field.sheet_name,
+                field.row_group,
+                field.logical_field,
+                field.xml_field_name,
+                field.value_source,
+                field.value_format,
+                field.default_value,
+                field.sort_order,
+            ]
+        );
+        return result.rows[0];
+    },
+
+    /**
+     * Delete XML field
+     * @param {string} id
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<void>}
+     */
+    async deleteFieldMapping(id, client = db) {
+        await client.query(`DELETE FROM xml_field_map WHERE id = $1`, [id]);
+    },
+
     // ==========================================
     // GENERATED XML STORAGE (using xml_exports table)
     // ==========================================
@@ -67,9 +214,10 @@ const xmlGeneratorRepository = {
     /**
      * Save generated XML to database
      * @param {Object} data
+     * @param {Object} client - Transaction client (optional)
      * @returns {Promise<Object>}
      */
-    async saveGeneratedXml(data) {
+    async saveGeneratedXml(data, client = db) {
         const {
             declarationId,
             xmlContent,
@@ -78,7 +226,7 @@ const xmlGeneratorRepository = {
             generatedBy,
         } = data;
 
-        const result = await db.query(
+        const result = await client.query(
             `INSERT INTO xml_exports (
                 declaration_id,
                 xml_payload,
@@ -95,10 +243,11 @@ const xmlGeneratorRepository = {
     /**
      * Get latest generated XML for declaration
      * @param {string} declarationId
+     * @param {Object} client - Transaction client (optional)
      * @returns {Promise<Object|null>}
      */
-    async getLatestXml(declarationId) {
-        const result = await db.query(
+    async getLatestXml(declarationId, client = db) {
+        const result = await client.query(
             `SELECT 
                 id,
                 declaration_id,
@@ -159,13 +308,30 @@ const xmlGeneratorRepository = {
         return result.rows;
     },
 
+    /**
+     * Mark XML export as signed
+     * @param {string} id
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<Object>}
+     */
+    async markAsSigned(id, client = db) {
+        const result = await client.query(
+            `UPDATE xml_exports SET signed = true
+            WHERE id = $1
+            RETURNING id, declaration_id, xml_hash, signed, created_at`,
+            [id]
+        );
+        return result.rows[0];
+    },
+
     /**
      * Get next version number for declaration
      * @param {string} declarationId
+     * @param {Object} client - Transaction client (optional)
      * @returns {Promise<number>}
      */
-    async getNextVersion(declarationId) {
-        const result = await db.query(
+    async getNextVersion(declarationId, client = db) {
+        const result = await client.query(
             `SELECT COUNT(*) + 1 AS next_version 
             FROM xml_exports 
             WHERE declaration_id = $1`,
@@ -173,23 +339,6 @@ const xmlGeneratorRepository = {
         );
         return parseInt(result.rows[0].next_version, 10);
     },
-
-    // ==========================================
-    // FORM TEMPLATES
-    // ==========================================
-
-    /**
-     * Get XML template for form code
-     * @param {string} formCode
-     * @returns {Promise<Object|null>}
-     */
-    async getFormTemplate(formCode) {
-        const result = await db.query(
-            `SELECT * FROM xml_form_templates WHERE form_code = $1`,
-            [formCode]
-        );
-        return result.rows[0] || null;
-    },
 };
 
 module.exports = xmlGeneratorRepository;
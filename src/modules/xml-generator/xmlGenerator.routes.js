@@ -56,7 +56,7 @@ router.get('/version/:xmlId/download', xmlGeneratorController.downloadVersion);
 
 /**
  * POST /xml/:declarationId/validate
- * Validate XML structure
+ * Validate latest XML against XSD of its form version
  */
 router.post('/:declarationId/validate', xmlGeneratorController.validate);
 
@@ -1,11 +1,36 @@
 const crypto = require('crypto');
+const db = require('../../db/postgres');
+const fs = require('fs');
+const path = require('path');
+const { validateXML } = require('xmllint-wasm');
 const xmlGeneratorRepository = require('./xmlGenerator.repository');
 const declarationsRepository = require('../declarations/declarations.repository');
+const snapshotsRepository = require('../snapshots/snapshots.repository');
 const identitiesRepository = require('../identities/identities.repository');
+const foreignAssetsService = require('../foreign-assets/foreignAssets.service');
+const domesticAssetsService = require('../domestic-assets/domesticAssets.service');
+const cfcService = require('../cfc/cfc.service');
+const receiptsRepository = require('../receipts/receipts.repository');
+const { correctionItems, correctionBreakdowns } = require('../../utils/declarationDiff');
+
+// 270.05 column A: type of property / receivable
+const PROPERTY_TYPE_CODES = { real_estate: '1', vehicle: '2', securities: '3', share: '4', other: '5' };
+const RECEIVABLE_TYPE_CODES = { receivable: '1', debt: '2' };
+
+// 270.06 column G: type of control
+const CFC_CONTROL_TYPE_CODES = { direct: '1', indirect: '2' };
+
+// Bundled schemas: xsd/<form_code>/<layout tax_year>.xsd
+const XSD_DIR = path.join(__dirname, 'xsd');
+
+const FNO_NAMESPACES = 'xmlns:xs="http://www.w3.org/2001/XMLSchema" xmlns:fn="http://www.w3.org/2005/xpath-functions" xmlns:ds="http://www.w3.org/2000/09/xmldsig#"';
 
 /**
  * XML Generator Service
  * Generates XML in 270.00 format according to Kazakhstan tax authority specifications
+ *
+ * Layout comes from xml_form_templates (forms, sheets, repeating rows) and
+ * xml_field_map (fields, value sources, formats, defaults), versioned by tax_year
  * 
  * Structure:
  * <fno code="270.00" formatVersion="1" version="2">
@@ -23,348 +48,441 @@ const xmlGeneratorService = {
     // MAIN XML GENERATION
     // ==========================================
 
+    /**
+     * Generate XML of validated declaration and check it against XSD
+     * Consent and signature are bound to the latest export, so a new one is only
+     * created before the workflow reaches them (status is checked under declaration row lock)
+     * @param {string} declarationId
+     * @param {string} userId
+     * @returns {Promise<Object>} { id, version, xmlHash, xmlContent, xsd, createdAt }
+     */
     async generate(declarationId, userId) {
-        const declaration = await declarationsRepository.findById(declarationId);
-        if (!declaration) {
-            throw new Error('Declaration not found');
-        }
-
-        const hasAccess = await identitiesRepository.userHasAccess(userId, declaration.tax_identity_id);
-        if (!hasAccess) {
-            throw new Error('No access to this declaration');
-        }
+        return db.withTransaction(async (client) => {
+            await snapshotsRepository.lockDeclaration(declarationId, client);
+            const declaration = await declarationsRepository.findById(declarationId, client);
+            if (!declaration) {
+                throw new Error('Declaration not found');
+            }
 
-        if (declaration.status === 'draft') {
-            throw new Error('Declaration must be validated before generating XML');
-        }
+            const hasAccess = await identitiesRepository.userHasAccess(userId, declaration.tax_identity_id);
+            if (!hasAccess) {
+                throw new Error('No access to this declaration');
+            }
 
-        const items = await declarationsRepository.getItemsAsObject(declarationId);
-        const xmlContent = this.buildXml(declaration, items);
-        const xmlHash = crypto.createHash('sha256').update(xmlContent).digest('hex');
-        const version = await xmlGeneratorRepository.getNextVersion(declarationId);
+            if (declaration.status === 'draft') {
+                throw new Error('Declaration must be validated before generating XML');
+            }
+            if (declaration.status !== 'validated') {
+                throw new Error(`Cannot generate XML for declaration in status ${declaration.status}: XML is only generated for validated declarations`);
+            }
 
-        const savedXml = await xmlGeneratorRepository.saveGeneratedXml({
-            declarationId,
-            xmlContent,
-            xmlHash,
-            version,
-            generatedBy: userId,
+            const layout = await this.loadLayout(declaration.form_code, declaration.tax_year);
+            const data = await this.loadXmlData(declaration);
+            const xmlContent = this.buildXml(declaration, data.items, data, layout);
+            const xmlHash = crypto.createHash('sha256').update(xmlContent).digest('hex');
+            const version = await xmlGeneratorRepository.getNextVersion(declarationId, client);
+
+            const savedXml = await xmlGeneratorRepository.saveGeneratedXml({
+                declarationId,
+                xmlContent,
+                xmlHash,
+                version,
+                generatedBy: userId,
+            }, client);
+
+            const xsd = await this.validateAndReport(declarationId, savedXml.id, version, xmlContent, layout, client);
+
+            return {
+                id: savedXml.id,
+                version,
+                xmlHash,
+                xmlContent,
+                xsd,
+                createdAt: savedXml.created_at,
+            };
         });
+    },
+
+    /**
+     * Load declaration items, register data shown in appendices
+     * and the authority receipt (acceptance requisites in the header)
+     * Items are full recalculated values, for additional declaration too (see loadXmlData)
+     * @param {Object} declaration
+     * @returns {Promise<Object>} { items, breakdowns, foreignAssets, domesticAssets, cfcEntities, receipt }
+     */
+    async loadDeclarationData(declaration) {
+        const items = await declarationsRepository.getItemsAsObject(declaration.id);
+        const breakdowns = await declarationsRepository.getBreakdowns(declaration.id);
+
+        const foreignAssets = await foreignAssetsService.getForDeclaration(
+            declaration.tax_identity_id,
+            declaration.tax_year
+        );
+        const domesticAssets = await domesticAssetsService.getForDeclaration(
+            declaration.tax_identity_id,
+            declaration.tax_year
+        );
+        const cfcEntities = await cfcService.getForDeclaration(
+            declaration.tax_identity_id,
+            declaration.tax_year
+        );
+
+        const receipt = await receiptsRepository.findLatestAccepted(declaration.id);
+
+        return { items, breakdowns, foreignAssets, domesticAssets, cfcEntities, receipt };
+    },
+
+    /**
+     * Data that goes to XML: additional declaration is filed as difference
+     * with the accepted version it corrects
+     * @param {Object} declaration
+     * @returns {Promise<Object>} see loadDeclarationData
+     */
+    async loadXmlData(declaration) {
+        const data = await this.loadDeclarationData(declaration);
+        if (declaration.declaration_kind !== 'additional' || !declaration.original_declaration_id) {
+            return data;
+        }
+
+        const originalItems = await declarationsRepository.getItemsAsObject(declaration.original_declaration_id);
+        const originalBreakdowns = await declarationsRepository.getBreakdowns(declaration.original_declaration_id);
 
         return {
-            id: savedXml.id,
-            version,
-            xmlHash,
-            xmlContent,
-            createdAt: savedXml.created_at,
+            ...data,
+            items: correctionItems(originalItems, data.items),
+            breakdowns: correctionBreakdowns(originalBreakdowns, data.breakdowns),
         };
     },
 
-    buildXml(declaration, items) {
-        const taxYear = declaration.tax_year;
-        const flags = declaration.flags || {};
-        const now = new Date();
-        const dateStr = this.formatDate(now);
-
-        let xml = `<?xml version="1.0" encoding="UTF-8"?>\n`;
-        xml += `<fno xmlns:xs="http://www.w3.org/2001/XMLSchema" xmlns:fn="http://www.w3.org/2005/xpath-functions" xmlns:ds="http://www.w3.org/2000/09/xmldsig#" code="270.00" formatVersion="1" version="2">\n`;
+    /**
+     * Load XML layout effective for tax year
+     * @param {string} formCode - e.g. '270.00'
+     * @param {number} taxYear
+     * @returns {Promise<Object>} { formCode, layoutYear, templates, fields }
+     */
+    async loadLayout(formCode, taxYear) {
+        const layoutYear = await xmlGeneratorRepository.getLayoutYear(formCode, taxYear);
+        if (layoutYear === null || layoutYear === undefined) {
+            throw new Error(`XML layout for form ${formCode} and tax year ${taxYear} not found`);
+        }
 
-        xml += this.buildForm270_00(declaration, taxYear, dateStr, flags);
-        xml += this.buildForm270_01(declaration, items, taxYear);
-        xml += this.buildForm270_02(declaration, taxYear);
-        xml += this.buildForm270_03(declaration, taxYear);
-        xml += this.buildForm270_04(declaration, taxYear);
-        xml += this.buildForm270_05(declaration, taxYear);
-        xml += this.buildForm270_06(declaration, taxYear);
-        xml += this.buildForm270_07(declaration, taxYear);
+        const templates = await xmlGeneratorRepository.getFormTemplates(formCode, layoutYear);
+        const fields = await xmlGeneratorRepository.getXmlFieldMappings(formCode, layoutYear);
 
-        xml += `</fno>\n`;
-        return xml;
+        return { formCode, layoutYear, templates, fields };
     },
 
-    buildForm270_00(declaration, taxYear, dateStr, flags) {
-        let xml = `<form name="form_270_00">\n<sheetGroup>\n<sheet name="page_270_00_01">\n`;
-
-        xml += this.field('accept_date', dateStr);
-        xml += this.field('agreement', 'false');
-        xml += this.field('dt_additional', declaration.declaration_kind === 'additional' ? 'true' : 'false');
-        xml += this.field('dt_main', declaration.declaration_kind === 'main' ? 'true' : 'false');
-        xml += this.field('dt_notice', declaration.declaration_kind === 'notice' ? 'true' : 'false');
-        xml += this.field('dt_regular', declaration.declaration_kind === 'regular' ? 'true' : 'false');
-        xml += this.field('dt_w', 'false');
-        xml += this.field('email', declaration.email || '');
-        xml += this.field('fio1', declaration.fio_last || '');
-        xml += this.field('fio2', declaration.fio_first || '');
-        xml += this.field('fio3', declaration.fio_middle || '');
-
-        const headName = [declaration.fio_last, declaration.fio_first, declaration.fio_middle].filter(Boolean).join(' ');
-        xml += this.field('head_name', headName);
-
-        xml += this.field('iin', declaration.iin || '');
-        xml += this.field('iin_legalrepresentative', declaration.iin_legalrepresentative || '');
-        xml += this.field('iin_spouse', declaration.iin_spouse || '');
-        xml += this.field('in_doc_number', '');
-        xml += this.field('payer_phone_number', declaration.payer_phone || '');
-        xml += this.field('period_year', taxYear);
-        xml += this.field('post_date', '');
-        xml += this.field('pril_1', flags.pril_1 ? 'true' : 'false');
-        xml += this.field('pril_2', flags.pril_2 ? 'true' : 'false');
-        xml += this.field('pril_3', flags.pril_3 ? 'true' : 'false');
-        xml += this.field('pril_4', flags.pril_4 ? 'true' : 'false');
-        xml += this.field('pril_5', flags.pril_5 ? 'true' : 'false');
-        xml += this.field('pril_6', flags.pril_6 ? 'true' : 'false');
-        xml += this.field('pril_7', flags.pril_7 ? 'true' : 'false');
-        xml += this.field('rating_auth_code', '');
-        xml += this.field('receptor_name', '');
-        xml += this.field('submit_date', dateStr);
-
-        xml += `</sheet>\n<sheet name="page_270_00_02"/>\n</sheetGroup>\n</form>\n`;
-        return xml;
-    },
+    /**
+     * Build full 270.00 XML
+     * @param {Object} declaration
+     * @param {Object} items - logical_field → value
+     * @param {Object} data - { breakdowns, foreignAssets, domesticAssets, cfcEntities }
+     * @param {Object} layout - see loadLayout
+     * @returns {string}
+     */
+    buildXml(declaration, items, data, layout) {
+        const context = this.buildContext(declaration, items, data);
+        const root = layout.templates.find(t => t.application_code === layout.formCode) || {};
 
-    buildForm270_01(declaration, items, taxYear) {
-        let xml = `<form name="form_270_01">\n<sheetGroup>\n<sheet name="page_270_01_01">\n`;
-
-        // Section A - Property Income (Доходы от реализации имущества)
-        xml += this.field('field_270_01_A', this.formatMoney(items.LF_INCOME_PROPERTY_TOTAL));
-        xml += this.field('field_270_01_A_1', this.formatMoney(items.LF_INCOME_PROPERTY_SALE));
-        xml += this.field('field_270_01_A_1_1', this.formatMoney(items.LF_INCOME_PROPERTY_KZ));
-        xml += this.field('field_270_01_A_1_2', this.formatMoney(items.LF_INCOME_PROPERTY_FOREIGN));
-        xml += this.field('field_270_01_A_2', this.formatMoney(items.LF_INCOME_PROPERTY_CAPITAL_CONTRIBUTION));
-        xml += this.field('field_270_01_A_3', this.formatMoney(items.LF_INCOME_RENT_NON_AGENT));
-        xml += this.field('field_270_01_A_4', this.formatMoney(items.LF_INCOME_ASSIGNMENT_RIGHTS));
-        xml += this.field('field_270_01_A_5', this.formatMoney(items.LF_INCOME_IP_OTHER_ASSETS));
-
-        // Section B - Total other income (Прочие доходы)
-        xml += this.field('field_270_01_B', this.formatMoney(items.LF_INCOME_OTHER_TOTAL));
-
-        // Section B_1 - Foreign Income (Доходы из источников за пределами РК)
-        xml += this.field('field_270_01_B_1', this.formatMoney(items.LF_INCOME_FOREIGN_TOTAL));
-        xml += this.field('field_270_01_B_1_1', this.formatMoney(items.LF_INCOME_FOREIGN_EMPLOYMENT));
-        xml += this.field('field_270_01_B_1_2', this.formatMoney(items.LF_INCOME_FOREIGN_GPC));
-        xml += this.field('field_270_01_B_1_3', this.formatMoney(items.LF_INCOME_FOREIGN_WIN));
-        xml += this.field('field_270_01_B_1_4', this.formatMoney(items.LF_INCOME_FOREIGN_DIVIDENDS));
-        xml += this.field('field_270_01_B_1_5', this.formatMoney(items.LF_INCOME_FOREIGN_INTEREST));
-        xml += this.field('field_270_01_B_1_6', this.formatMoney(items.LF_INCOME_FOREIGN_SCHOLARSHIP));
-        xml += this.field('field_270_01_B_1_7', this.formatMoney(items.LF_INCOME_FOREIGN_INSURANCE));
-        xml += this.field('field_270_01_B_1_8', this.formatMoney(items.LF_INCOME_FOREIGN_PENSION));
-        xml += this.field('field_270_01_B_1_9', this.formatMoney(items.LF_INCOME_FOREIGN_OTHER));
-
-        // Section B_2 - B_7 - Non-agent domestic income
-        xml += this.field('field_270_01_B_2', this.formatMoney(items.LF_INCOME_DOMESTIC_HELPERS));
-        xml += this.field('field_270_01_B_3', this.formatMoney(items.LF_INCOME_CITIZENS_GPC));
-        xml += this.field('field_270_01_B_4', this.formatMoney(items.LF_INCOME_MEDIATOR));
-        xml += this.field('field_270_01_B_5', this.formatMoney(items.LF_INCOME_SUBSIDIARY_FARM));
-        xml += this.field('field_270_01_B_6', this.formatMoney(items.LF_INCOME_LABOR_MIGRANT));
-        xml += this.field('field_270_01_B_7', this.formatMoney(items.LF_INCOME_OTHER_NON_AGENT));
-
-        // Section C - CFC (Доход от прибыли КИК)
-        xml += this.field('field_270_01_C', this.formatMoney(items.LF_INCOME_CFC_PROFIT));
-
-        // Section D - Total Income (Итого доходов)
-        xml += this.field('field_270_01_D', this.formatMoney(items.LF_INCOME_TOTAL));
-
-        // Section E - Adjustments (Корректировка дохода)
-        xml += this.field('field_270_01_E', this.formatMoney(items.LF_ADJUSTMENT_TOTAL));
-        xml += this.field('field_270_01_E_1', this.formatMoney(items.LF_ADJUSTMENT_EXCLUDED_ART_341));
-        xml += this.field('field_270_01_E_2', this.formatMoney(items.LF_ADJUSTMENT_EXCLUDED_ART_654));
-        xml += this.field('field_270_01_E_3', this.formatMoney(items.LF_ADJUSTMENT_EXCLUDED_TREATY));
-        xml += this.field('field_270_01_E_4', this.formatMoney(items.LF_ADJUSTMENT_EXCLUDED_AIFC));
-
-        // Section F - Deductions (Налоговые вычеты)
-        xml += this.field('field_270_01_F', this.formatMoney(items.LF_DEDUCTION_TOTAL));
-        xml += this.field('field_270_01_F_1', this.formatMoney(items.LF_DEDUCTION_STANDARD));
-        xml += this.field('field_270_01_F_2', this.formatMoney(items.LF_DEDUCTION_OTHER));
-
-        // Section G - Taxable Income (Облагаемый доход)
-        xml += this.field('field_270_01_G', this.formatMoney(items.LF_TAXABLE_INCOME));
-
-        // Section H - Calculated IPN (Исчисленный ИПН)
-        xml += this.field('field_270_01_H', this.formatMoney(items.LF_IPN_CALCULATED));
-
-        // Section I - Foreign Tax Credit General (Зачет иностранного налога)
-        xml += this.field('field_270_01_I', this.formatMoney(items.LF_FOREIGN_TAX_CREDIT_GENERAL));
-
-        // Section J - Foreign Tax Credit CFC (Зачет иностранного налога с КИК)
-        xml += this.field('field_270_01_J', this.formatMoney(items.LF_FOREIGN_TAX_CREDIT_CFC));
-
-        // Section K - IPN Payable (ИПН к уплате)
-        xml += this.field('field_270_01_K', this.formatMoney(items.LF_IPN_PAYABLE));
-
-        xml += this.field('field_270_01_bin', '');
-        xml += this.field('iin', declaration.iin || '');
-        xml += this.field('page_number', '1');
-        xml += this.field('period_year', taxYear);
-
-        xml += `</sheet>\n</sheetGroup>\n</form>\n`;
-        return xml;
-    },
+        let xml = `<?xml version="1.0" encoding="UTF-8"?>\n`;
+        xml += `<fno ${FNO_NAMESPACES} code="${layout.formCode}" formatVersion="${root.format_version || ''}" version="${root.version || ''}">\n`;
 
-    buildForm270_02(declaration, taxYear) {
-        let xml = `<form name="form_270_02">\n<sheetGroup>\n<sheet name="page_270_02_01">\n`;
+        for (const template of layout.templates) {
+            const fields = layout.fields.filter(f => f.application_code === template.application_code);
+            xml += this.renderForm(template, fields, context);
+        }
 
-        // Bank details
-        xml += this.field('bank_code', '');
-        xml += this.field('iik', '');
+        xml += `</fno>\n`;
+        return xml;
+    },
 
-        // Section B - ИПН, подлежащий уплате
-        xml += this.field('field_270_02_B', '');
+    /**
+     * Values available to xml_field_map.value_source
+     * @param {Object} declaration
+     * @param {Object} items
+     * @param {Object} data
+     * @returns {Object}
+     */
+    buildContext(declaration, items, data = {}) {
+        const { breakdowns = [], foreignAssets = [], domesticAssets = [], cfcEntities = [], receipt = null } = data;
+
+        const cfc = this.groupCfcProfit(cfcEntities, breakdowns).map(row => ({
+            ...row,
+            taxable: Math.max(0, row.profit - row.exempted),
+            control_code: CFC_CONTROL_TYPE_CODES[row.control_type] || '',
+        }));
+
+        const flags = { ...(declaration.flags || {}) };
+        if (foreignAssets.length > 0) {
+            flags.pril_4 = true;
+        }
+        if (domesticAssets.length > 0) {
+            flags.pril_5 = true;
+        }
+        if (cfc.length > 0) {
+            flags.pril_6 = true;
+            flags.pril_7 = true;
+        }
 
-        // Section C - ИПН, подлежащий возврату  
-        xml += this.field('field_270_02_C', '');
+        // 270.02: KOGD only when there is something to pay or refund (or correct, for additional)
+        const toPay = items.LF_IPN_TO_PAY || 0;
+        const toRefund = items.LF_IPN_TO_REFUND || 0;
+        const penalty = items.LF_IPN_PENALTY || 0;
+        const hasAmounts = toPay !== 0 || toRefund !== 0 || penalty !== 0;
 
-        // Payment details row 1
-        xml += this.field('field_270_02_kbk_01', '101201');
-        xml += this.field('field_270_02_kogd_01', '');
-        xml += this.field('field_270_02_tax_01', '');
-        xml += this.field('field_270_02_pen_01', '');
+        const foreignByCategory = {};
+        for (const asset of foreignAssets) {
+            (foreignByCategory[asset.asset_category] = foreignByCategory[asset.asset_category] || []).push(asset);
+        }
 
-        // Payment details row 2
-        xml += this.field('field_270_02_kbk_02', '');
-        xml += this.field('field_270_02_kogd_02', '');
-        xml += this.field('field_270_02_tax_02', '');
+        const kind = declaration.declaration_kind;
 
-        xml += this.field('iin', declaration.iin || '');
-        xml += this.field('page_number', '1');
-        xml += this.field('period_year', taxYear);
-        xml += `</sheet>\n</sheetGroup>\n</form>\n`;
-        return xml;
+        return {
+            declaration: {
+                ...declaration,
+                head_name: [declaration.fio_last, declaration.fio_first, declaration.fio_middle].filter(Boolean).join(' '),
+            },
+            items,
+            flags,
+            taxYear: declaration.tax_year,
+            today: this.formatDate(new Date()),
+            kind: {
+                main: kind === 'main',
+                regular: kind === 'regular',
+                additional: kind === 'additional',
+                notice: kind === 'notice',
+            },
+            payment: {
+                kogd: hasAmounts ? declaration.payer_kogd : '',
+            },
+            agents: this.groupAgentIncome(breakdowns).map(agent => ({
+                ...agent,
+                income_total: this.sumMonths(agent.income),
+                withheld_total: this.sumMonths(agent.withheld),
+            })),
+            foreignAssets: foreignByCategory,
+            domesticAssets: {
+                property: domesticAssets
+                    .filter(a => PROPERTY_TYPE_CODES[a.asset_category])
+                    .map(a => ({ ...a, type_code: PROPERTY_TYPE_CODES[a.asset_category] })),
+                receivables: domesticAssets
+                    .filter(a => RECEIVABLE_TYPE_CODES[a.asset_category])
+                    .map(a => ({ ...a, type_code: RECEIVABLE_TYPE_CODES[a.asset_category] })),
+            },
+            cfc,
+            // in_doc_number / post_date / receptor_name, blank until the declaration is accepted
+            receipt: receipt || {},
+        };
     },
 
-    buildForm270_03(declaration, taxYear) {
-        let xml = `<form name="form_270_03">\n<sheetGroup>\n<sheet name="page_270_03_01">\n`;
-
-        // Section B - Доходы от налоговых агентов (B_1 to B_12)
-        xml += this.field('field_270_03_B', '');
-        for (let i = 1; i <= 12; i++) {
-            xml += this.field(`field_270_03_B_${i}`, '');
-        }
+    // ==========================================
+    // LAYOUT RENDERING
+    // ==========================================
 
-        // Section C - Удержанный ИПН (C_1 to C_12)
-        xml += this.field('field_270_03_C', '');
-        for (let i = 1; i <= 12; i++) {
-            xml += this.field(`field_270_03_C_${i}`, '');
+    /**
+     * Render one <form> (application) from its template
+     * @param {Object} template - xml_form_templates row
+     * @param {Array} fields - xml_field_map rows of the application
+     * @param {Object} context
+     * @returns {string}
+     */
+    renderForm(template, fields, context) {
+        let xml = `<form name="form_${template.application_code.replace('.', '_')}">\n<sheetGroup>\n`;
+
+        for (const sheet of template.sheets) {
+            xml += this.renderSheet(sheet, fields.filter(f => f.sheet_name === sheet.name), context);
         }
 
-        xml += this.field('field_270_03_bin', '');
-        xml += this.field('field_270_03_tax_org', '');
-        xml += this.field('iin', declaration.iin || '');
-        xml += this.field('page_number', '1');
-        xml += this.field('period_year', taxYear);
-        xml += `</sheet>\n</sheetGroup>\n</form>\n`;
+        xml += `</sheetGroup>\n</form>\n`;
         return xml;
     },
 
-    buildForm270_04(declaration, taxYear) {
-        let xml = `<form name="form_270_04">\n<sheetGroup>\n<sheet name="page_270_04_01">\n`;
-
-        // Section B: columns A,B,C,E,F,G,H,I rows 1-6
-        const columnsB = ['A', 'B', 'C', 'E', 'F', 'G', 'H', 'I'];
-        for (const col of columnsB) {
-            for (let i = 1; i <= 6; i++) {
-                xml += this.field(`field_270_04_B_${col}_${i}`, '');
-            }
+    /**
+     * Render sheet descriptor. A sheet is emitted several times when it
+     * repeats per list element or when a grid overflows its rows
+     * @param {Object} sheet - { name, repeat?, rows?, grids? }
+     * @param {Array} fields - xml_field_map rows of the sheet
+     * @param {Object} context
+     * @returns {string}
+     */
+    renderSheet(sheet, fields, context) {
+        if (fields.length === 0) {
+            return `<sheet name="${sheet.name}"/>\n`;
         }
 
-        // Section C: columns A,B,C,D,E rows 1-6
-        const columnsC = ['A', 'B', 'C', 'D', 'E'];
-        for (const col of columnsC) {
-            for (let i = 1; i <= 6; i++) {
-                xml += this.field(`field_270_04_C_${col}_${i}`, '');
-            }
+        const grids = Object.entries(sheet.grids || {}).map(([code, grid]) => ({
+            code,
+            rows: grid.rows,
+            records: this.resolvePath(context, grid.source) || [],
+        }));
+
+        // Sheet instances: one per repeat element (at least one), or enough pages for the largest grid
+        let instances = [undefined];
+        if (sheet.repeat) {
+            const list = this.resolvePath(context, sheet.repeat) || [];
+            instances = list.length > 0 ? list : [{}];
+        } else if (grids.length > 0) {
+            const pageCount = Math.max(1, ...grids.map(grid => Math.ceil(grid.records.length / grid.rows)));
+            instances = Array.from({ length: pageCount }, () => undefined);
         }
 
-        // Section D: columns A,B,C,D,F,G rows 1-5
-        const columnsD = ['A', 'B', 'C', 'D', 'F', 'G'];
-        for (const col of columnsD) {
-            for (let i = 1; i <= 5; i++) {
-                xml += this.field(`field_270_04_D_${col}_${i}`, '');
+        let xml = '';
+        instances.forEach((instance, index) => {
+            const scope = { ...context, sheet: instance, page: { number: String(index + 1) } };
+            xml += `<sheet name="${sheet.name}">\n`;
+
+            for (const field of fields) {
+                if (!field.row_group) {
+                    xml += this.field(field.xml_field_name, this.fieldValue(field, scope));
+                    continue;
+                }
+
+                const grid = grids.find(g => g.code === field.row_group);
+                if (!grid) continue;
+
+                for (let n = 1; n <= grid.rows; n++) {
+                    const row = grid.records[index * grid.rows + n - 1];
+                    xml += this.field(
+                        field.xml_field_name.replace('{n}', n),
+                        row ? this.fieldValue(field, { ...scope, row }) : ''
+                    );
+                }
             }
-        }
 
-        // Section E: columns A,B,C,D,E rows 1-5
-        const columnsE = ['A', 'B', 'C', 'D', 'E'];
-        for (const col of columnsE) {
-            for (let i = 1; i <= 5; i++) {
-                xml += this.field(`field_270_04_E_${col}_${i}`, '');
+            // <row> elements: one per list element, one empty row if the list is empty
+            if (sheet.rows) {
+                const rowFields = fields.filter(f => f.row_group === 'row');
+                const list = this.resolvePath(context, sheet.rows) || [];
+                const rows = list.length > 0 ? list : [null];
+
+                for (const row of rows) {
+                    xml += `<row>\n`;
+                    for (const field of rowFields) {
+                        xml += this.field(field.xml_field_name, row ? this.fieldValue(field, { ...scope, row }) : '');
+                    }
+                    xml += `</row>\n`;
+                }
             }
-        }
 
-        xml += this.field('iin', declaration.iin || '');
-        xml += this.field('page_number', '1');
-        xml += this.field('period_year', taxYear);
-        xml += `</sheet>\n</sheetGroup>\n</form>\n`;
+            xml += `</sheet>\n`;
+        });
+
         return xml;
     },
 
-    buildForm270_05(declaration, taxYear) {
-        let xml = `<form name="form_270_05">\n<sheetGroup>\n<sheet name="page_270_05_01">\n`;
+    /**
+     * Resolve and format value of mapped field
+     * value_source path takes precedence over logical_field
+     * @param {Object} field - xml_field_map row
+     * @param {Object} scope - context + { sheet, page, row }
+     * @returns {string}
+     */
+    fieldValue(field, scope) {
+        let value = field.value_source
+            ? this.resolvePath(scope, field.value_source)
+            : field.logical_field ? scope.items[field.logical_field] : undefined;
+
+        if ((value === undefined || value === null || value === '') && field.default_value !== null && field.default_value !== undefined) {
+            value = field.default_value;
+        }
 
-        // Section B: columns A,B,C,D,E,F,G,I,J,K,L rows 1-11
-        const columnsB = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'I', 'J', 'K', 'L'];
-        for (const col of columnsB) {
-            for (let i = 1; i <= 11; i++) {
-                xml += this.field(`field_270_05_B_${col}_${i}`, '');
-            }
+        switch (field.value_format) {
+            case 'money': return this.formatMoney(value);
+            case 'number': return this.formatNumber(value);
+            case 'date': return this.formatAssetDate(value);
+            case 'bool': return value && value !== 'false' ? 'true' : 'false';
+            default: return value === undefined || value === null ? '' : value;
         }
+    },
 
-        // Section C: columns A,B,C,D,E,F,G,H rows 1-11
-        const columnsC = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H'];
-        for (const col of columnsC) {
-            for (let i = 1; i <= 11; i++) {
-                xml += this.field(`field_270_05_C_${col}_${i}`, '');
+    resolvePath(obj, path) {
+        return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), obj);
+    },
+
+    // ==========================================
+    // CONTEXT HELPERS
+    // ==========================================
+
+    /**
+     * Group agent income breakdowns by BIN
+     * @param {Array} breakdowns - declaration_item_breakdowns rows
+     * @returns {Array} [{ bin, income: { month: value }, withheld: { month: value } }]
+     */
+    groupAgentIncome(breakdowns) {
+        const byBin = new Map();
+
+        for (const row of breakdowns) {
+            let target;
+            if (row.logical_field === 'LF_AGENT_INCOME') target = 'income';
+            else if (row.logical_field === 'LF_AGENT_IPN_WITHHELD') target = 'withheld';
+            else continue;
+
+            if (!byBin.has(row.group_key)) {
+                byBin.set(row.group_key, { bin: row.group_key, income: {}, withheld: {} });
             }
+
+            const agent = byBin.get(row.group_key);
+            const month = parseInt(row.period_month, 10);
+            agent[target][month] = (agent[target][month] || 0) + parseFloat(row.value);
         }
 
-        xml += this.field('iin', declaration.iin || '');
-        xml += this.field('page_number', '1');
-        xml += this.field('period_year', taxYear);
-        xml += `</sheet>\n</sheetGroup>\n</form>\n`;
-        return xml;
+        return Array.from(byBin.values()).sort((a, b) => a.bin.localeCompare(b.bin));
     },
 
-    buildForm270_06(declaration, taxYear) {
-        let xml = `<form name="form_270_06">\n<sheetGroup>\n<sheet name="page_270_06_01">\n`;
-        xml += this.field('iin', declaration.iin || '');
-        xml += this.field('page_number', '1');
-        xml += this.field('period_year', taxYear);
-
-        // Fields: A, B, C, D, F, G
-        for (let i = 0; i < 4; i++) {
-            xml += `<row>\n`;
-            xml += this.field('field_270_06_A', '');
-            xml += this.field('field_270_06_B', '');
-            xml += this.field('field_270_06_C', '');
-            xml += this.field('field_270_06_D', '');
-            xml += this.field('field_270_06_F', '');
-            xml += this.field('field_270_06_G', '');
-            xml += `</row>\n`;
-        }
+    sumMonths(values) {
+        return Object.values(values).reduce((sum, v) => sum + v, 0);
+    },
 
-        xml += `</sheet>\n</sheetGroup>\n</form>\n`;
-        return xml;
+    formatAssetDate(value) {
+        if (!value) return '';
+        if (value instanceof Date) return this.formatDate(value);
+        const [year, month, day] = String(value).slice(0, 10).split('-');
+        return `${day}.${month}.${year}`;
     },
 
-    buildForm270_07(declaration, taxYear) {
-        let xml = `<form name="form_270_07">\n<sheetGroup>\n<sheet name="page_270_07_01">\n`;
-        xml += this.field('iin', declaration.iin || '');
-        xml += this.field('page_number', '1');
-        xml += this.field('period_year', taxYear);
-
-        // Fields: A, B, C, D, F, M
-        for (let i = 0; i < 4; i++) {
-            xml += `<row>\n`;
-            xml += this.field('field_270_07_A', '');
-            xml += this.field('field_270_07_B', '');
-            xml += this.field('field_270_07_C', '');
-            xml += this.field('field_270_07_D', '');
-            xml += this.field('field_270_07_F', '');
-            xml += this.field('field_270_07_M', '');
-            xml += `</row>\n`;
+    formatNumber(value) {
+        if (value === null || value === undefined) return '';
+        const num = parseFloat(value);
+        return isNaN(num) ? '' : String(num);
+    },
+
+    /**
+     * Join CFC register with per-CFC engine breakdowns
+     * CFCs with events but missing from the register are listed by registration number
+     * @param {Array} cfcEntities - cfc_entities rows
+     * @param {Array} breakdowns - declaration_item_breakdowns rows
+     * @returns {Array} [{ name, country_code, registration_number, ..., profit, exempted, taxPaid }]
+     */
+    groupCfcProfit(cfcEntities, breakdowns) {
+        const fieldTargets = {
+            LF_INCOME_CFC_PROFIT: 'profit',
+            LF_INCOME_CFC_EXEMPTED: 'exempted',
+            LF_CFC_TAX_PAID: 'taxPaid',
+        };
+
+        const byRegNumber = new Map();
+        for (const entity of cfcEntities) {
+            byRegNumber.set(entity.registration_number, { ...entity, profit: 0, exempted: 0, taxPaid: 0 });
         }
 
-        xml += `</sheet>\n</sheetGroup>\n</form>\n`;
-        return xml;
+        for (const row of breakdowns) {
+            const target = fieldTargets[row.logical_field];
+            if (!target) continue;
+
+            if (!byRegNumber.has(row.group_key)) {
+                byRegNumber.set(row.group_key, {
+                    name: '',
+                    registration_number: row.group_key,
+                    profit: 0,
+                    exempted: 0,
+                    taxPaid: 0,
+                });
+            }
+
+            byRegNumber.get(row.group_key)[target] += parseFloat(row.value);
+        }
+
+        return Array.from(byRegNumber.values());
     },
 
     // ==========================================
@@ -438,35 +556,172 @@ const xmlGeneratorService = {
         return xmlGeneratorRepository.listXmlVersions(declarationId);
     },
 
-    validateXmlStructure(xmlContent) {
-        const errors = [];
-        if (!xmlContent.startsWith('<?xml')) errors.push('Missing XML declaration');
-        if (!xmlContent.includes('<fno')) errors.push('Missing root element <fno>');
-        if (!xmlContent.includes('form_270_00')) errors.push('Missing form_270_00');
-        if (!xmlContent.includes('form_270_01')) errors.push('Missing form_270_01');
-        return { isValid: errors.length === 0, errors };
+    // ==========================================
+    // XSD VALIDATION
+    // ==========================================
+
+    /**
+     * Re-validate latest XML of declaration against XSD of its layout version
+     * @param {string} declarationId
+     * @param {string} userId
+     * @returns {Promise<Object|null>} { xml, validation } or null if no XML generated
+     */
+    async validateLatest(declarationId, userId) {
+        const xml = await this.getLatest(declarationId, userId);
+        if (!xml) return null;
+
+        const declaration = await declarationsRepository.findById(declarationId);
+        const layoutYear = await xmlGeneratorRepository.getLayoutYear(declaration.form_code, declaration.tax_year);
+        if (layoutYear === null || layoutYear === undefined) {
+            throw new Error(`XML layout for form ${declaration.form_code} and tax year ${declaration.tax_year} not found`);
+        }
+
+        const validation = await this.validateAndReport(
+            declarationId,
+            xml.id,
+            xml.version,
+            xml.xml_content,
+            { formCode: declaration.form_code, layoutYear }
+        );
+
+        return { xml, validation };
+    },
+
+    /**
+     * Validate XML and store result as 'xsd' validation report
+     * @param {string} declarationId
+     * @param {string} xmlExportId
+     * @param {string|number} xmlVersion
+     * @param {string} xmlContent
+     * @param {Object} layout - { formCode, layoutYear }
+     * @param {Object} client - Transaction client (optional)
+     * @returns {Promise<Object>} { isValid, schema, errors }
+     */
+    async validateAndReport(declarationId, xmlExportId, xmlVersion, xmlContent, layout, client) {
+        const validation = await this.validateXsd(xmlContent, layout.formCode, layout.layoutYear);
+
+        await declarationsRepository.createValidationReport(
+            declarationId,
+            'xsd',
+            validation.isValid,
+            {
+                xmlExportId,
+                xmlVersion: String(xmlVersion),
+                schema: validation.schema,
+                errors: validation.errors,
+            },
+            client
+        );
+
+        return validation;
     },
 
-    validateDeclarationData(declaration, items) {
-        const errors = [];
-        const warnings = [];
+    /**
+     * Validate XML against bundled XSD
+     * @param {string} xmlContent
+     * @param {string} formCode - e.g. '270.00'
+     * @param {number} layoutYear - xml_form_templates.tax_year
+     * @returns {Promise<Object>} { isValid, schema, errors: [{ message, line, xpath, field }] }
+     */
+    async validateXsd(xmlContent, formCode, layoutYear) {
+        const schema = `${formCode}/${layoutYear}.xsd`;
+        const schemaPath = path.join(XSD_DIR, formCode, `${layoutYear}.xsd`);
+        if (!fs.existsSync(schemaPath)) {
+            throw new Error(`XSD schema ${schema} not found`);
+        }
 
-        if (!declaration.iin) errors.push('IIN is required');
-        else if (declaration.iin.length !== 12) errors.push('IIN must be 12 characters');
-        if (!declaration.fio_last) errors.push('Last name (fio1) is required');
-        if (!declaration.fio_first) errors.push('First name (fio2) is required');
+        const result = await validateXML({
+            xml: { fileName: 'declaration.xml', contents: this.toTypedView(xmlContent) },
+            schema: { fileName: `${formCode}_${layoutYear}.xsd`, contents: fs.readFileSync(schemaPath, 'utf8') },
+        });
+
+        const errors = result.errors
+            // libxml2 repeats every invalid attribute with this follow-up warning
+            .filter(error => !error.message.includes('No precomputed value available'))
+            .map(error => {
+                const line = error.loc ? error.loc.lineNumber : null;
+                return {
+                    message: error.message.replace(/^Schemas validity error : /, ''),
+                    line,
+                    ...this.locateLine(xmlContent, line),
+                };
+            });
+
+        return { isValid: result.valid, schema, errors };
+    },
+
+    /**
+     * Typed view checked by XSD: <form name="X">, <sheet name="X"> and <field name="X">
+     * become <X>, so the schema can give every field its own type (XSD 1.0 cannot
+     * choose a type by attribute value). Lines are kept, error line numbers stay valid
+     * @param {string} xmlContent
+     * @returns {string}
+     */
+    toTypedView(xmlContent) {
+        const open = [];
+
+        return xmlContent
+            .replace(/<(?:form|sheet) name="([^"]+)"(\/?)>|<\/(?:form|sheet)>/g, (match, name, selfClosing) => {
+                if (!name) return `</${open.pop()}>`;
+                if (!selfClosing) open.push(name);
+                return `<${name}${selfClosing}>`;
+            })
+            .replace(/<field name="([^"]+)"\/>/g, '<$1/>')
+            .replace(/<field name="([^"]+)">([^<]*)<\/field>/g, '<$1>$2</$1>');
+    },
+
+    /**
+     * XPath and field name of an XML line (generator writes one element per line)
+     * @param {string} xmlContent
+     * @param {number|null} line - 1-based
+     * @returns {Object} { xpath, field }
+     */
+    locateLine(xmlContent, line) {
+        if (!line) return { xpath: null, field: null };
+
+        const lines = xmlContent.split('\n').slice(0, line);
+        let form = null;
+        let sheet = 0;
+        let sheetOpen = false;
+        let row = 0;
+        let rowOpen = false;
+
+        lines.forEach((text, index) => {
+            const formMatch = text.match(/<form name="([^"]+)"/);
+            if (formMatch) {
+                form = formMatch[1];
+                sheet = 0;
+            }
+            if (/<sheet[\s>]/.test(text)) {
+                sheet++;
+                sheetOpen = true;
+                row = 0;
+            }
+            if (/<row>/.test(text)) {
+                row++;
+                rowOpen = true;
+            }
+
+            // Closing tags on the error line itself still belong to the reported element
+            if (index < lines.length - 1) {
+                if (/<\/row>/.test(text)) rowOpen = false;
+                if (/<\/sheet>|<sheet[^>]*\/>/.test(text)) sheetOpen = false;
+                if (/<\/form>/.test(text)) form = null;
+            }
+        });
 
-        const incomeTotal = parseFloat(items.LF_INCOME_TOTAL) || 0;
-        const taxableIncome = parseFloat(items.LF_TAXABLE_INCOME) || 0;
-        const adjustmentTotal = parseFloat(items.LF_ADJUSTMENT_TOTAL) || 0;
-        const deductionTotal = parseFloat(items.LF_DEDUCTION_TOTAL) || 0;
+        const fieldMatch = (lines[lines.length - 1] || '').match(/<field name="([^"]+)"/);
+        const field = fieldMatch ? fieldMatch[1] : null;
 
-        const expectedTaxable = incomeTotal - adjustmentTotal - deductionTotal;
-        if (Math.abs(taxableIncome - expectedTaxable) > 0.01) {
-            warnings.push(`Taxable income mismatch: ${taxableIncome} vs expected ${expectedTaxable}`);
+        let xpath = '/fno';
+        if (form) {
+            xpath += `/form[@name='${form}']`;
+            if (sheetOpen) xpath += `/sheetGroup/sheet[${sheet}]`;
+            if (sheetOpen && rowOpen) xpath += `/row[${row}]`;
+            if (sheetOpen && field) xpath += `/field[@name='${field}']`;
         }
 
-        return { isValid: errors.length === 0, errors, warnings };
+        return { xpath, field };
     },
 };
 
@@ -11,6 +11,16 @@
  *     description: Налоговые события
  *   - name: Declarations
  *     description: Декларации (270.00)
+ *   - name: Consents
+ *     description: Согласие владельца на подачу декларации
+ *   - name: Signatures
+ *     description: Подписание XML декларации (ЭЦП)
+ *   - name: Submissions
+ *     description: Подача декларации через шлюз
+ *   - name: Receipts
+ *     description: Ответы налогового органа (квитанции, отказы)
+ *   - name: Snapshots
+ *     description: История версий декларации (снимки)
  *   - name: XML Generator
  *     description: Генерация XML для подачи в налоговую
  */
@@ -118,6 +128,7 @@
  *             properties:
  *               iin:
  *                 type: string
+ *                 description: ИИН с проверкой контрольного разряда и даты рождения
  *                 example: "040104550208"
  *               lastName:
  *                 type: string
@@ -132,9 +143,22 @@
  *                 type: string
  *               phone:
  *                 type: string
+ *               iik:
+ *                 type: string
+ *                 description: ИИК для возврата ИПН (270.02)
+ *                 example: "KZ123456789012345678"
+ *               bankBic:
+ *                 type: string
+ *                 example: "HSBKKZKX"
+ *               kogd:
+ *                 type: string
+ *                 description: Код органа госдоходов по месту жительства
+ *                 example: "6205"
  *     responses:
  *       201:
- *         description: Identity создан
+ *         description: Identity создан (identification — дата рождения, век, пол из ИИН)
+ *       400:
+ *         description: ИИН некорректен (формат, контрольный разряд, дата рождения)
  */
 
 /**
@@ -0,0 +1,137 @@
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CfcEntityInput:
+ *       type: object
+ *       required: [name, countryCode, registrationNumber, ownershipShare]
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: Alpha Holdings Ltd
+ *         countryCode:
+ *           type: string
+ *           example: CY
+ *         registrationNumber:
+ *           type: string
+ *           description: Регистрационный номер КИК; события ссылаются на него через metadata.cfc_reg_number
+ *         ownershipShare:
+ *           type: number
+ *           description: Доля владения, %
+ *           example: 50
+ *         controlType:
+ *           type: string
+ *           enum: [direct, indirect]
+ *         ownershipStart:
+ *           type: string
+ *           format: date
+ *         ownershipEnd:
+ *           type: string
+ *           format: date
+ *
+ * /api/identities/{taxIdentityId}/cfc:
+ *   get:
+ *     tags: [CFC]
+ *     summary: Реестр контролируемых иностранных компаний (270.06 / 270.07)
+ *     parameters:
+ *       - in: path
+ *         name: taxIdentityId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: taxYear
+ *         description: Только КИК, которыми владели в течение года
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Список КИК
+ *   post:
+ *     tags: [CFC]
+ *     summary: Зарегистрировать КИК
+ *     description: |
+ *       Прибыль, освобождённая прибыль и налоги КИК из событий умножаются движком
+ *       на долю владения и выводятся в 270.06 / 270.07 отдельной строкой на каждую КИК.
+ *     parameters:
+ *       - in: path
+ *         name: taxIdentityId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CfcEntityInput'
+ *     responses:
+ *       201:
+ *         description: КИК зарегистрирована
+ *       400:
+ *         description: Ошибка валидации
+ *       409:
+ *         description: КИК с таким регистрационным номером уже есть
+ *
+ * /api/identities/{taxIdentityId}/cfc/{cfcId}:
+ *   get:
+ *     tags: [CFC]
+ *     summary: Получить КИК
+ *     parameters:
+ *       - in: path
+ *         name: taxIdentityId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: cfcId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: КИК
+ *       404:
+ *         description: КИК не найдена
+ *   put:
+ *     tags: [CFC]
+ *     summary: Обновить КИК
+ *     parameters:
+ *       - in: path
+ *         name: taxIdentityId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: cfcId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CfcEntityInput'
+ *     responses:
+ *       200:
+ *         description: КИК обновлена
+ *   delete:
+ *     tags: [CFC]
+ *     summary: Удалить КИК (только владелец)
+ *     parameters:
+ *       - in: path
+ *         name: taxIdentityId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: cfcId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: КИК удалена
+ */
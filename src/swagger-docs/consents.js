@@ -0,0 +1,101 @@
+/**
+ * @swagger
+ * /api/consents/declarations/{declarationId}:
+ *   get:
+ *     tags: [Consents]
+ *     summary: Запросы согласия и полученные согласия по декларации
+ *     parameters:
+ *       - in: path
+ *         name: declarationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: "{ requests, consents }"
+ *
+ * /api/consents/declarations/{declarationId}/requests:
+ *   post:
+ *     tags: [Consents]
+ *     summary: Повторно отправить запрос согласия владельцу
+ *     description: |
+ *       Запрос создаётся автоматически при переходе декларации в awaiting_consent
+ *       (PUT /api/declarations/{id}/status, consentChannel). Повторный запрос
+ *       аннулирует предыдущие открытые запросы. Согласие привязывается к последнему XML.
+ *     parameters:
+ *       - in: path
+ *         name: declarationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               channel:
+ *                 type: string
+ *                 enum: [email, web]
+ *                 default: email
+ *     responses:
+ *       201:
+ *         description: Запрос создан (status sent или failed при ошибке доставки)
+ *       409:
+ *         description: Декларация не в статусе awaiting_consent
+ *
+ * /api/consents/requests/{requestId}:
+ *   get:
+ *     tags: [Consents]
+ *     summary: Запрос согласия (только владелец)
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Запрос согласия
+ *       403:
+ *         description: Пользователь не владелец
+ *
+ * /api/consents/requests/{requestId}/confirm:
+ *   post:
+ *     tags: [Consents]
+ *     summary: Дать согласие на подачу декларации (только владелец)
+ *     description: |
+ *       Для запросов по email нужен token из ссылки или 6-значный код из письма.
+ *       Фиксируются канал, пользователь, IP, User-Agent и хэш XML.
+ *       После согласия декларацию можно перевести в signed.
+ *     parameters:
+ *       - in: path
+ *         name: requestId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               token:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       201:
+ *         description: Согласие получено
+ *       400:
+ *         description: Неверный токен/код или запрос истёк
+ *       403:
+ *         description: Пользователь не владелец
+ *       409:
+ *         description: Запрос уже закрыт или XML изменился после запроса
+ */
@@ -79,6 +79,8 @@
  *                       type: integer
  *       400:
  *         description: Нет событий для обработки
+ *       409:
+ *         description: Идёт другой пересчёт за этот год или нет курса НБРК на дату валютного события (декларация не сохраняется)
  *
  * /api/declarations/{id}:
  *   get:
@@ -119,11 +121,17 @@
  *                 example: "user@example.com"
  *               iinSpouse:
  *                 type: string
+ *                 description: ИИН супруга(и), проверяется контрольный разряд
+ *               iinLegalrepresentative:
+ *                 type: string
+ *                 description: ИИН законного представителя
  *               flags:
  *                 type: object
  *     responses:
  *       200:
  *         description: Обновлено
+ *       400:
+ *         description: ИИН некорректен
  *
  *   delete:
  *     tags: [Declarations]
@@ -145,7 +153,10 @@
  *   post:
  *     tags: [Declarations]
  *     summary: Валидировать декларацию
- *     description: Проверяет декларацию и переводит в статус validated
+ *     description: |
+ *       Проверяет декларацию правилами validation_rules (межстрочные контроли,
+ *       ИИН, признаки приложений) и переводит в статус validated, если нет ошибок.
+ *       Отчёт сохраняется в validation_reports (business).
  *     parameters:
  *       - in: path
  *         name: id
@@ -155,7 +166,7 @@
  *           format: uuid
  *     responses:
  *       200:
- *         description: Результат валидации
+ *         description: Декларация валидна
  *         content:
  *           application/json:
  *             schema:
@@ -165,17 +176,21 @@
  *                   type: boolean
  *                 data:
  *                   type: object
- *                   properties:
- *                     isValid:
- *                       type: boolean
- *                     errors:
- *                       type: array
- *                       items:
- *                         type: string
- *                     warnings:
- *                       type: array
- *                       items:
- *                         type: string
+ *                 validation:
+ *                   $ref: '#/components/schemas/ValidationReport'
+ *       422:
+ *         description: Есть ошибки валидации (статус не меняется)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 error:
+ *                   type: string
+ *                 validation:
+ *                   $ref: '#/components/schemas/ValidationReport'
  *
  * /api/declarations/{id}/regenerate:
  *   post:
@@ -192,4 +207,241 @@
  *     responses:
  *       200:
  *         description: Перегенерировано
+ *
+ * /api/declarations/{id}/amend:
+ *   post:
+ *     tags: [Declarations]
+ *     summary: Создать дополнительную декларацию к принятой
+ *     description: |
+ *       Копирует заголовок и признаки принятой декларации (основной или предыдущей
+ *       дополнительной) в новую декларацию вида additional и пересчитывает её
+ *       Rule Engine по текущим налоговым событиям. Принятая декларация не меняется.
+ *       Каждая принятая версия исправляется одной дополнительной (цепочка).
+ *       В XML дополнительной декларации суммы выгружаются разницей с принятой версией.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       201:
+ *         description: "Дополнительная декларация создана: data, items, diff (см. /diff), stats, errors"
+ *       409:
+ *         description: Декларация не принята, уже исправлена дополнительной или нет курса НБРК на дату валютного события
+ *
+ * /api/declarations/{id}/diff:
+ *   get:
+ *     tags: [Declarations]
+ *     summary: Сравнение дополнительной декларации с принятой версией
+ *     description: Только изменившиеся значения
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Поле за полем
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 originalDeclarationId:
+ *                   type: string
+ *                   format: uuid
+ *                 summary:
+ *                   type: object
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       logicalField:
+ *                         type: string
+ *                         example: LF_INCOME_FOREIGN_DIVIDENDS
+ *                       description:
+ *                         type: string
+ *                       original:
+ *                         type: number
+ *                       amended:
+ *                         type: number
+ *                       delta:
+ *                         type: number
+ *                         description: Значение в XML дополнительной декларации
+ *                 breakdowns:
+ *                   type: array
+ *                   description: Разбивка по налоговым агентам / КИК (group_key, месяц)
+ *                 header:
+ *                   type: array
+ *                   description: "[{ field, original, amended }]"
+ *                 flags:
+ *                   type: array
+ *                   description: "[{ flag, original, amended }]"
+ *       409:
+ *         description: Декларация не является дополнительной
+ *
+ * /api/declarations/{id}/items/{field}:
+ *   put:
+ *     tags: [Declarations]
+ *     summary: Ручная правка значения поля
+ *     description: |
+ *       Значение закрепляется (pinned): пересчёт Rule Engine его не перезаписывает,
+ *       итоговые поля пересчитываются с учётом правки, значение движка
+ *       сохраняется рядом (engine_value).
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: field
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: LF_INCOME_FOREIGN_DIVIDENDS
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               value:
+ *                 type: number
+ *     responses:
+ *       200:
+ *         description: "Поле: value, source = manual, pinned, engine_value"
+ *       409:
+ *         description: Декларация не в статусе draft / validated
+ *
+ * /api/declarations/{id}/items/{field}/override:
+ *   delete:
+ *     tags: [Declarations]
+ *     summary: Снять ручную правку
+ *     description: Поле снова рассчитывается движком, декларация пересчитывается
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: field
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: "Пересчитано: data, items, overrides [{ logicalField, value, engineValue }], stats, errors"
+ *       409:
+ *         description: Поле не закреплено или декларация не редактируется
+ *
+ * /api/declarations/{id}/explain/{logicalField}:
+ *   get:
+ *     tags: [Declarations]
+ *     summary: Расшифровка расчёта значения поля
+ *     description: |
+ *       Rule Engine пересчитывает поле по текущим налоговым событиям и правилам версии набора,
+ *       с которой рассчитана декларация (без сохранения; если версия не записана — действующие правила),
+ *       и возвращает дерево: события с источником и номером строки файла, правило маппинга,
+ *       исключённые события, формулы с промежуточными значениями и автоматические фазы расчёта
+ *       (autoCalculateBaseTotals, autoCalculateDerivedFields). Поля из формулы раскрываются в inputs.
+ *       upToDate = false, если события (а без записанной версии набора — и правила) изменились
+ *       после последней генерации.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: logicalField
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: LF_IPN_CALCULATED
+ *     responses:
+ *       200:
+ *         description: "{ declarationId, logicalField, stored, upToDate, trace }"
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 logicalField: LF_INCOME_FOREIGN_TOTAL
+ *                 stored: { value: 1000, source: rule_engine, pinned: false, engineValue: null }
+ *                 upToDate: true
+ *                 trace:
+ *                   logicalField: LF_INCOME_FOREIGN_TOTAL
+ *                   value: 1000
+ *                   producedBy: autoCalculateBaseTotals
+ *                   autoCalculations:
+ *                     - phase: autoCalculateBaseTotals
+ *                       formula: LF_INCOME_FOREIGN_EMPLOYMENT + ... + LF_INCOME_FOREIGN_OTHER
+ *                       inputs: { LF_INCOME_FOREIGN_DIVIDENDS: 1000 }
+ *                       value: 1000
+ *                   inputs:
+ *                     - logicalField: LF_INCOME_FOREIGN_DIVIDENDS
+ *                       value: 1000
+ *                       producedBy: mapping
+ *                       mappings:
+ *                         - amount: 1000
+ *                           rule: { ruleCode: MAP_FOREIGN_DIVIDENDS, ruleType: mapping }
+ *                           event:
+ *                             eventType: EV_FOREIGN_DIVIDENDS
+ *                             eventDate: "2024-03-01"
+ *                             source: { sourceType: csv, rowIndex: 4 }
+ *       404:
+ *         description: Декларация или логическое поле не найдены
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ValidationReport:
+ *       type: object
+ *       properties:
+ *         isValid:
+ *           type: boolean
+ *           description: Нет результатов с severity = error
+ *         summary:
+ *           type: object
+ *           properties:
+ *             rulesChecked:
+ *               type: integer
+ *             errors:
+ *               type: integer
+ *             warnings:
+ *               type: integer
+ *         results:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               ruleCode:
+ *                 type: string
+ *                 example: VAL_INCOME_TOTAL
+ *               severity:
+ *                 type: string
+ *                 enum: [error, warning]
+ *               field:
+ *                 type: string
+ *                 example: LF_INCOME_TOTAL
+ *               message:
+ *                 type: string
+ *               expected: {}
+ *               actual: {}
+ *               detail:
+ *                 type: string
+ *                 description: Уточнение ошибки (например, причина некорректности ИИН)
  */
@@ -0,0 +1,165 @@
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DomesticAssetInput:
+ *       type: object
+ *       required: [assetCategory]
+ *       properties:
+ *         assetCategory:
+ *           type: string
+ *           enum: [real_estate, vehicle, share, securities, other, receivable, debt]
+ *         description:
+ *           type: string
+ *         registrationNumber:
+ *           type: string
+ *           description: Кадастровый номер, VIN, ISIN или номер договора
+ *         address:
+ *           type: string
+ *         counterpartyName:
+ *           type: string
+ *           description: Юрлицо (доля), эмитент, должник или кредитор
+ *         counterpartyBin:
+ *           type: string
+ *           description: БИН юрлица или ИИН физлица, проверяется контрольный разряд
+ *           example: "050240001231"
+ *         quantity:
+ *           type: number
+ *         ownershipShare:
+ *           type: number
+ *           description: Доля владения, %
+ *         acquisitionDate:
+ *           type: string
+ *           format: date
+ *         disposalDate:
+ *           type: string
+ *           format: date
+ *           description: Дата отчуждения / погашения
+ *         dueDate:
+ *           type: string
+ *           format: date
+ *         value:
+ *           type: number
+ *         currency:
+ *           type: string
+ *           example: KZT
+ *
+ * /api/identities/{taxIdentityId}/assets:
+ *   get:
+ *     tags: [Domestic Assets]
+ *     summary: Реестр имущества в РК и задолженности (270.05)
+ *     parameters:
+ *       - in: path
+ *         name: taxIdentityId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [real_estate, vehicle, share, securities, other, receivable, debt]
+ *       - in: query
+ *         name: kind
+ *         schema:
+ *           type: string
+ *           enum: [property, receivables]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: taxYear
+ *         description: Только имущество во владении и непогашенная задолженность на 31 декабря года
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Список записей с пагинацией
+ *   post:
+ *     tags: [Domestic Assets]
+ *     summary: Добавить имущество или задолженность
+ *     parameters:
+ *       - in: path
+ *         name: taxIdentityId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DomesticAssetInput'
+ *     responses:
+ *       201:
+ *         description: Запись создана
+ *       400:
+ *         description: Ошибка валидации
+ *
+ * /api/identities/{taxIdentityId}/assets/{assetId}:
+ *   get:
+ *     tags: [Domestic Assets]
+ *     summary: Получить запись
+ *     parameters:
+ *       - in: path
+ *         name: taxIdentityId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: assetId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Запись
+ *       404:
+ *         description: Запись не найдена
+ *   put:
+ *     tags: [Domestic Assets]
+ *     summary: Обновить запись
+ *     parameters:
+ *       - in: path
+ *         name: taxIdentityId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: assetId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DomesticAssetInput'
+ *     responses:
+ *       200:
+ *         description: Запись обновлена
+ *   delete:
+ *     tags: [Domestic Assets]
+ *     summary: Удалить запись (только владелец)
+ *     parameters:
+ *       - in: path
+ *         name: taxIdentityId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: assetId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Запись удалена
+ */
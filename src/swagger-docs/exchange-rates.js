@@ -0,0 +1,82 @@
+/**
+ * @swagger
+ * /api/exchange-rates/import:
+ *   post:
+ *     tags: [Exchange Rates]
+ *     summary: Импорт курсов валют НБРК
+ *     description: |
+ *       Загружает файл ежедневных курсов Национального Банка РК (XML формата get_rates.cfm или CSV
+ *       с колонками date;currency;quant;rate). Повторный импорт того же дня перезаписывает курс.
+ *       Курсы используются движком правил для пересчёта валютных событий в тенге по дате события.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/xml:
+ *           schema:
+ *             type: string
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [content]
+ *             properties:
+ *               format:
+ *                 type: string
+ *                 enum: [xml, csv]
+ *               content:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Курсы импортированы
+ *       400:
+ *         description: Неверный формат файла
+ *
+ * /api/exchange-rates:
+ *   get:
+ *     tags: [Exchange Rates]
+ *     summary: Список курсов
+ *     parameters:
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *           example: USD
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Список курсов с пагинацией
+ *
+ * /api/exchange-rates/{currency}/{date}:
+ *   get:
+ *     tags: [Exchange Rates]
+ *     summary: Курс на дату
+ *     description: Возвращает последний опубликованный курс на дату или ранее (выходные и праздники).
+ *     parameters:
+ *       - in: path
+ *         name: currency
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Курс
+ *       404:
+ *         description: Курс не найден
+ */
@@ -0,0 +1,151 @@
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ForeignAssetInput:
+ *       type: object
+ *       required: [assetCategory, countryCode]
+ *       properties:
+ *         assetCategory:
+ *           type: string
+ *           enum: [real_estate, securities, share, bank_account]
+ *         countryCode:
+ *           type: string
+ *           example: TR
+ *         description:
+ *           type: string
+ *         address:
+ *           type: string
+ *         registrationNumber:
+ *           type: string
+ *           description: Кадастровый / регистрационный номер, ISIN
+ *         issuerName:
+ *           type: string
+ *           description: Эмитент, юрлицо или банк
+ *         bankSwift:
+ *           type: string
+ *         accountNumber:
+ *           type: string
+ *         quantity:
+ *           type: number
+ *         ownershipShare:
+ *           type: number
+ *           description: Доля владения, %
+ *         acquisitionDate:
+ *           type: string
+ *           format: date
+ *         disposalDate:
+ *           type: string
+ *           format: date
+ *         value:
+ *           type: number
+ *         currency:
+ *           type: string
+ *           example: USD
+ *
+ * /api/identities/{taxIdentityId}/foreign-assets:
+ *   get:
+ *     tags: [Foreign Assets]
+ *     summary: Реестр имущества и счетов за пределами РК (270.04)
+ *     parameters:
+ *       - in: path
+ *         name: taxIdentityId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [real_estate, securities, share, bank_account]
+ *       - in: query
+ *         name: taxYear
+ *         description: Только имущество, находящееся во владении на 31 декабря года
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Список активов
+ *   post:
+ *     tags: [Foreign Assets]
+ *     summary: Добавить актив
+ *     parameters:
+ *       - in: path
+ *         name: taxIdentityId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ForeignAssetInput'
+ *     responses:
+ *       201:
+ *         description: Актив создан
+ *       400:
+ *         description: Ошибка валидации
+ *
+ * /api/identities/{taxIdentityId}/foreign-assets/{assetId}:
+ *   get:
+ *     tags: [Foreign Assets]
+ *     summary: Получить актив
+ *     parameters:
+ *       - in: path
+ *         name: taxIdentityId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: assetId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Актив
+ *       404:
+ *         description: Актив не найден
+ *   put:
+ *     tags: [Foreign Assets]
+ *     summary: Обновить актив
+ *     parameters:
+ *       - in: path
+ *         name: taxIdentityId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: assetId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ForeignAssetInput'
+ *     responses:
+ *       200:
+ *         description: Актив обновлён
+ *   delete:
+ *     tags: [Foreign Assets]
+ *     summary: Удалить актив (только владелец)
+ *     parameters:
+ *       - in: path
+ *         name: taxIdentityId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: assetId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Актив удалён
+ */
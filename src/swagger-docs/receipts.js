@@ -0,0 +1,96 @@
+/**
+ * @swagger
+ * /api/receipts/declarations/{declarationId}:
+ *   get:
+ *     tags: [Receipts]
+ *     summary: Ответы налогового органа по декларации
+ *     parameters:
+ *       - in: path
+ *         name: declarationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Квитанции и уведомления об отказе (номер, даты, орган, коды отказа с полями)
+ *   post:
+ *     tags: [Receipts]
+ *     summary: Загрузить ответ налогового органа (квитанция о приёме / уведомление об отказе)
+ *     description: |
+ *       Принимается XML (application/xml или поле xml) или JSON.
+ *       Декларация в статусе submitted переходит в accepted или rejected.
+ *       Регистрационный номер, дата приёма и орган попадают в поля in_doc_number,
+ *       post_date, receptor_name последующих выгрузок XML.
+ *       Коды отказа связываются с полями формы и логическими полями
+ *       (authority_error_codes, xml_field_map) и сохраняются как отчёт проверки
+ *       authority; замечания показываются в декларации (authorityFindings),
+ *       пока она исправляется (rejected → draft).
+ *     parameters:
+ *       - in: path
+ *         name: declarationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/xml:
+ *           schema:
+ *             type: string
+ *             example: |
+ *               <notice status="REJECTED">
+ *                 <registrationNumber>620520250000123</registrationNumber>
+ *                 <postDate>15.03.2025</postDate>
+ *                 <receptorName>6205</receptorName>
+ *                 <reason>Декларация содержит ошибки</reason>
+ *                 <errors>
+ *                   <error code="FNO_INCOME_TOTAL_MISMATCH" form="form_270_01" field="field_270_01_B"/>
+ *                 </errors>
+ *               </notice>
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [accepted, rejected]
+ *               registrationNumber:
+ *                 type: string
+ *               postDate:
+ *                 type: string
+ *                 example: "2025-03-15"
+ *               processedAt:
+ *                 type: string
+ *                 format: date-time
+ *               receptorName:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *               errors:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     code:
+ *                       type: string
+ *                     message:
+ *                       type: string
+ *                     form:
+ *                       type: string
+ *                       example: form_270_01
+ *                     field:
+ *                       type: string
+ *                       example: field_270_01_B
+ *               xml:
+ *                 type: string
+ *                 description: XML уведомление строкой (вместо полей выше)
+ *     responses:
+ *       201:
+ *         description: "{ receipt, report (ValidationReport, validation_type = authority), declaration }"
+ *       400:
+ *         description: Неверный формат ответа
+ *       409:
+ *         description: Декларация не подана или результат противоречит её статусу
+ */
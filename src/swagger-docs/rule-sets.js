@@ -0,0 +1,134 @@
+/**
+ * @swagger
+ * /api/rule-sets:
+ *   get:
+ *     tags: [Rule Sets]
+ *     summary: Версии набора правил
+ *     description: |
+ *       Версия - неизменяемый снимок активных правил (tax_rules): draft → published → retired.
+ *       Расчёт берёт опубликованную версию, действующую на дату расчёта (effective_from),
+ *       и запоминает её в декларации (rule_set_version_id). Пока нет опубликованных версий,
+ *       используются правила из tax_rules. Список без правил, новые сверху.
+ *     responses:
+ *       200:
+ *         description: "{ versions: [{ id, version, status, effective_from, notes, rolled_back_from, published_at, retired_at, rules_count }], effective: { id, version, status, effectiveFrom } | null }"
+ *   post:
+ *     tags: [Rule Sets]
+ *     summary: Создать черновик версии из активных правил
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               effectiveFrom:
+ *                 type: string
+ *                 format: date
+ *                 description: Дата начала действия (по умолчанию сегодня)
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Черновик версии
+ *       409:
+ *         description: Нет активных правил
+ *
+ * /api/rule-sets/{version}:
+ *   get:
+ *     tags: [Rule Sets]
+ *     summary: Версия с правилами
+ *     parameters:
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: "{ id, version, status, effective_from, rules: [{ id, rule_code, tax_year, rule_type, conditions, actions, priority }], ... }"
+ *       404:
+ *         description: Версия не найдена
+ *
+ * /api/rule-sets/{version}/diff:
+ *   get:
+ *     tags: [Rule Sets]
+ *     summary: Сравнить правила с более ранней версией
+ *     description: Правила сопоставляются по rule_code (без кода - по ID)
+ *     parameters:
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: against
+ *         description: Версия для сравнения (по умолчанию предыдущая)
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: "{ from, to, summary: { added, removed, changed }, added, removed, changed: [{ ruleCode, changes: [{ field, from, to }] }] }"
+ *       404:
+ *         description: Версия не найдена
+ *
+ * /api/rule-sets/{version}/publish:
+ *   post:
+ *     tags: [Rule Sets]
+ *     summary: Опубликовать черновик
+ *     description: |
+ *       В одной транзакции: черновик публикуется, опубликованные версии, которые он заменяет
+ *       (с той же или более поздней датой начала, а также вытесненные действующей версией), выводятся из действия.
+ *     parameters:
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               effectiveFrom:
+ *                 type: string
+ *                 format: date
+ *                 description: Дата начала действия (по умолчанию дата черновика)
+ *     responses:
+ *       200:
+ *         description: "{ ruleSet, retired: [version] }"
+ *       404:
+ *         description: Версия не найдена
+ *       409:
+ *         description: Версия уже опубликована или выведена из действия
+ *
+ * /api/rule-sets/{version}/rollback:
+ *   post:
+ *     tags: [Rule Sets]
+ *     summary: Откатиться к версии
+ *     description: |
+ *       Правила выбранной версии публикуются повторно как новая версия, действующая с сегодняшнего дня
+ *       (rolled_back_from - выбранная версия). Остальные опубликованные версии, включая запланированные,
+ *       выводятся из действия. Расчёты, сделанные ранее, по-прежнему ссылаются на свои версии.
+ *     parameters:
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: "{ ruleSet, retired: [version] }"
+ *       404:
+ *         description: Версия не найдена
+ *       409:
+ *         description: Черновик или версия уже действует
+ */
@@ -0,0 +1,170 @@
+/**
+ * @swagger
+ * /api/signatures/{declarationId}:
+ *   get:
+ *     tags: [Signatures]
+ *     summary: Подписи декларации
+ *     parameters:
+ *       - in: path
+ *         name: declarationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Список подписей (тип, способ, ИИН подписанта, сертификат, хэш XML)
+ *
+ * /api/signatures/{declarationId}/eds:
+ *   post:
+ *     tags: [Signatures]
+ *     summary: Прикрепить ЭЦП (XMLDSig), сформированную на клиенте
+ *     description: |
+ *       Подписывается последний XML, на который владелец дал согласие.
+ *       Передаётся отдельный элемент ds:Signature или весь подписанный документ.
+ *       Подпись должна покрывать весь документ (URI="", enveloped-signature),
+ *       алгоритмы RSA-SHA256/512. Проверяются дайджест, значение подписи,
+ *       срок действия сертификата и совпадение ИИН сертификата с ИИН декларации.
+ *       Если задан SIGNATURE_CA_CERTS, сертификат должен быть выдан доверенным УЦ.
+ *       После проверки декларация переходит в signed.
+ *     parameters:
+ *       - in: path
+ *         name: declarationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               signature:
+ *                 type: string
+ *                 description: Элемент ds:Signature
+ *               signedXml:
+ *                 type: string
+ *                 description: XML с вложенной (enveloped) подписью
+ *     responses:
+ *       201:
+ *         description: "{ signature, declaration }"
+ *       400:
+ *         description: Подпись или сертификат недействительны
+ *       409:
+ *         description: Декларация не в статусе awaiting_consent или нет согласия на текущий XML
+ *
+ * /api/signatures/{declarationId}/eds/server:
+ *   post:
+ *     tags: [Signatures]
+ *     summary: Подписать XML на сервере ключом из PKCS#12
+ *     description: |
+ *       Ключ используется только в памяти и не сохраняется.
+ *       Поддерживаются RSA-ключи (ГОСТ не поддерживается).
+ *       Тестовый сертификат: npm run signing:test-cert -- --iin 900101300126
+ *     parameters:
+ *       - in: path
+ *         name: declarationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [pkcs12]
+ *             properties:
+ *               pkcs12:
+ *                 type: string
+ *                 description: Контейнер .p12 в base64
+ *               password:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: "{ signature, declaration }"
+ *       400:
+ *         description: Неверный пароль, контейнер или сертификат
+ *       409:
+ *         description: Декларация не в статусе awaiting_consent или нет согласия на текущий XML
+ *
+ * /api/signatures/{declarationId}/otp/request:
+ *   post:
+ *     tags: [Signatures]
+ *     summary: Запросить код простой подписи (только владелец)
+ *     description: |
+ *       Код отправляется на email владельца и привязан к хэшу последнего XML
+ *       (xml_exports.xml_hash). Коды подписи не действуют для входа и наоборот.
+ *       Требуется согласие владельца на текущий XML.
+ *     parameters:
+ *       - in: path
+ *         name: declarationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: "{ otpId, expiresAt, message, xmlExportId, xmlHash }"
+ *       403:
+ *         description: Пользователь не владелец или превышен лимит запросов кода
+ *       409:
+ *         description: Декларация не в статусе awaiting_consent или нет согласия на текущий XML
+ *
+ * /api/signatures/{declarationId}/otp:
+ *   post:
+ *     tags: [Signatures]
+ *     summary: Подписать декларацию кодом (signature_type = otp)
+ *     description: |
+ *       Фиксируются хэш XML, время, IP и User-Agent. Код, выданный для другой
+ *       версии XML, отклоняется. После подписи декларация переходит в signed.
+ *     parameters:
+ *       - in: path
+ *         name: declarationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       201:
+ *         description: "{ signature, declaration }"
+ *       400:
+ *         description: Неверный или истёкший код, XML изменился после отправки кода
+ *       403:
+ *         description: Пользователь не владелец
+ *       409:
+ *         description: Декларация не в статусе awaiting_consent или нет согласия на текущий XML
+ *
+ * /api/signatures/{declarationId}/signed-xml:
+ *   get:
+ *     tags: [Signatures]
+ *     summary: Скачать подписанный XML (с вложенной ds:Signature)
+ *     parameters:
+ *       - in: path
+ *         name: declarationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: XML файл
+ *         content:
+ *           application/xml: {}
+ *       404:
+ *         description: Последний XML не подписан ЭЦП (при подписи кодом XML не содержит ds:Signature)
+ */
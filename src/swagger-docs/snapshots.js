@@ -0,0 +1,83 @@
+/**
+ * @swagger
+ * /api/snapshots/declarations/{declarationId}:
+ *   get:
+ *     tags: [Snapshots]
+ *     summary: История версий декларации
+ *     description: |
+ *       Снимок сохраняется при каждом расчёте (generate), ручной правке
+ *       (manual_override, header_update), валидации, смене статуса и восстановлении.
+ *       Снимки не изменяются. Список без содержимого, новые сверху.
+ *     parameters:
+ *       - in: path
+ *         name: declarationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: "[{ id, version, reason, status, details, created_by_user_id, created_at, items_count, events_count }]"
+ *
+ * /api/snapshots/{snapshotId}:
+ *   get:
+ *     tags: [Snapshots]
+ *     summary: Снимок декларации
+ *     description: Значения полей, разбивки, признаки приложений, шапка, ID налоговых событий и правил расчёта
+ *     parameters:
+ *       - in: path
+ *         name: snapshotId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Снимок
+ *       404:
+ *         description: Снимок не найден
+ *
+ * /api/snapshots/{snapshotId}/diff:
+ *   get:
+ *     tags: [Snapshots]
+ *     summary: Сравнить снимок с более ранним
+ *     description: original - значение в более раннем снимке, amended - в выбранном
+ *     parameters:
+ *       - in: path
+ *         name: snapshotId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: against
+ *         description: Снимок для сравнения (по умолчанию предыдущая версия)
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: "{ from, to, summary, status, items, breakdowns, header, flags, events: { added, removed }, rules: { added, removed } }"
+ *       409:
+ *         description: Снимки разных деклараций
+ *
+ * /api/snapshots/{snapshotId}/restore:
+ *   post:
+ *     tags: [Snapshots]
+ *     summary: Восстановить черновик из снимка
+ *     description: |
+ *       Значения, разбивки, признаки и шапка заменяются значениями снимка,
+ *       декларация в статусе validated возвращается в draft. Создаётся снимок restore.
+ *     parameters:
+ *       - in: path
+ *         name: snapshotId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: "{ declaration, snapshot }"
+ *       409:
+ *         description: Декларация не в статусе draft / validated
+ */
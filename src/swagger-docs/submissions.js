@@ -0,0 +1,140 @@
+/**
+ * @swagger
+ * /api/submissions/declarations/{declarationId}:
+ *   get:
+ *     tags: [Submissions]
+ *     summary: Отправки декларации в шлюз
+ *     parameters:
+ *       - in: path
+ *         name: declarationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Список отправок (state, status шлюза, регистрационный номер, причина отказа)
+ *   post:
+ *     tags: [Submissions]
+ *     summary: Отправить подписанную декларацию (signed → submitted)
+ *     description: |
+ *       Отправляется последний подписанный XML (ЭЦП вкладывается в документ).
+ *       Транспорт задаётся SUBMISSION_TRANSPORT; mock имитирует шлюз локально.
+ *       Решение органа приходит опросом (POST /api/submissions/{id}/poll)
+ *       или callback, после чего декларация переходит в accepted или rejected.
+ *     parameters:
+ *       - in: path
+ *         name: declarationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: Параметры только для mock-транспорта
+ *             properties:
+ *               scenario:
+ *                 type: string
+ *                 enum: [accept, reject, unavailable]
+ *               errorCode:
+ *                 type: string
+ *                 enum: [FNO_IIN_NOT_FOUND, FNO_PERIOD_DUPLICATE, FNO_INCOME_TOTAL_MISMATCH, FNO_SIGNATURE_INVALID]
+ *               delaySeconds:
+ *                 type: integer
+ *                 example: 30
+ *     responses:
+ *       201:
+ *         description: "{ submission, declaration }"
+ *       409:
+ *         description: Декларация не подписана или предыдущая отправка ещё обрабатывается
+ *       502:
+ *         description: Шлюз недоступен или отклонил запрос (отправка в state failed)
+ *
+ * /api/submissions/{submissionId}:
+ *   get:
+ *     tags: [Submissions]
+ *     summary: Отправка
+ *     parameters:
+ *       - in: path
+ *         name: submissionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Отправка
+ *
+ * /api/submissions/{submissionId}/poll:
+ *   post:
+ *     tags: [Submissions]
+ *     summary: Запросить статус обработки у шлюза
+ *     parameters:
+ *       - in: path
+ *         name: submissionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: "{ submission, declaration }"
+ *       502:
+ *         description: Ошибка шлюза
+ *
+ * /api/submissions/poll-pending:
+ *   post:
+ *     tags: [Submissions]
+ *     summary: Опросить шлюз по всем отправкам в обработке (плановое задание)
+ *     description: Требуется заголовок X-Job-Secret = SUBMISSION_JOB_SECRET (отправки всех пользователей)
+ *     security: []
+ *     parameters:
+ *       - in: header
+ *         name: X-Job-Secret
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               limit:
+ *                 type: integer
+ *                 default: 50
+ *     responses:
+ *       200:
+ *         description: "{ polled, completed, errors }"
+ *       403:
+ *         description: Неверный секрет или задание отключено
+ *
+ * /api/submissions/callback/{transport}:
+ *   post:
+ *     tags: [Submissions]
+ *     summary: Callback шлюза с результатом обработки
+ *     description: Требуется заголовок X-Callback-Secret = SUBMISSION_CALLBACK_SECRET
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: transport
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: mock
+ *       - in: header
+ *         name: X-Callback-Secret
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: "{ submissionId, state }"
+ *       403:
+ *         description: Неверный секрет или callback отключён
+ *       404:
+ *         description: Отправка не найдена
+ */
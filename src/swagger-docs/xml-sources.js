@@ -6,7 +6,8 @@
  *     summary: Сгенерировать XML для декларации
  *     description: |
  *       Генерирует XML в формате ФНО 270.00 для подачи в налоговую.
- *       Декларация должна быть в статусе validated или выше.
+ *       Декларация должна быть в статусе validated: согласие и подпись привязаны к последнему XML,
+ *       поэтому после запроса согласия новый XML не создаётся.
  *     parameters:
  *       - in: path
  *         name: declarationId
@@ -26,7 +27,9 @@
  *                   type: boolean
  *                 data:
  *                   $ref: '#/components/schemas/XmlExport'
- *       400:
+ *       409:
+ *         description: Декларация уже ожидает согласия, подписана или подана
+ *       422:
  *         description: Декларация в статусе draft
  *
  * /api/xml/latest/{declarationId}:
@@ -0,0 +1,121 @@
+// Amounts are NUMERIC(18,2): compare and subtract in tiyn to avoid float noise
+const round = value => Math.round((parseFloat(value) || 0) * 100) / 100;
+
+// Declaration header snapshot fields
+const HEADER_FIELDS = [
+    'iin', 'fio_last', 'fio_first', 'fio_middle', 'payer_phone', 'email', 'iin_spouse', 'iin_legalrepresentative',
+];
+
+/**
+ * Field-by-field difference of declaration items
+ * Missing field counts as 0
+ * @param {Object} original - logical_field → value (filed version)
+ * @param {Object} amended - logical_field → value
+ * @returns {Array} [{ logicalField, original, amended, delta }] changed fields only
+ */
+const diffItems = (original = {}, amended = {}) => {
+    const fields = [...new Set([...Object.keys(original), ...Object.keys(amended)])].sort();
+
+    return fields
+        .map(logicalField => ({
+            logicalField,
+            original: round(original[logicalField]),
+            amended: round(amended[logicalField]),
+        }))
+        .map(row => ({ ...row, delta: round(row.amended - row.original) }))
+        .filter(row => row.delta !== 0);
+};
+
+/**
+ * Difference of per-group / per-month breakdowns (270.03 agents, 270.07 CFC)
+ * @param {Array} original - declaration_item_breakdowns rows (filed version)
+ * @param {Array} amended - declaration_item_breakdowns rows
+ * @returns {Array} [{ logicalField, groupKey, month, original, amended, delta }] changed rows only
+ */
+const diffBreakdowns = (original = [], amended = []) => {
+    const rows = new Map();
+    const collect = (list, target) => {
+        for (const row of list) {
+            const key = `${row.logical_field}|${row.group_key}|${row.period_month}`;
+            if (!rows.has(key)) {
+                rows.set(key, {
+                    logicalField: row.logical_field,
+                    groupKey: row.group_key,
+                    month: row.period_month,
+                    original: 0,
+                    amended: 0,
+                });
+            }
+            rows.get(key)[target] = round(rows.get(key)[target] + round(row.value));
+        }
+    };
+    collect(original, 'original');
+    collect(amended, 'amended');
+
+    return Array.from(rows.values())
+        .map(row => ({ ...row, delta: round(row.amended - row.original) }))
+        .filter(row => row.delta !== 0)
+        .sort((a, b) => a.logicalField.localeCompare(b.logicalField)
+            || String(a.groupKey).localeCompare(String(b.groupKey))
+            || (a.month || 0) - (b.month || 0));
+};
+
+/**
+ * Changed header fields
+ * @param {Object} original - declaration row or snapshot header
+ * @param {Object} amended
+ * @returns {Array} [{ field, original, amended }]
+ */
+const diffHeader = (original, amended) =>
+    HEADER_FIELDS
+        .filter(field => (original[field] || null) !== (amended[field] || null))
+        .map(field => ({ field, original: original[field] || null, amended: amended[field] || null }));
+
+/**
+ * Changed flags (missing flag is false)
+ * @param {Object} original
+ * @param {Object} amended
+ * @returns {Array} [{ flag, original, amended }]
+ */
+const diffFlags = (original, amended) => {
+    const before = original || {};
+    const after = amended || {};
+
+    return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+        .filter(flag => Boolean(before[flag]) !== Boolean(after[flag]))
+        .sort()
+        .map(flag => ({ flag, original: Boolean(before[flag]), amended: Boolean(after[flag]) }));
+};
+
+/**
+ * Items of additional declaration as filed: difference with accepted version
+ * @param {Object} original
+ * @param {Object} amended
+ * @returns {Object} logical_field → delta
+ */
+const correctionItems = (original, amended) =>
+    Object.fromEntries(diffItems(original, amended).map(row => [row.logicalField, row.delta]));
+
+/**
+ * Breakdown rows of additional declaration as filed
+ * @param {Array} original
+ * @param {Array} amended
+ * @returns {Array} declaration_item_breakdowns-shaped rows with delta as value
+ */
+const correctionBreakdowns = (original, amended) =>
+    diffBreakdowns(original, amended).map(row => ({
+        logical_field: row.logicalField,
+        group_key: row.groupKey,
+        period_month: row.month,
+        value: row.delta,
+    }));
+
+module.exports = {
+    HEADER_FIELDS,
+    diffItems,
+    diffBreakdowns,
+    diffHeader,
+    diffFlags,
+    correctionItems,
+    correctionBreakdowns,
+};
@@ -0,0 +1,202 @@
+// Control digit weights: first pass, and second pass when the first gives 10
+const WEIGHTS_FIRST = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11];
+const WEIGHTS_SECOND = [3, 4, 5, 6, 7, 8, 9, 10, 11, 1, 2];
+
+// IIN 7th digit → century of birth and gender
+const IIN_CENTURY_GENDER = {
+    1: { century: 19, gender: 'male' },
+    2: { century: 19, gender: 'female' },
+    3: { century: 20, gender: 'male' },
+    4: { century: 20, gender: 'female' },
+    5: { century: 21, gender: 'male' },
+    6: { century: 21, gender: 'female' },
+};
+
+// BIN 5th digit → entity type
+const BIN_ENTITY_TYPES = {
+    4: 'resident_legal_entity',
+    5: 'non_resident_legal_entity',
+    6: 'joint_entrepreneurship',
+};
+
+// BIN 6th digit → division
+const BIN_DIVISIONS = {
+    0: 'head_office',
+    1: 'branch',
+    2: 'representative_office',
+    3: 'peasant_farm',
+};
+
+/**
+ * Calculate control (12th) digit of IIN/BIN
+ * @param {string} value - At least 11 digits
+ * @returns {number|null} null if the number cannot have a valid control digit
+ */
+const calculateControlDigit = (value) => {
+    const digits = String(value).slice(0, 11).split('').map(Number);
+
+    const weighted = (weights) => digits.reduce((sum, digit, i) => sum + digit * weights[i], 0) % 11;
+
+    let control = weighted(WEIGHTS_FIRST);
+    if (control === 10) {
+        control = weighted(WEIGHTS_SECOND);
+        if (control === 10) {
+            return null;
+        }
+    }
+    return control;
+};
+
+/**
+ * Check IIN/BIN format and control digit
+ * @param {string} value
+ * @returns {boolean}
+ */
+const hasValidControlDigit = (value) => {
+    if (typeof value !== 'string' || !/^\d{12}$/.test(value)) {
+        return false;
+    }
+    const control = calculateControlDigit(value);
+    return control !== null && control === Number(value[11]);
+};
+
+/**
+ * Normalize input and check format and control digit
+ * @param {*} value
+ * @param {string} field - Name used in error messages
+ * @returns {string} 12 digits
+ */
+const checkNumber = (value, field) => {
+    if (value === null || value === undefined || String(value).trim() === '') {
+        throw new Error(`${field} is required`);
+    }
+
+    const number = String(value).replace(/\s+/g, '');
+    if (!/^\d+$/.test(number)) {
+        throw new Error(`${field} is invalid: ${value}. Expected digits only`);
+    }
+    if (number.length !== 12) {
+        throw new Error(`${field} is invalid: ${number}. Expected 12 digits, got ${number.length}`);
+    }
+
+    const control = calculateControlDigit(number);
+    if (control === null) {
+        throw new Error(`${field} is invalid: ${number}. Control digit cannot be calculated for this number`);
+    }
+    if (control !== Number(number[11])) {
+        throw new Error(`${field} is invalid: ${number}. Control digit mismatch (expected ${control}, got ${number[11]})`);
+    }
+
+    return number;
+};
+
+/**
+ * Validate IIN and extract its structure
+ * Digits: 1-6 birth date YYMMDD, 7 century and gender, 8-11 serial, 12 control
+ * @param {*} value
+ * @param {string} field - Name used in error messages
+ * @returns {Object} { iin, birthDate, century, gender }
+ */
+const parseIin = (value, field = 'IIN') => {
+    const iin = checkNumber(value, field);
+
+    const centuryGender = IIN_CENTURY_GENDER[iin[6]];
+    if (!centuryGender) {
+        throw new Error(`${field} is invalid: ${iin}. 7th digit must be 1-6 (century and gender), got ${iin[6]}`);
+    }
+
+    const year = (centuryGender.century - 1) * 100 + Number(iin.slice(0, 2));
+    const month = Number(iin.slice(2, 4));
+    const day = Number(iin.slice(4, 6));
+    const date = new Date(Date.UTC(year, month - 1, day));
+
+    if (month < 1 || month > 12 || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        throw new Error(`${field} is invalid: ${iin}. Digits 1-6 are not a valid birth date (YYMMDD)`);
+    }
+    if (date > new Date()) {
+        throw new Error(`${field} is invalid: ${iin}. Birth date ${date.toISOString().slice(0, 10)} is in the future`);
+    }
+
+    return {
+        iin,
+        birthDate: date.toISOString().slice(0, 10),
+        century: centuryGender.century,
+        gender: centuryGender.gender,
+    };
+};
+
+/**
+ * Validate BIN and extract its structure
+ * Digits: 1-4 registration YYMM, 5 entity type, 6 division, 7-11 serial, 12 control
+ * @param {*} value
+ * @param {string} field - Name used in error messages
+ * @returns {Object} { bin, registrationDate, entityType, division }
+ */
+const parseBin = (value, field = 'BIN') => {
+    const bin = checkNumber(value, field);
+
+    const month = Number(bin.slice(2, 4));
+    if (month < 1 || month > 12) {
+        throw new Error(`${field} is invalid: ${bin}. Digits 3-4 must be registration month 01-12, got ${bin.slice(2, 4)}`);
+    }
+
+    const entityType = BIN_ENTITY_TYPES[bin[4]];
+    if (!entityType) {
+        throw new Error(`${field} is invalid: ${bin}. 5th digit must be 4-6 (entity type), got ${bin[4]}`);
+    }
+
+    const division = BIN_DIVISIONS[bin[5]];
+    if (!division) {
+        throw new Error(`${field} is invalid: ${bin}. 6th digit must be 0-3 (division), got ${bin[5]}`);
+    }
+
+    // Two-digit year: anything after the current year belongs to the previous century
+    const yy = Number(bin.slice(0, 2));
+    const year = yy <= new Date().getFullYear() % 100 ? 2000 + yy : 1900 + yy;
+
+    return {
+        bin,
+        registrationDate: `${year}-${bin.slice(2, 4)}`,
+        entityType,
+        division,
+    };
+};
+
+/**
+ * Validate counterparty number that may be either IIN (individual, IP)
+ * or BIN (legal entity). BIN is recognized by 5th digit 4-6,
+ * IIN 5th digit is the tens of birth day (0-3)
+ * @param {*} value
+ * @param {string} field - Name used in error messages
+ * @returns {Object} { type: 'IIN'|'BIN', number, ...parsed }
+ */
+const parseTaxpayerNumber = (value, field = 'IIN/BIN') => {
+    const number = checkNumber(value, field);
+
+    if (BIN_ENTITY_TYPES[number[4]]) {
+        return { type: 'BIN', number, ...parseBin(number, field) };
+    }
+    return { type: 'IIN', number, ...parseIin(number, field) };
+};
+
+/**
+ * Validate optional counterparty IIN/BIN (format, control digit, structure)
+ * @param {*} value
+ * @param {string} field - Name used in error messages
+ * @returns {string|null} 12 digits, null when empty
+ */
+const normalizeBin = (value, field) => {
+    if (value === undefined || value === null || String(value).trim() === '') {
+        return null;
+    }
+    return parseTaxpayerNumber(value, field).number;
+};
+
+module.exports = {
+    calculateControlDigit,
+    hasValidControlDigit,
+    parseIin,
+    parseBin,
+    parseTaxpayerNumber,
+    normalizeBin,
+};
@@ -59,6 +59,102 @@ const sendOTPEmail = async (to, code) => {
     return await transporter.sendMail(mailOptions);
 };
 
+/**
+ * Send consent request for declaration submission via email
+ * @param {string} to - Owner email
+ * @param {Object} data - { code, link, taxYear, requestedBy, expiresAt }
+ * @returns {Promise<Object>}
+ */
+const sendConsentEmail = async (to, { code, link, taxYear, requestedBy, expiresAt }) => {
+    const expires = new Date(expiresAt).toLocaleString('ru-RU', { timeZone: 'Asia/Almaty' });
+
+    const mailOptions = {
+        from: `"Tax Declaration Platform" <${process.env.SMTP_USER}>`,
+        to,
+        subject: `Согласие на подачу декларации 270.00 за ${taxYear} год`,
+        html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <style>
+          body { font-family: Arial, sans-serif; background-color: #f4f4f4; margin: 0; padding: 20px; }
+          .container { max-width: 600px; margin: 0 auto; background: white; border-radius: 10px; padding: 40px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
+          .code { font-size: 36px; font-weight: bold; color: #2563eb; letter-spacing: 8px; text-align: center; padding: 20px; background: #f0f7ff; border-radius: 8px; margin: 20px 0; }
+          .button { display: inline-block; padding: 12px 24px; background: #2563eb; color: white; border-radius: 8px; text-decoration: none; }
+          .warning { color: #ef4444; font-size: 14px; margin-top: 20px; }
+          .footer { color: #6b7280; font-size: 12px; margin-top: 30px; text-align: center; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <h2>Согласие на подачу декларации</h2>
+          <p>${requestedBy || 'Ваш представитель'} подготовил(а) декларацию 270.00 за ${taxYear} год и запрашивает ваше согласие на её подачу.</p>
+          <p><a class="button" href="${link}">Просмотреть и подтвердить</a></p>
+          <p>Или введите код подтверждения в приложении:</p>
+          <div class="code">${code}</div>
+          <p class="warning">⚠️ Запрос действителен до ${expires}. Никому не сообщайте этот код!</p>
+          <p>Если вы не ожидали этого письма, не подтверждайте запрос.</p>
+          <div class="footer">
+            <p>© ${new Date().getFullYear()} Tax Declaration Platform</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+        text: `Согласие на подачу декларации 270.00 за ${taxYear} год: ${link} Код подтверждения: ${code}. Действителен до ${expires}.`,
+    };
+
+    return await transporter.sendMail(mailOptions);
+};
+
+/**
+ * Send declaration signing code via email
+ * @param {string} to - Recipient email
+ * @param {Object} data - { code, taxYear, xmlHash }
+ * @returns {Promise<Object>}
+ */
+const sendSigningOTPEmail = async (to, { code, taxYear, xmlHash }) => {
+    const mailOptions = {
+        from: `"Tax Declaration Platform" <${process.env.SMTP_USER}>`,
+        to,
+        subject: `Код подписи декларации 270.00 за ${taxYear} год`,
+        html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <style>
+          body { font-family: Arial, sans-serif; background-color: #f4f4f4; margin: 0; padding: 20px; }
+          .container { max-width: 600px; margin: 0 auto; background: white; border-radius: 10px; padding: 40px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
+          .code { font-size: 36px; font-weight: bold; color: #2563eb; letter-spacing: 8px; text-align: center; padding: 20px; background: #f0f7ff; border-radius: 8px; margin: 20px 0; }
+          .hash { font-family: monospace; font-size: 12px; color: #6b7280; word-break: break-all; }
+          .warning { color: #ef4444; font-size: 14px; margin-top: 20px; }
+          .footer { color: #6b7280; font-size: 12px; margin-top: 30px; text-align: center; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <h2>Подпись декларации</h2>
+          <p>Вы подписываете декларацию 270.00 за ${taxYear} год. Вводя код, вы подтверждаете подачу именно этой версии декларации.</p>
+          <p>Код подписи:</p>
+          <div class="code">${code}</div>
+          <p class="hash">SHA-256 XML: ${xmlHash}</p>
+          <p class="warning">⚠️ Код действителен ${process.env.OTP_EXPIRES_MINUTES || 5} минут. Никому не сообщайте этот код!</p>
+          <p>Если вы не подписываете декларацию, просто проигнорируйте это письмо.</p>
+          <div class="footer">
+            <p>© ${new Date().getFullYear()} Tax Declaration Platform</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+        text: `Код подписи декларации 270.00 за ${taxYear} год: ${code}. SHA-256 XML: ${xmlHash}. Код действителен ${process.env.OTP_EXPIRES_MINUTES || 5} минут.`,
+    };
+
+    return await transporter.sendMail(mailOptions);
+};
+
 /**
  * Verify transporter connection
  * @returns {Promise<boolean>}
@@ -77,5 +173,7 @@ const verifyConnection = async () => {
 module.exports = {
     transporter,
     sendOTPEmail,
+    sendConsentEmail,
+    sendSigningOTPEmail,
     verifyConnection,
 };
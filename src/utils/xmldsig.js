@@ -0,0 +1,291 @@
+const crypto = require('crypto');
+const forge = require('node-forge');
+const { SignedXml } = require('xml-crypto');
+const { DOMParser, XMLSerializer } = require('@xmldom/xmldom');
+
+const DSIG_NS = 'http://www.w3.org/2000/09/xmldsig#';
+
+const ALGORITHMS = {
+    signature: 'http://www.w3.org/2001/04/xmldsig-more#rsa-sha256',
+    digest: 'http://www.w3.org/2001/04/xmlenc#sha256',
+    canonicalization: 'http://www.w3.org/2001/10/xml-exc-c14n#',
+    enveloped: 'http://www.w3.org/2000/09/xmldsig#enveloped-signature',
+};
+
+// SHA-1 based algorithms are rejected
+const ALLOWED_SIGNATURE_ALGORITHMS = [
+    'http://www.w3.org/2001/04/xmldsig-more#rsa-sha256',
+    'http://www.w3.org/2001/04/xmldsig-more#rsa-sha512',
+];
+const ALLOWED_DIGEST_ALGORITHMS = [
+    'http://www.w3.org/2001/04/xmlenc#sha256',
+    'http://www.w3.org/2001/04/xmlenc#sha512',
+];
+
+/**
+ * Parse XML, failing on malformed input
+ * @param {string} xml
+ * @param {string} what - Name used in error messages
+ * @returns {Document}
+ */
+const parseXml = (xml, what) => {
+    const errors = [];
+    let doc;
+    try {
+        doc = new DOMParser({ onError: (level, message) => level !== 'warning' && errors.push(message) })
+            .parseFromString(String(xml), 'text/xml');
+    } catch (error) {
+        errors.push(error.message);
+    }
+    if (errors.length > 0 || !doc || !doc.documentElement) {
+        throw new Error(`${what} is invalid: ${errors[0] || 'empty document'}`);
+    }
+    return doc;
+};
+
+/**
+ * Get the single ds:Signature of signed document
+ * @param {string} signedXml - Document with enveloped signature
+ * @returns {string} ds:Signature element
+ */
+const extractSignature = (signedXml) => {
+    const doc = parseXml(signedXml, 'Signed XML');
+    const signatures = doc.getElementsByTagNameNS(DSIG_NS, 'Signature');
+
+    if (signatures.length !== 1) {
+        throw new Error(`Signed XML is invalid: expected exactly one ds:Signature, found ${signatures.length}`);
+    }
+    return new XMLSerializer().serializeToString(signatures[0]);
+};
+
+/**
+ * X509Certificate (base64 DER) from ds:KeyInfo as PEM
+ * @param {Document} signatureDoc
+ * @returns {string}
+ */
+const certificateFromKeyInfo = (signatureDoc) => {
+    const certs = signatureDoc.getElementsByTagNameNS(DSIG_NS, 'X509Certificate');
+    if (certs.length === 0) {
+        throw new Error('Signature is invalid: ds:KeyInfo has no X509Certificate');
+    }
+    return SignedXml.getCertFromKeyInfo(signatureDoc.documentElement);
+};
+
+/**
+ * Certificate details. Kazakhstan NCA certificates carry the owner's IIN
+ * in subject serialNumber ("IIN123456789012") and organization BIN in OU ("BIN...")
+ * @param {string} certificatePem
+ * @returns {Object} { subject, issuer, serialNumber, validFrom, validTo, fingerprint, iin, bin, x509 }
+ */
+const parseCertificate = (certificatePem) => {
+    let cert;
+    try {
+        cert = new crypto.X509Certificate(certificatePem);
+    } catch (error) {
+        throw new Error(`Certificate is invalid: ${error.message}`);
+    }
+
+    const subject = {};
+    for (const line of cert.subject.split('\n')) {
+        const [key, ...rest] = line.split('=');
+        subject[key] = rest.join('=');
+    }
+
+    const iinMatch = /^IIN(\d{12})$/.exec(subject.serialNumber || '');
+    const binMatch = /^BIN(\d{12})$/.exec(subject.OU || '');
+
+    return {
+        subject: cert.subject.replace(/\n/g, ', '),
+        issuer: cert.issuer.replace(/\n/g, ', '),
+        serialNumber: cert.serialNumber,
+        validFrom: new Date(cert.validFrom).toISOString(),
+        validTo: new Date(cert.validTo).toISOString(),
+        fingerprint: cert.fingerprint256,
+        iin: iinMatch ? iinMatch[1] : null,
+        bin: binMatch ? binMatch[1] : null,
+        x509: cert,
+    };
+};
+
+/**
+ * Verify signature over the whole document
+ * Signature may be detached (ds:Signature alone) or taken from the signed document;
+ * with enveloped-signature transform both digest the same canonicalized XML.
+ * @param {string} xml - Exported document (without signature)
+ * @param {string} signatureXml - ds:Signature element
+ * @returns {Object} { certificatePem, signatureAlgorithm, digestAlgorithm }
+ */
+const verifySignature = (xml, signatureXml) => {
+    const signatureDoc = parseXml(signatureXml, 'Signature');
+    const root = signatureDoc.documentElement;
+    if (!root || root.localName !== 'Signature' || root.namespaceURI !== DSIG_NS) {
+        throw new Error('Signature is invalid: root element must be ds:Signature');
+    }
+
+    const certificatePem = certificateFromKeyInfo(signatureDoc);
+
+    const verifier = new SignedXml({ publicCert: certificatePem });
+    verifier.loadSignature(root);
+
+    if (!ALLOWED_SIGNATURE_ALGORITHMS.includes(verifier.signatureAlgorithm)) {
+        throw new Error(`Signature is invalid: signature algorithm ${verifier.signatureAlgorithm} is not supported`);
+    }
+
+    let isValid;
+    try {
+        isValid = verifier.checkSignature(xml);
+    } catch (error) {
+        throw new Error(`Signature is invalid: ${error.message}`);
+    }
+    if (!isValid) {
+        const reason = verifier.references.map(ref => ref.validationError && ref.validationError.message).find(Boolean);
+        throw new Error(`Signature is invalid: ${reason || 'digest does not match the document'}`);
+    }
+
+    // Partial references would let a signature cover only part of the declaration
+    for (const ref of verifier.references) {
+        if (ref.uri !== '') {
+            throw new Error(`Signature is invalid: reference must cover the whole document (URI=""), got "${ref.uri}"`);
+        }
+        if (!ALLOWED_DIGEST_ALGORITHMS.includes(ref.digestAlgorithm)) {
+            throw new Error(`Signature is invalid: digest algorithm ${ref.digestAlgorithm} is not supported`);
+        }
+        // Signature is embedded into the submitted document, see attachSignature
+        if (!(ref.transforms || []).includes(ALGORITHMS.enveloped)) {
+            throw new Error('Signature is invalid: reference must include enveloped-signature transform');
+        }
+    }
+
+    return {
+        certificatePem,
+        signatureAlgorithm: verifier.signatureAlgorithm,
+        digestAlgorithm: verifier.references[0].digestAlgorithm,
+    };
+};
+
+/**
+ * Embed ds:Signature as the last child of the root element
+ * (digest of the result is unchanged thanks to enveloped-signature transform)
+ * @param {string} xml
+ * @param {string} signatureXml
+ * @returns {string} Signed XML
+ */
+const attachSignature = (xml, signatureXml) => {
+    const closing = /<\/[^<>]+>\s*$/.exec(xml);
+    if (!closing) {
+        throw new Error('XML is invalid: root closing tag not found');
+    }
+    return xml.slice(0, closing.index) + signatureXml + xml.slice(closing.index);
+};
+
+/**
+ * Read private key and certificate from PKCS#12 (.p12 / .pfx)
+ * @param {string} p12Base64
+ * @param {string} password
+ * @returns {Object} { privateKeyPem, certificatePem }
+ */
+const readPkcs12 = (p12Base64, password) => {
+    let p12;
+    try {
+        const der = forge.util.decode64(String(p12Base64));
+        p12 = forge.pkcs12.pkcs12FromAsn1(forge.asn1.fromDer(der), String(password || ''));
+    } catch (error) {
+        throw new Error(`PKCS#12 container is invalid: ${/mac|password/i.test(error.message) ? 'wrong password' : error.message}`);
+    }
+
+    const keyBag = (p12.getBags({ bagType: forge.pki.oids.pkcs8ShroudedKeyBag })[forge.pki.oids.pkcs8ShroudedKeyBag] || [])[0]
+        || (p12.getBags({ bagType: forge.pki.oids.keyBag })[forge.pki.oids.keyBag] || [])[0];
+    const certBag = (p12.getBags({ bagType: forge.pki.oids.certBag })[forge.pki.oids.certBag] || [])[0];
+
+    if (!keyBag || !keyBag.key) {
+        throw new Error('PKCS#12 container is invalid: no RSA private key (GOST keys are not supported)');
+    }
+    if (!certBag || !certBag.cert) {
+        throw new Error('PKCS#12 container is invalid: no certificate');
+    }
+
+    return {
+        privateKeyPem: forge.pki.privateKeyToPem(keyBag.key),
+        certificatePem: forge.pki.certificateToPem(certBag.cert),
+    };
+};
+
+/**
+ * Sign document with enveloped signature appended to the root element
+ * @param {string} xml
+ * @param {Object} keys - { privateKeyPem, certificatePem }
+ * @returns {string} Signed XML
+ */
+const signEnveloped = (xml, { privateKeyPem, certificatePem }) => {
+    const signer = new SignedXml({
+        privateKey: privateKeyPem,
+        publicCert: certificatePem,
+        signatureAlgorithm: ALGORITHMS.signature,
+        canonicalizationAlgorithm: ALGORITHMS.canonicalization,
+        getKeyInfoContent: SignedXml.getKeyInfoContent,
+    });
+
+    signer.addReference({
+        xpath: '/*',
+        uri: '',
+        isEmptyUri: true,
+        digestAlgorithm: ALGORITHMS.digest,
+        transforms: [ALGORITHMS.enveloped, ALGORITHMS.canonicalization],
+    });
+
+    signer.computeSignature(xml, {
+        prefix: 'ds',
+        location: { reference: '/*', action: 'append' },
+    });
+
+    return signer.getSignedXml();
+};
+
+/**
+ * Self-signed RSA certificate in PKCS#12 for testing signatures
+ * (subject serialNumber = IIN like NCA certificates)
+ * @param {Object} options - { iin, commonName?, password?, days? }
+ * @returns {Object} { p12Base64, certificatePem, privateKeyPem }
+ */
+const createTestCertificate = ({ iin, commonName = 'TEST SIGNER', password = '', days = 365 }) => {
+    const keys = forge.pki.rsa.generateKeyPair(2048);
+    const cert = forge.pki.createCertificate();
+
+    cert.publicKey = keys.publicKey;
+    cert.serialNumber = crypto.randomBytes(8).toString('hex');
+    cert.validity.notBefore = new Date();
+    cert.validity.notAfter = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+    const attrs = [
+        { name: 'commonName', value: commonName },
+        { name: 'serialNumber', value: `IIN${iin}` },
+        { name: 'countryName', value: 'KZ' },
+    ];
+    cert.setSubject(attrs);
+    cert.setIssuer(attrs);
+    cert.setExtensions([
+        { name: 'basicConstraints', cA: false },
+        { name: 'keyUsage', digitalSignature: true, nonRepudiation: true },
+    ]);
+    cert.sign(keys.privateKey, forge.md.sha256.create());
+
+    const p12 = forge.pkcs12.toPkcs12Asn1(keys.privateKey, [cert], password, { algorithm: '3des' });
+
+    return {
+        p12Base64: forge.util.encode64(forge.asn1.toDer(p12).getBytes()),
+        certificatePem: forge.pki.certificateToPem(cert),
+        privateKeyPem: forge.pki.privateKeyToPem(keys.privateKey),
+    };
+};
+
+module.exports = {
+    DSIG_NS,
+    ALGORITHMS,
+    extractSignature,
+    parseCertificate,
+    verifySignature,
+    attachSignature,
+    readPkcs12,
+    signEnveloped,
+    createTestCertificate,
+};